@@ -27,11 +27,21 @@ const CONFIG = {
     max_soc_threshold: 99,      // % - Switch to load management
     min_soc_threshold: 35,      // % - Switch back to grid consumption
 
-    // HWS Control
+    // HWS Control (the single load used when LOADS is empty); the drop thresholds shed any load
     hws_power_rating: 3000,     // W - Hot water system power
-    hws_soc_drop_threshold: 2,  // % - SOC drop to turn off HWS
-    hws_generation_drop_threshold: 1000, // W - Generation drop to turn off HWS
+    hws_soc_drop_threshold: 2,  // % - SOC drop to turn off a load
+    hws_generation_drop_threshold: 1000, // W - Generation drop to turn off a load
     hws_cooldown_period: 10,    // minutes - Prevent rapid cycling
+    load_shed_import: 200,      // W - Grid import that sheds a load in LOAD_MANAGEMENT
+    hws_temperature_setpoint: 55, // °C - Tank temperature that ends diverting (needs global.hws_temperature)
+    hws_temperature_hysteresis: 5, // °C - Cooling below the setpoint before diverting again
+    hws_min_daily_heat_minutes: 0, // minutes - Heating guaranteed each day, from the grid outside peak import if need be (0 = off; shoulder rates count as off-peak)
+    hws_heat_deadline_hour: 18,  // Hour (24h format) the day's heat must be delivered by
+    hws_legionella_enabled: false, // Weekly legionella cycle
+    hws_legionella_day: 0,      // Day of the week for the cycle (0 = Sunday)
+    hws_legionella_hour: 11,    // Hour (24h format) the cycle may start from
+    hws_legionella_temperature: 60, // °C - Tank temperature the cycle heats to
+    hws_legionella_minutes: 60, // minutes - Cycle length without a tank temperature
 
     // Reset to export priority logic
     export_target_percentage: 40,  // % - If daily export < this % of target AND battery charging
@@ -46,14 +56,27 @@ const CONFIG = {
 
     // Safety & Data Validation
     data_freshness_limit: 5,    // minutes - Max age of data before fallback
+    // Stale sensor policy: 'hold' last good value, 'substitute' a value derived from the
+    // other power readings, or 'safe_mode'. SOC and daily export can't be derived
+    stale_policy_victron_soc: 'hold',
+    stale_policy_grid_power: 'substitute',
+    stale_policy_generation: 'substitute',
+    stale_policy_battery_power: 'hold',
+    stale_policy_export_daily: 'hold',
     max_reasonable_soc: 105,    // % - Upper bound for SOC validation
     min_reasonable_soc: -5,     // % - Lower bound for SOC validation
     max_reasonable_power: 50000, // W - Upper bound for power validation
 
+    // Safe mode
+    safe_mode_recovery_cycles: 3,      // Consecutive valid cycles needed to leave SAFE_MODE
+    safe_mode_max_entries: 3,          // Automatic recoveries allowed per window before SAFE_MODE latches
+    safe_mode_entry_window_hours: 24,  // Window for counting SAFE_MODE entries (hours)
+
     // Stale generation data protection
     significant_export_threshold: 2000, // W - If exporting >2kW, assume generation is working regardless of sensor
 
     // Time-based logic
+    timezone: 'Australia/Brisbane', // IANA timezone for all local time (DST handled), e.g. 'Australia/Sydney'
     night_start_hour: 20,       // Hour (24h format) when night period starts
     night_end_hour: 6,          // Hour (24h format) when night period ends
 
@@ -63,7 +86,7 @@ const CONFIG = {
     // Enhanced Logging Configuration
     enable_persistent_logging: true,
     max_log_entries: 100,       // Keep last 100 log entries (reduced for UI display)
-    log_hws_changes: true,      // Log all HWS on/off events
+    log_hws_changes: true,      // Log on/off events for every managed load (not only the HWS)
     log_state_changes: true,    // Log all state transitions
     log_daily_summary: true,    // Log daily summary at midnight
     log_system_info: true,      // Log periodic system information
@@ -75,8 +98,313 @@ const CONFIG = {
     log_max_age_days: 7,       // Maximum age of logs to keep (days)
 
     // Adaptive Targets
-    catchup_days: 5             // Days over which to distribute catch-up deficit
+    catchup_days: 5,            // Days over which to distribute catch-up deficit
+    target_comparison_basis: 'month_target', // Rolling window days judged against 'month_target' or 'stored_target'
+    weather_signal_source: 'none', // Per-day solar signal: 'none', 'forecast' (solar_forecast_daily) or 'generation'
+    weather_cloudy_factor: 0.7,    // Days below this share of a good solar day have their target scaled down
+    weather_outlier_factor: 0.3,   // Days below this share are left out of the rolling window
+
+    // Export pacing
+    pacing_enabled: false,         // Compare export with the expected intraday curve
+    pacing_ahead_margin: 0.15,     // Share ahead of pace before charging the battery early (and behind pace below)
+
+    // Solar forecast
+    forecast_enabled: true,        // Plan the battery/export split from solar_forecast_hourly
+    battery_capacity_kwh: 13.5,    // Usable battery capacity (kWh)
+    forecast_overnight_soc: 90,    // % - SOC the battery must reach from solar to carry the night
+    forecast_base_load_kw: 0.5,    // Household load assumed through the solar hours (kW)
+    forecast_max_error_percent: 35, // Forecasts with a larger 30-day mean error are not used for planning
+
+    // Long-term export history
+    long_term_history_days: 1095,   // Daily records kept (days, ~3 years)
+    long_term_aggregate_years: 10,  // Monthly and yearly aggregates kept (years)
+
+    // Time-of-use tariff
+    tariff_high_feed_in_rate: 15,  // c/kWh - Feed-in at or above this favours exporting
+    tariff_peak_import_rate: 40,   // c/kWh - Import at or above this (or a demand window) is avoided
+
+    // Zero export (zero / negative feed-in)
+    zero_export_enabled: true,
+    zero_export_price_threshold: 0, // c/kWh - Feed-in at or below this switches to ZERO_EXPORT
+    zero_export_debounce_time: 2,  // minutes - Debounce for entering and leaving ZERO_EXPORT
+    zero_export_tolerance: 100,    // W - Export left over in ZERO_EXPORT before PV is curtailed
+
+    // Evening battery discharge to grid
+    discharge_enabled: true,
+    discharge_start_hour: 17,      // Hour (24h format) the discharge window opens
+    discharge_end_hour: 20,        // Hour (24h format) the discharge window closes
+    discharge_min_export_rate: 15, // c/kWh - Feed-in needed to discharge (see TARIFF)
+    discharge_power: 3000,         // W - Battery export power while discharging
+    discharge_overnight_load_kw: 0.6, // kW - Household load the reserve must carry until morning
+
+    // Off-peak grid charging before poor solar days
+    grid_charge_enabled: true,
+    grid_charge_start_hour: 0,     // Hour (24h format) the grid charge window opens
+    grid_charge_end_hour: 6,       // Hour (24h format) the grid charge window closes
+    grid_charge_max_import_rate: 20, // c/kWh - Import at or below this counts as cheap (see TARIFF)
+    grid_charge_power: 3000,       // W - Grid import limit while charging
+    grid_charge_max_soc: 80,       // % - Hard stop for charging from the grid
+    grid_charge_morning_load_kwh: 5, // kWh - Household load from night_end_hour until solar covers it
+    grid_charge_morning_end_hour: 9, // Hour (24h format) by which morning solar is counted against the load
+
+    // EV charger (current setpoint from surplus)
+    ev_charger_enabled: false,
+    ev_policy: 'solar_only',       // 'solar_only', 'solar_battery' or 'departure'
+    ev_min_current: 6,             // A - Lowest current the charger runs at; less means paused
+    ev_max_current: 32,            // A - Charger / circuit limit
+    ev_voltage: 230,               // V - Per phase, for converting surplus to current
+    ev_phases: 1,                  // Phases the charger draws on
+    ev_ramp_up_amps: 2,            // A - Largest increase per run
+    ev_ramp_down_amps: 4,          // A - Largest decrease per run (stopping is immediate)
+    ev_smoothing: 0.5,             // Weight of the newest surplus reading (1 = no smoothing)
+    ev_battery_min_soc: 80,        // % - solar_battery: the battery may feed the EV above this SOC
+    ev_battery_power: 3000,        // W - solar_battery: battery discharge allowed for the EV
+    ev_departure_hour: 7,          // Hour (24h format) the EV leaves (departure policy)
+    ev_departure_kwh: 20,          // kWh - Session energy needed by departure (departure policy)
+    ev_wait_for_export_target: true, // Solar current only once the day's export target is met (or in ZERO_EXPORT)
+    ev_log_current_step: 4,        // A - Setpoint change that writes an ADJUSTED log (0 = starts and pauses only)
+
+    // Manual Override
+    max_override_hours: 168     // Longest a set_override command may pin a state (hours)
+};
+
+// Time-of-use tariff (c/kWh). Periods are checked in order and the first match applies,
+// otherwise the default rates. Each period has a `name`, `start`/`end` ('HH:MM' local,
+// may wrap midnight), optional `days` ('all', 'weekday' or 'weekend'), `months` (e.g.
+// [12, 1, 2] for summer), `export` and `import` rates, and `demand: true` for demand
+// charge windows. Override the whole tariff through the `tariff` section of
+// energy_management_config, e.g.
+// periods: [{ name: 'peak', start: '16:00', end: '21:00', export: 12, import: 48, demand: true }]
+const TARIFF = {
+    default_export: 5.0,
+    default_import: 30.0,
+    periods: []
+};
+
+// Scheduled zero-export windows (e.g. DNSP export limits), same `name`, `start`/`end`, `days`
+// and `months` fields as tariff periods. Override through the `zero_export_schedule`
+// section of energy_management_config, e.g. [{ name: 'dnsp', start: '10:00', end: '14:00' }]
+const ZERO_EXPORT_SCHEDULE = [];
+
+// Loads switched on from surplus in LOAD_MANAGEMENT and ZERO_EXPORT, lowest `priority` first,
+// and shed in reverse. Each has a `name` (lower case, giving its `enable_<name>` action and
+// `<NAME>_EVENT` logs), `power` (W), `priority`, allowed hours as `start`/`end` ('HH:MM'
+// local, may wrap midnight) with optional `days` and `months` as for tariff periods, and
+// optional `min_on_minutes`, `min_off_minutes`, `cooldown_minutes` (wait after being shed)
+// and `daily_runtime_minutes` (done for the day after running this long, 0 = no limit).
+// A load named 'hws' also follows the tank temperature, daily heat guarantee and legionella
+// cycle (hws_temperature_* / hws_min_daily_heat_minutes / hws_legionella_* settings).
+// Empty means the single HWS from the hws_* settings. Override the whole list through the
+// `loads` section of energy_management_config, e.g.
+// [{ name: 'hws', power: 3000, priority: 1, start: '00:00', end: '24:00', cooldown_minutes: 10 },
+//  { name: 'pool_pump', power: 1100, priority: 2, start: '09:00', end: '16:00', daily_runtime_minutes: 360 }]
+const LOADS = [];
+
+// Built-in defaults, kept so runtime overrides are always merged over the original values
+const DEFAULT_CONFIG = JSON.parse(JSON.stringify(CONFIG));
+const DEFAULT_MONTHLY_EXPORT_TARGETS = { ...MONTHLY_EXPORT_TARGETS };
+const DEFAULT_TARIFF = JSON.parse(JSON.stringify(TARIFF));
+const DEFAULT_ZERO_EXPORT_SCHEDULE = JSON.parse(JSON.stringify(ZERO_EXPORT_SCHEDULE));
+const DEFAULT_LOADS = JSON.parse(JSON.stringify(LOADS));
+
+// Used when CONFIG.timezone is not a valid IANA timezone (matches the old fixed GMT+10)
+const DEFAULT_TIMEZONE = 'Australia/Brisbane';
+
+// Runtime override schema - every CONFIG key needs an entry here to be overridable
+// from the persisted `energy_management_config` object (see applyRuntimeConfig)
+const CONFIG_SCHEMA = {
+    max_soc_threshold: { type: 'number', min: 0, max: 100 },
+    min_soc_threshold: { type: 'number', min: 0, max: 100 },
+    hws_power_rating: { type: 'number', min: 0, max: 50000 },
+    hws_soc_drop_threshold: { type: 'number', min: 0, max: 100 },
+    hws_generation_drop_threshold: { type: 'number', min: 0, max: 50000 },
+    hws_cooldown_period: { type: 'number', min: 0, max: 1440 },
+    load_shed_import: { type: 'number', min: 0, max: 50000 },
+    hws_temperature_setpoint: { type: 'number', min: 20, max: 90 },
+    hws_temperature_hysteresis: { type: 'number', min: 0, max: 30 },
+    hws_min_daily_heat_minutes: { type: 'number', min: 0, max: 1440 },
+    hws_heat_deadline_hour: { type: 'integer', min: 0, max: 23 },
+    hws_legionella_enabled: { type: 'boolean' },
+    hws_legionella_day: { type: 'integer', min: 0, max: 6 },
+    hws_legionella_hour: { type: 'integer', min: 0, max: 23 },
+    hws_legionella_temperature: { type: 'number', min: 50, max: 90 },
+    hws_legionella_minutes: { type: 'number', min: 1, max: 480 },
+    export_target_percentage: { type: 'number', min: 0, max: 100 },
+    battery_charging_threshold: { type: 'number', min: 0, max: 50000 },
+    strong_charging_threshold: { type: 'number', min: 0, max: 50000 },
+    min_generation_for_export: { type: 'number', min: 0, max: 50000 },
+    min_generation_to_stay_export: { type: 'number', min: 0, max: 50000 },
+    evening_self_consume_soc_threshold: { type: 'number', min: 0, max: 100 },
+    state_change_debounce_time: { type: 'number', min: 0, max: 120 },
+    data_freshness_limit: { type: 'number', min: 1, max: 1440 },
+    stale_policy_victron_soc: { type: 'enum', values: ['hold', 'safe_mode'] },
+    stale_policy_grid_power: { type: 'enum', values: ['hold', 'substitute', 'safe_mode'] },
+    stale_policy_generation: { type: 'enum', values: ['hold', 'substitute', 'safe_mode'] },
+    stale_policy_battery_power: { type: 'enum', values: ['hold', 'substitute', 'safe_mode'] },
+    stale_policy_export_daily: { type: 'enum', values: ['hold', 'safe_mode'] },
+    max_reasonable_soc: { type: 'number', min: 0, max: 200 },
+    min_reasonable_soc: { type: 'number', min: -100, max: 100 },
+    max_reasonable_power: { type: 'number', min: 1, max: 1000000 },
+    safe_mode_recovery_cycles: { type: 'integer', min: 1, max: 100 },
+    safe_mode_max_entries: { type: 'integer', min: 1, max: 50 },
+    safe_mode_entry_window_hours: { type: 'number', min: 1, max: 168 },
+    significant_export_threshold: { type: 'number', min: 0, max: 50000 },
+    timezone: { type: 'timezone' },
+    night_start_hour: { type: 'integer', min: 0, max: 23 },
+    night_end_hour: { type: 'integer', min: 0, max: 23 },
+    enable_debug: { type: 'boolean' },
+    enable_persistent_logging: { type: 'boolean' },
+    max_log_entries: { type: 'integer', min: 10, max: 5000 },
+    log_hws_changes: { type: 'boolean' },
+    log_state_changes: { type: 'boolean' },
+    log_daily_summary: { type: 'boolean' },
+    log_system_info: { type: 'boolean' },
+    log_performance_alerts: { type: 'boolean' },
+    log_cleanup_enabled: { type: 'boolean' },
+    log_cleanup_interval_hours: { type: 'number', min: 1, max: 720 },
+    log_max_age_days: { type: 'number', min: 1, max: 365 },
+    catchup_days: { type: 'integer', min: 1, max: 31 },
+    target_comparison_basis: { type: 'enum', values: ['month_target', 'stored_target'] },
+    weather_signal_source: { type: 'enum', values: ['none', 'forecast', 'generation'] },
+    weather_cloudy_factor: { type: 'number', min: 0, max: 1 },
+    weather_outlier_factor: { type: 'number', min: 0, max: 1 },
+    pacing_enabled: { type: 'boolean' },
+    pacing_ahead_margin: { type: 'number', min: 0, max: 1 },
+    forecast_enabled: { type: 'boolean' },
+    battery_capacity_kwh: { type: 'number', min: 0, max: 1000 },
+    forecast_overnight_soc: { type: 'number', min: 0, max: 100 },
+    forecast_base_load_kw: { type: 'number', min: 0, max: 100 },
+    forecast_max_error_percent: { type: 'number', min: 0, max: 1000 },
+    long_term_history_days: { type: 'integer', min: 31, max: 3660 },
+    long_term_aggregate_years: { type: 'integer', min: 1, max: 50 },
+    tariff_high_feed_in_rate: { type: 'number', min: -1000, max: 1000 },
+    tariff_peak_import_rate: { type: 'number', min: -1000, max: 1000 },
+    zero_export_enabled: { type: 'boolean' },
+    zero_export_price_threshold: { type: 'number', min: -1000, max: 1000 },
+    zero_export_debounce_time: { type: 'number', min: 0, max: 120 },
+    zero_export_tolerance: { type: 'number', min: 0, max: 10000 },
+    discharge_enabled: { type: 'boolean' },
+    discharge_start_hour: { type: 'integer', min: 0, max: 23 },
+    discharge_end_hour: { type: 'integer', min: 0, max: 23 },
+    discharge_min_export_rate: { type: 'number', min: -1000, max: 1000 },
+    discharge_power: { type: 'number', min: 0, max: 50000 },
+    discharge_overnight_load_kw: { type: 'number', min: 0, max: 50 },
+    grid_charge_enabled: { type: 'boolean' },
+    grid_charge_start_hour: { type: 'integer', min: 0, max: 23 },
+    grid_charge_end_hour: { type: 'integer', min: 0, max: 23 },
+    grid_charge_max_import_rate: { type: 'number', min: -1000, max: 1000 },
+    grid_charge_power: { type: 'number', min: 0, max: 50000 },
+    grid_charge_max_soc: { type: 'number', min: 0, max: 100 },
+    grid_charge_morning_load_kwh: { type: 'number', min: 0, max: 200 },
+    grid_charge_morning_end_hour: { type: 'integer', min: 1, max: 23 },
+    ev_charger_enabled: { type: 'boolean' },
+    ev_policy: { type: 'enum', values: ['solar_only', 'solar_battery', 'departure'] },
+    ev_min_current: { type: 'number', min: 1, max: 80 },
+    ev_max_current: { type: 'number', min: 1, max: 80 },
+    ev_voltage: { type: 'number', min: 100, max: 480 },
+    ev_phases: { type: 'integer', min: 1, max: 3 },
+    ev_ramp_up_amps: { type: 'number', min: 0.5, max: 80 },
+    ev_ramp_down_amps: { type: 'number', min: 0.5, max: 80 },
+    ev_smoothing: { type: 'number', min: 0.05, max: 1 },
+    ev_battery_min_soc: { type: 'number', min: 0, max: 100 },
+    ev_battery_power: { type: 'number', min: 0, max: 50000 },
+    ev_departure_hour: { type: 'integer', min: 0, max: 23 },
+    ev_departure_kwh: { type: 'number', min: 0, max: 200 },
+    ev_wait_for_export_target: { type: 'boolean' },
+    ev_log_current_step: { type: 'number', min: 0, max: 100 },
+    max_override_hours: { type: 'number', min: 1, max: 720 }
+};
+
+const MONTHLY_TARGET_SCHEMA = { type: 'number', min: 0, max: 200 };
+const TARIFF_RATE_SCHEMA = { type: 'number', min: -1000, max: 1000 };
+const MAX_TARIFF_PERIODS = 24;
+const LOAD_SCHEMA = {
+    power: { type: 'number', min: 1, max: 50000 },
+    priority: { type: 'integer', min: 1, max: 100 },
+    min_on_minutes: { type: 'number', min: 0, max: 1440 },
+    min_off_minutes: { type: 'number', min: 0, max: 1440 },
+    cooldown_minutes: { type: 'number', min: 0, max: 1440 },
+    daily_runtime_minutes: { type: 'number', min: 0, max: 1440 }
 };
+const LOAD_REQUIRED_SETTINGS = ['power', 'priority'];
+const MAX_LOADS = 8;
+
+// Cross-field rules checked against the merged (defaults + override) config
+const CONFIG_RULES = [
+    {
+        check: config => config.min_soc_threshold < config.max_soc_threshold,
+        message: 'min_soc_threshold must be below max_soc_threshold'
+    },
+    {
+        check: config => config.min_generation_to_stay_export <= config.min_generation_for_export,
+        message: 'min_generation_to_stay_export must not exceed min_generation_for_export'
+    },
+    {
+        check: config => config.battery_charging_threshold <= config.strong_charging_threshold,
+        message: 'battery_charging_threshold must not exceed strong_charging_threshold'
+    },
+    {
+        check: config => config.min_reasonable_soc < config.max_reasonable_soc,
+        message: 'min_reasonable_soc must be below max_reasonable_soc'
+    },
+    {
+        check: config => config.hws_soc_drop_threshold < config.max_soc_threshold,
+        message: 'hws_soc_drop_threshold must be below max_soc_threshold'
+    },
+    {
+        check: config => config.hws_temperature_setpoint <= config.hws_legionella_temperature,
+        message: 'hws_temperature_setpoint must not exceed hws_legionella_temperature'
+    },
+    {
+        check: config => config.night_start_hour !== config.night_end_hour,
+        message: 'night_start_hour and night_end_hour must differ'
+    },
+    {
+        check: config => config.discharge_start_hour !== config.discharge_end_hour,
+        message: 'discharge_start_hour and discharge_end_hour must differ'
+    },
+    {
+        check: config => config.grid_charge_start_hour !== config.grid_charge_end_hour,
+        message: 'grid_charge_start_hour and grid_charge_end_hour must differ'
+    },
+    {
+        check: config => config.grid_charge_max_soc <= config.max_soc_threshold,
+        message: 'grid_charge_max_soc must not exceed max_soc_threshold'
+    },
+    {
+        check: config => config.ev_min_current <= config.ev_max_current,
+        message: 'ev_min_current must not exceed ev_max_current'
+    },
+    {
+        check: config => config.weather_outlier_factor <= config.weather_cloudy_factor,
+        message: 'weather_outlier_factor must not exceed weather_cloudy_factor'
+    },
+    {
+        check: config => config.forecast_overnight_soc <= config.max_soc_threshold,
+        message: 'forecast_overnight_soc must not exceed max_soc_threshold'
+    }
+];
+
+const MAX_CONFIG_AUDIT_ENTRIES = 50;
+
+// kWh - a drop in export_daily larger than this is a counter reset, not meter noise
+const EXPORT_RESET_TOLERANCE = 0.1;
+
+// minutes - longest gap between runs that is integrated into the day's generation and money totals
+const MAX_INTEGRATION_GAP_MINUTES = 15;
+
+// Day money totals ($): feed-in revenue, import cost, solar diverted into the managed loads
+// (hws_savings, named for the original single HWS) credited at the avoided import rate,
+// and net = revenue - cost + hws_savings
+const FINANCIAL_MEASUREMENTS = ['revenue', 'cost', 'hws_savings', 'net'];
+
+// Day totals carried on export history entries alongside export and target
+// (energy in kWh, money in $)
+const HISTORY_MEASUREMENTS = ['generation', 'forecast_generation', 'battery_export', ...FINANCIAL_MEASUREMENTS];
+
+// Per-load day totals carried on history entries as `loads: { <name>: {...} }`: run time
+// (minutes) and energy (kWh), split into solar (not imported) and grid
+const LOAD_ENERGY_MEASUREMENTS = ['runtime_minutes', 'energy_kwh', 'solar_kwh', 'grid_kwh'];
 
 // =============================================================================
 // STATE MACHINE DEFINITIONS
@@ -87,6 +415,9 @@ const STATES = {
     BATTERY_STORAGE: 'BATTERY_STORAGE',
     LOAD_MANAGEMENT: 'LOAD_MANAGEMENT',
     SELF_CONSUME: 'SELF_CONSUME',
+    ZERO_EXPORT: 'ZERO_EXPORT',
+    GRID_DISCHARGE: 'GRID_DISCHARGE',
+    GRID_CHARGE: 'GRID_CHARGE',
     SAFE_MODE: 'SAFE_MODE'
 };
 
@@ -188,25 +519,431 @@ function logSystemInfo(message, data = {}) {
     addPersistentLog('SYSTEM_INFO', message, data, 'low');
 }
 
+// =============================================================================
+// RUNTIME CONFIGURATION
+// =============================================================================
+
+function validateConfigValue(key, value, schema) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !isFinite(value)) return `${key} must be a number`;
+            if (schema.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number`;
+            if (schema.min !== undefined && value < schema.min) return `${key} must be ≥ ${schema.min}`;
+            if (schema.max !== undefined && value > schema.max) return `${key} must be ≤ ${schema.max}`;
+            return null;
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${key} must be true or false`;
+
+        case 'enum':
+            return schema.values.includes(value) ? null : `${key} must be one of: ${schema.values.join(', ')}`;
+
+        case 'timezone':
+            if (typeof value !== 'string') return `${key} must be a timezone name`;
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return null;
+            } catch (e) {
+                return `${key} "${value}" is not a valid IANA timezone`;
+            }
+
+        default:
+            return `${key} has unsupported schema type ${schema.type}`;
+    }
+}
+
+// Errors in a tariff definition (see TARIFF)
+function validateTariff(tariff) {
+    const errors = [];
+    if (!tariff || typeof tariff !== 'object' || Array.isArray(tariff)) {
+        return ['tariff must be an object'];
+    }
+
+    Object.keys(tariff).forEach(key => {
+        if (!['default_export', 'default_import', 'periods'].includes(key)) errors.push(`Unknown tariff setting: ${key}`);
+    });
+    ['default_export', 'default_import'].forEach(key => {
+        const error = validateConfigValue(`tariff.${key}`, tariff[key], TARIFF_RATE_SCHEMA);
+        if (error) errors.push(error);
+    });
+    if (!Array.isArray(tariff.periods)) {
+        errors.push('tariff.periods must be a list');
+        return errors;
+    }
+    if (tariff.periods.length > MAX_TARIFF_PERIODS) {
+        errors.push(`tariff.periods must have at most ${MAX_TARIFF_PERIODS} entries`);
+    }
+
+    tariff.periods.forEach((period, index) => {
+        const label = `tariff.periods[${index}]`;
+        errors.push(...validateTimeWindow(period, label, ['export', 'import', 'demand']));
+        if (!period || typeof period !== 'object') return;
+
+        ['export', 'import'].forEach(key => {
+            if (period[key] === undefined) return;
+            const error = validateConfigValue(`${label}.${key}`, period[key], TARIFF_RATE_SCHEMA);
+            if (error) errors.push(error);
+        });
+        if (period.demand !== undefined && typeof period.demand !== 'boolean') errors.push(`${label}.demand must be true or false`);
+    });
+    return errors;
+}
+
+// Errors in the name, times, days and months of a tariff period or schedule window.
+// extraKeys are the further settings the caller accepts and checks itself
+function validateTimeWindow(window, label, extraKeys = []) {
+    const errors = [];
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+        return [`${label} must be an object`];
+    }
+    Object.keys(window).forEach(key => {
+        if (!['name', 'start', 'end', 'days', 'months', ...extraKeys].includes(key)) {
+            errors.push(`${label} has unknown setting: ${key}`);
+        }
+    });
+    if (typeof window.name !== 'string' || window.name.trim() === '') errors.push(`${label}.name is required`);
+    const start = parseTariffTime(window.start);
+    const end = parseTariffTime(window.end);
+    if (start === null) errors.push(`${label}.start must be HH:MM`);
+    if (end === null) errors.push(`${label}.end must be HH:MM`);
+    if (start !== null && end !== null && start === end) errors.push(`${label} start and end must differ`);
+    if (window.days !== undefined && !['all', 'weekday', 'weekend'].includes(window.days)) {
+        errors.push(`${label}.days must be one of: all, weekday, weekend`);
+    }
+    if (window.months !== undefined && (!Array.isArray(window.months) || window.months.length === 0 ||
+        !window.months.every(month => Number.isInteger(month) && month >= 1 && month <= 12))) {
+        errors.push(`${label}.months must be a list of months 1-12`);
+    }
+    return errors;
+}
+
+// Errors in a zero-export schedule (see ZERO_EXPORT_SCHEDULE)
+function validateZeroExportSchedule(schedule) {
+    if (!Array.isArray(schedule)) return ['zero_export_schedule must be a list'];
+    const errors = schedule.length > MAX_TARIFF_PERIODS
+        ? [`zero_export_schedule must have at most ${MAX_TARIFF_PERIODS} entries`] : [];
+    schedule.forEach((window, index) => errors.push(...validateTimeWindow(window, `zero_export_schedule[${index}]`)));
+    return errors;
+}
+
+// Errors in a load registry (see LOADS)
+function validateLoads(loads) {
+    if (!Array.isArray(loads)) return ['loads must be a list'];
+    const errors = loads.length > MAX_LOADS ? [`loads must have at most ${MAX_LOADS} entries`] : [];
+    const names = new Set();
+
+    loads.forEach((load, index) => {
+        const label = `loads[${index}]`;
+        errors.push(...validateTimeWindow(load, label, Object.keys(LOAD_SCHEMA)));
+        if (!load || typeof load !== 'object' || Array.isArray(load)) return;
+
+        if (typeof load.name === 'string' && !/^[a-z][a-z0-9_]*$/.test(load.name)) {
+            errors.push(`${label}.name must be lower case letters, digits and _`);
+        } else if (names.has(load.name)) {
+            errors.push(`${label}.name ${load.name} is used by another load`);
+        } else if (load.name === EV_LOAD) {
+            errors.push(`${label}.name ${EV_LOAD} is reserved for the EV charger`);
+        }
+        names.add(load.name);
+
+        Object.entries(LOAD_SCHEMA).forEach(([key, schema]) => {
+            if (load[key] === undefined) {
+                if (LOAD_REQUIRED_SETTINGS.includes(key)) errors.push(`${label}.${key} is required`);
+                return;
+            }
+            const error = validateConfigValue(`${label}.${key}`, load[key], schema);
+            if (error) errors.push(error);
+        });
+    });
+    return errors;
+}
+
+// Minutes after midnight for 'HH:MM' ('24:00' allowed as an end), or null
+function parseTariffTime(value) {
+    const match = typeof value === 'string' ? /^(\d{2}):(\d{2})$/.exec(value) : null;
+    if (!match) return null;
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// Merge an override object ({ config: {...}, monthly_export_targets: {...}, tariff: {...},
+// zero_export_schedule: [...], loads: [...] }) over the built-in defaults. Returns the merged values and
+// every schema or rule violation
+function validateConfigOverride(override) {
+    const errors = [];
+    const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    const monthlyTargets = { ...DEFAULT_MONTHLY_EXPORT_TARGETS };
+    let tariff = JSON.parse(JSON.stringify(DEFAULT_TARIFF));
+    let zeroExportSchedule = JSON.parse(JSON.stringify(DEFAULT_ZERO_EXPORT_SCHEDULE));
+    let loads = JSON.parse(JSON.stringify(DEFAULT_LOADS));
+
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        return { errors: ['Configuration override must be an object'], config, monthlyTargets, tariff, zeroExportSchedule, loads };
+    }
+
+    Object.keys(override).forEach(section => {
+        if (!['config', 'monthly_export_targets', 'tariff', 'zero_export_schedule', 'loads'].includes(section)) {
+            errors.push(`Unknown section: ${section}`);
+        }
+    });
+
+    // The schedule section replaces the whole schedule
+    if (override.zero_export_schedule !== undefined) {
+        const scheduleErrors = validateZeroExportSchedule(override.zero_export_schedule);
+        if (scheduleErrors.length > 0) {
+            errors.push(...scheduleErrors);
+        } else {
+            zeroExportSchedule = JSON.parse(JSON.stringify(override.zero_export_schedule));
+        }
+    }
+
+    // The loads section replaces the whole registry
+    if (override.loads !== undefined) {
+        const loadErrors = validateLoads(override.loads);
+        if (loadErrors.length > 0) {
+            errors.push(...loadErrors);
+        } else {
+            loads = JSON.parse(JSON.stringify(override.loads));
+        }
+    }
+
+    // The tariff section replaces the whole tariff
+    if (override.tariff !== undefined) {
+        const tariffErrors = validateTariff(override.tariff);
+        if (tariffErrors.length > 0) {
+            errors.push(...tariffErrors);
+        } else {
+            tariff = JSON.parse(JSON.stringify(override.tariff));
+        }
+    }
+
+    Object.entries(override.config || {}).forEach(([key, value]) => {
+        const schema = CONFIG_SCHEMA[key];
+        if (!schema) {
+            errors.push(`Unknown setting: ${key}`);
+            return;
+        }
+        const error = validateConfigValue(key, value, schema);
+        if (error) {
+            errors.push(error);
+        } else {
+            config[key] = value;
+        }
+    });
+
+    Object.entries(override.monthly_export_targets || {}).forEach(([month, value]) => {
+        if (!DEFAULT_MONTHLY_EXPORT_TARGETS.hasOwnProperty(month)) {
+            errors.push(`Unknown month: ${month}`);
+            return;
+        }
+        const error = validateConfigValue(`monthly_export_targets.${month}`, value, MONTHLY_TARGET_SCHEMA);
+        if (error) {
+            errors.push(error);
+        } else {
+            monthlyTargets[month] = value;
+        }
+    });
+
+    CONFIG_RULES.forEach(rule => {
+        if (!rule.check(config)) {
+            errors.push(rule.message);
+        }
+    });
+
+    return { errors, config, monthlyTargets, tariff, zeroExportSchedule, loads };
+}
+
+function diffEffectiveConfig(previous, next) {
+    const changes = [];
+    Object.keys(next.config).forEach(key => {
+        if (JSON.stringify(previous.config[key]) !== JSON.stringify(next.config[key])) {
+            changes.push({ key: key, from: previous.config[key], to: next.config[key] });
+        }
+    });
+    Object.keys(next.monthlyTargets).forEach(month => {
+        if (previous.monthlyTargets[month] !== next.monthlyTargets[month]) {
+            changes.push({ key: `monthly_export_targets.${month}`, from: previous.monthlyTargets[month], to: next.monthlyTargets[month] });
+        }
+    });
+    if (JSON.stringify(previous.tariff) !== JSON.stringify(next.tariff)) {
+        changes.push({ key: 'tariff', from: previous.tariff, to: next.tariff });
+    }
+    if (JSON.stringify(previous.zeroExportSchedule) !== JSON.stringify(next.zeroExportSchedule)) {
+        changes.push({ key: 'zero_export_schedule', from: previous.zeroExportSchedule, to: next.zeroExportSchedule });
+    }
+    if (JSON.stringify(previous.loads) !== JSON.stringify(next.loads)) {
+        changes.push({ key: 'loads', from: previous.loads, to: next.loads });
+    }
+    return changes;
+}
+
+function recordConfigChange(previousOverride, nextOverride, effective) {
+    const changes = diffEffectiveConfig(validateConfigOverride(previousOverride || {}), effective);
+    global.set('energy_management_config_applied', nextOverride || undefined, 'file');
+
+    if (changes.length === 0) return;
+
+    let audit = global.get('energy_management_config_audit', 'file') || [];
+    audit.push({
+        timestamp: getLocalISOString(),
+        source: nextOverride ? 'override' : 'defaults',
+        changes: changes
+    });
+    if (audit.length > MAX_CONFIG_AUDIT_ENTRIES) {
+        audit = audit.slice(-MAX_CONFIG_AUDIT_ENTRIES);
+    }
+    global.set('energy_management_config_audit', audit, 'file');
+
+    const describe = (key, value) => Array.isArray(value) ? `${value.length} ${key === 'loads' ? 'loads' : 'windows'}`
+        : value !== null && typeof value === 'object' ? `${value.periods.length} periods` : value;
+    addPersistentLog('CONFIG_CHANGE', `Configuration updated: ${changes.map(change => `${change.key} ${describe(change.key, change.from)} → ${describe(change.key, change.to)}`).join(', ')}`, {
+        changes: changes,
+        source: nextOverride ? 'override' : 'defaults'
+    }, 'normal');
+}
+
+// Merge the persisted `energy_management_config` override over the defaults in CONFIG and
+// MONTHLY_EXPORT_TARGETS. A rejected override is logged once and the last accepted one stays in force
+function applyRuntimeConfig() {
+    const override = global.get('energy_management_config', 'file');
+    const lastAccepted = global.get('energy_management_config_applied', 'file') || null;
+    let accepted = null;
+    let source = 'defaults';
+
+    if (override !== undefined && override !== null) {
+        const { errors } = validateConfigOverride(override);
+        if (errors.length === 0) {
+            accepted = override;
+            source = 'override';
+            global.set('energy_management_config_rejected', undefined, 'file');
+        } else {
+            const lastAcceptedValid = lastAccepted !== null && validateConfigOverride(lastAccepted).errors.length === 0;
+            const signature = JSON.stringify(override);
+            if (global.get('energy_management_config_rejected', 'file') !== signature) {
+                global.set('energy_management_config_rejected', signature, 'file');
+                addPersistentLog('CONFIG_ERROR', `Configuration override rejected: ${errors.join('; ')}`, {
+                    errors: errors,
+                    override: override,
+                    fallback: lastAcceptedValid ? 'last_accepted' : 'defaults'
+                }, 'high');
+            }
+            if (lastAcceptedValid) {
+                accepted = lastAccepted;
+                source = 'last_accepted';
+            }
+        }
+    }
+
+    const effective = validateConfigOverride(accepted || {});
+    if (source !== 'last_accepted' && JSON.stringify(accepted) !== JSON.stringify(lastAccepted)) {
+        recordConfigChange(lastAccepted, accepted, effective);
+    }
+
+    Object.assign(CONFIG, effective.config);
+    Object.assign(MONTHLY_EXPORT_TARGETS, effective.monthlyTargets);
+    Object.assign(TARIFF, effective.tariff);
+    ZERO_EXPORT_SCHEDULE.splice(0, ZERO_EXPORT_SCHEDULE.length, ...effective.zeroExportSchedule);
+    LOADS.splice(0, LOADS.length, ...effective.loads);
+
+    const effectiveConfig = {
+        source: source,
+        overridden: diffEffectiveConfig(validateConfigOverride({}), effective).map(change => change.key),
+        config: JSON.parse(JSON.stringify(CONFIG)),
+        monthly_export_targets: { ...MONTHLY_EXPORT_TARGETS },
+        tariff: JSON.parse(JSON.stringify(TARIFF)),
+        zero_export_schedule: JSON.parse(JSON.stringify(ZERO_EXPORT_SCHEDULE)),
+        loads: JSON.parse(JSON.stringify(LOADS))
+    };
+    global.set('energy_management_effective_config', effectiveConfig);
+    return effectiveConfig;
+}
+
 // =============================================================================
 // HELPER FUNCTIONS (keeping existing functions with enhanced logging)
 // =============================================================================
 
-// --- Local Time Helpers for EST (GMT+10) ---
-function getLocalDate(offsetHours = 10) {
-    const now = new Date();
-    const localTime = new Date(now.getTime() + (offsetHours * 60 * 60 * 1000));
-    return localTime;
+// --- Local Time Helpers (CONFIG.timezone, DST aware) ---
+function getTimeZone() {
+    try {
+        getLocalFormatter(CONFIG.timezone);
+        return CONFIG.timezone;
+    } catch (e) {
+        // Warn once per configured value rather than on every clock read
+        if (global.get('energy_management_timezone_warning') !== CONFIG.timezone) {
+            global.set('energy_management_timezone_warning', CONFIG.timezone);
+            node.warn(`Invalid CONFIG.timezone "${CONFIG.timezone}", falling back to ${DEFAULT_TIMEZONE}`);
+        }
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+// Intl.DateTimeFormat construction is slow; keep one per timezone
+const localFormatters = {};
+
+function getLocalFormatter(timeZone) {
+    if (!localFormatters[timeZone]) {
+        localFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return localFormatters[timeZone];
+}
+
+// Wall-clock fields in the configured timezone plus its UTC offset at that instant
+function getLocalParts(date = new Date()) {
+    const formatter = getLocalFormatter(getTimeZone());
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    });
+
+    const time = date.getTime();
+    parts.millisecond = ((time % 1000) + 1000) % 1000;
+    const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+    parts.offsetMinutes = Math.round((wallClockAsUtc - time) / 60000);
+    return parts;
 }
 
-function getLocalISOString(offsetHours = 10) {
-    const local = getLocalDate(offsetHours);
-    return local.toISOString().replace('Z', '+10:00');
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
 }
 
-function getLocalDateString(offsetHours = 10) {
-    const local = getLocalDate(offsetHours);
-    return local.toISOString().split('T')[0];
+function formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+function getLocalISOString(date = new Date()) {
+    const p = getLocalParts(date);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${pad(p.millisecond, 3)}${formatOffset(p.offsetMinutes)}`;
+}
+
+function getLocalDateString(date = new Date()) {
+    const p = getLocalParts(date);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Instant of the local midnight that starts the day containing `time` (DST-safe)
+function getLocalMidnight(time) {
+    const localParts = getLocalParts(new Date(time));
+    const midnight = time - ((localParts.hour * 60 + localParts.minute) * 60 + localParts.second) * 1000 - localParts.millisecond;
+    return midnight - (getLocalParts(new Date(midnight)).offsetMinutes - localParts.offsetMinutes) * 60000;
+}
+
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
 }
 
 // --- Debouncing Functions ---
@@ -218,16 +955,20 @@ function checkStateChangeDebounce(targetState, currentState, reason) {
     const now = Date.now();
     const stateChangeKey = `${currentState}_to_${targetState}`;
     const lastRequestTime = global.get(`state_change_request_${stateChangeKey}`) || 0;
-    const debounceMs = CONFIG.state_change_debounce_time * 60 * 1000;
+    // Entering and leaving ZERO_EXPORT follow the price signal on their own debounce
+    const debounceMinutes = targetState === STATES.ZERO_EXPORT || currentState === STATES.ZERO_EXPORT
+        ? CONFIG.zero_export_debounce_time
+        : CONFIG.state_change_debounce_time;
+    const debounceMs = debounceMinutes * 60 * 1000;
 
     if (lastRequestTime === 0) {
         global.set(`state_change_request_${stateChangeKey}`, now);
         addPersistentLog('DEBOUNCE', `State change request started: ${currentState} → ${targetState}`, {
             transition: stateChangeKey,
             reason: reason,
-            debounce_time: CONFIG.state_change_debounce_time
+            debounce_time: debounceMinutes
         });
-        return { allowed: false, reason: `Debouncing state change (${CONFIG.state_change_debounce_time}min required)` };
+        return { allowed: false, reason: `Debouncing state change (${debounceMinutes}min required)` };
     }
 
     const timeSinceRequest = now - lastRequestTime;
@@ -260,139 +1001,634 @@ function clearOtherStateChangeRequests(allowedTransition) {
     });
 }
 
-function updateDailyExportHistory(dailyExport, targetExport) {
-    const currentDate = getLocalDateString();
-    global.set('export_history_30days', undefined);
-    let exportHistory = global.get('export_history_30days', 'file') || [];
+// Calendar arithmetic on YYYY-MM-DD strings (safe across DST changes)
+function shiftDateString(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
 
-    const todayIndex = exportHistory.findIndex(entry => entry.date === currentDate);
-    if (todayIndex >= 0) {
-        if (CONFIG.enable_debug) {
-            node.log(`Export history for today (${currentDate}) already updated. Skipping.`);
-        }
-        return exportHistory;
-    }
+function getTrackedExport(tracker) {
+    return tracker.offset + tracker.last_raw - tracker.baseline;
+}
 
-    const todayEntry = {
-        date: currentDate,
-        export: dailyExport,
+// measurements: optional day totals kept with the entry - see HISTORY_MEASUREMENTS
+function upsertHistoryEntry(exportHistory, date, exportValue, targetExport, status, measurements = {}) {
+    const entry = {
+        date: date,
+        export: exportValue,
         target: targetExport,
+        status: status,
         timestamp: getLocalISOString()
     };
-
-    exportHistory.push(todayEntry);
-    exportHistory = exportHistory
-        .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
-        .slice(-30);
-
-    global.set('export_history_30days', exportHistory, 'file');
-
-    logSystemInfo(`Export history updated: ${dailyExport.toFixed(1)} kWh recorded for ${currentDate}`, {
-        daily_export: dailyExport,
-        target_export: targetExport,
-        history_length: exportHistory.length
+    HISTORY_MEASUREMENTS.forEach(key => {
+        if (typeof measurements[key] === 'number') {
+            entry[key] = measurements[key];
+        }
     });
-
-    return exportHistory;
+    if (measurements.loads && Object.keys(measurements.loads).length > 0) {
+        entry.loads = sumLoadEnergy([measurements.loads]);
+    }
+    const index = exportHistory.findIndex(existing => existing.date === date);
+    if (index >= 0) {
+        exportHistory[index] = entry;
+    } else {
+        exportHistory.push(entry);
+    }
+    return entry;
 }
 
-function getCurrentMonthTarget() {
-    const exportHistory = global.get('export_history_30days', 'file') || [];
-
-    if (exportHistory.length > 0) {
-        const daysToUse = Math.min(exportHistory.length, 30);
-        const recentHistory = exportHistory.slice(-daysToUse);
-
-        const totalExport = recentHistory.reduce((sum, day) => {
-            return sum + (day.export || 0);
-        }, 0);
-        const rollingAverage = totalExport / daysToUse;
+// Sum per-load totals ({ <name>: { runtime_minutes, energy_kwh, ... } }) over days or records
+function sumLoadEnergy(loadTotals) {
+    const sums = {};
+    loadTotals.filter(Boolean).forEach(loads => {
+        Object.entries(loads).forEach(([name, totals]) => {
+            sums[name] = sums[name] || Object.fromEntries(LOAD_ENERGY_MEASUREMENTS.map(key => [key, 0]));
+            LOAD_ENERGY_MEASUREMENTS.forEach(key => {
+                sums[name][key] += totals[key] || 0;
+            });
+        });
+    });
+    return sums;
+}
 
-        const currentMonth = getLocalDate().getMonth() + 1;
-        const staticMonthlyTarget = MONTHLY_EXPORT_TARGETS[currentMonth] || 25.0;
+// Price the time since the previous run at the tariff in force then: the grid power seen
+// at the previous run as export revenue or import cost, and the solar share of the managed
+// loads' energy at the import rate it avoided (hws_savings). Each load's run time and energy
+// go into the day's per-load totals; whatever the grid imported (up to the loads' total
+// power) counts as grid energy, shared in proportion to power, and the rest as solar. Export
+// while in GRID_DISCHARGE is counted as battery_export (kWh). loads ({ <name>: W }) and
+// discharging are what was held since the previous run
+function accumulateMetering(tracker, now, metering) {
+    const elapsedHours = Math.min(Math.max(0, now - tracker.metered_at), MAX_INTEGRATION_GAP_MINUTES * 60000) / 3600000;
+    const tariff = getTariffAt(new Date(tracker.metered_at));
+    const gridKwh = (tracker.grid_power || 0) * elapsedHours / 1000;
+
+    tracker.revenue += Math.max(0, -gridKwh) * tariff.export_rate / 100;
+    tracker.cost += Math.max(0, gridKwh) * tariff.import_rate / 100;
+
+    const loads = metering.loads || {};
+    tracker.loads = tracker.loads || {};
+    const loadPower = Object.values(loads).reduce((sum, power) => sum + power, 0);
+    const gridShare = loadPower > 0 ? Math.min(loadPower, Math.max(0, tracker.grid_power || 0)) / loadPower : 0;
+    Object.entries(loads).forEach(([name, power]) => {
+        const totals = tracker.loads[name] || Object.fromEntries(LOAD_ENERGY_MEASUREMENTS.map(key => [key, 0]));
+        const energy = power * elapsedHours / 1000;
+        totals.runtime_minutes += elapsedHours * 60;
+        totals.energy_kwh += energy;
+        totals.grid_kwh += energy * gridShare;
+        totals.solar_kwh += energy * (1 - gridShare);
+        tracker.loads[name] = totals;
+    });
+    tracker.hws_savings += loadPower * elapsedHours / 1000 * (1 - gridShare) * tariff.import_rate / 100;
+    tracker.net = tracker.revenue - tracker.cost + tracker.hws_savings;
+    if (metering.discharging) {
+        tracker.battery_export = (tracker.battery_export || 0) + Math.max(0, -gridKwh);
+    }
+}
 
-        let adjustedTarget;
-        const performance = rollingAverage / staticMonthlyTarget;
+// Keep today's history entry current ('partial') and finalise the previous day at rollover.
+// `export_day_tracker` holds the raw export_daily reading, so a counter reset (at midnight,
+// late after it, or mid-day) keeps the export counted before it. When generation (W) is
+// given it is integrated into the day's generation total (kWh), and the day's solar
+// forecast is kept as first seen for accuracy tracking. When metering ({ gridPower, loads,
+// discharging }) is given the day's revenue, cost, load savings, per-load energy and battery
+// export are accumulated. Returns newly final entries
+// Integrate the tracker's last generation and metering readings up to `until`
+function integrateDayTracker(tracker, until, generation, metering) {
+    if (typeof generation === 'number' && tracker.generation_at) {
+        // The previous reading holds until this one, in the hour it was taken. Gaps longer
+        // than MAX_INTEGRATION_GAP_MINUTES (node stopped) count only that long
+        const elapsedMs = Math.min(Math.max(0, until - tracker.generation_at), MAX_INTEGRATION_GAP_MINUTES * 60000);
+        const energy = Math.max(0, tracker.generation_power || 0) * elapsedMs / 3600000 / 1000;
+        tracker.generation = (tracker.generation || 0) + energy;
+        tracker.generation_hourly = tracker.generation_hourly || new Array(24).fill(0);
+        tracker.generation_hourly[getLocalParts(new Date(tracker.generation_at)).hour] += energy;
+    }
+    if (metering && tracker.metered_at) {
+        accumulateMetering(tracker, until, metering);
+    }
+}
 
-        if (performance < 0.9) {
-            const expectedTotal = staticMonthlyTarget * daysToUse;
-            const actualTotal = totalExport;
-            const totalDeficit = expectedTotal - actualTotal;
-            const catchupDays = CONFIG.catchup_days || 5;
-            const catchupPerDay = totalDeficit / catchupDays;
-            adjustedTarget = staticMonthlyTarget + catchupPerDay;
-            adjustedTarget = Math.min(adjustedTarget, staticMonthlyTarget * 2.0);
-            
-            logPerformanceAlert('UNDER_PERFORMING', `Performance ${(performance * 100).toFixed(1)}% of target, activating catch-up mode`, {
-                performance_ratio: performance,
-                deficit: totalDeficit,
-                catchup_per_day: catchupPerDay
-            });
-        } else if (performance > 1.1) {
-            const excess = rollingAverage - staticMonthlyTarget;
-            const coolDownReduction = excess * 0.3;
-            adjustedTarget = staticMonthlyTarget - coolDownReduction;
-            adjustedTarget = Math.max(adjustedTarget, staticMonthlyTarget * 0.8);
-            
-            logPerformanceAlert('OVER_PERFORMING', `Performance ${(performance * 100).toFixed(1)}% of target, reducing daily target`, {
-                performance_ratio: performance,
-                excess_per_day: excess,
-                reduction: coolDownReduction
-            });
+function updateDailyExportHistory(dailyExport, targetExport, generation, metering) {
+    const today = getLocalDateString();
+    const now = Date.now();
+    global.set('export_history_30days', undefined);
+    let exportHistory = global.get('export_history_30days', 'file') || [];
+    let tracker = global.get('export_day_tracker', 'file');
+    const finalised = [];
+
+    if (tracker && tracker.date !== today) {
+        const counterReset = dailyExport < tracker.last_raw - EXPORT_RESET_TOLERANCE;
+        const consecutiveDay = shiftDateString(tracker.date, 1) === today;
+
+        const midnight = getLocalMidnight(now);
+        if (consecutiveDay) {
+            // The last readings hold until midnight in the day being closed
+            integrateDayTracker(tracker, midnight, generation, metering);
+            // Until the counter resets it still holds the previous day's export
+            const finalExport = counterReset ? getTrackedExport(tracker) : tracker.offset + dailyExport - tracker.baseline;
+            const entry = upsertHistoryEntry(exportHistory, tracker.date, finalExport, tracker.target, 'final', tracker);
+            recordLongTermDay(entry);
+            updatePacingProfile(tracker.generation_hourly);
+            finalised.push(entry);
         } else {
-            adjustedTarget = staticMonthlyTarget;
+            // Rollover wasn't seen (node stopped) - keep the last value, still partial
+            recordLongTermDay(upsertHistoryEntry(exportHistory, tracker.date, getTrackedExport(tracker), tracker.target, 'partial', tracker));
         }
 
-        const calculatedTarget = {
-            base_target: rollingAverage,
-            adjusted_target: adjustedTarget,
-            static_monthly_target: staticMonthlyTarget,
-            monthly_export_target: staticMonthlyTarget * new Date(getLocalDate().getFullYear(), getLocalDate().getMonth() + 1, 0).getDate(),
-            performance_ratio: performance,
-            method: "rolling_30day",
-            rolling_days: daysToUse,
-            rolling_export_total: totalExport,
-            calculation_date: getLocalISOString(),
-            data_points: daysToUse,
-            adjustment_reason: performance < 0.9 ? 'under_performing' :
-                performance > 1.1 ? 'over_performing' : 'normal',
-            shortfall_per_day: performance < 0.9 ? staticMonthlyTarget - rollingAverage : 0,
-            excess_per_day: performance > 1.1 ? rollingAverage - staticMonthlyTarget : 0,
-            total_deficit: performance < 0.9 ? (staticMonthlyTarget * daysToUse) - totalExport : 0,
-            catchup_per_day: performance < 0.9 ? adjustedTarget - staticMonthlyTarget : 0,
-            catchup_days_used: CONFIG.catchup_days || 5,
-            mixed_month_data: daysToUse > 1 ? checkForMixedMonthData(recentHistory) : false
+        const previous = tracker;
+        tracker = {
+            date: today,
+            baseline: consecutiveDay && !counterReset ? dailyExport : 0,
+            offset: 0,
+            last_raw: dailyExport
         };
-
-        global.set('target_calculation', calculatedTarget, 'file');
-
-        if (CONFIG.enable_debug) {
-            const mixedMonthInfo = calculatedTarget.mixed_month_data ? ' (mixed month data)' : '';
-            node.warn(`Adaptive target: ${adjustedTarget.toFixed(1)} kWh (avg: ${rollingAverage.toFixed(1)}, monthly: ${staticMonthlyTarget.toFixed(1)}, performance: ${(performance * 100).toFixed(1)}%)${mixedMonthInfo}`);
+        // ...and from midnight to now in the new day, unless the node was stopped over the rollover
+        const carry = time => consecutiveDay && time && now - time <= MAX_INTEGRATION_GAP_MINUTES * 60000;
+        if (carry(previous.generation_at)) {
+            Object.assign(tracker, { generation_at: midnight, generation_power: previous.generation_power });
         }
+        if (carry(previous.metered_at)) {
+            Object.assign(tracker, Object.fromEntries(FINANCIAL_MEASUREMENTS.map(key => [key, 0])), {
+                loads: {},
+                metered_at: midnight,
+                grid_power: previous.grid_power
+            });
+        }
+        integrateDayTracker(tracker, now, generation, metering);
+    } else if (!tracker) {
+        tracker = { date: today, baseline: 0, offset: 0, last_raw: dailyExport };
+    } else {
+        integrateDayTracker(tracker, now, generation, metering);
+    }
 
-        return adjustedTarget;
+    if (tracker.date === today && dailyExport < tracker.last_raw - EXPORT_RESET_TOLERANCE) {
+        tracker.offset += tracker.last_raw - tracker.baseline;
+        tracker.baseline = 0;
+        logSystemInfo(`export_daily counter reset detected: ${tracker.last_raw.toFixed(1)} → ${dailyExport.toFixed(1)} kWh, keeping ${tracker.offset.toFixed(1)} kWh counted today`, {
+            previous_reading: tracker.last_raw,
+            reading: dailyExport,
+            carried_export: tracker.offset
+        });
     }
 
-    const currentMonth = getLocalDate().getMonth() + 1;
-    const staticTarget = MONTHLY_EXPORT_TARGETS[currentMonth] || 25.0;
+    tracker.last_raw = dailyExport;
+    tracker.target = targetExport;
+    if (typeof generation === 'number') {
+        tracker.generation = tracker.generation || 0;
+        tracker.generation_at = now;
+        tracker.generation_power = generation;
+    }
+    if (metering) {
+        FINANCIAL_MEASUREMENTS.forEach(key => {
+            tracker[key] = tracker[key] || 0;
+        });
+        tracker.loads = tracker.loads || {};
+        tracker.metered_at = now;
+        tracker.grid_power = metering.gridPower;
+    }
+    if (tracker.forecast_generation === undefined) {
+        const forecastHours = getHourlyForecast()[today];
+        if (isHourlyForecast(forecastHours)) {
+            tracker.forecast_generation = forecastHours.reduce((sum, value) => sum + value, 0);
+        }
+    }
+    global.set('export_day_tracker', tracker, 'file');
 
-    logSystemInfo(`Using static monthly target: ${staticTarget} kWh (no export history available)`);
+    upsertHistoryEntry(exportHistory, today, getTrackedExport(tracker), targetExport, 'partial', tracker);
+    exportHistory = exportHistory
+        .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+        .slice(-30);
+    global.set('export_history_30days', exportHistory, 'file');
 
-    return staticTarget;
+    return finalised;
 }
 
-function checkForMixedMonthData(historyArray) {
-    const months = new Set();
-    historyArray.forEach(entry => {
-        const month = new Date(entry.date).getMonth() + 1;
-        months.add(month);
-    });
+// Rebuild history entries from every record of a finished day: the DAILY_SUMMARY logs
+// still kept, the long-term store and the final entries of the 30-day history. Each day
+// takes its largest value; 30-day entries that never got finalised or hold less (the old
+// first-run-of-day capture) are corrected, days missing from it are added back, and the
+// long-term store gets the same value wherever it holds less or nothing
+function repairExportHistory() {
+    const today = getLocalDateString();
+    const recentFrom = shiftDateString(today, -30);
+    const logs = global.get('energy_management_logs', 'file') || [];
+    const longTerm = loadLongTermHistory();
+    let exportHistory = global.get('export_history_30days', 'file') || [];
+    const best = {};
+    let summariesFound = 0;
 
-    return {
-        has_mixed_months: months.size > 1,
-        months_included: Array.from(months).sort(),
-        month_count: months.size
+    const consider = (date, exportValue, target, source) => {
+        if (!date || date >= today || typeof exportValue !== 'number' || !isFinite(exportValue)) return;
+        if (!best[date] || exportValue > best[date].export) {
+            best[date] = { export: exportValue, target: target, source: source };
+        }
+    };
+
+    logs.filter(log => log.type === 'DAILY_SUMMARY' && log.data).forEach(log => {
+        const timestamp = String(log.timestamp || '');
+        // Older summaries have no date: only the 23:00 ones carry the day's total
+        const date = log.data.date || (timestamp.slice(11, 13) === '23' ? timestamp.slice(0, 10) : null);
+        const dailyExport = Number(log.data.daily_export);
+        if (!date || date >= today || !isFinite(dailyExport)) return;
+        summariesFound++;
+        consider(date, dailyExport, log.data.target_export, 'summary');
+    });
+    Object.keys(longTerm.daily).forEach(date => {
+        const record = longTerm.daily[date];
+        if (record.status !== 'partial') consider(date, record.export, record.target, 'long_term');
+    });
+    exportHistory.filter(entry => entry.status === 'final').forEach(entry => {
+        consider(entry.date, entry.export, entry.target, 'history');
+    });
+
+    const repaired = [];
+    const added = [];
+    const longTermDays = [];
+
+    Object.keys(best).sort().forEach(date => {
+        const day = best[date];
+        const entry = exportHistory.find(existing => existing.date === date);
+        let repairedEntry = null;
+        if (date >= recentFrom) {
+            if (!entry) {
+                added.push(date);
+            } else if (entry.status !== 'final' || entry.export < day.export - EXPORT_RESET_TOLERANCE) {
+                repaired.push({ date: date, from: entry.export, to: day.export, source: day.source });
+            }
+            if (!entry || entry.status !== 'final' || entry.export < day.export - EXPORT_RESET_TOLERANCE) {
+                const target = day.target !== undefined ? day.target : (entry ? entry.target : undefined);
+                // Keep the day's other measurements from whichever record has them
+                repairedEntry = upsertHistoryEntry(exportHistory, date, day.export, target, 'final', entry || longTerm.daily[date] || {});
+                repairedEntry.repaired = true;
+            }
+        }
+
+        const record = longTerm.daily[date];
+        if (!record || record.status === 'partial' || record.export < day.export - EXPORT_RESET_TOLERANCE) {
+            longTermDays.push(repairedEntry ||
+                { ...(record || {}), date: date, export: day.export, target: day.target !== undefined ? day.target : (record ? record.target : undefined), status: 'final' });
+        }
+    });
+
+    if (longTermDays.length > 0) {
+        recordLongTermDays(longTermDays);
+    }
+
+    exportHistory = exportHistory
+        .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+        .slice(-30);
+    global.set('export_history_30days', exportHistory, 'file');
+
+    addPersistentLog('SYSTEM', `Export history repaired from DAILY_SUMMARY logs and stored history: ${repaired.length} corrected, ${added.length} added, ${longTermDays.length} long-term days updated`, {
+        summaries_found: summariesFound,
+        repaired: repaired,
+        added: added,
+        long_term_updated: longTermDays.map(entry => entry.date)
+    }, repaired.length > 0 || added.length > 0 || longTermDays.length > 0 ? 'normal' : 'low');
+
+    return {
+        summaries_found: summariesFound,
+        repaired: repaired,
+        added: added,
+        long_term_updated: longTermDays.map(entry => entry.date)
+    };
+}
+
+// History dates were keyed with a fixed GMT+10 offset before CONFIG.timezone existed.
+// When the timezone changes, merge entries that now share a date and drop entries
+// dated after today (written under the old offset), so the day isn't skipped
+function migrateExportHistoryTimezone() {
+    const timeZone = getTimeZone();
+    const historyTimeZone = global.get('export_history_timezone', 'file');
+    if (historyTimeZone === timeZone) {
+        return;
+    }
+
+    const exportHistory = global.get('export_history_30days', 'file') || [];
+    if (exportHistory.length === 0) {
+        global.set('export_history_timezone', timeZone, 'file');
+        return;
+    }
+
+    const today = getLocalDateString();
+    const byDate = {};
+    let mergedCount = 0;
+    let droppedCount = 0;
+
+    exportHistory.forEach(entry => {
+        const date = String(entry.date).slice(0, 10);
+        if (date > today) {
+            droppedCount++;
+            return;
+        }
+        if (byDate[date]) {
+            mergedCount++;
+            // Keep the larger export, the earlier capture is usually the near-zero midnight value
+            if ((entry.export || 0) <= (byDate[date].export || 0)) {
+                return;
+            }
+        }
+        byDate[date] = { ...entry, date: date };
+    });
+
+    const migratedHistory = Object.keys(byDate).sort().map(date => byDate[date]);
+    global.set('export_history_30days', migratedHistory, 'file');
+    global.set('export_history_timezone', timeZone, 'file');
+
+    addPersistentLog('SYSTEM', `Export history migrated to timezone ${timeZone}`, {
+        previous_timezone: historyTimeZone || 'fixed GMT+10',
+        timezone: timeZone,
+        merged_count: mergedCount,
+        dropped_future_count: droppedCount,
+        history_length: migratedHistory.length
+    }, mergedCount > 0 || droppedCount > 0 ? 'normal' : 'low');
+}
+
+// Target a history day is judged against: its own month's static target, or the target
+// stored with it ('stored_target', which includes any catch-up or cool-down applied that day)
+function getDayComparisonTarget(entry) {
+    const monthTarget = MONTHLY_EXPORT_TARGETS[parseInt(entry.date.split('-')[1], 10)] || 25.0;
+    if (CONFIG.target_comparison_basis === 'stored_target' && entry.target > 0) {
+        return entry.target;
+    }
+    return monthTarget;
+}
+
+// Weather part of target_calculation: how much of the window's shortfall the weather
+// explains and how much is left to control decisions
+function describeWeather(weather, includedDays) {
+    const cloudy = weather.days.filter(day => day.classification === 'cloudy');
+    const outliers = weather.days.filter(day => day.classification === 'outlier');
+    const weatherShortfall = cloudy.reduce((sum, day) => sum + day.target - day.expected, 0) +
+        outliers.reduce((sum, day) => sum + Math.max(0, day.target - (day.entry.export || 0)), 0);
+    const controlShortfall = includedDays.reduce((sum, day) => sum + Math.max(0, day.expected - (day.entry.export || 0)), 0);
+
+    const reasoning = [`Good solar day is ${weather.reference_yield.toFixed(1)} kWh (${weather.days_with_signal} days with a solar signal)`];
+    if (cloudy.length > 0) {
+        reasoning.push(`${cloudy.length} cloudy days expected ${weatherShortfall.toFixed(1)} kWh less in total`);
+    }
+    if (outliers.length > 0) {
+        reasoning.push(`${outliers.length} outlier days left out: ${outliers.map(day => day.entry.date).join(', ')}`);
+    }
+
+    return {
+        source: weather.source,
+        applied: true,
+        reference_yield: weather.reference_yield,
+        days_with_signal: weather.days_with_signal,
+        cloudy_days: cloudy.map(day => ({ date: day.entry.date, factor: day.factor })),
+        excluded_days: outliers.map(day => ({ date: day.entry.date, factor: day.factor })),
+        weather_shortfall: weatherShortfall,
+        control_shortfall: controlShortfall,
+        today_factor: weather.today_factor,
+        good_days_ahead: weather.good_days_ahead,
+        catchup_deferred: false,
+        reasoning: reasoning
+    };
+}
+
+// Per-month totals of the rolling window, in date order
+function getMonthBreakdown(historyArray) {
+    const byMonth = {};
+    historyArray.forEach(entry => {
+        const month = entry.date.slice(0, 7);
+        byMonth[month] = byMonth[month] || { month: month, days: 0, export: 0, expected: 0 };
+        byMonth[month].days++;
+        byMonth[month].export += entry.export || 0;
+        byMonth[month].expected += getDayComparisonTarget(entry);
+    });
+
+    return Object.keys(byMonth).sort().map(month => ({
+        ...byMonth[month],
+        static_target: MONTHLY_EXPORT_TARGETS[parseInt(month.slice(5), 10)] || 25.0,
+        performance_ratio: byMonth[month].expected > 0 ? byMonth[month].export / byMonth[month].expected : 0
+    }));
+}
+
+// Fewest rolling window days with a solar signal before weather is taken into account
+const WEATHER_MIN_SIGNAL_DAYS = 5;
+
+// Daily solar yield (kWh) keyed by date, from the forecast provider or a local forecast
+// file loaded into solar_forecast_daily (memory or file store)
+function getSolarForecast() {
+    return global.get('solar_forecast_daily') || global.get('solar_forecast_daily', 'file') || {};
+}
+
+function getDaySolarYield(entry, forecast) {
+    if (CONFIG.weather_signal_source === 'generation' && typeof entry.generation === 'number') {
+        return entry.generation;
+    }
+    const value = forecast[entry.date];
+    return typeof value === 'number' && value >= 0 ? value : null;
+}
+
+// Classify the rolling window days by their solar yield against a good solar day (the
+// 75th percentile of the window). Cloudy days are expected to export proportionally
+// less, outliers are dropped, and the days ahead are checked for good catch-up weather
+function assessWeather(history) {
+    if (CONFIG.weather_signal_source === 'none') {
+        return null;
+    }
+
+    const forecast = getSolarForecast();
+    const yields = history.map(entry => getDaySolarYield(entry, forecast));
+    const known = yields.filter(value => value !== null).sort((a, b) => a - b);
+    const reference = known.length > 0 ? known[Math.floor((known.length - 1) * 0.75)] : 0;
+
+    if (known.length < WEATHER_MIN_SIGNAL_DAYS || !(reference > 0)) {
+        return {
+            source: CONFIG.weather_signal_source,
+            applied: false,
+            days_with_signal: known.length,
+            reasoning: [`Only ${known.length} days with a solar signal, weather not taken into account`]
+        };
+    }
+
+    const classify = factor => factor < CONFIG.weather_outlier_factor ? 'outlier'
+        : factor < CONFIG.weather_cloudy_factor ? 'cloudy' : 'good';
+
+    const days = history.map((entry, index) => {
+        const target = getDayComparisonTarget(entry);
+        if (yields[index] === null) {
+            return { entry, target, expected: target, factor: null, classification: 'no_signal' };
+        }
+        const factor = Math.min(1, yields[index] / reference);
+        const classification = classify(factor);
+        return { entry, target, factor, classification, expected: classification === 'cloudy' ? target * factor : target };
+    });
+
+    // Days ahead without a forecast count as good, so catch-up isn't held back by missing data
+    const today = getLocalDateString();
+    const catchupDays = CONFIG.catchup_days || 5;
+    const ahead = Array.from({ length: catchupDays }, (_, offset) => {
+        const value = forecast[shiftDateString(today, offset)];
+        return typeof value === 'number' ? classify(Math.min(1, value / reference)) : 'good';
+    });
+    const todayForecast = forecast[today];
+
+    return {
+        source: CONFIG.weather_signal_source,
+        applied: true,
+        reference_yield: reference,
+        days_with_signal: known.length,
+        days: days,
+        today_factor: typeof todayForecast === 'number' ? Math.min(1, todayForecast / reference) : null,
+        today_good: ahead[0] === 'good',
+        good_days_ahead: ahead.filter(classification => classification === 'good').length
+    };
+}
+
+function getCurrentMonthTarget() {
+    // Last 30 days before today; days that were never finalised would drag the average down
+    const today = getLocalDateString();
+    const exportHistory = getExportHistory(shiftDateString(today, -30), shiftDateString(today, -1))
+        .filter(entry => entry.status !== 'partial');
+
+    if (exportHistory.length > 0) {
+        const daysToUse = Math.min(exportHistory.length, 30);
+        const windowHistory = exportHistory.slice(-daysToUse);
+        const weather = assessWeather(windowHistory);
+        const weatherDays = weather && weather.applied
+            ? weather.days.filter(day => day.classification !== 'outlier')
+            : windowHistory.map(entry => ({ entry, expected: getDayComparisonTarget(entry) }));
+        const recentHistory = weatherDays.map(day => day.entry);
+        const daysUsed = recentHistory.length;
+        if (daysUsed === 0) {
+            const staticTarget = MONTHLY_EXPORT_TARGETS[getLocalParts().month] || 25.0;
+            logSystemInfo(`Using static monthly target: ${staticTarget} kWh (every day in the window was a weather outlier)`);
+            return staticTarget;
+        }
+
+        const totalExport = recentHistory.reduce((sum, day) => {
+            return sum + (day.export || 0);
+        }, 0);
+        const rollingAverage = totalExport / daysUsed;
+
+        // Each day is compared with its own month's target, so a window that spans a
+        // month change doesn't judge last month's days against this month's target.
+        // Cloudy days are expected to export only their share of a good solar day
+        const expectedTotal = weatherDays.reduce((sum, day) => sum + day.expected, 0);
+
+        const localNow = getLocalParts();
+        const currentMonth = localNow.month;
+        const staticMonthlyTarget = MONTHLY_EXPORT_TARGETS[currentMonth] || 25.0;
+
+        let adjustedTarget;
+        const performance = totalExport / expectedTotal;
+        const shortfallPerDay = (expectedTotal - totalExport) / daysUsed;
+        const weatherInfo = weather && weather.applied ? describeWeather(weather, weatherDays) : weather;
+        let catchupDays = CONFIG.catchup_days || 5;
+
+        let catchupPaused = null;
+        if (performance < 0.9) {
+            const totalDeficit = expectedTotal - totalExport;
+            const zeroExport = getZeroExportStatus();
+            let catchupPerDay;
+            let catchupText = 'activating catch-up mode';
+            if (zeroExport.active && !isNightTime()) {
+                // No catch-up pressure while export is being curtailed
+                catchupPerDay = 0;
+                catchupPaused = `Zero export: ${zeroExport.reason}`;
+                catchupText = `catch-up paused for zero export (${zeroExport.reason})`;
+            } else if (weatherInfo && weatherInfo.applied && !weather.today_good) {
+                // Catch-up waits for a day with good forecast solar
+                catchupPerDay = 0;
+                catchupText = `catch-up deferred, today's forecast is ${(weather.today_factor * 100).toFixed(0)}% of a good solar day`;
+                weatherInfo.catchup_deferred = true;
+                weatherInfo.reasoning.push(`Today's forecast is ${(weather.today_factor * 100).toFixed(0)}% of a good solar day, catch-up deferred`);
+            } else {
+                if (weatherInfo && weatherInfo.applied) {
+                    catchupDays = Math.max(1, weather.good_days_ahead);
+                    weatherInfo.reasoning.push(`Catch-up spread over ${catchupDays} of the next ${CONFIG.catchup_days || 5} days with good forecast solar`);
+                }
+                catchupPerDay = totalDeficit / catchupDays;
+            }
+            adjustedTarget = staticMonthlyTarget + catchupPerDay;
+            adjustedTarget = Math.min(adjustedTarget, staticMonthlyTarget * 2.0);
+            
+            logPerformanceAlert('UNDER_PERFORMING', `Performance ${(performance * 100).toFixed(1)}% of target, ${catchupText}`, {
+                performance_ratio: performance,
+                deficit: totalDeficit,
+                catchup_per_day: catchupPerDay
+            });
+        } else if (performance > 1.1) {
+            const excess = -shortfallPerDay;
+            const coolDownReduction = excess * 0.3;
+            adjustedTarget = staticMonthlyTarget - coolDownReduction;
+            adjustedTarget = Math.max(adjustedTarget, staticMonthlyTarget * 0.8);
+            
+            logPerformanceAlert('OVER_PERFORMING', `Performance ${(performance * 100).toFixed(1)}% of target, reducing daily target`, {
+                performance_ratio: performance,
+                excess_per_day: excess,
+                reduction: coolDownReduction
+            });
+        } else {
+            adjustedTarget = staticMonthlyTarget;
+        }
+
+        const calculatedTarget = {
+            base_target: rollingAverage,
+            adjusted_target: adjustedTarget,
+            static_monthly_target: staticMonthlyTarget,
+            monthly_export_target: staticMonthlyTarget * getDaysInMonth(localNow.year, localNow.month),
+            performance_ratio: performance,
+            method: "rolling_30day_per_day",
+            comparison_basis: CONFIG.target_comparison_basis,
+            rolling_days: daysUsed,
+            rolling_export_total: totalExport,
+            rolling_expected_total: expectedTotal,
+            calculation_date: getLocalISOString(),
+            data_points: daysUsed,
+            adjustment_reason: performance < 0.9 ? 'under_performing' :
+                performance > 1.1 ? 'over_performing' : 'normal',
+            shortfall_per_day: performance < 0.9 ? shortfallPerDay : 0,
+            excess_per_day: performance > 1.1 ? -shortfallPerDay : 0,
+            total_deficit: performance < 0.9 ? expectedTotal - totalExport : 0,
+            catchup_per_day: performance < 0.9 ? adjustedTarget - staticMonthlyTarget : 0,
+            catchup_days_used: catchupDays,
+            month_breakdown: getMonthBreakdown(recentHistory),
+            mixed_month_data: daysUsed > 1 ? checkForMixedMonthData(recentHistory) : false
+        };
+        if (weatherInfo) {
+            calculatedTarget.weather = weatherInfo;
+        }
+        if (catchupPaused) {
+            calculatedTarget.catchup_paused = catchupPaused;
+        }
+
+        global.set('target_calculation', calculatedTarget, 'file');
+
+        if (CONFIG.enable_debug) {
+            const mixedMonthInfo = calculatedTarget.mixed_month_data && calculatedTarget.mixed_month_data.has_mixed_months
+                ? ` (${calculatedTarget.month_breakdown.map(month => `${month.month}: ${(month.performance_ratio * 100).toFixed(0)}%`).join(', ')})`
+                : '';
+            node.warn(`Adaptive target: ${adjustedTarget.toFixed(1)} kWh (avg: ${rollingAverage.toFixed(1)}, expected avg: ${(expectedTotal / daysUsed).toFixed(1)}, monthly: ${staticMonthlyTarget.toFixed(1)}, performance: ${(performance * 100).toFixed(1)}%)${mixedMonthInfo}`);
+        }
+
+        return adjustedTarget;
+    }
+
+    const currentMonth = getLocalParts().month;
+    const staticTarget = MONTHLY_EXPORT_TARGETS[currentMonth] || 25.0;
+
+    logSystemInfo(`Using static monthly target: ${staticTarget} kWh (no export history available)`);
+
+    return staticTarget;
+}
+
+function checkForMixedMonthData(historyArray) {
+    const months = new Set();
+    historyArray.forEach(entry => {
+        const month = parseInt(entry.date.split('-')[1], 10);
+        months.add(month);
+    });
+
+    return {
+        has_mixed_months: months.size > 1,
+        months_included: Array.from(months).sort(),
+        month_count: months.size
     };
 }
 
@@ -406,8 +1642,8 @@ function shouldResetToExportPriority(dailyExport, targetExport, batteryPower) {
     return exportPercentage < CONFIG.export_target_percentage && batteryCharging;
 }
 
-function isNightTime() {
-    const currentHour = getLocalDate().getHours();
+function isNightTime(date = new Date()) {
+    const currentHour = getLocalParts(date).hour;
     if (CONFIG.night_start_hour > CONFIG.night_end_hour) {
         return currentHour >= CONFIG.night_start_hour || currentHour < CONFIG.night_end_hour;
     } else {
@@ -441,9 +1677,29 @@ function validateInputData(inputs) {
     return errors;
 }
 
+function readSensorInputs() {
+    return {
+        dailyExport: (global.get('export_daily') || 0) / 1000,
+        gridPower: global.get('grid_power') || 0,
+        generation: global.get('generation') || 0,
+        batterySoc: global.get('victron_soc') || 50,
+        batteryPower: global.get('battery_power') || 0,
+        inverterMode: global.get('victron_mode') || 3
+    };
+}
+
 function initializeStateIfNeeded() {
     const currentState = global.get('energy_management_state');
-    if (!currentState || !Object.values(STATES).includes(currentState)) {
+    if (currentState && !Object.values(STATES).includes(currentState)) {
+        enterSafeMode('unknown_state', `Unknown state detected: ${currentState}`);
+        return STATES.SAFE_MODE;
+    }
+    // energy_management_state lives in memory; an open SAFE_MODE episode survives restarts
+    if (!currentState && global.get('energy_management_safe_mode', 'file')) {
+        global.set('energy_management_state', STATES.SAFE_MODE);
+        return STATES.SAFE_MODE;
+    }
+    if (!currentState) {
         global.set('energy_management_state', STATES.EXPORT_PRIORITY);
         addPersistentLog('SYSTEM', 'Energy management system initialized', {
             initial_state: STATES.EXPORT_PRIORITY,
@@ -454,24 +1710,12 @@ function initializeStateIfNeeded() {
     return currentState;
 }
 
-function logHWSEvent(action, reason, hwsStatus, batterySoc, generation) {
-    if (!CONFIG.log_hws_changes) return;
-
-    addPersistentLog('HWS_EVENT', `HWS ${action}: ${reason}`, {
-        hws_status: hwsStatus,
-        battery_soc: batterySoc,
-        generation: generation,
-        action: action,
-        reason: reason
-    }, action === 'TURNED_OFF' ? 'normal' : 'low');
-}
-
 function logStateChange(fromState, toState, reason, inputs) {
     if (!CONFIG.log_state_changes) return;
 
     const priority = (fromState === STATES.SAFE_MODE || toState === STATES.SAFE_MODE) ? 'high' : 'normal';
     
-    addPersistentLog('STATE_CHANGE', `${fromState} → ${toState}: ${reason}`, {
+    const data = {
         from_state: fromState,
         to_state: toState,
         reason: reason,
@@ -480,122 +1724,1827 @@ function logStateChange(fromState, toState, reason, inputs) {
         battery_soc: inputs.batterySoc,
         generation: inputs.generation,
         battery_power: inputs.batteryPower
-    }, priority);
+    };
+    // Discharge starts and stops carry the window, rate and reserve they were decided on
+    if ((fromState === STATES.GRID_DISCHARGE || toState === STATES.GRID_DISCHARGE) && inputs.discharge) {
+        data.discharge = inputs.discharge;
+    }
+    if ((fromState === STATES.GRID_CHARGE || toState === STATES.GRID_CHARGE) && inputs.gridCharge) {
+        data.grid_charge = inputs.gridCharge;
+    }
+    addPersistentLog('STATE_CHANGE', `${fromState} → ${toState}: ${reason}`, data, priority);
 }
 
-function logDailySummary(dailyExport, targetExport, inputs) {
+// Logged once per day when the day's history entry is finalised at rollover
+function logDailySummary(entry, inputs) {
     if (!CONFIG.log_daily_summary) return;
 
-    const currentHour = getLocalDate().getHours();
-    if (currentHour >= 23 || currentHour <= 1) {
-        const lastSummary = global.get('last_daily_summary_date', 'file') || '';
-        const today = getLocalDateString();
+    const performancePercent = entry.target > 0 ? ((entry.export / entry.target) * 100).toFixed(1) : '0.0';
+    const loadText = Object.entries(entry.loads || {})
+        .map(([name, totals]) => `${name.toUpperCase()} ${totals.energy_kwh.toFixed(1)} kWh (${totals.solar_kwh.toFixed(1)} solar)`)
+        .join(', ');
+    addPersistentLog('DAILY_SUMMARY', `Daily Summary ${entry.date}: ${entry.export.toFixed(1)}/${entry.target.toFixed(1)} kWh (${performancePercent}%)${loadText ? ` · ${loadText}` : ''}`, {
+        date: entry.date,
+        daily_export: entry.export,
+        target_export: entry.target,
+        target_achieved: entry.export >= entry.target,
+        battery_soc_end: inputs.batterySoc,
+        performance_percent: performancePercent,
+        generation: entry.generation,
+        forecast_generation: entry.forecast_generation,
+        revenue: entry.revenue,
+        cost: entry.cost,
+        hws_savings: entry.hws_savings,
+        net: entry.net,
+        loads: entry.loads
+    }, 'normal');
+}
 
-        if (lastSummary !== today) {
-            const performancePercent = ((dailyExport / targetExport) * 100).toFixed(1);
-            addPersistentLog('DAILY_SUMMARY', `Daily Summary: ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)} kWh (${performancePercent}%)`, {
-                daily_export: dailyExport,
-                target_export: targetExport,
-                target_achieved: dailyExport >= targetExport,
-                battery_soc_end: inputs.batterySoc,
-                performance_percent: performancePercent
-            }, 'normal');
+// =============================================================================
+// LOAD MANAGER
+// =============================================================================
 
-            global.set('last_daily_summary_date', today, 'file');
-        }
+const LOAD_START_FACTOR = 0.8;   // Surplus needed to start a load, as a share of its power
+const HWS_LOAD = 'hws';          // The registry load the hot water settings apply to
+const EV_LOAD = 'ev';            // Name the EV charger is metered under alongside the loads
+
+// The configured loads, or the single HWS from the hws_* settings, in priority order
+function getLoadRegistry() {
+    const loads = LOADS.length > 0 ? LOADS : [{
+        name: 'hws',
+        power: CONFIG.hws_power_rating,
+        priority: 1,
+        start: '00:00',
+        end: '24:00',
+        cooldown_minutes: CONFIG.hws_cooldown_period
+    }];
+    return loads
+        .map(load => ({ min_on_minutes: 0, min_off_minutes: 0, cooldown_minutes: 0, daily_runtime_minutes: 0, ...load }))
+        .sort((a, b) => a.priority - b.priority);
+}
+
+// Switching state per load (file store): { date, updated_at, loads: { <name>: { on,
+// changed_at, shed, runtime_minutes } }, hot_water }, runtime_minutes counting today's run
+// time. hot_water is the HWS tank state: { hot, heated_date, legionella_date,
+// legionella_minutes, legionella_since, forced } with legionella_since the local time the
+// cycle was enabled and forced the grid-heated run in progress ('boost' or 'legionella')
+function getLoadManagerState() {
+    return global.get('load_manager_state', 'file') || { date: null, updated_at: null, loads: {} };
+}
+
+// An optional numeric reading from global.<key> while it is fresh (<key>_updated within
+// data_freshness_limit, or no timestamp), otherwise null
+function getFreshReading(key, now) {
+    const value = global.get(key);
+    const updated = getSensorUpdateTime(key);
+    const fresh = typeof value === 'number' && isFinite(value) &&
+        (updated === null || now - updated <= CONFIG.data_freshness_limit * 60 * 1000);
+    return fresh ? value : null;
+}
+
+// Power of each load switched on at the last run (W): global.load_power_<name> when a meter
+// reports it (namespaced so a load can't pick up another sensor such as grid_power), otherwise
+// the rated power. A charging EV is included as EV_LOAD at its last draw
+function getRunningLoads() {
+    const now = Date.now();
+    const loads = getLoadManagerState().loads;
+    const running = {};
+    getLoadRegistry()
+        .filter(load => loads[load.name] && loads[load.name].on)
+        .forEach(load => {
+            const measured = getFreshReading(`load_power_${load.name}`, now);
+            running[load.name] = measured !== null ? Math.max(0, measured) : load.power;
+        });
+    if (CONFIG.ev_charger_enabled) {
+        const evState = getEvChargerState();
+        if (evState.current > 0 && evState.power > 0) running[EV_LOAD] = evState.power;
     }
+    return running;
 }
 
-function getHWSCooldownStatus() {
-    const lastHWSoff = global.get('hws_last_off_time') || 0;
-    const cooldownExpired = (Date.now() - lastHWSoff) > (CONFIG.hws_cooldown_period * 60 * 1000);
-    return cooldownExpired;
+// Tank temperature (°C) from global.hws_temperature, or null when missing or stale
+function getHwsTemperature(now) {
+    return getFreshReading('hws_temperature', now);
 }
 
-// =============================================================================
-// BATTERY PROTECTION HELPER
-// =============================================================================
+// Date of the latest legionella slot (hws_legionella_day at hws_legionella_hour) up to now
+function getLegionellaSlotDate(localParts, today) {
+    const dayOfWeek = new Date(Date.UTC(localParts.year, localParts.month - 1, localParts.day)).getUTCDay();
+    let daysBack = (dayOfWeek - CONFIG.hws_legionella_day + 7) % 7;
+    if (daysBack === 0 && localParts.hour < CONFIG.hws_legionella_hour) daysBack = 7;
+    return shiftDateString(today, -daysBack);
+}
 
-function isBatteryProtectionActive(batterySoc, batteryPower, exportTargetReached) {
-    const socCritical = batterySoc <= CONFIG.min_soc_threshold;
-    const batteryDischarging = batteryPower < 0;
-    
-    return socCritical && batteryDischarging;
+// Minutes from now until deadlineHour today outside peak import, walking the tariff
+// boundaries (0 once the deadline has passed)
+function getOffPeakMinutesBefore(now, localParts, deadlineHour) {
+    const start = now - now % 60000;
+    const deadline = start + (deadlineHour * 60 - localParts.hour * 60 - localParts.minute) * 60000;
+    if (deadline <= start) return 0;
+
+    const edges = [start, ...getTariffBoundaries(start).filter(instant => instant < deadline), deadline];
+    let minutes = 0;
+    for (let i = 0; i < edges.length - 1; i++) {
+        if (!getTariffAt(new Date(edges[i])).peak) minutes += (edges[i + 1] - edges[i]) / 60000;
+    }
+    return minutes;
 }
 
-// =============================================================================
-// MAIN STATE MACHINE LOGIC
-// =============================================================================
+// Hot water decisions for this run. The tank is hot from hws_temperature_setpoint until it
+// cools hws_temperature_hysteresis below it, and a hot tank takes no more surplus. Two runs
+// are forced from the grid outside peak import (any rate below tariff_peak_import_rate
+// outside a demand window, so shoulder rates count): a boost when today's heat (the tank
+// reaching the setpoint, or hws_min_daily_heat_minutes of heating) would otherwise miss
+// hws_heat_deadline_hour, and a weekly legionella cycle from its slot until the tank reaches
+// hws_legionella_temperature (hws_legionella_minutes of heating without a temperature). A
+// cycle is not needed when the tank reached that temperature in the week before the slot.
+// Returns { forced: { kind, reason } or null, release (why a forced run ends), status }
+function planHotWater(hotWater, entry, now, localParts, today) {
+    const temperature = getHwsTemperature(now);
+    if (temperature === null) {
+        hotWater.hot = false;
+    } else if (temperature >= CONFIG.hws_temperature_setpoint) {
+        hotWater.hot = true;
+        hotWater.heated_date = today;
+    } else if (temperature < CONFIG.hws_temperature_setpoint - CONFIG.hws_temperature_hysteresis) {
+        hotWater.hot = false;
+    }
 
-function processStateTransition(currentState, inputs) {
-    const {
-        dailyExport,
-        targetExport,
-        generation,
-        gridPower,
-        batterySoc,
-        batteryPower,
-        inverterMode
-    } = inputs;
+    let legionellaComplete = null;
+    if (temperature !== null && temperature >= CONFIG.hws_legionella_temperature) {
+        if (hotWater.legionella_date !== today) legionellaComplete = `Legionella cycle complete at ${temperature}°C`;
+        hotWater.legionella_date = today;
+        hotWater.legionella_minutes = 0;
+    } else if (temperature === null && hotWater.legionella_minutes >= CONFIG.hws_legionella_minutes) {
+        legionellaComplete = `Legionella cycle complete after ${Math.round(hotWater.legionella_minutes)} min`;
+        hotWater.legionella_date = today;
+        hotWater.legionella_minutes = 0;
+    }
+    // The first cycle after the cycle is enabled waits for the next slot
+    if (!CONFIG.hws_legionella_enabled) {
+        hotWater.legionella_since = null;
+    } else if (!hotWater.legionella_since) {
+        hotWater.legionella_since = getLocalISOString(new Date(now)).slice(0, 16);
+    }
+    const slotDate = getLegionellaSlotDate(localParts, today);
+    const legionellaDue = CONFIG.hws_legionella_enabled &&
+        `${slotDate}T${pad(CONFIG.hws_legionella_hour)}:00` >= hotWater.legionella_since &&
+        (!hotWater.legionella_date || hotWater.legionella_date <= shiftDateString(slotDate, -7));
+
+    const heatMinutes = entry.runtime_minutes;
+    const delivered = CONFIG.hws_min_daily_heat_minutes === 0 || hotWater.heated_date === today ||
+        heatMinutes >= CONFIG.hws_min_daily_heat_minutes;
+    const remaining = Math.max(0, CONFIG.hws_min_daily_heat_minutes - heatMinutes);
+    const deadline = `${pad(CONFIG.hws_heat_deadline_hour)}:00`;
+    // Due once the off-peak time left before the deadline only just covers the shortfall, so
+    // a peak window ending at or after the deadline doesn't leave the boost stranded. The
+    // guarantee is for heat by the deadline: a day it was missed is not made up from the grid
+    const beforeDeadline = localParts.hour < CONFIG.hws_heat_deadline_hour;
+    const boostDue = !delivered && !hotWater.hot && beforeDeadline &&
+        getOffPeakMinutesBefore(now, localParts, CONFIG.hws_heat_deadline_hour) <= remaining;
+
+    const tariff = getTariffAt(new Date(now));
+    let forced = null;
+    if (legionellaDue && !tariff.peak) {
+        forced = {
+            kind: 'legionella',
+            reason: temperature !== null
+                ? `Legionella cycle: tank ${temperature}°C, heating to ${CONFIG.hws_legionella_temperature}°C`
+                : `Legionella cycle: ${CONFIG.hws_legionella_minutes} min weekly run`
+        };
+    } else if (boostDue && !tariff.peak) {
+        forced = {
+            kind: 'boost',
+            reason: `Daily heat boost: ${Math.round(heatMinutes)}/${CONFIG.hws_min_daily_heat_minutes} min by ${deadline} at ${tariff.import_rate}c/kWh`
+        };
+    }
 
-    const excessGeneration = getExcessGeneration(generation, gridPower);
-    const exportTargetReached = dailyExport >= targetExport;
-    const batteryFull = batterySoc >= CONFIG.max_soc_threshold;
-    const batteryLow = batterySoc <= CONFIG.min_soc_threshold;
-    const batteryCharging = batteryPower > 0;
+    const release = legionellaComplete ||
+        (hotWater.hot ? `Tank at ${temperature}°C reached setpoint ${CONFIG.hws_temperature_setpoint}°C`
+            : delivered ? `Daily heat delivered: ${Math.round(heatMinutes)} min`
+                : !beforeDeadline ? `Heat deadline ${deadline} passed at ${Math.round(heatMinutes)}/${CONFIG.hws_min_daily_heat_minutes} min`
+                : tariff.peak ? `Heating paused for peak import ${tariff.import_rate}c/kWh` : 'Heating no longer needed');
 
-    let nextState = currentState;
-    let stateReason = '';
+    return {
+        forced,
+        release,
+        status: {
+            temperature,
+            setpoint: CONFIG.hws_temperature_setpoint,
+            hot: hotWater.hot,
+            heat_minutes: Math.round(heatMinutes * 10) / 10,
+            min_heat_minutes: CONFIG.hws_min_daily_heat_minutes,
+            heat_delivered: delivered,
+            deadline,
+            legionella_due: legionellaDue,
+            legionella_last: hotWater.legionella_date || null,
+            forced: forced ? forced.kind : null
+        }
+    };
+}
 
-    // PRIORITY 0: Stale generation data protection
-    const exportingSignificantly = gridPower < -CONFIG.significant_export_threshold;
-    const generationSuspicious = generation < 500;
-    const generationDataStale = exportingSignificantly && generationSuspicious;
+function logLoadEvent(load, action, reason, batterySoc, generation) {
+    if (!CONFIG.log_hws_changes) return;
 
-    if (currentState === STATES.EXPORT_PRIORITY && generationDataStale) {
-        nextState = currentState;
-        stateReason = `Maintaining export state: exporting ${Math.abs(gridPower)}W but generation sensor shows only ${generation}W (likely stale)`;
+    const label = load.name.toUpperCase();
+    addPersistentLog(`${label}_EVENT`, `${label} ${action}: ${reason}`, {
+        load: load.name,
+        power: load.power,
+        on: action === 'TURNED_ON',
+        battery_soc: batterySoc,
+        generation: generation,
+        action: action,
+        reason: reason
+    }, action === 'TURNED_OFF' ? 'normal' : 'low');
+}
 
-        addPersistentLog('DATA_PROTECTION', `Generation data appears stale: ${generation}W reported but exporting ${Math.abs(gridPower)}W`, {
-            reported_generation: generation,
-            grid_power: gridPower,
-            battery_power: batteryPower,
-            action: 'maintaining_export_state'
-        }, 'high');
+// Why the running loads must give way this run, or null. LOAD_MANAGEMENT sheds when the
+// battery is covering them (SOC dropped) or generation or import says the surplus is gone;
+// ZERO_EXPORT when the battery discharges
+function getLoadShedReason(state, inputs) {
+    const { generation, gridPower, batterySoc, batteryPower } = inputs;
+    if (state === STATES.ZERO_EXPORT) {
+        return batteryPower < 0 ? `Zero export: battery discharging ${Math.abs(batteryPower)}W` : null;
+    }
+    if (batterySoc <= CONFIG.max_soc_threshold - CONFIG.hws_soc_drop_threshold) return `SOC dropped to ${batterySoc}%`;
+    if (generation < CONFIG.hws_generation_drop_threshold) return `Generation dropped to ${generation}W`;
+    if (gridPower > CONFIG.load_shed_import) return `Importing ${gridPower}W`;
+    return null;
+}
+
+// Switch the registry for this run: loads run only in LOAD_MANAGEMENT and ZERO_EXPORT. Loads
+// outside their hours, done for the day or (the HWS) hot go off; otherwise at most one load
+// is switched per run (so the next run sees the meter after it) - the highest priority load
+// the surplus covers is started, or the lowest priority running load past its minimum on time
+// is shed. A forced HWS run (see planHotWater) holds in every state but SAFE_MODE.
+// Returns { actions: { enable_<name> }, loads: [status], running, forced_power }
+function allocateLoads(state, inputs) {
+    const { generation, gridPower, batterySoc, batteryPower } = inputs;
+    const now = Date.now();
+    const localParts = getLocalParts(new Date(now));
+    const today = getLocalDateString(new Date(now));
+    const store = getLoadManagerState();
+
+    // Today's run time, with gaps capped as for the day's metering
+    const elapsedMinutes = store.updated_at ? Math.min(Math.max(0, now - store.updated_at) / 60000, MAX_INTEGRATION_GAP_MINUTES) : 0;
+    if (store.date !== today) {
+        Object.values(store.loads).forEach(entry => { entry.runtime_minutes = 0; });
+        store.date = today;
+    }
+    Object.values(store.loads).forEach(entry => {
+        if (entry.on) entry.runtime_minutes += elapsedMinutes;
+    });
+    store.updated_at = now;
+
+    const hotWater = store.hot_water || { hot: false, heated_date: null, legionella_date: null, legionella_minutes: 0, legionella_since: null, forced: null };
+    store.hot_water = hotWater;
+    if (hotWater.forced === 'legionella' && store.loads[HWS_LOAD] && store.loads[HWS_LOAD].on) {
+        hotWater.legionella_minutes += elapsedMinutes;
+    }
+
+    const views = getLoadRegistry().map(load => {
+        const entry = store.loads[load.name] || { on: false, changed_at: null, shed: false, runtime_minutes: 0 };
+        store.loads[load.name] = entry;
+        const minutesSince = entry.changed_at === null ? Infinity : (now - entry.changed_at) / 60000;
+        const offWait = Math.max(load.min_off_minutes, entry.shed ? load.cooldown_minutes : 0);
+        const hotWaterPlan = load.name === HWS_LOAD ? planHotWater(hotWater, entry, now, localParts, today) : null;
+        const allowed = tariffPeriodMatches(load, localParts);
+        return {
+            load,
+            entry,
+            allowed,
+            done: load.daily_runtime_minutes > 0 && entry.runtime_minutes >= load.daily_runtime_minutes,
+            hot: hotWaterPlan !== null && hotWaterPlan.status.hot,
+            forced: hotWaterPlan && allowed && state !== STATES.SAFE_MODE ? hotWaterPlan.forced : null,
+            hotWaterPlan,
+            canStart: !entry.on && minutesSince > offWait,
+            canStop: entry.on && minutesSince >= load.min_on_minutes
+        };
+    });
+
+    const switchLoad = (view, on, reason, shed = false) => {
+        view.entry.on = on;
+        view.entry.changed_at = now;
+        view.entry.shed = shed;
+        logLoadEvent(view.load, on ? 'TURNED_ON' : 'TURNED_OFF', reason, batterySoc, generation);
+    };
+
+    // Forced HWS runs first: started or held in any state, ended (with why) once not needed
+    views.filter(view => view.hotWaterPlan).forEach(view => {
+        if (view.forced) {
+            if (!view.entry.on) switchLoad(view, true, view.forced.reason);
+            hotWater.forced = view.forced.kind;
+        } else if (hotWater.forced) {
+            if (view.entry.on) {
+                const reason = state === STATES.SAFE_MODE ? `Loads not run in ${state}`
+                    : !view.allowed ? `Outside allowed hours ${view.load.start}-${view.load.end}` : view.hotWaterPlan.release;
+                switchLoad(view, false, reason, state === STATES.SAFE_MODE);
+            }
+            hotWater.forced = null;
+        }
+    });
+    const surplusViews = views.filter(view => !view.forced);
+
+    if (state !== STATES.LOAD_MANAGEMENT && state !== STATES.ZERO_EXPORT) {
+        // Leaving the load states sheds everything, minimum on times notwithstanding
+        surplusViews.filter(view => view.entry.on).forEach(view => switchLoad(view, false, `Loads not run in ${state}`, true));
+    } else {
+        surplusViews.filter(view => view.entry.on && (!view.allowed || view.done || view.hot)).forEach(view => switchLoad(view, false, !view.allowed
+            ? `Outside allowed hours ${view.load.start}-${view.load.end}`
+            : view.done ? `Daily run time ${view.load.daily_runtime_minutes} min reached` : view.hotWaterPlan.release));
+
+        const shedReason = getLoadShedReason(state, inputs);
+        const batteryFull = batterySoc >= CONFIG.max_soc_threshold;
+        const stillExporting = gridPower < -CONFIG.zero_export_tolerance;
+        const surplus = Math.max(0, -gridPower) + Math.max(0, batteryPower);
+        const startable = surplusViews.filter(view => view.canStart && view.allowed && !view.done && !view.hot);
+
+        if (shedReason) {
+            const shed = surplusViews.filter(view => view.canStop).pop();
+            if (shed) switchLoad(shed, false, shedReason, true);
+        } else if (state === STATES.ZERO_EXPORT) {
+            // Nothing measurable is exported while curtailing: a full battery is the surplus
+            if ((batteryFull || stillExporting) && batteryPower >= 0 && startable.length > 0) {
+                switchLoad(startable[0], true, `Zero export: ${batteryFull ? 'battery full' : `still exporting ${Math.abs(gridPower)}W`}`);
+            }
+        } else {
+            const start = startable.find(view => surplus >= view.load.power * LOAD_START_FACTOR);
+            if (start) switchLoad(start, true, `Surplus ${surplus}W covers ${start.load.power}W at SOC ${batterySoc}%`);
+        }
+
+        views.filter(view => view.entry.on && view.entry.changed_at !== now).forEach(view => {
+            const label = view.load.name.toUpperCase();
+            addPersistentLog(`${label}_STATUS`, `${label} remains ON: SOC ${batterySoc}%, Gen ${generation}W`, {
+                load: view.load.name,
+                on: true,
+                battery_soc: batterySoc,
+                generation: generation,
+                reason: 'maintaining_current_state'
+            }, 'low');
+        });
+    }
+
+    global.set('load_manager_state', store, 'file');
+
+    const actions = {};
+    views.forEach(view => { actions[`enable_${view.load.name}`] = view.entry.on; });
+    return {
+        actions,
+        running: views.some(view => view.entry.on),
+        forced_power: views.filter(view => view.forced).reduce((sum, view) => sum + view.load.power, 0),
+        loads: views.map(view => ({
+            name: view.load.name,
+            power: view.load.power,
+            priority: view.load.priority,
+            on: view.entry.on,
+            allowed: view.allowed,
+            runtime_minutes: Math.round(view.entry.runtime_minutes * 10) / 10,
+            daily_runtime_minutes: view.load.daily_runtime_minutes,
+            done: view.done,
+            ...(view.hotWaterPlan ? { hot_water: view.hotWaterPlan.status } : {})
+        }))
+    };
+}
+
+// =============================================================================
+// EV CHARGER
+// =============================================================================
+
+// Controller state (file store): { current, power, surplus, updated_at, session:
+// { started_at, energy_kwh, departure_at } }. power is the charger's draw at the last run,
+// integrated into the session's energy at the next; surplus is the smoothed surplus (W)
+function getEvChargerState() {
+    return global.get('ev_charger_state', 'file') || { current: 0, power: 0, surplus: null, updated_at: null, session: null, logged_current: 0 };
+}
+
+function evAmpsToWatts(amps) {
+    return amps * CONFIG.ev_voltage * CONFIG.ev_phases;
+}
+
+function evWattsToAmps(watts) {
+    return watts / (CONFIG.ev_voltage * CONFIG.ev_phases);
+}
+
+// Next ev_departure_hour after now (ms)
+function getNextEvDeparture(now) {
+    const localParts = getLocalParts(new Date(now));
+    const minutes = (CONFIG.ev_departure_hour * 60 - (localParts.hour * 60 + localParts.minute) + 24 * 60) % (24 * 60);
+    return now + (minutes || 24 * 60) * 60000 - localParts.second * 1000 - localParts.millisecond;
+}
+
+function logEvEvent(action, message, data) {
+    addPersistentLog('EV_CHARGER', `EV ${action}: ${message}`, { action, ...data }, action === 'SESSION_ENDED' ? 'normal' : 'low');
+}
+
+// Surplus the EV could take this run (W): its own draw plus export, less any battery
+// discharge. While the battery is charging below max_soc_threshold and nothing is exported,
+// the EV's draw is power the battery would have stored, so only export counts and the EV
+// backs off until the battery is saturated. With solar_battery above ev_battery_min_soc the
+// battery's charge and up to ev_battery_power of discharge count too
+function getEvSurplus(evPower, inputs) {
+    const { gridPower, batterySoc, batteryPower } = inputs;
+    if (CONFIG.ev_policy === 'solar_battery' && batterySoc > CONFIG.ev_battery_min_soc) {
+        return evPower - gridPower + batteryPower + CONFIG.ev_battery_power;
+    }
+    const batteryStoring = batteryPower > CONFIG.battery_charging_threshold && batterySoc < CONFIG.max_soc_threshold;
+    if (batteryStoring && gridPower >= 0) {
+        return -gridPower;
+    }
+    return evPower - gridPower + Math.min(0, batteryPower);
+}
+
+// Charger current for this run (A, 0 = paused). The surplus is smoothed, turned into a
+// current and rounded down; with ev_wait_for_export_target, solar current only counts once
+// the day's export target is met (or in ZERO_EXPORT, where export earns nothing). The departure policy adds the current
+// that still delivers ev_departure_kwh by ev_departure_hour, from the grid if need be.
+// Below ev_min_current the charger pauses, and the setpoint moves at most ev_ramp_up_amps /
+// ev_ramp_down_amps per run. Starts and pauses are logged, and so is the setpoint once it has
+// moved ev_log_current_step from the last logged one. Sessions start when the EV is connected
+// (ev_connected, assumed when not reported) and end on disconnect or at departure.
+// Returns null when no charger is configured, otherwise { current, grid_power, status } with
+// grid_power the departure top-up's draw (W) that the grid should supply
+function controlEvCharger(state, inputs) {
+    if (!CONFIG.ev_charger_enabled) return null;
+
+    const { dailyExport, targetExport } = inputs;
+    const now = Date.now();
+    const store = getEvChargerState();
+    const connected = global.get('ev_connected') !== false;
+    const measured = getFreshReading('ev_power', now);
+    const evPower = measured !== null ? Math.max(0, measured) : evAmpsToWatts(store.current);
+
+    if (store.session && store.updated_at) {
+        const elapsedHours = Math.min(Math.max(0, now - store.updated_at), MAX_INTEGRATION_GAP_MINUTES * 60000) / 3600000;
+        store.session.energy_kwh += store.power * elapsedHours / 1000;
+    }
+    if (store.session && (!connected || now >= store.session.departure_at)) {
+        const energy = Math.round(store.session.energy_kwh * 100) / 100;
+        logEvEvent('SESSION_ENDED', `${energy}kWh ${connected ? 'by departure' : 'before disconnect'}`, {
+            session_kwh: energy,
+            started_at: getLocalISOString(new Date(store.session.started_at)),
+            policy: CONFIG.ev_policy
+        });
+        store.session = null;
+    }
+    if (connected && !store.session) {
+        store.session = { started_at: now, energy_kwh: 0, departure_at: getNextEvDeparture(now) };
+    }
+
+    // SAFE_MODE inputs can't be trusted: no surplus, and smoothing starts over afterwards
+    const safeMode = state === STATES.SAFE_MODE;
+    const rawSurplus = safeMode ? 0 : getEvSurplus(evPower, inputs);
+    const surplus = store.surplus === null ? rawSurplus : store.surplus + CONFIG.ev_smoothing * (rawSurplus - store.surplus);
+    const exportDone = !safeMode &&
+        (!CONFIG.ev_wait_for_export_target || dailyExport >= targetExport || state === STATES.ZERO_EXPORT);
+
+    let target = exportDone ? Math.floor(evWattsToAmps(surplus)) : 0;
+    let reason = exportDone ? `Surplus ${Math.round(surplus)}W` : 'Export target not reached';
+    let remainingKwh = null;
+    let requiredCurrent = 0;
+    let topUp = false;
+    if (CONFIG.ev_policy === 'departure' && store.session && !safeMode) {
+        remainingKwh = Math.max(0, CONFIG.ev_departure_kwh - store.session.energy_kwh);
+        const hoursLeft = Math.max((store.session.departure_at - now) / 3600000, 1 / 60);
+        requiredCurrent = remainingKwh > 0 ? Math.max(CONFIG.ev_min_current, Math.ceil(evWattsToAmps(remainingKwh * 1000 / hoursLeft))) : 0;
+        if (requiredCurrent > target) {
+            target = requiredCurrent;
+            topUp = true;
+            reason = `${Math.round(remainingKwh * 10) / 10}kWh needed by ${pad(CONFIG.ev_departure_hour)}:00`;
+        }
+    }
+
+    if (!connected) {
+        target = 0;
+        reason = 'Not connected';
+    } else if (safeMode) {
+        target = 0;
+        reason = 'Paused in SAFE_MODE';
+    } else if (target < CONFIG.ev_min_current) {
+        if (exportDone || requiredCurrent > 0) reason += ` below ${CONFIG.ev_min_current}A minimum`;
+        target = 0;
+    } else {
+        target = Math.min(target, CONFIG.ev_max_current);
+    }
+
+    const previous = store.current;
+    let current;
+    if (target === 0) {
+        current = 0;
+    } else if (previous === 0) {
+        current = CONFIG.ev_min_current;
+    } else if (target > previous) {
+        current = Math.min(target, previous + CONFIG.ev_ramp_up_amps);
+    } else {
+        current = Math.max(target, previous - CONFIG.ev_ramp_down_amps);
+    }
+
+    const sessionKwh = store.session ? Math.round(store.session.energy_kwh * 100) / 100 : 0;
+    const logged = typeof store.logged_current === 'number' ? store.logged_current : previous;
+    const startStop = (previous === 0) !== (current === 0);
+    const adjusted = !startStop && current > 0 && CONFIG.ev_log_current_step > 0 &&
+        Math.abs(current - logged) >= CONFIG.ev_log_current_step;
+    if (startStop || adjusted) {
+        const action = adjusted ? 'ADJUSTED' : current > 0 ? 'STARTED' : 'STOPPED';
+        const setpoint = adjusted ? `${logged}A → ${current}A` : current > 0 ? `${current}A` : 'paused';
+        logEvEvent(action, `${setpoint} (${reason}), session ${sessionKwh}kWh`, {
+            current,
+            target_current: target,
+            surplus: Math.round(surplus),
+            session_kwh: sessionKwh,
+            policy: CONFIG.ev_policy,
+            state
+        });
+    }
+
+    if (startStop || adjusted) store.logged_current = current;
+    store.current = current;
+    store.power = measured !== null ? Math.max(0, measured) : evAmpsToWatts(current);
+    store.surplus = safeMode ? null : surplus;
+    store.updated_at = now;
+    global.set('ev_charger_state', store, 'file');
+
+    return {
+        current,
+        grid_power: topUp && current > 0 ? evAmpsToWatts(current) : 0,
+        status: {
+            policy: CONFIG.ev_policy,
+            connected,
+            current,
+            target_current: target,
+            surplus: Math.round(surplus),
+            power: Math.round(evPower),
+            session_kwh: sessionKwh,
+            session_started: store.session ? getLocalISOString(new Date(store.session.started_at)) : null,
+            departure: store.session ? getLocalISOString(new Date(store.session.departure_at)) : null,
+            remaining_kwh: remainingKwh === null ? null : Math.round(remainingKwh * 100) / 100,
+            required_current: requiredCurrent,
+            reason
+        }
+    };
+}
+
+// =============================================================================
+// LONG-TERM EXPORT HISTORY
+// =============================================================================
+
+// `export_history_longterm` (file store) keeps daily records keyed YYYY-MM-DD plus
+// monthly (YYYY-MM) and yearly (YYYY) aggregates, so date ranges are plain key ranges.
+// Created on first use from export_history_30days
+function loadLongTermHistory() {
+    const existing = global.get('export_history_longterm', 'file');
+    if (existing) return existing;
+
+    const store = { daily: {}, monthly: {}, yearly: {} };
+    const today = getLocalDateString();
+    const seeded = (global.get('export_history_30days', 'file') || []).filter(entry => entry.date < today);
+    seeded.forEach(entry => {
+        store.daily[entry.date] = toLongTermRecord(entry);
+    });
+    new Set(seeded.map(entry => entry.date.slice(0, 7))).forEach(month => updateLongTermAggregates(store, month));
+    global.set('export_history_longterm', store, 'file');
+
+    if (seeded.length > 0) {
+        addPersistentLog('SYSTEM', `Long-term export history created from ${seeded.length} days of export_history_30days`, {
+            days: seeded.length
+        }, 'low');
+    }
+    return store;
+}
+
+function toLongTermRecord(entry) {
+    const record = { export: entry.export || 0, target: entry.target || 0 };
+    if (entry.status) record.status = entry.status;
+    HISTORY_MEASUREMENTS.forEach(key => {
+        if (typeof entry[key] === 'number') record[key] = entry[key];
+    });
+    if (entry.loads) record.loads = sumLoadEnergy([entry.loads]);
+    return record;
+}
+
+// Money totals are summed only over the records that have them, counted in priced_days
+function summariseExportRecords(records) {
+    const summary = records.reduce((totals, record) => {
+        totals.export += record.export || 0;
+        totals.target += record.target || 0;
+        totals.days += record.days !== undefined ? record.days : 1;
+        totals.days_met += record.days_met !== undefined ? record.days_met : (record.export >= record.target ? 1 : 0);
+        FINANCIAL_MEASUREMENTS.forEach(key => {
+            if (typeof record[key] === 'number') totals[key] = (totals[key] || 0) + record[key];
+        });
+        if (typeof record.net === 'number') {
+            totals.priced_days = (totals.priced_days || 0) + (record.priced_days !== undefined ? record.priced_days : 1);
+        }
+        return totals;
+    }, { export: 0, target: 0, days: 0, days_met: 0 });
+    if (records.some(record => record.loads)) {
+        summary.loads = sumLoadEnergy(records.map(record => record.loads));
+    }
+    summary.achievement_rate = summary.target > 0 ? summary.export / summary.target : null;
+    return summary;
+}
+
+// Rebuild one month's aggregate from its daily records, then its year from the months
+function updateLongTermAggregates(store, month) {
+    const monthRecords = Object.keys(store.daily)
+        .filter(date => date.startsWith(month))
+        .map(date => store.daily[date]);
+    if (monthRecords.length > 0) {
+        store.monthly[month] = summariseExportRecords(monthRecords);
+    }
+
+    const year = month.slice(0, 4);
+    store.yearly[year] = summariseExportRecords(Object.keys(store.monthly)
+        .filter(key => key.startsWith(year))
+        .map(key => store.monthly[key]));
+}
+
+function pruneLongTermHistory(store) {
+    const dailyCutoff = shiftDateString(getLocalDateString(), -CONFIG.long_term_history_days);
+    Object.keys(store.daily).forEach(date => {
+        if (date < dailyCutoff) delete store.daily[date];
+    });
+
+    const firstYear = String(getLocalParts().year - CONFIG.long_term_aggregate_years + 1);
+    Object.keys(store.monthly).forEach(month => {
+        if (month.slice(0, 4) < firstYear) delete store.monthly[month];
+    });
+    Object.keys(store.yearly).forEach(year => {
+        if (year < firstYear) delete store.yearly[year];
+    });
+}
+
+function recordLongTermDays(entries) {
+    const store = loadLongTermHistory();
+    entries.forEach(entry => {
+        store.daily[entry.date] = toLongTermRecord(entry);
+    });
+    new Set(entries.map(entry => entry.date.slice(0, 7))).forEach(month => updateLongTermAggregates(store, month));
+    pruneLongTermHistory(store);
+    global.set('export_history_longterm', store, 'file');
+}
+
+function recordLongTermDay(entry) {
+    recordLongTermDays([entry]);
+}
+
+function selectRange(records, start, end, keyName) {
+    return Object.keys(records)
+        .filter(key => (!start || key >= start) && (!end || key <= end))
+        .sort()
+        .map(key => ({ [keyName]: key, ...records[key] }));
+}
+
+// Daily records between two YYYY-MM-DD dates (inclusive, either end optional)
+function getExportHistory(startDate, endDate) {
+    return selectRange(loadLongTermHistory().daily, startDate, endDate, 'date');
+}
+
+// Monthly aggregates between two YYYY-MM months (inclusive, either end optional)
+function getMonthlyExportSummary(startMonth, endMonth) {
+    return selectRange(loadLongTermHistory().monthly, startMonth, endMonth, 'month');
+}
+
+// Yearly aggregates between two years (inclusive, either end optional)
+function getYearlyExportSummary(startYear, endYear) {
+    return selectRange(loadLongTermHistory().yearly,
+        startYear !== undefined ? String(startYear) : undefined,
+        endYear !== undefined ? String(endYear) : undefined, 'year');
+}
+
+// Today's, month-to-date and year-to-date money totals ($). Finalised days come from the
+// long-term history (earlier months from their aggregates) and today from its running entry
+function getFinancialSummary(store = loadLongTermHistory()) {
+    const today = getLocalDateString();
+    const month = today.slice(0, 7);
+    const todayEntry = (global.get('export_history_30days', 'file') || []).find(entry => entry.date === today);
+
+    const total = records => {
+        const priced = records.filter(record => typeof record.net === 'number');
+        const totals = { days: priced.reduce((sum, record) => sum + (record.priced_days !== undefined ? record.priced_days : 1), 0) };
+        FINANCIAL_MEASUREMENTS.forEach(key => {
+            totals[key] = priced.reduce((sum, record) => sum + record[key], 0);
+        });
+        return totals;
+    };
+
+    const monthDays = Object.keys(store.daily)
+        .filter(date => date.startsWith(month) && date !== today)
+        .map(date => store.daily[date]);
+    if (todayEntry) monthDays.push(todayEntry);
+    const monthToDate = total(monthDays);
+    const earlierMonths = Object.keys(store.monthly)
+        .filter(key => key.startsWith(month.slice(0, 4)) && key < month)
+        .map(key => store.monthly[key]);
+
+    return {
+        today: todayEntry && typeof todayEntry.net === 'number' ? total([todayEntry]) : null,
+        month_to_date: monthToDate,
+        year_to_date: total([...earlierMonths, { ...monthToDate, priced_days: monthToDate.days }])
+    };
+}
+
+// Today's, month-to-date and year-to-date run time and energy per load, built like
+// getFinancialSummary. Answers e.g. how much solar the HWS took this month
+function getLoadEnergySummary(store = loadLongTermHistory()) {
+    const today = getLocalDateString();
+    const month = today.slice(0, 7);
+    const todayEntry = (global.get('export_history_30days', 'file') || []).find(entry => entry.date === today);
+
+    const monthDays = Object.keys(store.daily)
+        .filter(date => date.startsWith(month) && date !== today)
+        .map(date => store.daily[date].loads);
+    if (todayEntry) monthDays.push(todayEntry.loads);
+    const monthToDate = sumLoadEnergy(monthDays);
+    const earlierMonths = Object.keys(store.monthly)
+        .filter(key => key.startsWith(month.slice(0, 4)) && key < month)
+        .map(key => store.monthly[key].loads);
+
+    return {
+        today: sumLoadEnergy([todayEntry && todayEntry.loads]),
+        month_to_date: monthToDate,
+        year_to_date: sumLoadEnergy([...earlierMonths, monthToDate])
+    };
+}
+
+// =============================================================================
+// DATA FRESHNESS
+// =============================================================================
+
+// Tracked sensor globals and the inputs field each one feeds
+const SENSOR_INPUTS = {
+    victron_soc: 'batterySoc',
+    grid_power: 'gridPower',
+    generation: 'generation',
+    battery_power: 'batteryPower',
+    export_daily: 'dailyExport'
+};
+
+// Latest update time for a sensor from its `<sensor>_updated` global or msg.sensor_updated
+// (epoch ms or ISO string). null when the sensor isn't timestamped at all
+function getSensorUpdateTime(sensor, messageTimestamps) {
+    const times = [global.get(`${sensor}_updated`), messageTimestamps ? messageTimestamps[sensor] : undefined]
+        .filter(value => value !== undefined && value !== null)
+        .map(value => new Date(value).getTime())
+        .filter(time => !isNaN(time));
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+// Derive one stale power reading from the other two via the power balance
+// grid = load + battery - generation, using the load seen when all three were fresh
+function deriveSensorValue(sensor, inputs, load) {
+    switch (sensor) {
+        case 'generation':
+            return Math.max(0, load + inputs.batteryPower - inputs.gridPower);
+        case 'grid_power':
+            return load + inputs.batteryPower - inputs.generation;
+        case 'battery_power':
+            return inputs.gridPower + inputs.generation - load;
+        default:
+            return null;
+    }
+}
+
+// Check every tracked sensor against CONFIG.data_freshness_limit and apply its stale policy.
+// Violations are logged when they start and when they clear, not every cycle
+function applySensorFreshness(sensorInputs, messageTimestamps) {
+    const now = Date.now();
+    const limitMs = CONFIG.data_freshness_limit * 60 * 1000;
+    const inputs = { ...sensorInputs };
+    const lastGood = global.get('sensor_last_good') || { values: {}, load: null };
+    const staleSince = global.get('sensor_stale_since') || {};
+    const stale = [];
+
+    Object.entries(SENSOR_INPUTS).forEach(([sensor, field]) => {
+        const updatedAt = getSensorUpdateTime(sensor, messageTimestamps);
+        if (updatedAt === null || now - updatedAt <= limitMs) {
+            lastGood.values[field] = sensorInputs[field];
+            if (staleSince[sensor]) {
+                addPersistentLog('DATA_PROTECTION', `${sensor} data fresh again after ${Math.round((now - staleSince[sensor].started_at) / 60000)} min stale`, {
+                    sensor: sensor,
+                    policy: staleSince[sensor].policy,
+                    stale_minutes: Math.round((now - staleSince[sensor].started_at) / 60000)
+                }, 'normal');
+                delete staleSince[sensor];
+            }
+            return;
+        }
+
+        stale.push({
+            sensor: sensor,
+            policy: CONFIG[`stale_policy_${sensor}`],
+            age_minutes: Math.round((now - updatedAt) / 60000),
+            reading: sensorInputs[field]
+        });
+    });
+
+    const staleSensors = stale.map(entry => entry.sensor);
+    const powerSensors = ['grid_power', 'generation', 'battery_power'];
+    if (!powerSensors.some(sensor => staleSensors.includes(sensor))) {
+        lastGood.load = sensorInputs.gridPower + sensorInputs.generation - sensorInputs.batteryPower;
+    }
+
+    const canDerive = lastGood.load !== null && powerSensors.filter(sensor => staleSensors.includes(sensor)).length === 1;
+
+    // Holds first, so a substitute is derived from the best available readings
+    stale.forEach(entry => {
+        const field = SENSOR_INPUTS[entry.sensor];
+        if (lastGood.values[field] !== undefined) {
+            inputs[field] = lastGood.values[field];
+            entry.action = 'held last good value';
+        } else {
+            entry.action = 'no last good value, using reading';
+        }
+    });
+    stale.forEach(entry => {
+        if (entry.policy === 'substitute' && canDerive) {
+            inputs[SENSOR_INPUTS[entry.sensor]] = deriveSensorValue(entry.sensor, inputs, lastGood.load);
+            entry.action = 'substituted derived value';
+        } else if (entry.policy === 'safe_mode') {
+            entry.action = 'safe mode';
+        }
+        entry.value_used = inputs[SENSOR_INPUTS[entry.sensor]];
+
+        if (!staleSince[entry.sensor]) {
+            staleSince[entry.sensor] = { started_at: now, policy: entry.policy };
+            addPersistentLog('DATA_PROTECTION', `${entry.sensor} data stale (${entry.age_minutes} min old) - ${entry.action}`, {
+                sensor: entry.sensor,
+                age_minutes: entry.age_minutes,
+                freshness_limit: CONFIG.data_freshness_limit,
+                policy: entry.policy,
+                reading: entry.reading,
+                value_used: entry.value_used
+            }, 'high');
+        }
+    });
+
+    global.set('sensor_last_good', lastGood);
+    global.set('sensor_stale_since', staleSince);
+
+    return {
+        inputs: inputs,
+        stale: stale.map(({ sensor, policy, age_minutes, action, value_used }) => ({ sensor, policy, age_minutes, action, value_used })),
+        safeMode: stale.some(entry => entry.policy === 'safe_mode')
+    };
+}
+
+// =============================================================================
+// SAFE MODE
+// =============================================================================
+
+// The one action set for SAFE_MODE: ESS off so bad data can't drive the battery,
+// inverter left on (mode 4 would also cut AC to the house). Every managed load is
+// switched off alongside it (see allocateLoads)
+const SAFE_MODE_ACTIONS = {
+    set_ess_mode: false,
+    grid_setpoint: null,
+    curtail_pv: false,
+    inverter_mode: 3
+};
+
+const MAX_SAFE_MODE_HISTORY = 20;
+
+// cause: 'validation', 'exception', 'stale_data', 'unknown_state' or 'manual'.
+// Failing again while already in SAFE_MODE restarts the recovery count
+function enterSafeMode(cause, reason, inputs) {
+    const now = Date.now();
+    const episode = global.get('energy_management_safe_mode', 'file');
+    if (episode) {
+        episode.valid_cycles = 0;
+        episode.last_failure = { cause: cause, reason: reason, timestamp: getLocalISOString() };
+        global.set('energy_management_safe_mode', episode, 'file');
+        global.set('energy_management_state', STATES.SAFE_MODE);
+        return episode;
+    }
+
+    const previousState = global.get('energy_management_state');
+    const windowStart = now - CONFIG.safe_mode_entry_window_hours * 60 * 60 * 1000;
+    const history = global.get('energy_management_safe_mode_history', 'file') || [];
+    const recentEntries = history.filter(past => past.entered_at >= windowStart).length + 1;
+
+    const newEpisode = {
+        cause: cause,
+        reason: reason,
+        entered_at: now,
+        entered_iso: getLocalISOString(),
+        previous_state: previousState || null,
+        valid_cycles: 0,
+        recent_entries: recentEntries,
+        latched: recentEntries > CONFIG.safe_mode_max_entries
+    };
+    global.set('energy_management_safe_mode', newEpisode, 'file');
+    global.set('energy_management_state', STATES.SAFE_MODE);
+    clearOtherStateChangeRequests(null);
+
+    addPersistentLog('SAFE_MODE', `Entered SAFE_MODE (${cause}): ${reason}`, {
+        cause: cause,
+        reason: reason,
+        previous_state: newEpisode.previous_state,
+        recent_entries: recentEntries
+    }, 'critical');
+
+    if (newEpisode.latched) {
+        addPersistentLog('SAFE_MODE', `SAFE_MODE latched: ${recentEntries} entries in ${CONFIG.safe_mode_entry_window_hours}h - automatic recovery disabled until set_state`, {
+            recent_entries: recentEntries,
+            max_entries: CONFIG.safe_mode_max_entries,
+            window_hours: CONFIG.safe_mode_entry_window_hours
+        }, 'critical');
+    }
+
+    if (previousState && previousState !== STATES.SAFE_MODE) {
+        logStateChange(previousState, STATES.SAFE_MODE, reason, inputs || {});
+    }
+    return newEpisode;
+}
+
+// exit: 'recovered' or 'manual'. Returns the state control resumes from
+function exitSafeMode(exit, inputs, targetState) {
+    const episode = global.get('energy_management_safe_mode', 'file') || {};
+    const now = Date.now();
+    const previousValid = Object.values(STATES).includes(episode.previous_state) && episode.previous_state !== STATES.SAFE_MODE;
+    const resumeState = targetState || (previousValid ? episode.previous_state : STATES.EXPORT_PRIORITY);
+    const durationMinutes = episode.entered_at ? Math.round((now - episode.entered_at) / 60000) : 0;
+
+    let history = global.get('energy_management_safe_mode_history', 'file') || [];
+    history.push({
+        cause: episode.cause,
+        reason: episode.reason,
+        entered_at: episode.entered_at,
+        entered_iso: episode.entered_iso,
+        exited_iso: getLocalISOString(),
+        duration_minutes: durationMinutes,
+        exit: exit,
+        resumed_state: resumeState
+    });
+    if (history.length > MAX_SAFE_MODE_HISTORY) {
+        history = history.slice(-MAX_SAFE_MODE_HISTORY);
+    }
+    global.set('energy_management_safe_mode_history', history, 'file');
+    global.set('energy_management_safe_mode', undefined, 'file');
+    global.set('energy_management_state', resumeState);
+    clearOtherStateChangeRequests(null);
+
+    const reason = exit === 'recovered'
+        ? `Recovered after ${episode.valid_cycles} valid cycles`
+        : 'Manual command';
+    addPersistentLog('SAFE_MODE', `Left SAFE_MODE after ${durationMinutes} min (${reason}) → ${resumeState}`, {
+        cause: episode.cause,
+        exit: exit,
+        duration_minutes: durationMinutes,
+        resumed_state: resumeState
+    }, 'high');
+    logStateChange(STATES.SAFE_MODE, resumeState, reason, inputs || {});
+
+    return resumeState;
+}
+
+// Count a cycle with valid inputs. Returns the state to resume from once enough
+// consecutive cycles have passed, or null while SAFE_MODE holds (or is latched)
+function recordSafeModeValidCycle(inputs) {
+    const episode = global.get('energy_management_safe_mode', 'file') ||
+        enterSafeMode('unknown_state', 'In SAFE_MODE without an episode record', inputs);
+
+    episode.valid_cycles += 1;
+    global.set('energy_management_safe_mode', episode, 'file');
+    if (episode.latched || episode.valid_cycles < CONFIG.safe_mode_recovery_cycles) {
+        return null;
+    }
+    return exitSafeMode('recovered', inputs);
+}
+
+function getSafeModeStatus() {
+    const episode = global.get('energy_management_safe_mode', 'file');
+    if (!episode) return null;
+
+    return {
+        cause: episode.cause,
+        reason: episode.reason,
+        since: episode.entered_iso,
+        duration_minutes: Math.round((Date.now() - episode.entered_at) / 60000),
+        valid_cycles: episode.valid_cycles,
+        required_cycles: CONFIG.safe_mode_recovery_cycles,
+        latched: episode.latched
+    };
+}
+
+// Every managed load off and the EV charger paused. Also used on the fatal error path, so a
+// failing load manager or EV controller still leaves each device commanded off
+function getSafeModeLoadActions() {
+    try {
+        const actions = allocateLoads(STATES.SAFE_MODE, {}).actions;
+        if (controlEvCharger(STATES.SAFE_MODE, {})) actions.ev_charge_current = 0;
+        return actions;
+    } catch (error) {
+        node.warn(`Load manager failed in SAFE_MODE: ${error.message}`);
+        const actions = {};
+        getLoadRegistry().forEach(load => { actions[`enable_${load.name}`] = false; });
+        if (CONFIG.ev_charger_enabled) actions.ev_charge_current = 0;
+        return actions;
+    }
+}
+
+function generateSafeModeOutput(reason, status = {}) {
+    return {
+        timestamp: getLocalISOString(),
+        current_state: STATES.SAFE_MODE,
+        actions: { ...getSafeModeLoadActions(), ...SAFE_MODE_ACTIONS },
+        status: {
+            ...status,
+            safe_mode: getSafeModeStatus()
+        },
+        debug: {
+            state_reason: reason,
+            next_check: new Date(Date.now() + 5 * 60 * 1000).toISOString()
+        }
+    };
+}
+
+// =============================================================================
+// MANUAL OVERRIDE
+// =============================================================================
+
+// Switch state outside the state machine (commands), through the same
+// persistence, logging and debounce cleanup as a normal transition.
+// Entering or leaving SAFE_MODE this way opens or closes a SAFE_MODE episode
+function setStateManually(state, reason) {
+    const currentState = initializeStateIfNeeded();
+    if (state === currentState) {
+        return { changed: false, previous_state: currentState };
+    }
+
+    const inputs = { ...readSensorInputs(), targetExport: getCurrentMonthTarget() };
+    if (state === STATES.SAFE_MODE) {
+        enterSafeMode('manual', reason, inputs);
+    } else if (currentState === STATES.SAFE_MODE) {
+        exitSafeMode('manual', inputs, state);
+    } else {
+        global.set('energy_management_state', state);
+        clearOtherStateChangeRequests(null);
+        logStateChange(currentState, state, reason, inputs);
+    }
+    return { changed: true, previous_state: currentState };
+}
+
+function startManualOverride(state, expiresAt, reason) {
+    const override = {
+        state: state,
+        reason: reason || '',
+        started_at: Date.now(),
+        expires_at: expiresAt,
+        expires_iso: getLocalISOString(new Date(expiresAt))
+    };
+    global.set('energy_management_override', override, 'file');
+    clearOtherStateChangeRequests(null);
+
+    addPersistentLog('OVERRIDE', `Manual override started: ${state} until ${override.expires_iso}${override.reason ? ` (${override.reason})` : ''}`, {
+        state: state,
+        expires_at: override.expires_iso,
+        duration_minutes: Math.round((expiresAt - override.started_at) / 60000),
+        reason: override.reason
+    }, 'high');
+
+    setStateManually(state, `Manual override: pinned to ${state} until ${override.expires_iso}`);
+    return override;
+}
+
+// ending: 'expired' or 'cancelled'
+function endManualOverride(ending) {
+    const override = global.get('energy_management_override', 'file');
+    if (!override) return null;
+
+    global.set('energy_management_override', undefined, 'file');
+    clearOtherStateChangeRequests(null);
+
+    addPersistentLog('OVERRIDE', `Manual override ${ending}: ${override.state} released to normal control`, {
+        state: override.state,
+        ending: ending,
+        active_minutes: Math.round((Date.now() - override.started_at) / 60000),
+        reason: override.reason
+    }, 'high');
+
+    return override;
+}
+
+// The active override, expiring it first if its time is up
+function getActiveOverride() {
+    const override = global.get('energy_management_override', 'file');
+    if (!override) return null;
+
+    if (Date.now() >= override.expires_at) {
+        endManualOverride('expired');
+        return null;
+    }
+    return override;
+}
+
+function getOverrideStatus() {
+    const override = getActiveOverride();
+    if (!override) return null;
+
+    return {
+        state: override.state,
+        reason: override.reason,
+        expires_at: override.expires_iso,
+        remaining_minutes: Math.ceil((override.expires_at - Date.now()) / 60000)
+    };
+}
+
+// =============================================================================
+// EXPORT PACING
+// =============================================================================
+
+// Relative generation by local hour for a clear day, used until enough days are learned
+const DEFAULT_PACING_CURVE = [
+    0, 0, 0, 0, 0, 0, 0.131, 0.383, 0.609, 0.793, 0.924, 0.991,
+    0.991, 0.924, 0.793, 0.609, 0.383, 0.131, 0, 0, 0, 0, 0, 0
+];
+
+const PACING_PROFILE_DAYS = 30;   // Days the learned curve averages over
+const PACING_MIN_DAYS = 7;        // Learned days needed before the curve is used
+const PACING_MIN_DAY_KWH = 0.5;   // Days generating less than this aren't learned
+const PACING_MIN_EXPECTED_KWH = 1; // Expected export below this is too early to judge
+
+// Fold a finalised day's hourly generation (kWh) into the learned share per hour
+function updatePacingProfile(generationHourly) {
+    const total = (generationHourly || []).reduce((sum, value) => sum + value, 0);
+    if (total < PACING_MIN_DAY_KWH) return;
+
+    const profile = global.get('export_pacing_profile', 'file') || { shares: new Array(24).fill(0), days: 0 };
+    const weight = 1 / Math.min(profile.days + 1, PACING_PROFILE_DAYS);
+    profile.shares = profile.shares.map((share, hour) => share + (generationHourly[hour] / total - share) * weight);
+    profile.days++;
+    global.set('export_pacing_profile', profile, 'file');
+}
+
+// Hourly weights for today: the hourly solar forecast (solar_forecast_hourly, 24 kWh
+// values per date), the learned generation shape, or the built-in clear day curve
+function getPacingCurve() {
+    const today = getHourlyForecast()[getLocalDateString()];
+    if (isHourlyForecast(today) && today.some(value => value > 0)) {
+        return { source: 'forecast', weights: today };
+    }
+
+    const profile = global.get('export_pacing_profile', 'file');
+    if (profile && profile.days >= PACING_MIN_DAYS) {
+        return { source: 'history', weights: profile.shares };
+    }
+    return { source: 'default', weights: DEFAULT_PACING_CURVE };
+}
+
+// Share of the day's export expected by now, interpolated within the current hour
+function getExpectedShare(weights, localNow) {
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    if (!(total > 0)) return 1;
+
+    let done = 0;
+    for (let hour = 0; hour < localNow.hour; hour++) {
+        done += weights[hour];
+    }
+    done += weights[localNow.hour] * (localNow.minute / 60);
+    return Math.min(1, done / total);
+}
+
+// Where today's export stands against the expected cumulative curve
+function getExportPace(dailyExport, targetExport) {
+    if (!CONFIG.pacing_enabled) return null;
+
+    const curve = getPacingCurve();
+    const share = getExpectedShare(curve.weights, getLocalParts());
+    const expected = targetExport * share;
+    const ratio = expected >= PACING_MIN_EXPECTED_KWH ? dailyExport / expected : null;
+
+    let status;
+    if (dailyExport >= targetExport) {
+        status = 'reached';
+    } else if (ratio === null) {
+        status = 'not_started';
+    } else if (ratio >= 1 + CONFIG.pacing_ahead_margin) {
+        status = 'ahead';
+    } else if (ratio <= 1 - CONFIG.pacing_ahead_margin) {
+        status = 'behind';
+    } else {
+        status = 'on_pace';
+    }
+
+    return {
+        source: curve.source,
+        expected_share: share,
+        expected_export: expected,
+        pace_ratio: ratio,
+        status: status
+    };
+}
+
+// =============================================================================
+// SOLAR FORECAST
+// =============================================================================
+
+const FORECAST_MIN_ACCURACY_DAYS = 7; // Days of forecast vs actual before the accuracy counts
+const FORECAST_DAILY_RETENTION_DAYS = 35;
+
+// Hourly solar forecast (kWh, 24 local hours per date), from another flow writing
+// solar_forecast_hourly or the load_forecast command (file store). Local JSON files come in
+// through load_forecast from a File In node - the function node has no filesystem access
+function getHourlyForecast() {
+    return global.get('solar_forecast_hourly') || global.get('solar_forecast_hourly', 'file') || {};
+}
+
+function isHourlyForecast(hours) {
+    return Array.isArray(hours) && hours.length === 24 && hours.every(value => typeof value === 'number' && value >= 0);
+}
+
+function addForecastEnergy(hourly, date, hour, kwh) {
+    hourly[date] = hourly[date] || new Array(24).fill(0);
+    hourly[date][hour] += Math.max(0, kwh);
+}
+
+// Accepts the native { 'YYYY-MM-DD': [24 kWh] } form, Forecast.Solar
+// ({ result: { watt_hours_period: { 'YYYY-MM-DD HH:mm:ss': Wh } } }, site local time,
+// each value ending at its timestamp) or Solcast ({ forecasts: [{ period_end, period,
+// pv_estimate (kW) }] }, UTC)
+function normaliseSolarForecast(data) {
+    const hourly = {};
+
+    if (data && data.result && data.result.watt_hours_period) {
+        Object.keys(data.result.watt_hours_period).forEach(key => {
+            const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(key);
+            if (!match) return;
+            let date = match[1];
+            let hour = parseInt(match[2], 10);
+            if (match[3] === '00' && (match[4] || '00') === '00') {
+                hour--;
+                if (hour < 0) {
+                    date = shiftDateString(date, -1);
+                    hour = 23;
+                }
+            }
+            addForecastEnergy(hourly, date, hour, Number(data.result.watt_hours_period[key]) / 1000 || 0);
+        });
+        return { format: 'forecast.solar', hourly };
+    }
+
+    if (data && Array.isArray(data.forecasts)) {
+        data.forecasts.forEach(period => {
+            const end = new Date(period.period_end).getTime();
+            if (isNaN(end)) return;
+            const minutesMatch = /^PT(\d+)M$/.exec(period.period || 'PT30M');
+            const minutes = minutesMatch ? parseInt(minutesMatch[1], 10) : 30;
+            const start = new Date(end - minutes * 60000);
+            addForecastEnergy(hourly, getLocalDateString(start), getLocalParts(start).hour, (Number(period.pv_estimate) || 0) * minutes / 60);
+        });
+        return { format: 'solcast', hourly };
+    }
+
+    if (data && typeof data === 'object') {
+        Object.keys(data).forEach(date => {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(date) && isHourlyForecast(data[date])) {
+                hourly[date] = data[date].slice();
+            }
+        });
+    }
+    return { format: 'hourly', hourly };
+}
+
+// Merge a normalised forecast into the file store, with daily totals for the weather-aware
+// target. Hourly forecasts before yesterday are dropped
+function storeSolarForecast(hourly) {
+    const today = getLocalDateString();
+    const stored = { ...(global.get('solar_forecast_hourly', 'file') || {}), ...hourly };
+    Object.keys(stored).forEach(date => {
+        if (date < shiftDateString(today, -1)) delete stored[date];
+    });
+    global.set('solar_forecast_hourly', stored, 'file');
+
+    const daily = global.get('solar_forecast_daily', 'file') || {};
+    Object.keys(hourly).forEach(date => {
+        daily[date] = hourly[date].reduce((sum, value) => sum + value, 0);
+    });
+    Object.keys(daily).forEach(date => {
+        if (date < shiftDateString(today, -FORECAST_DAILY_RETENTION_DAYS)) delete daily[date];
+    });
+    global.set('solar_forecast_daily', daily, 'file');
+}
+
+// Forecast vs actual generation over the last 30 finalised days
+function getForecastAccuracy() {
+    const today = getLocalDateString();
+    const days = getExportHistory(shiftDateString(today, -30), shiftDateString(today, -1))
+        .filter(day => day.status !== 'partial' && day.generation >= PACING_MIN_DAY_KWH && typeof day.forecast_generation === 'number');
+
+    if (days.length === 0) {
+        return { days: 0, mean_error_percent: null, bias_ratio: null, trusted: null };
+    }
+
+    const meanError = days.reduce((sum, day) => sum + Math.abs(day.forecast_generation - day.generation) / day.generation, 0) / days.length * 100;
+    const biasRatio = days.reduce((sum, day) => sum + day.forecast_generation, 0) / days.reduce((sum, day) => sum + day.generation, 0);
+    return {
+        days: days.length,
+        mean_error_percent: meanError,
+        bias_ratio: biasRatio,
+        trusted: days.length < FORECAST_MIN_ACCURACY_DAYS ? null : meanError <= CONFIG.forecast_max_error_percent
+    };
+}
+
+// Split the rest of today's forecast surplus between the export target and the battery.
+// 'protect_battery': the surplus can't cover both, so the battery is charged to
+// forecast_overnight_soc first. 'export_early': enough to fill the battery as well, so
+// export first. 'balanced': pacing decides. 'untrusted': the forecast has been too far off
+function getForecastPlan(dailyExport, targetExport, batterySoc) {
+    if (!CONFIG.forecast_enabled) return null;
+
+    const forecast = getHourlyForecast();
+    const today = getLocalDateString();
+    if (!isHourlyForecast(forecast[today])) return null;
+
+    const localNow = getLocalParts();
+    let remainingSolar = 0;
+    let surplus = 0;
+    for (let hour = localNow.hour; hour < 24; hour++) {
+        const fraction = hour === localNow.hour ? 1 - localNow.minute / 60 : 1;
+        const solar = forecast[today][hour] * fraction;
+        remainingSolar += solar;
+        surplus += Math.max(0, solar - CONFIG.forecast_base_load_kw * fraction);
+    }
+
+    const exportNeeded = Math.max(0, targetExport - dailyExport);
+    const batteryNeeded = Math.max(0, CONFIG.forecast_overnight_soc - batterySoc) / 100 * CONFIG.battery_capacity_kwh;
+    const batteryToFull = Math.max(0, CONFIG.max_soc_threshold - batterySoc) / 100 * CONFIG.battery_capacity_kwh;
+    const tomorrow = forecast[shiftDateString(today, 1)];
+    const accuracy = getForecastAccuracy();
+
+    let mode;
+    if (accuracy.trusted === false) {
+        mode = 'untrusted';
+    } else if (surplus >= exportNeeded + batteryToFull) {
+        mode = 'export_early';
+    } else if (surplus < exportNeeded + batteryNeeded) {
+        mode = 'protect_battery';
+    } else {
+        mode = 'balanced';
+    }
+
+    return {
+        mode: mode,
+        remaining_solar_kwh: remainingSolar,
+        surplus_kwh: surplus,
+        export_needed_kwh: exportNeeded,
+        battery_needed_kwh: batteryNeeded,
+        battery_to_full_kwh: batteryToFull,
+        export_allowance_kwh: Math.max(0, surplus - batteryNeeded),
+        tomorrow_kwh: isHourlyForecast(tomorrow) ? tomorrow.reduce((sum, value) => sum + value, 0) : null,
+        accuracy: accuracy
+    };
+}
+
+// =============================================================================
+// TIME-OF-USE TARIFF
+// =============================================================================
+
+const TARIFF_LOOKAHEAD_HOURS = 24;
+const TARIFF_IMPORT_THRESHOLD = 200; // W - grid import above this counts as importing
+
+// Day type and month are those of the time being priced, so a period wrapping midnight
+// uses the next day's type after midnight
+function tariffPeriodMatches(period, localParts) {
+    const dayOfWeek = new Date(Date.UTC(localParts.year, localParts.month - 1, localParts.day)).getUTCDay();
+    const weekend = dayOfWeek === 0 || dayOfWeek === 6;
+    if (period.days === 'weekday' && weekend) return false;
+    if (period.days === 'weekend' && !weekend) return false;
+    if (period.months && !period.months.includes(localParts.month)) return false;
+
+    const minutes = localParts.hour * 60 + localParts.minute;
+    const start = parseTariffTime(period.start);
+    const end = parseTariffTime(period.end);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// A daily window between two whole hours as a period for tariffPeriodMatches
+function getHourWindow(startHour, endHour) {
+    return { start: `${pad(startHour)}:00`, end: `${pad(endHour)}:00` };
+}
+
+// Rates in force at a time, with the flags the state machine acts on
+function getTariffAt(date = new Date()) {
+    const localParts = getLocalParts(date);
+    const period = TARIFF.periods.find(candidate => tariffPeriodMatches(candidate, localParts));
+    const exportRate = period && typeof period.export === 'number' ? period.export : TARIFF.default_export;
+    const importRate = period && typeof period.import === 'number' ? period.import : TARIFF.default_import;
+    const demand = Boolean(period && period.demand);
+
+    return {
+        period: period ? period.name : 'default',
+        export_rate: exportRate,
+        import_rate: importRate,
+        demand: demand,
+        high_feed_in: exportRate >= CONFIG.tariff_high_feed_in_rate,
+        peak: demand || importRate >= CONFIG.tariff_peak_import_rate
+    };
+}
+
+// Instants within TARIFF_LOOKAHEAD_HOURS at which a tariff period could start or end: each
+// period's start and end and local midnight (day type and month), today and tomorrow
+function getTariffBoundaries(now) {
+    const localParts = getLocalParts(new Date(now));
+    const minuteOfDay = localParts.hour * 60 + localParts.minute;
+    const times = [0];
+    TARIFF.periods.forEach(period => times.push(parseTariffTime(period.start), parseTariffTime(period.end)));
+
+    const boundaries = [];
+    [0, 1].forEach(dayOffset => times.forEach(time => {
+        let instant = now + (dayOffset * 24 * 60 + time - minuteOfDay) * 60000;
+        // Correct for a DST change between now and the boundary
+        instant -= (getLocalParts(new Date(instant)).offsetMinutes - localParts.offsetMinutes) * 60000;
+        if (instant > now && instant <= now + TARIFF_LOOKAHEAD_HOURS * 3600000 && !boundaries.includes(instant)) {
+            boundaries.push(instant);
+        }
+    }));
+    return boundaries.sort((a, b) => a - b);
+}
+
+// Current rates and the next change within TARIFF_LOOKAHEAD_HOURS
+function getTariffStatus() {
+    const now = Date.now() - Date.now() % 60000;
+    const current = getTariffAt(new Date(now));
+    const differs = rates => rates.period !== current.period || rates.export_rate !== current.export_rate ||
+        rates.import_rate !== current.import_rate || rates.demand !== current.demand;
+
+    const changeAt = TARIFF.periods.length > 0
+        ? getTariffBoundaries(now).find(instant => differs(getTariffAt(new Date(instant)))) || null
+        : null;
+
+    return {
+        ...current,
+        next: changeAt !== null ? { ...getTariffAt(new Date(changeAt)), starts_at: getLocalISOString(new Date(changeAt)) } : null
+    };
+}
+
+// =============================================================================
+// ZERO EXPORT
+// =============================================================================
+
+// Whether exporting should stop now: a ZERO_EXPORT_SCHEDULE window is active, or the
+// feed-in price is at or below zero_export_price_threshold. The price is the live
+// `feed_in_price` global (c/kWh) while it is fresh, otherwise the tariff's export rate
+function getZeroExportStatus(date = new Date()) {
+    const localParts = getLocalParts(date);
+    const window = ZERO_EXPORT_SCHEDULE.find(candidate => tariffPeriodMatches(candidate, localParts));
+
+    const livePrice = global.get('feed_in_price');
+    const priceUpdated = getSensorUpdateTime('feed_in_price');
+    const liveFresh = typeof livePrice === 'number' && isFinite(livePrice) &&
+        (priceUpdated === null || date.getTime() - priceUpdated <= CONFIG.data_freshness_limit * 60 * 1000);
+    const price = liveFresh ? livePrice : getTariffAt(date).export_rate;
+    const priceLow = price <= CONFIG.zero_export_price_threshold;
+
+    const trigger = !CONFIG.zero_export_enabled ? null : window ? 'schedule' : priceLow ? 'price' : null;
+    return {
+        active: trigger !== null,
+        trigger: trigger,
+        window: window ? window.name : null,
+        price: price,
+        price_source: liveFresh ? 'live' : 'tariff',
+        reason: trigger === 'schedule'
+            ? `zero-export window '${window.name}' (${window.start}-${window.end})`
+            : trigger === 'price' ? `feed-in ${price}c/kWh at or below ${CONFIG.zero_export_price_threshold}c/kWh (${liveFresh ? 'live price' : 'tariff'})` : null
+    };
+}
+
+// =============================================================================
+// GRID DISCHARGE
+// =============================================================================
+
+const DISCHARGE_START_MARGIN = 2; // % - SOC above the reserve needed to start discharging
+
+// Whether the evening discharge window is open at a good enough feed-in rate, and the
+// reserve SOC that carries the household load (discharge_overnight_load_kw) from now until
+// night_end_hour without going below min_soc_threshold
+function getDischargeStatus(date = new Date()) {
+    const localParts = getLocalParts(date);
+    const window = getHourWindow(CONFIG.discharge_start_hour, CONFIG.discharge_end_hour);
+    const inWindow = tariffPeriodMatches(window, localParts);
+    const exportRate = getTariffAt(date).export_rate;
+
+    const minutesToMorning = (CONFIG.night_end_hour * 60 - (localParts.hour * 60 + localParts.minute) + 24 * 60) % (24 * 60);
+    const reserveKwh = CONFIG.discharge_overnight_load_kw * minutesToMorning / 60;
+    const reserveSoc = Math.min(CONFIG.max_soc_threshold,
+        CONFIG.min_soc_threshold + reserveKwh / CONFIG.battery_capacity_kwh * 100);
+
+    return {
+        active: CONFIG.discharge_enabled && inWindow && exportRate >= CONFIG.discharge_min_export_rate,
+        window: `${window.start}-${window.end}`,
+        in_window: inWindow,
+        export_rate: exportRate,
+        power: CONFIG.discharge_power,
+        hours_to_morning: Math.round(minutesToMorning / 6) / 10,
+        reserve_soc: Math.round(reserveSoc * 10) / 10
+    };
+}
+
+// =============================================================================
+// GRID CHARGE
+// =============================================================================
+
+const GRID_CHARGE_START_MARGIN = 2;    // % - SOC below the target needed to start grid charging
+const GRID_CHARGE_HISTORY_DAYS = 7;    // Recent finalised days averaged when there is no forecast
+const GRID_CHARGE_MIN_HISTORY_DAYS = 3; // Days with generation needed before history is used
+
+// Expected solar for the coming solar day (today before noon, otherwise tomorrow) and the
+// part of it generated before grid_charge_morning_end_hour: the hourly forecast, the daily
+// forecast or the recent generation average spread over the learned or clear day curve
+function getExpectedMorningSolar(date = new Date()) {
+    const today = getLocalDateString(date);
+    const solarDate = getLocalParts(date).hour < 12 ? today : shiftDateString(today, 1);
+    const endHour = CONFIG.grid_charge_morning_end_hour;
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    const hourly = getHourlyForecast()[solarDate];
+    if (isHourlyForecast(hourly)) {
+        return { date: solarDate, source: 'forecast', daily_kwh: sum(hourly), morning_kwh: sum(hourly.slice(0, endHour)) };
+    }
+
+    let source = 'forecast';
+    let dailyKwh = getSolarForecast()[solarDate];
+    if (typeof dailyKwh !== 'number' || dailyKwh < 0) {
+        const recent = getExportHistory(shiftDateString(today, -GRID_CHARGE_HISTORY_DAYS), shiftDateString(today, -1))
+            .filter(entry => entry.status !== 'partial' && typeof entry.generation === 'number');
+        if (recent.length < GRID_CHARGE_MIN_HISTORY_DAYS) return null;
+        source = 'history';
+        dailyKwh = sum(recent.map(entry => entry.generation)) / recent.length;
+    }
+
+    const profile = global.get('export_pacing_profile', 'file');
+    const weights = profile && profile.days >= PACING_MIN_DAYS ? profile.shares : DEFAULT_PACING_CURVE;
+    const total = sum(weights);
+    const share = total > 0 ? sum(weights.slice(0, endHour)) / total : 0;
+    return { date: solarDate, source, daily_kwh: dailyKwh, morning_kwh: dailyKwh * share };
+}
+
+// Whether a cheap-import window is open outside the export day, and the SOC the battery
+// needs so that min_soc_threshold plus the morning load not covered by expected morning
+// solar is in it at sunrise, capped at grid_charge_max_soc
+function getGridChargeStatus(date = new Date()) {
+    const window = getHourWindow(CONFIG.grid_charge_start_hour, CONFIG.grid_charge_end_hour);
+    const inWindow = tariffPeriodMatches(window, getLocalParts(date));
+    const importRate = getTariffAt(date).import_rate;
+    // Import during the solar day would be netted against the export being counted
+    const exportDay = !isNightTime(date);
+
+    const solar = getExpectedMorningSolar(date);
+    const shortfallKwh = solar ? Math.max(0, CONFIG.grid_charge_morning_load_kwh - solar.morning_kwh) : 0;
+    const targetSoc = Math.min(CONFIG.grid_charge_max_soc,
+        CONFIG.min_soc_threshold + shortfallKwh / CONFIG.battery_capacity_kwh * 100);
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+        active: CONFIG.grid_charge_enabled && inWindow && !exportDay &&
+            importRate <= CONFIG.grid_charge_max_import_rate && shortfallKwh > 0,
+        window: `${window.start}-${window.end}`,
+        in_window: inWindow,
+        export_day: exportDay,
+        import_rate: importRate,
+        power: CONFIG.grid_charge_power,
+        solar_date: solar ? solar.date : null,
+        solar_source: solar ? solar.source : null,
+        expected_solar_kwh: solar ? round(solar.daily_kwh) : null,
+        morning_solar_kwh: solar ? round(solar.morning_kwh) : null,
+        shortfall_kwh: round(shortfallKwh),
+        target_soc: round(targetSoc)
+    };
+}
+
+// =============================================================================
+// BATTERY PROTECTION HELPER
+// =============================================================================
+
+function isBatteryProtectionActive(batterySoc, batteryPower, exportTargetReached) {
+    const socCritical = batterySoc <= CONFIG.min_soc_threshold;
+    const batteryDischarging = batteryPower < 0;
+    
+    return socCritical && batteryDischarging;
+}
+
+// =============================================================================
+// MAIN STATE MACHINE LOGIC
+// =============================================================================
+
+function processStateTransition(currentState, inputs) {
+    const {
+        dailyExport,
+        targetExport,
+        generation,
+        gridPower,
+        batterySoc,
+        batteryPower,
+        inverterMode,
+        pace,
+        forecastPlan,
+        tariff,
+        zeroExport,
+        discharge,
+        gridCharge
+    } = inputs;
+
+    const excessGeneration = getExcessGeneration(generation, gridPower);
+    const exportTargetReached = dailyExport >= targetExport;
+    const batteryFull = batterySoc >= CONFIG.max_soc_threshold;
+    const batteryLow = batterySoc <= CONFIG.min_soc_threshold;
+    const batteryCharging = batteryPower > 0;
+
+    // Far enough ahead of the intraday curve to charge the battery before the target is
+    // reached; once storing, stay until export falls back to pace
+    const storing = currentState === STATES.BATTERY_STORAGE || currentState === STATES.LOAD_MANAGEMENT;
+    const forecastMode = forecastPlan ? forecastPlan.mode : null;
+    const aheadOfPace = Boolean(pace && pace.pace_ratio !== null && !exportTargetReached && !batteryFull &&
+        forecastMode !== 'export_early' &&
+        pace.pace_ratio >= (storing ? 1 : 1 + CONFIG.pacing_ahead_margin));
+    const paceText = pace && pace.pace_ratio !== null
+        ? `${(pace.pace_ratio * 100).toFixed(0)}% of pace (${pace.expected_export.toFixed(1)}kWh expected by now)`
+        : '';
+
+    // Forecast surplus too small for both: charge the battery to the overnight SOC first
+    const protectBattery = forecastMode === 'protect_battery' && !exportTargetReached &&
+        batterySoc < CONFIG.forecast_overnight_soc;
+
+    // High feed-in: keep exporting solar beyond the target and before charging early.
+    // Peak import: leave EXPORT_PRIORITY for the battery rather than import
+    const tariffText = tariff
+        ? `'${tariff.period}' tariff (export ${tariff.export_rate}c, import ${tariff.import_rate}c/kWh${tariff.demand ? ', demand window' : ''})`
+        : '';
+    const favourExport = Boolean(tariff && tariff.high_feed_in && !protectBattery && !isNightTime() &&
+        generation >= CONFIG.min_generation_for_export);
+    const peakTariff = Boolean(tariff && tariff.peak && batterySoc > CONFIG.min_soc_threshold);
+    const avoidImport = peakTariff && gridPower > TARIFF_IMPORT_THRESHOLD;
+    // Once self consuming in a peak window, stay: EXPORT_PRIORITY would import at the peak
+    // rate as soon as solar dips and hand straight back
+    const holdSelfConsume = peakTariff && !favourExport && currentState === STATES.SELF_CONSUME;
+
+    const storeEarly = (aheadOfPace && !favourExport) || protectBattery;
+    // Well behind the intraday curve: export from the lower stay-in-export generation, so
+    // BATTERY_STORAGE hands back to EXPORT_PRIORITY earlier in the day
+    const behindPace = Boolean(pace && pace.status === 'behind' && !protectBattery);
+    const exportGeneration = behindPace ? CONFIG.min_generation_to_stay_export : CONFIG.min_generation_for_export;
+    const storeText = protectBattery
+        ? `forecast surplus ${forecastPlan.surplus_kwh.toFixed(1)}kWh can't cover export ${forecastPlan.export_needed_kwh.toFixed(1)}kWh and battery ${forecastPlan.battery_needed_kwh.toFixed(1)}kWh - charging to ${CONFIG.forecast_overnight_soc}% first`
+        : `export ${paceText}`;
+
+    // Zero or negative feed-in, or a zero-export window, during the solar day
+    const curtail = Boolean(zeroExport && zeroExport.active && !isNightTime());
+
+    let nextState = currentState;
+    let stateReason = '';
+
+    const override = getActiveOverride();
+
+    // PRIORITY 0: Stale generation data protection (a manual override takes precedence)
+    const exportingSignificantly = gridPower < -CONFIG.significant_export_threshold;
+    const generationSuspicious = generation < 500;
+    const generationDataStale = exportingSignificantly && generationSuspicious;
+
+    if (!override && !curtail && currentState === STATES.EXPORT_PRIORITY && generationDataStale) {
+        nextState = currentState;
+        stateReason = `Maintaining export state: exporting ${Math.abs(gridPower)}W but generation sensor shows only ${generation}W (likely stale)`;
+
+        addPersistentLog('DATA_PROTECTION', `Generation data appears stale: ${generation}W reported but exporting ${Math.abs(gridPower)}W`, {
+            reported_generation: generation,
+            grid_power: gridPower,
+            battery_power: batteryPower,
+            action: 'maintaining_export_state'
+        }, 'high');
+
+        return { nextState, stateReason };
+    }
+
+    // PRIORITY 1: Battery Protection Override (also preempts a manual override)
+    const batteryProtectionActive = isBatteryProtectionActive(batterySoc, batteryPower, exportTargetReached);
+    
+    if (batteryProtectionActive) {
+        if (currentState !== STATES.EXPORT_PRIORITY) {
+            nextState = STATES.EXPORT_PRIORITY;
+            stateReason = `Battery protection override: SOC ${batterySoc}% ≤ ${CONFIG.min_soc_threshold}% and discharging ${batteryPower}W - forcing export priority to prevent over-discharge`;
+            if (override) {
+                stateReason += ` (manual override to ${override.state} suspended)`;
+            }
+
+            addPersistentLog('BATTERY_PROTECTION', `Battery protection override triggered: SOC ${batterySoc}%, discharging ${batteryPower}W`, {
+                battery_soc: batterySoc,
+                battery_power: batteryPower,
+                export_target_reached: exportTargetReached,
+                daily_export: dailyExport,
+                target_export: targetExport,
+                previous_state: currentState,
+                manual_override: override ? override.state : null,
+                action: 'forced_export_priority'
+            }, 'critical');
+        } else {
+            stateReason = `Battery protection active: SOC ${batterySoc}% ≤ ${CONFIG.min_soc_threshold}% and discharging ${batteryPower}W - maintaining export priority`;
+        }
+        
+        return { nextState, stateReason };
+    }
+
+    // PRIORITY 2: Manual override pins the state until it expires or is cancelled
+    if (override) {
+        nextState = override.state;
+        stateReason = `Manual override: pinned to ${override.state} until ${override.expires_iso}${override.reason ? ` (${override.reason})` : ''}`;
+        return { nextState, stateReason };
+    }
+
+    // PRIORITY 3: Zero export holds until the price signal or schedule window ends
+    if (curtail) {
+        if (currentState !== STATES.ZERO_EXPORT) {
+            const debounceCheck = checkStateChangeDebounce(STATES.ZERO_EXPORT, currentState, `Zero export: ${zeroExport.reason}`);
+
+            if (debounceCheck.allowed) {
+                nextState = STATES.ZERO_EXPORT;
+                stateReason = `Zero export: ${zeroExport.reason} - absorbing surplus instead of exporting`;
+                clearOtherStateChangeRequests(`${currentState}_to_${STATES.ZERO_EXPORT}`);
+            } else {
+                stateReason = `Zero export requested (${zeroExport.reason}) but ${debounceCheck.reason}`;
+            }
+        } else {
+            stateReason = `Zero export: ${zeroExport.reason} - SOC ${batterySoc}%, storing ${batteryPower}W, grid ${gridPower}W`;
+        }
+        return { nextState, stateReason };
+    }
+
+    // PRIORITY 4: Evening discharge to grid, down to the overnight reserve
+    if (currentState === STATES.GRID_DISCHARGE) {
+        if (discharge && discharge.active && batterySoc <= discharge.reserve_soc) {
+            // The reserve is a floor, so stopping there is immediate
+            nextState = STATES.SELF_CONSUME;
+            stateReason = `Discharge reached reserve SOC ${discharge.reserve_soc}% (${discharge.hours_to_morning}h of ${CONFIG.discharge_overnight_load_kw}kW load to ${CONFIG.night_end_hour}:00) - self consume`;
+            clearOtherStateChangeRequests(null);
+        } else if (!discharge || !discharge.active) {
+            const stopReason = discharge && !discharge.in_window
+                ? `Discharge window ${discharge.window} closed at SOC ${batterySoc}%`
+                : `Feed-in ${discharge ? `${discharge.export_rate}c/kWh` : 'unknown'} below ${CONFIG.discharge_min_export_rate}c/kWh - stopping discharge at SOC ${batterySoc}%`;
+            const debounceCheck = checkStateChangeDebounce(STATES.SELF_CONSUME, currentState, stopReason);
+
+            if (debounceCheck.allowed) {
+                nextState = STATES.SELF_CONSUME;
+                stateReason = discharge && !discharge.in_window ? `${stopReason} - self consume` : stopReason;
+                clearOtherStateChangeRequests(`${currentState}_to_${STATES.SELF_CONSUME}`);
+            } else {
+                stateReason = `${stopReason}, self consume requested but ${debounceCheck.reason}`;
+            }
+        } else {
+            stateReason = `Grid discharge: exporting ${discharge.power}W at ${discharge.export_rate}c/kWh, SOC ${batterySoc}% → reserve ${discharge.reserve_soc}%`;
+        }
+        return { nextState, stateReason };
+    }
 
+    if (discharge && discharge.active && batterySoc >= discharge.reserve_soc + DISCHARGE_START_MARGIN) {
+        const debounceCheck = checkStateChangeDebounce(STATES.GRID_DISCHARGE, currentState,
+            `Feed-in ${discharge.export_rate}c/kWh in discharge window ${discharge.window}, SOC ${batterySoc}% above reserve ${discharge.reserve_soc}%`);
+
+        if (debounceCheck.allowed) {
+            nextState = STATES.GRID_DISCHARGE;
+            stateReason = `Grid discharge: feed-in ${discharge.export_rate}c/kWh in window ${discharge.window} - exporting ${discharge.power}W from battery at SOC ${batterySoc}% down to reserve ${discharge.reserve_soc}%`;
+            clearOtherStateChangeRequests(`${currentState}_to_${STATES.GRID_DISCHARGE}`);
+        } else {
+            stateReason = `Grid discharge requested but ${debounceCheck.reason}`;
+        }
         return { nextState, stateReason };
     }
 
-    // PRIORITY 1: Battery Protection Override
-    const batteryProtectionActive = isBatteryProtectionActive(batterySoc, batteryPower, exportTargetReached);
-    
-    if (batteryProtectionActive) {
-        if (currentState !== STATES.EXPORT_PRIORITY) {
-            nextState = STATES.EXPORT_PRIORITY;
-            stateReason = `Battery protection override: SOC ${batterySoc}% ≤ ${CONFIG.min_soc_threshold}% and discharging ${batteryPower}W - forcing export priority to prevent over-discharge`;
+    // PRIORITY 5: Off-peak grid charge up to the computed SOC, hard stop at grid_charge_max_soc
+    if (currentState === STATES.GRID_CHARGE) {
+        if (!gridCharge || !gridCharge.active) {
+            nextState = STATES.SELF_CONSUME;
+            stateReason = !gridCharge ? 'Grid charge status unavailable - self consume'
+                : !gridCharge.in_window || gridCharge.export_day ? `Grid charge window ${gridCharge.window} closed at SOC ${batterySoc}% - self consume`
+                : gridCharge.import_rate > CONFIG.grid_charge_max_import_rate ? `Import ${gridCharge.import_rate}c/kWh above ${CONFIG.grid_charge_max_import_rate}c/kWh - stopping grid charge at SOC ${batterySoc}%`
+                : `Expected morning solar ${gridCharge.morning_solar_kwh}kWh now covers the morning load - stopping grid charge at SOC ${batterySoc}%`;
+        } else if (batterySoc >= gridCharge.target_soc || batterySoc >= CONFIG.grid_charge_max_soc) {
+            nextState = STATES.SELF_CONSUME;
+            stateReason = `Grid charge reached ${batterySoc >= CONFIG.grid_charge_max_soc ? `max charge SOC ${CONFIG.grid_charge_max_soc}%` : `target SOC ${gridCharge.target_soc}%`} - self consume`;
+        } else {
+            stateReason = `Grid charge: importing up to ${gridCharge.power}W at ${gridCharge.import_rate}c/kWh, SOC ${batterySoc}% → ${gridCharge.target_soc}%`;
+        }
+        return { nextState, stateReason };
+    }
 
-            addPersistentLog('BATTERY_PROTECTION', `Battery protection override triggered: SOC ${batterySoc}%, discharging ${batteryPower}W`, {
-                battery_soc: batterySoc,
-                battery_power: batteryPower,
-                export_target_reached: exportTargetReached,
-                daily_export: dailyExport,
-                target_export: targetExport,
-                previous_state: currentState,
-                action: 'forced_export_priority'
-            }, 'critical');
+    if (gridCharge && gridCharge.active && batterySoc <= gridCharge.target_soc - GRID_CHARGE_START_MARGIN) {
+        const solarText = `${gridCharge.solar_source} ${gridCharge.expected_solar_kwh}kWh on ${gridCharge.solar_date} (${gridCharge.morning_solar_kwh}kWh by ${CONFIG.grid_charge_morning_end_hour}:00)`;
+        const debounceCheck = checkStateChangeDebounce(STATES.GRID_CHARGE, currentState,
+            `Import ${gridCharge.import_rate}c/kWh in grid charge window ${gridCharge.window}, expected solar ${solarText}, SOC ${batterySoc}% below ${gridCharge.target_soc}%`);
+
+        if (debounceCheck.allowed) {
+            nextState = STATES.GRID_CHARGE;
+            stateReason = `Grid charge: expected solar ${solarText} leaves ${gridCharge.shortfall_kwh}kWh of morning load uncovered - charging from the grid at ${gridCharge.import_rate}c/kWh, SOC ${batterySoc}% → ${gridCharge.target_soc}%`;
+            clearOtherStateChangeRequests(`${currentState}_to_${STATES.GRID_CHARGE}`);
         } else {
-            stateReason = `Battery protection active: SOC ${batterySoc}% ≤ ${CONFIG.min_soc_threshold}% and discharging ${batteryPower}W - maintaining export priority`;
+            stateReason = `Grid charge requested but ${debounceCheck.reason}`;
         }
-        
         return { nextState, stateReason };
     }
 
-    // PRIORITY 2: Normal state transition logic
-    if (!exportTargetReached && !isNightTime() &&
-        (generation >= CONFIG.min_generation_for_export || batteryPower >= CONFIG.strong_charging_threshold)) {
+    // PRIORITY 6: Normal state transition logic
+    if ((!exportTargetReached || favourExport) && !storeEarly && !avoidImport && !holdSelfConsume && !isNightTime() &&
+        (generation >= exportGeneration || batteryPower >= CONFIG.strong_charging_threshold)) {
         if (currentState !== STATES.EXPORT_PRIORITY) {
-            const debounceCheck = checkStateChangeDebounce(STATES.EXPORT_PRIORITY, currentState,
-                `Daily export ${dailyExport.toFixed(1)}kWh has not reached target ${targetExport.toFixed(1)}kWh with ${generation}W generation and ${batteryPower}W battery power`);
+            const debounceCheck = checkStateChangeDebounce(STATES.EXPORT_PRIORITY, currentState, exportTargetReached
+                ? `High feed-in ${tariffText} with ${generation}W generation - exporting beyond the ${targetExport.toFixed(1)}kWh target`
+                : `Daily export ${dailyExport.toFixed(1)}kWh has not reached target ${targetExport.toFixed(1)}kWh${paceText ? ` at ${paceText}` : ''}${behindPace ? ' (behind pace)' : ''}${favourExport ? ` in high feed-in ${tariffText}` : ''} with ${generation}W generation and ${batteryPower}W battery power`);
 
             if (debounceCheck.allowed) {
                 nextState = STATES.EXPORT_PRIORITY;
@@ -604,9 +3553,11 @@ function processStateTransition(currentState, inputs) {
             } else {
                 stateReason = `Export priority requested but ${debounceCheck.reason}`;
             }
+        } else if (exportTargetReached) {
+            stateReason = `Export priority: ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)}kWh exported, continuing in high feed-in ${tariffText}`;
         }
     }
-    else if (shouldResetToExportPriority(dailyExport, targetExport, batteryPower) && !isNightTime() &&
+    else if (shouldResetToExportPriority(dailyExport, targetExport, batteryPower) && !storeEarly && !avoidImport && !holdSelfConsume && !isNightTime() &&
         (generation >= CONFIG.min_generation_for_export || batteryPower >= CONFIG.strong_charging_threshold)) {
         const debounceCheck = checkStateChangeDebounce(STATES.EXPORT_PRIORITY, currentState,
             `Daily export ${dailyExport.toFixed(1)}kWh < ${CONFIG.export_target_percentage}% of target ${targetExport.toFixed(1)}kWh and battery charging >${CONFIG.battery_charging_threshold}W with ${generation}W generation and ${batteryPower}W battery power`);
@@ -638,21 +3589,37 @@ function processStateTransition(currentState, inputs) {
     else {
         switch (currentState) {
             case STATES.EXPORT_PRIORITY:
-                if (exportTargetReached) {
+                if (exportTargetReached && !favourExport) {
                     nextState = STATES.BATTERY_STORAGE;
                     stateReason = `Export target ${targetExport.toFixed(1)}kWh reached, switching to battery storage`;
+                } else if (avoidImport) {
+                    nextState = STATES.SELF_CONSUME;
+                    stateReason = `Peak import ${tariffText}: importing ${gridPower}W - self consume from battery (SOC ${batterySoc}%)`;
+                } else if (protectBattery) {
+                    nextState = STATES.BATTERY_STORAGE;
+                    stateReason = `Export ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)}kWh: ${storeText}`;
+                } else if (aheadOfPace) {
+                    nextState = STATES.BATTERY_STORAGE;
+                    stateReason = `Export ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)}kWh is ${paceText} - charging battery early`;
                 } else if (generation < CONFIG.min_generation_for_export &&
                     batterySoc > CONFIG.evening_self_consume_soc_threshold &&
                     !batteryCharging) {
                     nextState = STATES.SELF_CONSUME;
                     stateReason = `Low solar (${generation}W), target not reached, but battery has charge (${batterySoc}%) - self consume to avoid grid import`;
                 } else {
-                    stateReason = `Export priority: ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)}kWh exported`;
+                    stateReason = `Export priority: ${dailyExport.toFixed(1)}/${targetExport.toFixed(1)}kWh exported${favourExport ? ` in high feed-in ${tariffText}` : ''}`;
                 }
                 break;
 
-            case STATES.BATTERY_STORAGE:
-                if (batteryFull && excessGeneration > (CONFIG.hws_power_rating * 0.8)) {
+            case STATES.BATTERY_STORAGE: {
+                // A load allowed now and not done for the day that the excess would start
+                const loadState = getLoadManagerState().loads;
+                const localParts = getLocalParts();
+                const startableLoad = getLoadRegistry().find(load => tariffPeriodMatches(load, localParts) &&
+                    !(load.daily_runtime_minutes > 0 && loadState[load.name] && loadState[load.name].runtime_minutes >= load.daily_runtime_minutes) &&
+                    excessGeneration > load.power * LOAD_START_FACTOR);
+
+                if (batteryFull && startableLoad) {
                     nextState = STATES.LOAD_MANAGEMENT;
                     stateReason = `Battery full (${batterySoc}%), excess generation ${excessGeneration}W - activating load management`;
                 } else if (batteryLow && !batteryCharging) {
@@ -662,16 +3629,19 @@ function processStateTransition(currentState, inputs) {
                     nextState = STATES.SELF_CONSUME;
                     stateReason = `Battery discharging ${Math.abs(batteryPower)}W - switching to self consume mode`;
                 } else {
-                    stateReason = `Battery storage: SOC ${batterySoc}%, storing ${batteryPower}W`;
+                    stateReason = `Battery storage: SOC ${batterySoc}%, storing ${batteryPower}W${storeEarly ? `, ${storeText}` : ''}`;
                 }
                 break;
+            }
 
-            case STATES.LOAD_MANAGEMENT:
-                const hwsStatus = global.get('hws_status') || false;
+            case STATES.LOAD_MANAGEMENT: {
+                const loadState = getLoadManagerState().loads;
+                const loadsOn = getLoadRegistry().map(load => `${load.name.toUpperCase()} ${loadState[load.name] && loadState[load.name].on ? 'ON' : 'OFF'}`);
+                const anyLoadOn = loadsOn.some(text => text.endsWith(' ON'));
                 const socDropped = batterySoc <= (CONFIG.max_soc_threshold - CONFIG.hws_soc_drop_threshold);
                 const generationDropped = generation < CONFIG.hws_generation_drop_threshold;
 
-                if ((socDropped || generationDropped) && hwsStatus) {
+                if ((socDropped || generationDropped) && anyLoadOn) {
                     if (batteryLow && !batteryCharging) {
                         nextState = STATES.SELF_CONSUME;
                         stateReason = `Battery low (${batterySoc}%) - switching to self consume`;
@@ -680,17 +3650,39 @@ function processStateTransition(currentState, inputs) {
                         stateReason = `SOC dropped to ${batterySoc}% or generation dropped to ${generation}W - back to battery storage`;
                     }
                 } else {
-                    stateReason = `Load management: SOC ${batterySoc}%, generation ${generation}W, HWS ${hwsStatus ? 'ON' : 'OFF'}`;
+                    stateReason = `Load management: SOC ${batterySoc}%, generation ${generation}W, ${loadsOn.join(', ')}`;
+                }
+                break;
+            }
+
+            case STATES.ZERO_EXPORT: {
+                // The signal has ended: keep what the battery is doing until export logic takes over
+                const resumeState = batteryCharging || batteryFull ? STATES.BATTERY_STORAGE : STATES.SELF_CONSUME;
+                const debounceCheck = checkStateChangeDebounce(resumeState, currentState,
+                    `Zero export ended, battery ${batteryCharging ? 'charging' : 'not charging'} at SOC ${batterySoc}%`);
+
+                if (debounceCheck.allowed) {
+                    nextState = resumeState;
+                    stateReason = `Zero export ended - resuming ${resumeState}: SOC ${batterySoc}%, battery power ${batteryPower}W`;
+                    clearOtherStateChangeRequests(`${currentState}_to_${resumeState}`);
+                } else {
+                    stateReason = `Zero export ended, ${resumeState} requested but ${debounceCheck.reason}`;
                 }
                 break;
+            }
 
             case STATES.SELF_CONSUME:
-                if (batteryCharging && !exportTargetReached) {
+                if (batteryCharging && !exportTargetReached && !storeEarly && holdSelfConsume) {
+                    stateReason = `Battery charging in peak ${tariffText} - staying in self consume`;
+                } else if (batteryCharging && !exportTargetReached && !storeEarly) {
                     nextState = STATES.EXPORT_PRIORITY;
                     stateReason = `Battery charging and export target not reached - back to export priority`;
                 } else if (batteryCharging && exportTargetReached) {
                     nextState = STATES.BATTERY_STORAGE;
                     stateReason = `Battery charging and export target reached - back to battery storage`;
+                } else if (batteryCharging && storeEarly) {
+                    nextState = STATES.BATTERY_STORAGE;
+                    stateReason = `Battery charging and ${storeText} - battery storage`;
                 } else {
                     stateReason = `Self consume: SOC ${batterySoc}%, battery power ${batteryPower}W`;
                 }
@@ -729,7 +3721,7 @@ function generateOutput(state, inputs, stateReason) {
         actions: {
             set_ess_mode: false,
             grid_setpoint: null,
-            enable_hws: false,
+            curtail_pv: false,
             inverter_mode: 3
         },
         status: {
@@ -739,7 +3731,19 @@ function generateOutput(state, inputs, stateReason) {
             battery_soc: batterySoc,
             excess_generation: getExcessGeneration(generation, gridPower),
             battery_power: batteryPower,
-            battery_protection_active: isBatteryProtectionActive(batterySoc, batteryPower, dailyExport >= targetExport)
+            battery_protection_active: isBatteryProtectionActive(batterySoc, batteryPower, dailyExport >= targetExport),
+            export_pace: inputs.pace || null,
+            forecast_plan: inputs.forecastPlan || null,
+            tariff: inputs.tariff || null,
+            financials: inputs.financials || null,
+            load_energy: inputs.loadEnergy || null,
+            zero_export: inputs.zeroExport || null,
+            discharge: inputs.discharge || null,
+            grid_charge: inputs.gridCharge || null,
+            loads: [],
+            ev: null,
+            manual_override: getOverrideStatus(),
+            safe_mode: getSafeModeStatus()
         },
         debug: {
             state_reason: stateReason,
@@ -747,6 +3751,18 @@ function generateOutput(state, inputs, stateReason) {
         }
     };
 
+    // Managed loads run from surplus in LOAD_MANAGEMENT and ZERO_EXPORT and are off otherwise
+    const loadAllocation = allocateLoads(state, inputs);
+    Object.assign(output.actions, loadAllocation.actions);
+    output.status.loads = loadAllocation.loads;
+
+    // The EV charger follows the surplus with a current setpoint in every state
+    const evCharger = controlEvCharger(state, inputs);
+    if (evCharger) {
+        output.actions.ev_charge_current = evCharger.current;
+        output.status.ev = evCharger.status;
+    }
+
     // Set actions based on state
     switch (state) {
         case STATES.EXPORT_PRIORITY:
@@ -764,31 +3780,6 @@ function generateOutput(state, inputs, stateReason) {
             output.actions.set_ess_mode = true;
             output.actions.grid_setpoint = 0;
             output.actions.inverter_mode = 3;
-
-            // HWS control logic
-            const hwsStatus = global.get('hws_status') || false;
-            const socDropped = batterySoc <= (CONFIG.max_soc_threshold - CONFIG.hws_soc_drop_threshold);
-            const generationDropped = generation < CONFIG.hws_generation_drop_threshold;
-            const cooldownExpired = getHWSCooldownStatus();
-
-            if (!hwsStatus && cooldownExpired && !socDropped && !generationDropped) {
-                output.actions.enable_hws = true;
-                logHWSEvent('TURNED_ON', 'Battery full, excess generation available, cooldown expired', true, batterySoc, generation);
-            } else if (hwsStatus && (socDropped || generationDropped)) {
-                output.actions.enable_hws = false;
-                global.set('hws_last_off_time', Date.now());
-                logHWSEvent('TURNED_OFF', socDropped ? `SOC dropped to ${batterySoc}%` : `Generation dropped to ${generation}W`, false, batterySoc, generation);
-            } else {
-                output.actions.enable_hws = hwsStatus;
-                if (hwsStatus) {
-                    addPersistentLog('HWS_STATUS', `HWS remains ON: SOC ${batterySoc}%, Gen ${generation}W`, {
-                        hws_status: true,
-                        battery_soc: batterySoc,
-                        generation: generation,
-                        reason: 'maintaining_current_state'
-                    }, 'low');
-                }
-            }
             break;
 
         case STATES.SELF_CONSUME:
@@ -797,25 +3788,754 @@ function generateOutput(state, inputs, stateReason) {
             output.actions.inverter_mode = 3;
             break;
 
+        case STATES.ZERO_EXPORT: {
+            output.actions.set_ess_mode = true;
+            output.actions.grid_setpoint = 0;
+            output.actions.inverter_mode = 3;
+
+            // Battery first, then the loads once the battery is full or can't take the surplus,
+            // then curtail PV for whatever is still exported
+            const batteryFull = batterySoc >= CONFIG.max_soc_threshold;
+            const stillExporting = gridPower < -CONFIG.zero_export_tolerance;
+            output.actions.curtail_pv = stillExporting || (batteryFull && !loadAllocation.running);
+            break;
+        }
+
+        case STATES.GRID_DISCHARGE:
+            // Negative setpoint: ESS exports from the battery at discharge_power
+            output.actions.set_ess_mode = true;
+            output.actions.grid_setpoint = -CONFIG.discharge_power;
+            output.actions.inverter_mode = 3;
+            break;
+
+        case STATES.GRID_CHARGE:
+            // Positive setpoint: ESS imports up to grid_charge_power, none at the max charge SOC
+            output.actions.set_ess_mode = true;
+            output.actions.grid_setpoint = batterySoc >= CONFIG.grid_charge_max_soc ? 0 : CONFIG.grid_charge_power;
+            output.actions.inverter_mode = 3;
+            break;
+
         case STATES.SAFE_MODE:
-            output.actions.set_ess_mode = false;
-            output.actions.inverter_mode = 4;
-            addPersistentLog('ERROR', 'System operating in safe mode', {
-                state_reason: stateReason,
-                battery_soc: batterySoc,
-                generation: generation
-            }, 'critical');
+            Object.assign(output.actions, SAFE_MODE_ACTIONS);
             break;
     }
 
+    // A forced HWS run and the EV departure top-up draw from the grid: raise the ESS setpoint
+    // so the battery doesn't cover them (in ZERO_EXPORT the surplus they use would otherwise
+    // be curtailed)
+    const gridLoadPower = loadAllocation.forced_power + (evCharger ? evCharger.grid_power : 0);
+    if (gridLoadPower > 0 && output.actions.set_ess_mode && output.actions.grid_setpoint >= 0 &&
+        state !== STATES.ZERO_EXPORT) {
+        output.actions.grid_setpoint += gridLoadPower;
+    }
+
     return output;
 }
 
+// =============================================================================
+// TARGET PLANNER
+// =============================================================================
+
+// Relative daily solar irradiance by month (SE Queensland, kWh/m²/day). Used to weight
+// the annual goal until the history covers every calendar month
+const IRRADIANCE_PROFILE = {
+    1: 6.4, 2: 5.7, 3: 5.2, 4: 4.4, 5: 3.7, 6: 3.4,
+    7: 3.6, 8: 4.4, 9: 5.4, 10: 6.0, 11: 6.4, 12: 6.6
+};
+
+const PLANNER_MIN_DAYS_PER_MONTH = 15;
+const MAX_ANNUAL_EXPORT_GOAL = 73200; // kWh - 200 kWh/day for a leap year
+
+// Average export per day for each calendar month across all stored years, or the
+// irradiance profile when any month has fewer than PLANNER_MIN_DAYS_PER_MONTH days
+function getSeasonalProfile() {
+    const byMonth = {};
+    getMonthlyExportSummary().forEach(summary => {
+        const month = parseInt(summary.month.slice(5), 10);
+        byMonth[month] = byMonth[month] || { export: 0, days: 0 };
+        byMonth[month].export += summary.export;
+        byMonth[month].days += summary.days;
+    });
+
+    const coveredMonths = Object.keys(byMonth).filter(month =>
+        byMonth[month].days >= PLANNER_MIN_DAYS_PER_MONTH && byMonth[month].export > 0);
+    if (coveredMonths.length < 12) {
+        return { source: 'irradiance', daily_weights: { ...IRRADIANCE_PROFILE }, months_with_history: coveredMonths.length };
+    }
+
+    const dailyWeights = {};
+    Object.keys(byMonth).forEach(month => {
+        dailyWeights[month] = byMonth[month].export / byMonth[month].days;
+    });
+    return { source: 'history', daily_weights: dailyWeights, months_with_history: 12 };
+}
+
+// Spread an annual goal (kWh) over the months as daily targets. With replan, export
+// already recorded this year is subtracted and the remainder is spread from today on;
+// earlier months keep their current targets
+function planExportTargets(annualGoal, replan) {
+    const localNow = getLocalParts();
+    const year = localNow.year;
+    const today = getLocalDateString();
+    const profile = getSeasonalProfile();
+    const targets = {};
+    const fromMonth = replan ? localNow.month : 1;
+
+    const actualToDate = getExportHistory(`${year}-01-01`, shiftDateString(today, -1))
+        .reduce((sum, day) => sum + (day.export || 0), 0);
+    let expectedToDate = 0;
+    for (let month = 1; month <= localNow.month; month++) {
+        const days = month < localNow.month ? getDaysInMonth(year, month) : localNow.day - 1;
+        expectedToDate += MONTHLY_EXPORT_TARGETS[month] * days;
+    }
+
+    const remainingGoal = replan ? Math.max(0, annualGoal - actualToDate) : annualGoal;
+    const daysLeft = month => (replan && month === localNow.month)
+        ? getDaysInMonth(year, month) - localNow.day + 1
+        : getDaysInMonth(year, month);
+
+    let weightedDays = 0;
+    for (let month = fromMonth; month <= 12; month++) {
+        weightedDays += profile.daily_weights[month] * daysLeft(month);
+    }
+
+    const monthlyKwh = {};
+    for (let month = 1; month <= 12; month++) {
+        if (month < fromMonth) {
+            targets[month] = MONTHLY_EXPORT_TARGETS[month];
+        } else {
+            targets[month] = Math.round(profile.daily_weights[month] * remainingGoal / weightedDays * 10) / 10;
+        }
+        monthlyKwh[month] = Math.round(targets[month] * getDaysInMonth(year, month) * 10) / 10;
+    }
+
+    const pace = expectedToDate > 0 ? actualToDate / expectedToDate : null;
+    return {
+        year: year,
+        annual_goal_kwh: annualGoal,
+        mode: replan ? 'replan' : 'full_year',
+        source: profile.source,
+        months_with_history: profile.months_with_history,
+        actual_to_date_kwh: actualToDate,
+        expected_to_date_kwh: expectedToDate,
+        remaining_goal_kwh: remainingGoal,
+        pace_status: pace === null ? 'not_started' : pace >= 1.05 ? 'ahead' : pace <= 0.95 ? 'behind' : 'on_track',
+        targets: targets,
+        monthly_kwh: monthlyKwh,
+        created: getLocalISOString()
+    };
+}
+
+// Write planned targets into the runtime config override and apply it
+function applyPlannedTargets(plan) {
+    const current = global.get('energy_management_config', 'file') || {};
+    const next = {
+        ...current,
+        monthly_export_targets: { ...(current.monthly_export_targets || {}), ...plan.targets }
+    };
+    const { errors } = validateConfigOverride(next);
+    if (errors.length > 0) {
+        throw new Error(`Planned targets rejected: ${errors.join('; ')}`);
+    }
+
+    global.set('energy_management_config', next, 'file');
+    global.set('export_target_plan', plan, 'file');
+    applyRuntimeConfig();
+
+    addPersistentLog('TARGET_PLAN', `Targets planned for ${plan.annual_goal_kwh} kWh in ${plan.year} (${plan.mode}, ${plan.source} profile, ${plan.pace_status})`, {
+        annual_goal_kwh: plan.annual_goal_kwh,
+        mode: plan.mode,
+        source: plan.source,
+        actual_to_date_kwh: plan.actual_to_date_kwh,
+        remaining_goal_kwh: plan.remaining_goal_kwh,
+        targets: plan.targets
+    }, 'normal');
+}
+
+// =============================================================================
+// HISTORY IMPORT
+// =============================================================================
+
+const MAX_IMPORT_REPORT_ROWS = 50;
+
+// Header patterns for auto-detecting columns in VRM and inverter CSV exports.
+// Every matching export column is summed (e.g. VRM "PV to grid" + "Battery to grid")
+const IMPORT_DATE_HEADER = /^(date|day|time|timestamp|datetime)\b/i;
+const IMPORT_EXPORT_HEADER = /(export|to grid|feed[- ]?in|fed[- ]?in)/i;
+const IMPORT_EXCLUDED_HEADER = /(import|from grid)/i;
+
+function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function detectUnit(text) {
+    if (/kwh/i.test(text)) return 'kWh';
+    if (/\bwh\b/i.test(text)) return 'Wh';
+    return null;
+}
+
+function buildDateString(year, month, day) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    if (m < 1 || m > 12 || d < 1 || d > getDaysInMonth(y, m)) return null;
+    return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// Accepts YYYY-MM-DD, DD/MM/YYYY (or MM/DD/YYYY with dateFormat 'MDY'), either with a
+// time part, ISO timestamps with an offset and epoch seconds/milliseconds
+function parseImportDate(value, dateFormat) {
+    const text = String(value || '').trim();
+    if (/^\d{9,13}$/.test(text)) {
+        const epoch = parseInt(text, 10);
+        return getLocalDateString(new Date(text.length <= 10 ? epoch * 1000 : epoch));
+    }
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : getLocalDateString(date);
+    }
+
+    const datePart = text.split(/[ T]/)[0];
+    let match = datePart.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) return buildDateString(match[1], match[2], match[3]);
+
+    match = datePart.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (match) {
+        return dateFormat === 'MDY'
+            ? buildDateString(match[3], match[1], match[2])
+            : buildDateString(match[3], match[2], match[1]);
+    }
+    return null;
+}
+
+function findImportColumns(headers, columns) {
+    const lowerHeaders = headers.map(header => header.toLowerCase());
+    const byName = name => lowerHeaders.indexOf(String(name).toLowerCase());
+
+    const dateIndex = columns && columns.date !== undefined
+        ? byName(columns.date)
+        : lowerHeaders.findIndex(header => IMPORT_DATE_HEADER.test(header));
+    const exportIndexes = columns && columns.export !== undefined
+        ? [].concat(columns.export).map(byName)
+        : headers.map((header, i) => IMPORT_EXPORT_HEADER.test(header) && !IMPORT_EXCLUDED_HEADER.test(header) ? i : -1)
+            .filter(i => i >= 0);
+
+    if (dateIndex < 0 || exportIndexes.length === 0 || exportIndexes.includes(-1)) return null;
+    return { dateIndex, exportIndexes };
+}
+
+// Whether an import date cell carries a time of day (an intraday row): 'HH:MM' after the
+// date, or an epoch timestamp away from local midnight
+function hasImportTime(value) {
+    const text = String(value || '').trim();
+    if (/^\d{9,13}$/.test(text)) {
+        const epoch = parseInt(text, 10);
+        const parts = getLocalParts(new Date(text.length <= 10 ? epoch * 1000 : epoch));
+        return parts.hour !== 0 || parts.minute !== 0;
+    }
+    return /[ T]\d{1,2}:\d{2}/.test(text);
+}
+
+// Parse CSV text into one { date, export (kWh) } per day. Intraday rows (a time with the
+// date) are interval energy summed per date, or with cumulative meter readings the rise
+// over the day (from the previous day's last reading when that is the day before).
+// Repeated daily rows keep the largest value
+function parseImportCsv(text, options = {}) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+    const rejected = [];
+    if (lines.length === 0) {
+        return { error: 'CSV is empty' };
+    }
+
+    const headerCandidates = lines.slice(0, 5);
+    const delimiterScore = candidate => Math.max(...headerCandidates.map(line => line.split(candidate).length));
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        delimiterScore(candidate) > delimiterScore(best) ? candidate : best, ',');
+    const decimalComma = delimiter === ';';
+
+    // The header may follow a few title lines
+    let headerLine = -1;
+    let columns = null;
+    for (let i = 0; i < Math.min(lines.length, 5) && !columns; i++) {
+        columns = findImportColumns(splitCsvLine(lines[i], delimiter), options.columns);
+        headerLine = i;
+    }
+    if (!columns) {
+        return { error: 'Could not find a date column and an export column - set columns: { date, export }' };
+    }
+
+    const headers = splitCsvLine(lines[headerLine], delimiter);
+    let firstDataLine = headerLine + 1;
+
+    // VRM exports can have a units row under the header
+    const unitRow = lines[firstDataLine] ? splitCsvLine(lines[firstDataLine], delimiter) : [];
+    const hasUnitRow = !parseImportDate(unitRow[columns.dateIndex], options.date_format) &&
+        columns.exportIndexes.some(i => detectUnit(unitRow[i] || ''));
+    if (hasUnitRow) firstDataLine++;
+
+    const units = columns.exportIndexes.map(i =>
+        options.unit || detectUnit(headers[i]) || (hasUnitRow ? detectUnit(unitRow[i] || '') : null) || 'kWh');
+
+    const byDate = {};
+    for (let i = firstDataLine; i < lines.length; i++) {
+        const cells = splitCsvLine(lines[i], delimiter);
+        const lineNumber = i + 1;
+        const date = parseImportDate(cells[columns.dateIndex], options.date_format);
+        if (!date) {
+            rejected.push({ line: lineNumber, reason: `Unrecognised date "${cells[columns.dateIndex] || ''}"` });
+            continue;
+        }
+
+        let exportKwh = 0;
+        let invalid = null;
+        columns.exportIndexes.forEach((column, j) => {
+            const raw = (cells[column] || '').replace(/\s/g, '');
+            const value = Number(decimalComma ? raw.replace(',', '.') : raw);
+            if (raw === '' || !isFinite(value)) {
+                invalid = `Invalid export value "${cells[column] || ''}" in ${headers[column]}`;
+            } else {
+                exportKwh += units[j] === 'Wh' ? value / 1000 : value;
+            }
+        });
+        if (invalid) {
+            rejected.push({ line: lineNumber, reason: invalid });
+            continue;
+        }
+
+        const row = { date: date, export: exportKwh, line: lineNumber };
+        if (hasImportTime(cells[columns.dateIndex])) {
+            const day = byDate[date];
+            if (day && day.readings) {
+                day.export += exportKwh;
+                day.first = Math.min(day.first, exportKwh);
+                day.last = Math.max(day.last, exportKwh);
+                day.readings++;
+                continue;
+            }
+            if (!day) {
+                byDate[date] = { ...row, first: exportKwh, last: exportKwh, readings: 1 };
+                continue;
+            }
+        }
+        if (byDate[date]) {
+            const keepNew = exportKwh > byDate[date].export;
+            const dropped = keepNew ? byDate[date] : row;
+            rejected.push({ line: dropped.line, reason: `Duplicate date ${date} (kept line ${keepNew ? lineNumber : byDate[date].line})` });
+            if (!keepNew) continue;
+        }
+        byDate[date] = row;
+    }
+
+    const dates = Object.keys(byDate).sort();
+    const rows = dates.map((date, i) => {
+        const day = byDate[date];
+        if (!day.readings) return day;
+        let exportKwh = day.export;
+        if (options.cumulative) {
+            const previous = i > 0 && dates[i - 1] === shiftDateString(date, -1) ? byDate[dates[i - 1]] : null;
+            exportKwh = day.last - (previous && previous.readings ? previous.last : day.first);
+        }
+        return { date: date, export: exportKwh, line: day.line };
+    });
+
+    return {
+        rows: rows,
+        rejected: rejected,
+        data_rows: lines.length - firstDataLine,
+        columns: { date: headers[columns.dateIndex], export: columns.exportIndexes.map(i => headers[i]) },
+        units: units
+    };
+}
+
+// Merge parsed days into the long-term and 30-day histories. Existing days are kept
+// unless overwrite is set. Returns the import report (also stored and logged)
+function importExportHistory(options) {
+    const parsed = parseImportCsv(options.csv, options);
+    if (parsed.error) {
+        throw new Error(parsed.error);
+    }
+
+    const today = getLocalDateString();
+    const oldestKept = shiftDateString(today, -CONFIG.long_term_history_days);
+    const existing = loadLongTermHistory().daily;
+    let recentHistory = global.get('export_history_30days', 'file') || [];
+    const rejected = parsed.rejected;
+    const accepted = [];
+    const overwritten = [];
+
+    parsed.rows.forEach(row => {
+        const current = existing[row.date] || recentHistory.find(entry => entry.date === row.date);
+        if (row.date >= today) {
+            rejected.push({ line: row.line, reason: `${row.date} is today or in the future` });
+        } else if (row.date < oldestKept) {
+            rejected.push({ line: row.line, reason: `${row.date} is older than long_term_history_days` });
+        } else if (row.export < 0 || row.export > 200) {
+            rejected.push({ line: row.line, reason: `Export ${row.export.toFixed(1)} kWh outside reasonable bounds` });
+        } else if (current && !options.overwrite) {
+            rejected.push({ line: row.line, reason: `${row.date} already in history (set overwrite to replace)` });
+        } else {
+            if (current) {
+                overwritten.push({ date: row.date, from: current.export, to: row.export });
+            }
+            accepted.push({
+                date: row.date,
+                export: row.export,
+                target: MONTHLY_EXPORT_TARGETS[parseInt(row.date.split('-')[1], 10)],
+                status: 'final'
+            });
+        }
+    });
+
+    if (accepted.length > 0) {
+        recordLongTermDays(accepted);
+
+        const recentFrom = shiftDateString(today, -30);
+        accepted.filter(entry => entry.date >= recentFrom).forEach(entry => {
+            upsertHistoryEntry(recentHistory, entry.date, entry.export, entry.target, 'final').imported = true;
+        });
+        recentHistory = recentHistory
+            .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+            .slice(-30);
+        global.set('export_history_30days', recentHistory, 'file');
+    }
+
+    const report = {
+        timestamp: getLocalISOString(),
+        columns: parsed.columns,
+        units: parsed.units,
+        data_rows: parsed.data_rows,
+        accepted: accepted.length,
+        rejected: rejected.length,
+        overwritten: overwritten.length,
+        first_date: accepted.length > 0 ? accepted[0].date : null,
+        last_date: accepted.length > 0 ? accepted[accepted.length - 1].date : null,
+        rejected_rows: rejected.sort((a, b) => a.line - b.line).slice(0, MAX_IMPORT_REPORT_ROWS),
+        overwritten_days: overwritten.slice(0, MAX_IMPORT_REPORT_ROWS)
+    };
+    global.set('export_history_import_report', report, 'file');
+
+    addPersistentLog('IMPORT', `History import: ${report.accepted} days accepted, ${report.rejected} rows rejected, ${report.overwritten} overwritten`, {
+        columns: report.columns,
+        units: report.units,
+        first_date: report.first_date,
+        last_date: report.last_date,
+        rejected_rows: report.rejected_rows.slice(0, 10)
+    }, report.rejected > 0 ? 'normal' : 'low');
+
+    return report;
+}
+
+// =============================================================================
+// COMMAND HANDLING
+// =============================================================================
+
+const MAX_COMMAND_ARGUMENT_LENGTH = 200;
+
+// Messages whose msg.topic names a command are handled here instead of running a
+// state machine tick. msg.payload is the command argument. Any other topic is a tick
+const COMMANDS = {
+    enable: {
+        validate: () => null,
+        run: () => {
+            global.set('energy_management_enabled', true);
+            return { message: 'Energy management enabled', result: { enabled: true } };
+        }
+    },
+
+    disable: {
+        validate: () => null,
+        run: () => {
+            global.set('energy_management_enabled', false);
+            return { message: 'Energy management disabled', result: { enabled: false } };
+        }
+    },
+
+    force_target_recalculation: {
+        validate: () => null,
+        run: () => {
+            global.set('target_calculation', undefined, 'file');
+            const target = getCurrentMonthTarget();
+            return {
+                message: `Target recalculated: ${target.toFixed(1)} kWh`,
+                result: { target_export: target, target_calculation: global.get('target_calculation', 'file') || null }
+            };
+        }
+    },
+
+    // payload: CSV text, or { csv, columns?: { date, export }, unit?: 'Wh'|'kWh',
+    // date_format?: 'DMY'|'MDY', overwrite?: boolean }
+    import_history: {
+        validate: payload => {
+            const options = typeof payload === 'string' ? { csv: payload } : payload;
+            if (!options || typeof options.csv !== 'string' || options.csv.trim() === '') {
+                return 'Payload must be CSV text or an object with a csv string';
+            }
+            if (options.unit !== undefined && !['Wh', 'kWh'].includes(options.unit)) return 'unit must be Wh or kWh';
+            if (options.date_format !== undefined && !['DMY', 'MDY'].includes(options.date_format)) return 'date_format must be DMY or MDY';
+            if (options.overwrite !== undefined && typeof options.overwrite !== 'boolean') return 'overwrite must be true or false';
+            if (options.cumulative !== undefined && typeof options.cumulative !== 'boolean') return 'cumulative must be true or false';
+            if (options.columns !== undefined && (typeof options.columns !== 'object' || options.columns === null)) {
+                return 'columns must be an object with date and export header names';
+            }
+            return null;
+        },
+        run: payload => {
+            const report = importExportHistory(typeof payload === 'string' ? { csv: payload } : payload);
+            return {
+                message: `History imported: ${report.accepted} days accepted, ${report.rejected} rows rejected, ${report.overwritten} overwritten`,
+                result: { ...report, target_export: getCurrentMonthTarget() }
+            };
+        }
+    },
+
+    // payload: forecast JSON (object or string) - native { 'YYYY-MM-DD': [24 kWh] },
+    // Forecast.Solar or Solcast
+    load_forecast: {
+        validate: payload => {
+            let data = payload;
+            if (typeof payload === 'string') {
+                try {
+                    data = JSON.parse(payload);
+                } catch (error) {
+                    return `Payload is not valid JSON: ${error.message}`;
+                }
+            }
+            return data && typeof data === 'object' ? null : 'Payload must be a forecast object or JSON text';
+        },
+        run: payload => {
+            const { format, hourly } = normaliseSolarForecast(typeof payload === 'string' ? JSON.parse(payload) : payload);
+            const dates = Object.keys(hourly).sort();
+            if (dates.length === 0) {
+                throw new Error('No hourly forecast found in the payload');
+            }
+            storeSolarForecast(hourly);
+            const totals = {};
+            dates.forEach(date => {
+                totals[date] = hourly[date].reduce((sum, value) => sum + value, 0);
+            });
+            return {
+                message: `Solar forecast loaded (${format}): ${dates.map(date => `${date} ${totals[date].toFixed(1)} kWh`).join(', ')}`,
+                result: { format: format, daily_kwh: totals, accuracy: getForecastAccuracy() }
+            };
+        }
+    },
+
+    // payload: { annual_goal_kwh, replan?: boolean, dry_run?: boolean }. A replan
+    // without annual_goal_kwh reuses the goal of the stored plan
+    plan_targets: {
+        validate: payload => {
+            const options = payload && typeof payload === 'object' ? payload : {};
+            const storedPlan = global.get('export_target_plan', 'file');
+            if (options.annual_goal_kwh === undefined) {
+                return options.replan && storedPlan ? null : 'annual_goal_kwh is required (or replan with a stored plan)';
+            }
+            if (typeof options.annual_goal_kwh !== 'number' || !(options.annual_goal_kwh > 0) || options.annual_goal_kwh > MAX_ANNUAL_EXPORT_GOAL) {
+                return `annual_goal_kwh must be a number between 0 and ${MAX_ANNUAL_EXPORT_GOAL}`;
+            }
+            return null;
+        },
+        run: payload => {
+            const options = payload && typeof payload === 'object' ? payload : {};
+            const annualGoal = options.annual_goal_kwh !== undefined
+                ? options.annual_goal_kwh
+                : global.get('export_target_plan', 'file').annual_goal_kwh;
+            const plan = planExportTargets(annualGoal, options.replan === true);
+            if (!options.dry_run) {
+                applyPlannedTargets(plan);
+            }
+            return {
+                message: `${options.dry_run ? 'Planned (not applied)' : 'Planned and applied'}: ${annualGoal} kWh for ${plan.year} using the ${plan.source} profile`,
+                result: plan
+            };
+        }
+    },
+
+    repair_export_history: {
+        validate: () => null,
+        run: () => {
+            const result = repairExportHistory();
+            return {
+                message: `Export history repaired: ${result.repaired.length} corrected, ${result.added.length} added, ${result.long_term_updated.length} long-term days updated (${result.summaries_found} daily summaries)`,
+                result: { ...result, target_export: getCurrentMonthTarget() }
+            };
+        }
+    },
+
+    // payload: optional "FROM_to_TO" transition, otherwise all pending requests
+    reset_debounce: {
+        validate: payload => {
+            if (payload === undefined || payload === null || payload === '') return null;
+            if (typeof payload !== 'string') return 'Transition must be a string like "SELF_CONSUME_to_EXPORT_PRIORITY"';
+            const [fromState, toState] = payload.split('_to_');
+            const validStates = Object.values(STATES);
+            return validStates.includes(fromState) && validStates.includes(toState) ? null : `Unknown transition: ${payload}`;
+        },
+        run: payload => {
+            if (typeof payload === 'string' && payload !== '') {
+                global.set(`state_change_request_${payload}`, 0);
+                return { message: `Debounce reset for ${payload}`, result: { cleared: [payload] } };
+            }
+            clearOtherStateChangeRequests(null);
+            return { message: 'All debounce requests reset', result: { cleared: 'all' } };
+        }
+    },
+
+    // payload: optional log type to clear only that type
+    clear_logs: {
+        validate: payload => {
+            if (payload === undefined || payload === null || payload === '') return null;
+            return typeof payload === 'string' ? null : 'Log type must be a string';
+        },
+        run: payload => {
+            const logType = typeof payload === 'string' && payload !== '' ? payload : null;
+            const logs = global.get('energy_management_logs', 'file') || [];
+            const remaining = logType ? logs.filter(log => log.type !== logType) : [];
+            global.set('energy_management_logs', remaining, 'file');
+            return {
+                message: `Cleared ${logs.length - remaining.length} log entries${logType ? ` of type ${logType}` : ''}`,
+                result: { removed_count: logs.length - remaining.length, remaining_count: remaining.length }
+            };
+        }
+    },
+
+    // payload: state name from STATES
+    set_state: {
+        validate: payload => Object.values(STATES).includes(payload) ? null : `Unknown state: ${payload}. Valid states: ${Object.values(STATES).join(', ')}`,
+        run: payload => {
+            const { changed, previous_state } = setStateManually(payload, `Manual command: set_state ${payload}`);
+            if (!changed) {
+                return { message: `Already in ${payload}`, result: { state: payload, changed: false } };
+            }
+            return { message: `State set: ${previous_state} → ${payload}`, result: { state: payload, previous_state: previous_state, changed: true } };
+        }
+    },
+
+    // payload: { state, duration_minutes } or { state, until: ISO timestamp }, optional reason
+    set_override: {
+        validate: payload => {
+            if (!payload || typeof payload !== 'object') return 'Payload must be an object with state and duration_minutes or until';
+            if (!Object.values(STATES).includes(payload.state) || payload.state === STATES.SAFE_MODE) {
+                return `Override state must be one of: ${Object.values(STATES).filter(state => state !== STATES.SAFE_MODE).join(', ')}`;
+            }
+            if ((payload.duration_minutes === undefined) === (payload.until === undefined)) {
+                return 'Give exactly one of duration_minutes or until';
+            }
+            const expiresAt = getOverrideExpiry(payload);
+            if (isNaN(expiresAt)) return 'until must be an ISO timestamp and duration_minutes a number';
+            if (expiresAt <= Date.now()) return 'Override must end in the future';
+            if (expiresAt - Date.now() > CONFIG.max_override_hours * 60 * 60 * 1000) {
+                return `Override cannot last more than ${CONFIG.max_override_hours} hours`;
+            }
+            if (payload.reason !== undefined && typeof payload.reason !== 'string') return 'reason must be a string';
+            return null;
+        },
+        run: payload => {
+            const previous = getActiveOverride();
+            const override = startManualOverride(payload.state, getOverrideExpiry(payload), payload.reason);
+            return {
+                message: `Override active: ${override.state} until ${override.expires_iso}${previous ? ` (replaced ${previous.state} override)` : ''}`,
+                result: getOverrideStatus()
+            };
+        }
+    },
+
+    cancel_override: {
+        validate: () => getActiveOverride() ? null : 'No manual override is active',
+        run: () => {
+            const override = endManualOverride('cancelled');
+            return { message: `Override cancelled: ${override.state} released to normal control`, result: { state: override.state } };
+        }
+    },
+
+    // payload: optional override object, validated and stored before reloading
+    reload_config: {
+        validate: payload => {
+            if (payload === undefined || payload === null || payload === '' || typeof payload === 'number') return null;
+            const { errors } = validateConfigOverride(payload);
+            return errors.length > 0 ? `Invalid configuration: ${errors.join('; ')}` : null;
+        },
+        run: payload => {
+            if (payload && typeof payload === 'object') {
+                global.set('energy_management_config', payload, 'file');
+            }
+            const effectiveConfig = applyRuntimeConfig();
+            return {
+                message: `Configuration reloaded (${effectiveConfig.source}, ${effectiveConfig.overridden.length} overridden)`,
+                result: effectiveConfig
+            };
+        }
+    }
+};
+
+function getOverrideExpiry(payload) {
+    if (payload.until !== undefined) {
+        return typeof payload.until === 'string' ? new Date(payload.until).getTime() : NaN;
+    }
+    return typeof payload.duration_minutes === 'number' ? Date.now() + payload.duration_minutes * 60 * 1000 : NaN;
+}
+
+function handleCommand(command, payload) {
+    const handler = COMMANDS[command];
+    let ack;
+
+    try {
+        const error = handler.validate(payload);
+        if (error) {
+            ack = { command: command, success: false, message: error };
+        } else {
+            const { message, result } = handler.run(payload);
+            ack = { command: command, success: true, message: message, result: result };
+        }
+    } catch (error) {
+        ack = { command: command, success: false, message: `Command failed: ${error.message}` };
+    }
+
+    // Large arguments (e.g. import_history CSV text) are truncated in the log
+    const argumentText = payload === undefined ? null : JSON.stringify(payload);
+    addPersistentLog('COMMAND', `${command}: ${ack.message}`, {
+        command: command,
+        argument: argumentText !== null && argumentText.length > MAX_COMMAND_ARGUMENT_LENGTH
+            ? `${argumentText.slice(0, MAX_COMMAND_ARGUMENT_LENGTH)}...`
+            : (payload === undefined ? null : payload),
+        success: ack.success
+    }, ack.success ? 'normal' : 'high');
+
+    ack.timestamp = getLocalISOString();
+    return ack;
+}
+
 // =============================================================================
 // MAIN EXECUTION
 // =============================================================================
 
 try {
+    // Commands are acknowledged on the second output and work while disabled
+    if (typeof msg.topic === 'string' && COMMANDS.hasOwnProperty(msg.topic)) {
+        applyRuntimeConfig();
+        msg.payload = handleCommand(msg.topic, msg.payload);
+        return [null, msg];
+    }
+
     // Check if energy management is enabled
     const energyManagementEnabled = global.get('energy_management_enabled');
     if (energyManagementEnabled === false)
@@ -823,22 +4543,19 @@ try {
         return;
     }
 
+    // Merge persisted configuration overrides over the built-in defaults
+    const effectiveConfig = applyRuntimeConfig();
 
-    // Get input data from global context
-    const dailyExport = (global.get('export_daily') || 0) / 1000;
-    const gridPower = global.get('grid_power') || 0;
-    const generation = global.get('generation') || 0;
-    const batterySoc = global.get('victron_soc') || 50;
-    const batteryPower = global.get('battery_power') || 0;
-    const inverterMode = global.get('victron_mode') || 3;
+    // Get input data from global context, with stale sensors held, substituted or flagged
+    const freshness = applySensorFreshness(readSensorInputs(), msg.sensor_updated);
+    const { dailyExport, gridPower, generation, batterySoc, batteryPower, inverterMode } = freshness.inputs;
 
     // Initialize and get current state
     const currentState = initializeStateIfNeeded();
+    migrateExportHistoryTimezone();
+    global.set('energy_management_timezone', getTimeZone());
     const targetExport = getCurrentMonthTarget();
 
-    // Update daily export history
-    updateDailyExportHistory(dailyExport, targetExport);
-
     // Prepare inputs object
     const inputs = {
         dailyExport,
@@ -847,8 +4564,20 @@ try {
         gridPower,
         batterySoc,
         batteryPower,
-        inverterMode
+        inverterMode,
+        pace: getExportPace(dailyExport, targetExport),
+        forecastPlan: getForecastPlan(dailyExport, targetExport, batterySoc),
+        tariff: getTariffStatus(),
+        zeroExport: getZeroExportStatus(),
+        discharge: getDischargeStatus(),
+        gridCharge: getGridChargeStatus()
     };
+    global.set('energy_management_export_pace', inputs.pace);
+    global.set('energy_management_forecast_plan', inputs.forecastPlan);
+    global.set('energy_management_tariff', inputs.tariff);
+    global.set('energy_management_zero_export', inputs.zeroExport);
+    global.set('energy_management_discharge', inputs.discharge);
+    global.set('energy_management_grid_charge', inputs.gridCharge);
 
     // Validate input data
     const validationErrors = validateInputData(inputs);
@@ -858,43 +4587,78 @@ try {
             input_data: inputs
         }, 'high');
 
-        msg.payload = {
-            timestamp: getLocalISOString(),
-            current_state: STATES.SAFE_MODE,
-            actions: {
-                set_ess_mode: false,
-                grid_setpoint: null,
-                enable_hws: false,
-                inverter_mode: 3
-            },
-            status: {
-                validation_errors: validationErrors,
-                message: 'Invalid sensor data - using safe mode'
-            }
-        };
+        const reason = `Data validation failed: ${validationErrors.join(', ')}`;
+        enterSafeMode('validation', reason, inputs);
+        msg.payload = generateSafeModeOutput(reason, {
+            validation_errors: validationErrors,
+            message: 'Invalid sensor data - using safe mode'
+        });
+        return msg;
+    }
+
+    // Update today's export history, finalising the previous day at rollover
+    updateDailyExportHistory(dailyExport, targetExport, generation, {
+        gridPower,
+        loads: getRunningLoads(),
+        discharging: currentState === STATES.GRID_DISCHARGE
+    })
+        .forEach(day => logDailySummary(day, inputs));
+    const longTermHistory = loadLongTermHistory();
+    inputs.financials = getFinancialSummary(longTermHistory);
+    global.set('energy_management_financials', inputs.financials);
+    inputs.loadEnergy = getLoadEnergySummary(longTermHistory);
+    global.set('energy_management_load_energy', inputs.loadEnergy);
+
+    if (freshness.safeMode) {
+        const staleSensors = freshness.stale.filter(entry => entry.policy === 'safe_mode').map(entry => entry.sensor);
+        const reason = `Stale sensor data: ${staleSensors.join(', ')}`;
+        enterSafeMode('stale_data', reason, inputs);
+        msg.payload = generateSafeModeOutput(reason, {
+            stale_inputs: freshness.stale,
+            message: 'Stale sensor data - using safe mode'
+        });
         return msg;
     }
 
+    // Leave SAFE_MODE only after enough consecutive valid cycles
+    let activeState = currentState;
+    if (currentState === STATES.SAFE_MODE) {
+        activeState = recordSafeModeValidCycle(inputs);
+        if (!activeState) {
+            const status = getSafeModeStatus();
+            msg.payload = generateSafeModeOutput(status.latched
+                ? `SAFE_MODE latched after ${status.cause} - use set_state to resume`
+                : `Recovering from ${status.cause}: ${status.valid_cycles}/${status.required_cycles} valid cycles`);
+            return msg;
+        }
+    }
+
     // Process state transition
-    const { nextState, stateReason } = processStateTransition(currentState, inputs);
+    const { nextState, stateReason } = processStateTransition(activeState, inputs);
+
+    if (nextState === STATES.SAFE_MODE) {
+        enterSafeMode('unknown_state', stateReason, inputs);
+        msg.payload = generateSafeModeOutput(stateReason);
+        return msg;
+    }
 
     // Update global state if changed
-    if (nextState !== currentState) {
+    if (nextState !== activeState) {
         global.set('energy_management_state', nextState);
-        logStateChange(currentState, nextState, stateReason, inputs);
+        logStateChange(activeState, nextState, stateReason, inputs);
         if (CONFIG.enable_debug) {
-            node.warn(`State change: ${currentState} → ${nextState}`);
+            node.warn(`State change: ${activeState} → ${nextState}`);
         }
     }
 
-    // Log daily summary
-    logDailySummary(dailyExport, targetExport, inputs);
-
     // Generate output
     const output = generateOutput(nextState, inputs, stateReason);
 
-    // Store HWS status for next iteration
-    global.set('hws_status', output.actions.enable_hws);
+    output.status.stale_inputs = freshness.stale;
+    output.config = effectiveConfig;
+
+    global.set('energy_management_loads', output.status.loads);
+    global.set('energy_management_ev', output.status.ev);
 
     // Send output
     msg.payload = output;
@@ -908,16 +4672,12 @@ try {
     }, 'critical');
     
     node.error(`Energy Management Error: ${error.message}`);
-    msg.payload = {
-        timestamp: getLocalISOString(),
-        current_state: STATES.SAFE_MODE,
-        actions: {
-            set_ess_mode: false,
-            grid_setpoint: null,
-            enable_hws: false,
-            inverter_mode: 4
-        },
-        error: error.message
-    };
+    try {
+        enterSafeMode('exception', `Fatal error: ${error.message}`);
+    } catch (safeModeError) {
+        node.error(`Could not record SAFE_MODE entry: ${safeModeError.message}`);
+    }
+    msg.payload = generateSafeModeOutput(`Fatal error: ${error.message}`);
+    msg.payload.error = error.message;
     return msg;
 }
\ No newline at end of file
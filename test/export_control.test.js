@@ -0,0 +1,3440 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createEnvironment,
+    loadEnergyManagement,
+    runEnergyManagement
+} = require('./harness');
+
+const DAYTIME = '2025-07-20T12:00:00+10:00';
+const NIGHTTIME = '2025-07-20T22:00:00+10:00';
+
+// Load manager state with the given loads switched on (or off) since `changedAt`
+function setLoads(env, loads, changedAt = env.clock.now(), shed = false) {
+    const entries = {};
+    Object.entries(loads).forEach(([name, on]) => {
+        entries[name] = { on, changed_at: changedAt, shed, runtime_minutes: 0 };
+    });
+    env.global.set('load_manager_state', { date: null, updated_at: null, loads: entries }, 'file');
+}
+
+function makeInputs(overrides = {}) {
+    return {
+        dailyExport: 10,
+        targetExport: 23.5,
+        generation: 4000,
+        gridPower: -2500,
+        batterySoc: 70,
+        batteryPower: 800,
+        inverterMode: 3,
+        ...overrides
+    };
+}
+
+describe('processStateTransition', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    describe('stale generation guard', () => {
+        it('holds EXPORT_PRIORITY when exporting hard with a near-zero generation reading', () => {
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ generation: 100, gridPower: -3000, batteryPower: -200, batterySoc: 20 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(result.stateReason, /likely stale/);
+            assert.equal(env.persistentLogs('DATA_PROTECTION').length, 1);
+        });
+
+        it('does not apply outside EXPORT_PRIORITY', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ dailyExport: 30, generation: 100, gridPower: -3000, batteryPower: 500 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+            assert.equal(env.persistentLogs('DATA_PROTECTION').length, 0);
+        });
+    });
+
+    describe('battery protection override', () => {
+        it('forces EXPORT_PRIORITY when SOC is at the floor and discharging', () => {
+            const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+                makeInputs({ batterySoc: 35, batteryPower: -400, generation: 0, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(result.stateReason, /Battery protection override/);
+
+            const logs = env.persistentLogs('BATTERY_PROTECTION');
+            assert.equal(logs.length, 1);
+            assert.equal(logs[0].priority, 'critical');
+            assert.equal(logs[0].data.previous_state, em.STATES.SELF_CONSUME);
+        });
+
+        it('applies whether or not the export target has been reached', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ dailyExport: 30, batterySoc: 20, batteryPower: -1500, generation: 0, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        });
+
+        it('maintains EXPORT_PRIORITY without logging again', () => {
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ batterySoc: 30, batteryPower: -400, generation: 0, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(result.stateReason, /Battery protection active/);
+            assert.equal(env.persistentLogs('BATTERY_PROTECTION').length, 0);
+        });
+
+        it('does not trigger for a low battery that is charging', () => {
+            assert.equal(em.isBatteryProtectionActive(20, 300, false), false);
+            assert.equal(em.isBatteryProtectionActive(20, -300, false), true);
+            assert.equal(em.isBatteryProtectionActive(36, -300, false), false);
+        });
+    });
+
+    describe('reset to export priority', () => {
+        it('debounces a return to EXPORT_PRIORITY while the target is not reached', () => {
+            const inputs = makeInputs({ batteryPower: 200 });
+
+            const first = em.processStateTransition(em.STATES.SELF_CONSUME, inputs);
+            assert.equal(first.nextState, em.STATES.SELF_CONSUME);
+            assert.match(first.stateReason, /Export priority requested but Debouncing/);
+
+            env.clock.advanceMinutes(5);
+            const second = em.processStateTransition(em.STATES.SELF_CONSUME, inputs);
+            assert.equal(second.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(second.stateReason, /Debounce period satisfied/);
+        });
+
+        it('accepts strong battery charging in place of generation', () => {
+            const inputs = makeInputs({ generation: 200, batteryPower: 1200 });
+
+            em.processStateTransition(em.STATES.BATTERY_STORAGE, inputs);
+            env.clock.advanceMinutes(5);
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE, inputs);
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        });
+
+        it('is not requested at night', () => {
+            env.clock.set(NIGHTTIME);
+            const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+                makeInputs({ generation: 600, batteryPower: -200, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+            assert.equal(env.persistentLogs('DEBOUNCE').length, 0);
+        });
+
+        it('flags low-export resets through shouldResetToExportPriority', () => {
+            assert.equal(em.shouldResetToExportPriority(5, 23.5, 1500), true);
+            assert.equal(em.shouldResetToExportPriority(5, 23.5, 500), false);
+            assert.equal(em.shouldResetToExportPriority(15, 23.5, 1500), false);
+        });
+    });
+
+    describe('low generation self consume', () => {
+        it('debounces EXPORT_PRIORITY to SELF_CONSUME when generation collapses in the day', () => {
+            const inputs = makeInputs({ generation: 200, batteryPower: 0, gridPower: 300 });
+
+            const first = em.processStateTransition(em.STATES.EXPORT_PRIORITY, inputs);
+            assert.equal(first.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(first.stateReason, /Self consume requested but Debouncing/);
+
+            env.clock.advanceMinutes(4);
+            const second = em.processStateTransition(em.STATES.EXPORT_PRIORITY, inputs);
+            assert.equal(second.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(second.stateReason, /60s remaining/);
+
+            env.clock.advanceMinutes(1);
+            const third = em.processStateTransition(em.STATES.EXPORT_PRIORITY, inputs);
+            assert.equal(third.nextState, em.STATES.SELF_CONSUME);
+        });
+
+        it('stays in EXPORT_PRIORITY while generation is between the stay and enter thresholds', () => {
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ generation: 400, batteryPower: 100, gridPower: -100 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+            assert.match(result.stateReason, /^Export priority:/);
+        });
+    });
+
+    describe('EXPORT_PRIORITY', () => {
+        it('moves to BATTERY_STORAGE as soon as the target is reached', () => {
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ dailyExport: 24 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+            assert.match(result.stateReason, /reached, switching to battery storage/);
+        });
+
+        it('moves to SELF_CONSUME in the evening when the battery has charge', () => {
+            env.clock.set(NIGHTTIME);
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ generation: 0, gridPower: 0, batteryPower: -300, batterySoc: 60 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+            assert.match(result.stateReason, /self consume to avoid grid import/);
+        });
+
+        it('keeps exporting at night when the battery is near the floor', () => {
+            env.clock.set(NIGHTTIME);
+            const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY,
+                makeInputs({ generation: 0, gridPower: 400, batteryPower: 0, batterySoc: 35 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        });
+    });
+
+    describe('BATTERY_STORAGE', () => {
+        const targetReached = { dailyExport: 25 };
+
+        it('moves to LOAD_MANAGEMENT when full with enough excess for the HWS', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ ...targetReached, batterySoc: 99, batteryPower: 100, gridPower: -2500 }));
+
+            assert.equal(result.nextState, em.STATES.LOAD_MANAGEMENT);
+        });
+
+        it('stays when full but the excess would not cover the HWS', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ ...targetReached, batterySoc: 99, batteryPower: 100, gridPower: -2000 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+            assert.match(result.stateReason, /^Battery storage:/);
+        });
+
+        it('moves to SELF_CONSUME when low and idle', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ ...targetReached, batterySoc: 30, batteryPower: 0, generation: 0, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+            assert.match(result.stateReason, /Battery low/);
+        });
+
+        it('moves to SELF_CONSUME when discharging', () => {
+            const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+                makeInputs({ ...targetReached, batterySoc: 80, batteryPower: -600, generation: 200, gridPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+            assert.match(result.stateReason, /discharging 600W/);
+        });
+    });
+
+    describe('LOAD_MANAGEMENT', () => {
+        const targetReached = { dailyExport: 25 };
+
+        it('returns to BATTERY_STORAGE when the SOC drops with the HWS on', () => {
+            setLoads(env, { hws: true });
+            const result = em.processStateTransition(em.STATES.LOAD_MANAGEMENT,
+                makeInputs({ ...targetReached, batterySoc: 96, batteryPower: 200 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        });
+
+        it('returns to BATTERY_STORAGE when generation drops with the HWS on', () => {
+            setLoads(env, { hws: true });
+            const result = em.processStateTransition(em.STATES.LOAD_MANAGEMENT,
+                makeInputs({ ...targetReached, batterySoc: 99, batteryPower: 200, generation: 800 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        });
+
+        it('goes to SELF_CONSUME when the battery is low and idle', () => {
+            setLoads(env, { hws: true });
+            const result = em.processStateTransition(em.STATES.LOAD_MANAGEMENT,
+                makeInputs({ ...targetReached, batterySoc: 30, batteryPower: 0 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+        });
+
+        it('holds while the HWS is off', () => {
+            const result = em.processStateTransition(em.STATES.LOAD_MANAGEMENT,
+                makeInputs({ ...targetReached, batterySoc: 96, batteryPower: 200 }));
+
+            assert.equal(result.nextState, em.STATES.LOAD_MANAGEMENT);
+            assert.match(result.stateReason, /HWS OFF/);
+        });
+    });
+
+    describe('SELF_CONSUME', () => {
+        beforeEach(() => {
+            env.clock.set(NIGHTTIME);
+        });
+
+        it('returns to EXPORT_PRIORITY when charging before the target', () => {
+            const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+                makeInputs({ generation: 0, gridPower: 300, batteryPower: 200 }));
+
+            assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        });
+
+        it('returns to BATTERY_STORAGE when charging after the target', () => {
+            const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+                makeInputs({ dailyExport: 25, generation: 0, gridPower: 300, batteryPower: 200 }));
+
+            assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        });
+
+        it('holds while discharging', () => {
+            const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+                makeInputs({ generation: 0, gridPower: 0, batteryPower: -500 }));
+
+            assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+            assert.match(result.stateReason, /^Self consume:/);
+        });
+    });
+
+    it('enters SAFE_MODE from an unknown state', () => {
+        env.clock.set(NIGHTTIME);
+        const result = em.processStateTransition('BOGUS', makeInputs({ generation: 0, batteryPower: -100 }));
+
+        assert.equal(result.nextState, em.STATES.SAFE_MODE);
+        assert.equal(env.persistentLogs('ERROR').length, 1);
+    });
+});
+
+describe('debounce', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    it('allows a no-op transition immediately', () => {
+        const result = em.checkStateChangeDebounce('SELF_CONSUME', 'SELF_CONSUME', 'test');
+        assert.equal(result.allowed, true);
+    });
+
+    it('requires the full debounce time before approving', () => {
+        const { EXPORT_PRIORITY, SELF_CONSUME } = em.STATES;
+        const key = `state_change_request_${SELF_CONSUME}_to_${EXPORT_PRIORITY}`;
+
+        assert.equal(em.checkStateChangeDebounce(EXPORT_PRIORITY, SELF_CONSUME, 'test').allowed, false);
+        assert.equal(env.global.get(key), env.clock.now());
+
+        env.clock.advance(5 * 60 * 1000 - 1000);
+        const pending = em.checkStateChangeDebounce(EXPORT_PRIORITY, SELF_CONSUME, 'test');
+        assert.equal(pending.allowed, false);
+        assert.equal(pending.reason, 'Debouncing (1s remaining)');
+
+        env.clock.advance(1000);
+        assert.equal(em.checkStateChangeDebounce(EXPORT_PRIORITY, SELF_CONSUME, 'test').allowed, true);
+        assert.equal(env.global.get(key), 0);
+        assert.equal(env.persistentLogs('DEBOUNCE').length, 2);
+    });
+
+    it('follows CONFIG.state_change_debounce_time', () => {
+        em.CONFIG.state_change_debounce_time = 1;
+        const { EXPORT_PRIORITY, SELF_CONSUME } = em.STATES;
+
+        em.checkStateChangeDebounce(EXPORT_PRIORITY, SELF_CONSUME, 'test');
+        env.clock.advanceMinutes(1);
+        assert.equal(em.checkStateChangeDebounce(EXPORT_PRIORITY, SELF_CONSUME, 'test').allowed, true);
+    });
+
+    it('clears every pending request except the allowed one', () => {
+        const { EXPORT_PRIORITY, SELF_CONSUME, BATTERY_STORAGE } = em.STATES;
+        env.global.set(`state_change_request_${SELF_CONSUME}_to_${EXPORT_PRIORITY}`, 123);
+        env.global.set(`state_change_request_${BATTERY_STORAGE}_to_${EXPORT_PRIORITY}`, 456);
+
+        em.clearOtherStateChangeRequests(`${SELF_CONSUME}_to_${EXPORT_PRIORITY}`);
+
+        assert.equal(env.global.get(`state_change_request_${SELF_CONSUME}_to_${EXPORT_PRIORITY}`), 123);
+        assert.equal(env.global.get(`state_change_request_${BATTERY_STORAGE}_to_${EXPORT_PRIORITY}`), 0);
+    });
+});
+
+describe('isNightTime', () => {
+    it('follows the configured night window in local time', () => {
+        const env = createEnvironment({ now: '2025-07-20T19:59:00+10:00' });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.isNightTime(), false);
+        env.clock.set('2025-07-20T20:00:00+10:00');
+        assert.equal(em.isNightTime(), true);
+        env.clock.set('2025-07-21T05:59:00+10:00');
+        assert.equal(em.isNightTime(), true);
+        env.clock.set('2025-07-21T06:00:00+10:00');
+        assert.equal(em.isNightTime(), false);
+    });
+});
+
+describe('timezone handling', () => {
+    function sydney(now) {
+        const env = createEnvironment({ now });
+        const em = loadEnergyManagement(env);
+        em.CONFIG.timezone = 'Australia/Sydney';
+        return { env, em };
+    }
+
+    it('keeps the fixed +10:00 behaviour for the default Brisbane timezone', () => {
+        const env = createEnvironment({ now: '2025-01-15T23:30:00+10:00' });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.getLocalISOString(), '2025-01-15T23:30:00.000+10:00');
+        assert.equal(em.getLocalDateString(), '2025-01-15');
+    });
+
+    it('uses the daylight saving offset in summer', () => {
+        const { em } = sydney('2025-01-15T23:30:00+10:00');
+
+        assert.equal(em.getLocalISOString(), '2025-01-16T00:30:00.000+11:00');
+        assert.equal(em.getLocalDateString(), '2025-01-16');
+        assert.equal(em.getLocalParts().offsetMinutes, 660);
+    });
+
+    it('uses the standard offset in winter', () => {
+        const { em } = sydney('2025-07-20T12:00:00+10:00');
+
+        assert.equal(em.getLocalISOString(), '2025-07-20T12:00:00.000+10:00');
+    });
+
+    it('detects night by local wall-clock time across DST', () => {
+        const { env, em } = sydney('2025-01-15T19:30:00+11:00');
+        assert.equal(em.isNightTime(), false);
+
+        env.clock.set('2025-01-15T20:00:00+11:00');
+        assert.equal(em.isNightTime(), true);
+    });
+
+    it('gives one date key per calendar day on the DST change days', () => {
+        const { env, em } = sydney('2025-04-06T00:30:00+11:00');
+        const dates = new Set();
+        for (let i = 0; i < 25 * 12; i++) {
+            dates.add(em.getLocalDateString());
+            env.clock.advanceMinutes(5);
+        }
+
+        // 6 April 2025 is 25 hours long in Sydney
+        assert.deepEqual(Array.from(dates), ['2025-04-06', '2025-04-07']);
+    });
+
+    it('falls back to Brisbane for an invalid timezone', () => {
+        const env = createEnvironment({ now: '2025-01-15T12:00:00+10:00' });
+        const em = loadEnergyManagement(env);
+        em.CONFIG.timezone = 'Not/AZone';
+
+        assert.equal(em.getLocalISOString(), '2025-01-15T12:00:00.000+10:00');
+        assert.match(env.node.warnings[0], /Invalid CONFIG.timezone/);
+    });
+
+    it('warns once per invalid timezone value', () => {
+        const env = createEnvironment({ now: '2025-01-15T12:00:00+10:00' });
+        const em = loadEnergyManagement(env);
+        em.CONFIG.timezone = 'Not/AZone';
+        em.getLocalISOString();
+        em.getLocalDateString();
+        const nextTick = loadEnergyManagement(env);
+        nextTick.CONFIG.timezone = 'Not/AZone';
+        nextTick.getLocalISOString();
+        assert.equal(env.node.warnings.filter(w => /Invalid CONFIG.timezone/.test(w)).length, 1);
+
+        em.CONFIG.timezone = 'Also/NotAZone';
+        em.getLocalISOString();
+        assert.equal(env.node.warnings.filter(w => /Invalid CONFIG.timezone/.test(w)).length, 2);
+    });
+
+    describe('export history migration', () => {
+        it('merges duplicate dates and drops entries dated after today', () => {
+            const env = createEnvironment({
+                now: '2025-01-16T09:00:00+11:00',
+                fileGlobals: {
+                    export_history_30days: [
+                        { date: '2025-01-14', export: 30, target: 25.5 },
+                        { date: '2025-01-15', export: 0.2, target: 25.5 },
+                        { date: '2025-01-15', export: 28, target: 25.5 },
+                        { date: '2025-01-17', export: 0.1, target: 25.5 }
+                    ]
+                }
+            });
+            const em = loadEnergyManagement(env);
+            em.CONFIG.timezone = 'Australia/Sydney';
+
+            em.migrateExportHistoryTimezone();
+
+            const history = env.global.get('export_history_30days', 'file');
+            assert.deepEqual(history.map(entry => [entry.date, entry.export]), [['2025-01-14', 30], ['2025-01-15', 28]]);
+            assert.equal(env.global.get('export_history_timezone', 'file'), 'Australia/Sydney');
+            assert.equal(env.persistentLogs('SYSTEM')[0].data.merged_count, 1);
+            assert.equal(env.persistentLogs('SYSTEM')[0].data.dropped_future_count, 1);
+        });
+
+        it('only runs when the timezone changes', () => {
+            const env = createEnvironment({
+                now: DAYTIME,
+                fileGlobals: {
+                    export_history_timezone: 'Australia/Brisbane',
+                    export_history_30days: [{ date: '2025-07-19', export: 1 }, { date: '2025-07-19', export: 2 }]
+                }
+            });
+            const em = loadEnergyManagement(env);
+
+            em.migrateExportHistoryTimezone();
+
+            assert.equal(env.global.get('export_history_30days', 'file').length, 2);
+        });
+    });
+});
+
+describe('runtime configuration', () => {
+    function configEnvironment(override, extraFileGlobals = {}) {
+        const env = createEnvironment({
+            now: DAYTIME,
+            fileGlobals: override === undefined ? extraFileGlobals : { energy_management_config: override, ...extraFileGlobals }
+        });
+        return { env, em: loadEnergyManagement(env) };
+    }
+
+    it('has a schema entry for every CONFIG key', () => {
+        const { em } = configEnvironment();
+        const missing = Object.keys(em.CONFIG).filter(key => !em.CONFIG_SCHEMA[key]);
+
+        assert.deepEqual(missing, []);
+    });
+
+    it('uses the built-in defaults without an override', () => {
+        const { env, em } = configEnvironment();
+        const effective = em.applyRuntimeConfig();
+
+        assert.equal(effective.source, 'defaults');
+        assert.deepEqual(effective.overridden, []);
+        assert.equal(env.persistentLogs().length, 0);
+    });
+
+    it('merges a valid override and audits the change once', () => {
+        const { env, em } = configEnvironment({
+            config: { min_generation_for_export: 800, timezone: 'Australia/Sydney' },
+            monthly_export_targets: { 7: 20 }
+        });
+
+        const effective = em.applyRuntimeConfig();
+        assert.equal(effective.source, 'override');
+        assert.equal(em.CONFIG.min_generation_for_export, 800);
+        assert.equal(em.CONFIG.min_generation_to_stay_export, 300);
+        assert.equal(em.MONTHLY_EXPORT_TARGETS[7], 20);
+        assert.deepEqual(effective.overridden.sort(), ['min_generation_for_export', 'monthly_export_targets.7', 'timezone']);
+
+        const changes = env.persistentLogs('CONFIG_CHANGE');
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].data.changes.length, 3);
+        assert.equal(env.global.get('energy_management_config_audit', 'file').length, 1);
+
+        em.applyRuntimeConfig();
+        assert.equal(env.persistentLogs('CONFIG_CHANGE').length, 1);
+    });
+
+    it('rejects out-of-range, mistyped and unknown values', () => {
+        const { em } = configEnvironment();
+        const { errors } = em.validateConfigOverride({
+            config: { max_soc_threshold: 120, enable_debug: 'yes', night_start_hour: 20.5, timezone: 'Mars/Base', bogus: 1 },
+            monthly_export_targets: { 13: 10, 1: -1 },
+            extra: {}
+        });
+
+        assert.deepEqual(errors, [
+            'Unknown section: extra',
+            'max_soc_threshold must be ≤ 100',
+            'enable_debug must be true or false',
+            'night_start_hour must be a whole number',
+            'timezone "Mars/Base" is not a valid IANA timezone',
+            'Unknown setting: bogus',
+            'monthly_export_targets.1 must be ≥ 0',
+            'Unknown month: 13'
+        ]);
+    });
+
+    it('applies cross-field rules against the merged config', () => {
+        const { em } = configEnvironment();
+
+        assert.deepEqual(em.validateConfigOverride({ config: { min_soc_threshold: 99 } }).errors,
+            ['min_soc_threshold must be below max_soc_threshold']);
+        assert.deepEqual(em.validateConfigOverride({ config: { min_generation_to_stay_export: 600 } }).errors,
+            ['min_generation_to_stay_export must not exceed min_generation_for_export']);
+        assert.deepEqual(em.validateConfigOverride({ config: { min_generation_to_stay_export: 600, min_generation_for_export: 600 } }).errors, []);
+    });
+
+    it('keeps the last accepted override and logs a rejected one once', () => {
+        const { env, em } = configEnvironment({ config: { min_soc_threshold: 99 } }, {
+            energy_management_config_applied: { config: { min_soc_threshold: 40 } }
+        });
+
+        const effective = em.applyRuntimeConfig();
+        assert.equal(effective.source, 'last_accepted');
+        assert.equal(em.CONFIG.min_soc_threshold, 40);
+
+        em.applyRuntimeConfig();
+        const errors = env.persistentLogs('CONFIG_ERROR');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].priority, 'high');
+        assert.equal(errors[0].data.fallback, 'last_accepted');
+    });
+
+    it('audits a return to defaults when the override is removed', () => {
+        const { env, em } = configEnvironment(undefined, {
+            energy_management_config_applied: { config: { catchup_days: 10 } }
+        });
+
+        em.applyRuntimeConfig();
+
+        assert.equal(em.CONFIG.catchup_days, 5);
+        assert.equal(env.global.get('energy_management_config_applied', 'file'), undefined);
+        assert.match(env.persistentLogs('CONFIG_CHANGE')[0].message, /catchup_days 10 → 5/);
+    });
+
+    it('publishes the effective config in the output', () => {
+        const env = createEnvironment({
+            now: DAYTIME,
+            globals: { energy_management_enabled: true, export_daily: 5000, generation: 3000, grid_power: -2000, victron_soc: 60, battery_power: 0 },
+            fileGlobals: { energy_management_config: { config: { catchup_days: 7 } } }
+        });
+        const msg = runEnergyManagement(env, {});
+
+        assert.equal(msg.payload.config.source, 'override');
+        assert.equal(msg.payload.config.config.catchup_days, 7);
+        assert.deepEqual(env.global.get('energy_management_effective_config'), msg.payload.config);
+    });
+});
+
+describe('generateOutput', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    it('disables ESS in EXPORT_PRIORITY', () => {
+        const output = em.generateOutput(em.STATES.EXPORT_PRIORITY, makeInputs(), 'test');
+
+        assert.deepEqual(output.actions, { set_ess_mode: false, grid_setpoint: null, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+        assert.equal(output.current_state, em.STATES.EXPORT_PRIORITY);
+        assert.equal(output.debug.state_reason, 'test');
+    });
+
+    for (const state of ['BATTERY_STORAGE', 'SELF_CONSUME']) {
+        it(`holds a zero grid setpoint in ${state}`, () => {
+            const output = em.generateOutput(em.STATES[state], makeInputs(), 'test');
+            assert.deepEqual(output.actions, { set_ess_mode: true, grid_setpoint: 0, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+        });
+    }
+
+    it('uses the shared safe action set in SAFE_MODE', () => {
+        const output = em.generateOutput(em.STATES.SAFE_MODE, makeInputs(), 'test');
+
+        assert.deepEqual(output.actions, { ...em.SAFE_MODE_ACTIONS, enable_hws: false });
+        assert.equal(output.actions.inverter_mode, 3);
+    });
+
+    it('reports status including battery protection', () => {
+        const output = em.generateOutput(em.STATES.EXPORT_PRIORITY,
+            makeInputs({ batterySoc: 30, batteryPower: -200, gridPower: -1200 }), 'test');
+
+        assert.equal(output.status.excess_generation, 1200);
+        assert.equal(output.status.target_reached, false);
+        assert.equal(output.status.battery_protection_active, true);
+    });
+
+    describe('HWS control in LOAD_MANAGEMENT', () => {
+        const fullBattery = { dailyExport: 25, batterySoc: 99, generation: 5000 };
+
+        it('turns the HWS on once the cooldown has expired', () => {
+            const output = em.generateOutput(em.STATES.LOAD_MANAGEMENT, makeInputs(fullBattery), 'test');
+
+            assert.equal(output.actions.enable_hws, true);
+            assert.match(env.persistentLogs('HWS_EVENT')[0].message, /^HWS TURNED_ON/);
+        });
+
+        it('waits for the cooldown after the HWS was shed', () => {
+            setLoads(env, { hws: false }, env.clock.now() - 5 * 60 * 1000, true);
+            const output = em.generateOutput(em.STATES.LOAD_MANAGEMENT, makeInputs(fullBattery), 'test');
+            assert.equal(output.actions.enable_hws, false);
+
+            env.clock.advanceMinutes(6);
+            const later = em.generateOutput(em.STATES.LOAD_MANAGEMENT, makeInputs(fullBattery), 'test');
+            assert.equal(later.actions.enable_hws, true);
+        });
+
+        it('turns the HWS off and starts the cooldown when the SOC drops', () => {
+            setLoads(env, { hws: true });
+            env.clock.advanceMinutes(1);
+            const output = em.generateOutput(em.STATES.LOAD_MANAGEMENT,
+                makeInputs({ ...fullBattery, batterySoc: 97 }), 'test');
+
+            assert.equal(output.actions.enable_hws, false);
+            assert.deepEqual(env.global.get('load_manager_state', 'file').loads.hws,
+                { on: false, changed_at: env.clock.now(), shed: true, runtime_minutes: 0 });
+            assert.match(env.persistentLogs('HWS_EVENT')[0].message, /SOC dropped to 97%/);
+        });
+
+        it('keeps the HWS on while conditions hold', () => {
+            setLoads(env, { hws: true });
+            env.clock.advanceMinutes(1);
+            const output = em.generateOutput(em.STATES.LOAD_MANAGEMENT, makeInputs(fullBattery), 'test');
+
+            assert.equal(output.actions.enable_hws, true);
+            assert.equal(env.persistentLogs('HWS_STATUS').length, 1);
+        });
+    });
+});
+
+describe('getCurrentMonthTarget', () => {
+    function historyOf(days, exportPerDay, lastDate = '2025-07-19') {
+        const end = new Date(`${lastDate}T00:00:00Z`).getTime();
+        return Array.from({ length: days }, (_, i) => ({
+            date: new Date(end - (days - 1 - i) * 86400000).toISOString().split('T')[0],
+            export: exportPerDay,
+            target: 23.5
+        }));
+    }
+
+    it('uses the static monthly target without history', () => {
+        const env = createEnvironment({ now: DAYTIME });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.getCurrentMonthTarget(), 23.5);
+    });
+
+    it('keeps the static target when performance is within 10%', () => {
+        const env = createEnvironment({ now: DAYTIME, fileGlobals: { export_history_30days: historyOf(10, 23) } });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.getCurrentMonthTarget(), 23.5);
+        assert.equal(env.global.get('target_calculation', 'file').adjustment_reason, 'normal');
+    });
+
+    it('spreads the deficit over the catch-up days when under performing', () => {
+        const env = createEnvironment({ now: DAYTIME, fileGlobals: { export_history_30days: historyOf(10, 20) } });
+        const em = loadEnergyManagement(env);
+
+        // 10 days x 3.5 kWh short, over 5 days
+        assert.equal(em.getCurrentMonthTarget(), 23.5 + 7);
+        assert.equal(env.global.get('target_calculation', 'file').adjustment_reason, 'under_performing');
+    });
+
+    it('caps catch-up at twice the monthly target', () => {
+        const env = createEnvironment({ now: DAYTIME, fileGlobals: { export_history_30days: historyOf(30, 0) } });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.getCurrentMonthTarget(), 47);
+    });
+
+    it('reduces the target when over performing', () => {
+        const env = createEnvironment({ now: DAYTIME, fileGlobals: { export_history_30days: historyOf(10, 30) } });
+        const em = loadEnergyManagement(env);
+
+        assert.ok(Math.abs(em.getCurrentMonthTarget() - (23.5 - 6.5 * 0.3)) < 1e-9);
+    });
+
+    it('judges each day against its own month target across a month change', () => {
+        const history = [
+            ...historyOf(28, 31.1, '2025-09-30').map(day => ({ ...day, target: 31.1 })),
+            ...historyOf(2, 38.4, '2025-10-02').map(day => ({ ...day, target: 38.4 }))
+        ];
+        const env = createEnvironment({ now: '2025-10-03T12:00:00+10:00', fileGlobals: { export_history_30days: history } });
+        const em = loadEnergyManagement(env);
+
+        assert.equal(em.getCurrentMonthTarget(), 38.4);
+        const calculation = env.global.get('target_calculation', 'file');
+        assert.equal(calculation.adjustment_reason, 'normal');
+        assert.ok(Math.abs(calculation.performance_ratio - 1) < 1e-9);
+        assert.deepEqual(calculation.month_breakdown.map(month => [month.month, month.days, month.static_target]),
+            [['2025-09', 28, 31.1], ['2025-10', 2, 38.4]]);
+        assert.equal(env.persistentLogs('PERFORMANCE_ALERT').length, 0);
+    });
+
+    it('sizes the catch-up deficit from the per-day targets', () => {
+        const history = [
+            ...historyOf(5, 21.1, '2025-09-30'),
+            ...historyOf(5, 28.4, '2025-10-05')
+        ];
+        const env = createEnvironment({ now: '2025-10-06T12:00:00+10:00', fileGlobals: { export_history_30days: history } });
+        const em = loadEnergyManagement(env);
+
+        // 10 days x 10 kWh short of their own month targets, over 5 days
+        assert.ok(Math.abs(em.getCurrentMonthTarget() - (38.4 + 20)) < 1e-9);
+        const calculation = env.global.get('target_calculation', 'file');
+        assert.ok(Math.abs(calculation.total_deficit - 100) < 1e-9);
+        assert.ok(Math.abs(calculation.shortfall_per_day - 10) < 1e-9);
+    });
+
+    it('can compare against the target stored with each day', () => {
+        const env = createEnvironment({
+            now: DAYTIME,
+            fileGlobals: {
+                export_history_30days: historyOf(10, 27, '2025-07-19').map(day => ({ ...day, target: 30 })),
+                energy_management_config: { config: { target_comparison_basis: 'stored_target' } }
+            }
+        });
+        const em = loadEnergyManagement(env);
+        em.applyRuntimeConfig();
+
+        em.getCurrentMonthTarget();
+        const calculation = env.global.get('target_calculation', 'file');
+        assert.equal(calculation.comparison_basis, 'stored_target');
+        assert.ok(Math.abs(calculation.performance_ratio - 0.9) < 1e-9);
+    });
+});
+
+describe('weather-aware target', () => {
+    function weatherEnvironment(days, forecast, config = {}) {
+        return createEnvironment({
+            now: DAYTIME,
+            globals: { solar_forecast_daily: forecast },
+            fileGlobals: {
+                export_history_30days: days.map(([date, exportKwh, generation]) => ({ date, export: exportKwh, target: 23.5, status: 'final', generation })),
+                energy_management_config: { config: { weather_signal_source: 'forecast', ...config } }
+            }
+        });
+    }
+
+    function calculate(env) {
+        const em = loadEnergyManagement(env);
+        em.applyRuntimeConfig();
+        const target = em.getCurrentMonthTarget();
+        return { target, calculation: env.global.get('target_calculation', 'file') };
+    }
+
+    function julyDays(count, exportKwh) {
+        return Array.from({ length: count }, (_, i) => [`2025-07-${String(19 - count + 1 + i).padStart(2, '0')}`, exportKwh]);
+    }
+
+    function forecastFor(dates, kwh) {
+        return Object.fromEntries(dates.map(date => [date, kwh]));
+    }
+
+    it('expects less export on cloudy days instead of starting catch-up', () => {
+        const days = [...julyDays(10, 23.5).slice(0, 7), ['2025-07-17', 10], ['2025-07-18', 10], ['2025-07-19', 10]];
+        const forecast = { ...forecastFor(days.slice(0, 7).map(day => day[0]), 30), ...forecastFor(['2025-07-17', '2025-07-18', '2025-07-19'], 15) };
+        const { target, calculation } = calculate(weatherEnvironment(days, forecast));
+
+        assert.equal(target, 23.5);
+        assert.equal(calculation.adjustment_reason, 'normal');
+        assert.deepEqual(calculation.weather.cloudy_days.map(day => [day.date, day.factor]),
+            [['2025-07-17', 0.5], ['2025-07-18', 0.5], ['2025-07-19', 0.5]]);
+        assert.ok(Math.abs(calculation.weather.weather_shortfall - 35.25) < 1e-9);
+        assert.ok(Math.abs(calculation.weather.control_shortfall - 5.25) < 1e-9);
+        assert.match(calculation.weather.reasoning.join('\n'), /3 cloudy days expected 35\.3 kWh less/);
+    });
+
+    it('leaves outlier days out of the rolling window', () => {
+        const days = [...julyDays(10, 23.5).slice(0, 9), ['2025-07-19', 0]];
+        const forecast = { ...forecastFor(days.map(day => day[0]), 30), '2025-07-19': 3 };
+        const { calculation } = calculate(weatherEnvironment(days, forecast));
+
+        assert.equal(calculation.rolling_days, 9);
+        assert.equal(calculation.adjustment_reason, 'normal');
+        assert.deepEqual(calculation.weather.excluded_days.map(day => day.date), ['2025-07-19']);
+    });
+
+    it('defers catch-up while today is forecast to be cloudy', () => {
+        const days = julyDays(10, 15);
+        const forecast = { ...forecastFor(days.map(day => day[0]), 30), '2025-07-20': 12 };
+        const env = weatherEnvironment(days, forecast);
+        const { target, calculation } = calculate(env);
+
+        assert.equal(target, 23.5);
+        assert.equal(calculation.adjustment_reason, 'under_performing');
+        assert.equal(calculation.weather.catchup_deferred, true);
+        assert.match(calculation.weather.reasoning.pop(), /40% of a good solar day, catch-up deferred/);
+        assert.match(env.persistentLogs('PERFORMANCE_ALERT').at(-1).message,
+            /^UNDER_PERFORMING: Performance \d+\.\d% of target, catch-up deferred, today's forecast is 40% of a good solar day$/);
+    });
+
+    it('aims catch-up at the days ahead with good forecast solar', () => {
+        const days = julyDays(10, 20);
+        const forecast = {
+            ...forecastFor(days.map(day => day[0]), 30),
+            '2025-07-20': 30, '2025-07-21': 10, '2025-07-22': 28, '2025-07-23': 12, '2025-07-24': 5
+        };
+        const { target, calculation } = calculate(weatherEnvironment(days, forecast));
+
+        // 35 kWh deficit over the 2 good days of the next 5
+        assert.equal(target, 23.5 + 17.5);
+        assert.equal(calculation.catchup_days_used, 2);
+    });
+
+    it('can use the generation recorded with each day', () => {
+        const days = julyDays(10, 23.5).map(([date], i) => [date, i < 7 ? 23.5 : 8, i < 7 ? 40 : 16]);
+        const { calculation } = calculate(weatherEnvironment(days, {}, { weather_signal_source: 'generation' }));
+
+        assert.equal(calculation.weather.source, 'generation');
+        assert.equal(calculation.weather.cloudy_days.length, 3);
+        assert.equal(calculation.adjustment_reason, 'normal');
+    });
+
+    it('ignores the weather without enough days of signal', () => {
+        const days = julyDays(10, 15);
+        const { target, calculation } = calculate(weatherEnvironment(days, forecastFor(['2025-07-18', '2025-07-19'], 10)));
+
+        assert.equal(target, 23.5 + 17);
+        assert.equal(calculation.weather.applied, false);
+    });
+
+    it('rejects an outlier factor above the cloudy factor', () => {
+        const env = weatherEnvironment([], {}, { weather_outlier_factor: 0.8 });
+        loadEnergyManagement(env).applyRuntimeConfig();
+
+        assert.match(env.persistentLogs('CONFIG_ERROR')[0].message, /weather_outlier_factor must not exceed weather_cloudy_factor/);
+    });
+});
+
+describe('export pacing', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+        env.global.set('energy_management_config', { config: { pacing_enabled: true } }, 'file');
+        em.applyRuntimeConfig();
+    });
+
+    function paced(overrides = {}) {
+        const inputs = makeInputs(overrides);
+        return { ...inputs, pace: em.getExportPace(inputs.dailyExport, inputs.targetExport) };
+    }
+
+    it('expects half the target by midday on the built-in curve', () => {
+        const pace = em.getExportPace(15, 23.5);
+
+        assert.equal(pace.source, 'default');
+        assert.ok(Math.abs(pace.expected_share - 0.5) < 1e-9);
+        assert.ok(Math.abs(pace.pace_ratio - 15 / 11.75) < 1e-9);
+        assert.equal(pace.status, 'ahead');
+        assert.equal(em.getExportPace(9, 23.5).status, 'behind');
+        assert.equal(em.getExportPace(24, 23.5).status, 'reached');
+
+        env.clock.set('2025-07-20T06:30:00+10:00');
+        assert.equal(em.getExportPace(0.2, 23.5).status, 'not_started');
+    });
+
+    it('follows today\'s hourly solar forecast when there is one', () => {
+        const hourly = new Array(24).fill(0);
+        hourly[8] = 10;
+        hourly[14] = 10;
+        env.global.set('solar_forecast_hourly', { '2025-07-20': hourly });
+
+        const pace = em.getExportPace(12, 23.5);
+        assert.equal(pace.source, 'forecast');
+        assert.equal(pace.expected_share, 0.5);
+        assert.equal(pace.status, 'on_pace');
+    });
+
+    it('learns the generation shape from finalised days', () => {
+        // Seven days generating 2 kW from 08:00 to 10:00 only
+        for (let day = 10; day < 17; day++) {
+            const date = `2025-07-${day}`;
+            em.updateDailyExportHistory(0, 23.5, 0);
+            for (let minute = 0; minute <= 120; minute += 5) {
+                env.clock.set(new Date(new Date(`${date}T08:00:00+10:00`).getTime() + minute * 60000).toISOString());
+                em.updateDailyExportHistory(minute / 10, 23.5, minute < 120 ? 2000 : 0);
+            }
+            env.clock.set(`2025-07-${day + 1}T00:00:00+10:00`);
+        }
+        em.updateDailyExportHistory(0, 23.5, 0);
+
+        const profile = env.global.get('export_pacing_profile', 'file');
+        assert.equal(profile.days, 7);
+        assert.ok(Math.abs(profile.shares[8] - 0.5) < 0.01);
+        env.clock.set('2025-07-17T11:00:00+10:00');
+        assert.equal(em.getExportPace(10, 23.5).source, 'history');
+        assert.ok(Math.abs(em.getExportPace(10, 23.5).expected_share - 1) < 1e-9);
+    });
+
+    it('charges the battery early when well ahead of pace', () => {
+        const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY, paced({ dailyExport: 15 }));
+
+        assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(result.stateReason, /128% of pace \(11\.7kWh expected by now\) - charging battery early/);
+    });
+
+    it('keeps storing until export falls back behind the curve', () => {
+        const onPace = em.processStateTransition(em.STATES.BATTERY_STORAGE, paced({ dailyExport: 12.5 }));
+        assert.equal(onPace.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(onPace.stateReason, /export 106% of pace/);
+
+        const behind = em.processStateTransition(em.STATES.BATTERY_STORAGE, paced({ dailyExport: 11 }));
+        assert.match(behind.stateReason, /^Export priority requested/);
+    });
+
+    it('returns to export priority on less generation when behind pace', () => {
+        const weak = { dailyExport: 9, generation: 400, batteryPower: 300 };
+        const behind = em.processStateTransition(em.STATES.BATTERY_STORAGE, paced(weak));
+        assert.match(behind.stateReason, /^Export priority requested/);
+        assert.match(env.persistentLogs('DEBOUNCE').at(-1).data.reason, /77% of pace \(11\.7kWh expected by now\) \(behind pace\)/);
+
+        env.clock.advanceMinutes(5);
+        assert.equal(em.processStateTransition(em.STATES.BATTERY_STORAGE, paced(weak)).nextState, em.STATES.EXPORT_PRIORITY);
+
+        // On pace, the same generation is not enough to leave battery storage
+        const onPace = em.processStateTransition(em.STATES.BATTERY_STORAGE, paced({ ...weak, dailyExport: 11 }));
+        assert.equal(onPace.nextState, em.STATES.BATTERY_STORAGE);
+        assert.doesNotMatch(onPace.stateReason, /^Export priority requested/);
+    });
+
+    it('stays in export priority below the ahead margin', () => {
+        const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY, paced({ dailyExport: 12.5 }));
+
+        assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+    });
+
+    it('leaves self consume for battery storage when charging ahead of pace', () => {
+        const result = em.processStateTransition(em.STATES.SELF_CONSUME, paced({ dailyExport: 15, generation: 900, batteryPower: 200 }));
+
+        assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+    });
+
+    it('is off by default', () => {
+        env.global.set('energy_management_config', {}, 'file');
+        em.applyRuntimeConfig();
+
+        assert.equal(em.getExportPace(15, 23.5), null);
+        assert.equal(em.processStateTransition(em.STATES.EXPORT_PRIORITY, paced({ dailyExport: 15 })).nextState, em.STATES.EXPORT_PRIORITY);
+    });
+
+    it('reports the pace in the output status', () => {
+        const live = createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                energy_management_state: 'EXPORT_PRIORITY',
+                export_daily: 15000,
+                victron_soc: 60,
+                generation: 4000,
+                grid_power: -2500,
+                battery_power: 800,
+                victron_mode: 3
+            },
+            fileGlobals: { energy_management_config: { config: { pacing_enabled: true } } }
+        });
+        const output = runEnergyManagement(live, {});
+
+        assert.equal(output.payload.status.export_pace.status, 'ahead');
+        assert.equal(output.payload.current_state, 'BATTERY_STORAGE');
+    });
+});
+
+describe('solar forecast', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+    });
+
+    function load(payload) {
+        return runEnergyManagement(env, { topic: 'load_forecast', payload })[1].payload;
+    }
+
+    // kWh per hour from 12:00 to 17:00
+    function afternoon(kwh) {
+        return Array.from({ length: 24 }, (_, hour) => hour >= 12 && hour < 18 ? kwh : 0);
+    }
+
+    function planned(overrides = {}) {
+        const inputs = makeInputs({ batterySoc: 50, ...overrides });
+        return { ...inputs, forecastPlan: em.getForecastPlan(inputs.dailyExport, inputs.targetExport, inputs.batterySoc) };
+    }
+
+    it('loads a Forecast.Solar response into hourly and daily forecasts', () => {
+        const ack = load({
+            result: {
+                watt_hours_period: {
+                    '2025-07-20 06:12:00': 0,
+                    '2025-07-20 07:00:00': 500,
+                    '2025-07-20 08:00:00': 1500,
+                    '2025-07-21 08:00:00': 2000
+                }
+            }
+        });
+
+        assert.equal(ack.success, true);
+        assert.equal(ack.result.format, 'forecast.solar');
+        const hourly = env.global.get('solar_forecast_hourly', 'file');
+        assert.equal(hourly['2025-07-20'][6], 0.5);
+        assert.equal(hourly['2025-07-20'][7], 1.5);
+        assert.deepEqual(env.global.get('solar_forecast_daily', 'file'), { '2025-07-20': 2, '2025-07-21': 2 });
+    });
+
+    it('loads Solcast periods in local time', () => {
+        const ack = load(JSON.stringify({
+            forecasts: [
+                { period_end: '2025-07-19T22:30:00.0000000Z', period: 'PT30M', pv_estimate: 2 },
+                { period_end: '2025-07-19T23:00:00.0000000Z', period: 'PT30M', pv_estimate: 3 }
+            ]
+        }));
+
+        assert.equal(ack.result.format, 'solcast');
+        assert.equal(env.global.get('solar_forecast_hourly', 'file')['2025-07-20'][8], 2.5);
+    });
+
+    it('rejects payloads without a forecast', () => {
+        assert.match(load('not json').message, /not valid JSON/);
+        assert.match(load({ something: 'else' }).message, /No hourly forecast found/);
+    });
+
+    it('charges the battery first when the surplus cannot cover both', () => {
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(2) });
+        const inputs = planned();
+
+        assert.equal(inputs.forecastPlan.mode, 'protect_battery');
+        assert.equal(inputs.forecastPlan.surplus_kwh, 9);
+        assert.ok(Math.abs(inputs.forecastPlan.battery_needed_kwh - 5.4) < 1e-9);
+        assert.ok(Math.abs(inputs.forecastPlan.export_allowance_kwh - 3.6) < 1e-9);
+
+        const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY, inputs);
+        assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(result.stateReason, /forecast surplus 9\.0kWh can't cover export 13\.5kWh and battery 5\.4kWh - charging to 90% first/);
+
+        // At the overnight SOC the rest goes to export
+        const charged = em.processStateTransition(em.STATES.BATTERY_STORAGE, planned({ batterySoc: 90 }));
+        assert.match(charged.stateReason, /^Export priority requested/);
+    });
+
+    it('exports first when the surplus covers the target and a full battery', () => {
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(6) });
+        const inputs = planned({ dailyExport: 15 });
+
+        assert.equal(inputs.forecastPlan.mode, 'export_early');
+        assert.equal(em.processStateTransition(em.STATES.EXPORT_PRIORITY, inputs).nextState, em.STATES.EXPORT_PRIORITY);
+    });
+
+    it('leaves the split to pacing in between', () => {
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(3.8) });
+
+        assert.equal(planned().forecastPlan.mode, 'balanced');
+    });
+
+    it('tracks forecast against actual generation and stops trusting a poor forecast', () => {
+        const daily = {};
+        for (let day = 10; day < 20; day++) {
+            daily[`2025-07-${day}`] = { export: 20, target: 23.5, status: 'final', generation: 20, forecast_generation: 30 };
+        }
+        env.global.set('export_history_longterm', { daily, monthly: {}, yearly: {} }, 'file');
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(2) });
+
+        const plan = planned().forecastPlan;
+        assert.deepEqual(plan.accuracy, { days: 10, mean_error_percent: 50, bias_ratio: 1.5, trusted: false });
+        assert.equal(plan.mode, 'untrusted');
+        assert.equal(em.processStateTransition(em.STATES.EXPORT_PRIORITY, planned()).nextState, em.STATES.EXPORT_PRIORITY);
+    });
+
+    it('keeps the day\'s forecast with its history entry', () => {
+        env.clock.set('2025-07-20T05:00:00+10:00');
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(4) });
+        em.updateDailyExportHistory(0, 23.5, 0);
+        env.global.set('solar_forecast_hourly', { '2025-07-20': afternoon(1) });
+        env.clock.set('2025-07-21T00:00:00+10:00');
+        const [finalised] = em.updateDailyExportHistory(0, 23.5, 0);
+
+        assert.equal(finalised.forecast_generation, 24);
+        assert.equal(em.getExportHistory('2025-07-20', '2025-07-20')[0].forecast_generation, 24);
+    });
+
+    it('reports the plan in the output status', () => {
+        const live = createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                export_daily: 10000,
+                victron_soc: 50,
+                generation: 4000,
+                grid_power: -2500,
+                battery_power: 800,
+                solar_forecast_hourly: { '2025-07-20': afternoon(2) }
+            }
+        });
+        const msg = runEnergyManagement(live, {});
+
+        assert.equal(msg.payload.status.forecast_plan.mode, 'protect_battery');
+        assert.equal(live.global.get('energy_management_forecast_plan').mode, 'protect_battery');
+    });
+});
+
+describe('time-of-use tariff', () => {
+    let env;
+    let em;
+
+    const TOU = {
+        default_export: 5,
+        default_import: 30,
+        periods: [
+            { name: 'peak', days: 'weekday', months: [11, 12, 1, 2, 3], start: '16:00', end: '21:00', export: 12, import: 48, demand: true },
+            { name: 'solar_sponge', days: 'weekend', start: '11:00', end: '14:00', export: 18 },
+            { name: 'evening', start: '17:00', end: '21:00', import: 42 },
+            { name: 'off_peak', start: '22:00', end: '07:00', import: 18 }
+        ]
+    };
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+        env.global.set('energy_management_config', { tariff: TOU }, 'file');
+        em.applyRuntimeConfig();
+    });
+
+    function priced(overrides = {}) {
+        return { ...makeInputs(overrides), tariff: em.getTariffStatus() };
+    }
+
+    it('matches periods by day type, season and time of day', () => {
+        // 2025-07-20 is a Sunday in winter
+        assert.equal(em.getTariffAt(new Date('2025-07-20T12:00:00+10:00')).period, 'solar_sponge');
+        assert.equal(em.getTariffAt(new Date('2025-07-21T12:00:00+10:00')).period, 'default');
+        assert.equal(em.getTariffAt(new Date('2025-07-21T18:00:00+10:00')).period, 'evening');
+        assert.equal(em.getTariffAt(new Date('2025-12-22T18:00:00+10:00')).period, 'peak');
+        assert.equal(em.getTariffAt(new Date('2025-07-21T03:00:00+10:00')).import_rate, 18);
+
+        const peak = em.getTariffAt(new Date('2025-12-22T16:00:00+10:00'));
+        assert.deepEqual(peak, { period: 'peak', export_rate: 12, import_rate: 48, demand: true, high_feed_in: false, peak: true });
+        assert.equal(em.getTariffAt(new Date('2025-07-21T18:00:00+10:00')).peak, true);
+    });
+
+    it('reports the next tariff change', () => {
+        const status = em.getTariffStatus();
+
+        assert.equal(status.period, 'solar_sponge');
+        assert.equal(status.high_feed_in, true);
+        assert.equal(status.next.period, 'default');
+        assert.equal(status.next.starts_at, '2025-07-20T14:00:00.000+10:00');
+    });
+
+    it('finds the next tariff change across midnight and day types', () => {
+        env.clock.set('2025-12-22T15:59:30+10:00');
+        assert.equal(em.getTariffStatus().next.starts_at, '2025-12-22T16:00:00.000+10:00');
+
+        env.clock.set('2025-12-22T23:00:00+10:00');
+        const overnight = em.getTariffStatus();
+        assert.equal(overnight.period, 'off_peak');
+        assert.equal(overnight.next.period, 'default');
+        assert.equal(overnight.next.starts_at, '2025-12-23T07:00:00.000+10:00');
+
+        // Friday evening peak is followed by the weekend, where only the evening rate applies
+        env.clock.set('2025-12-26T21:30:00+10:00');
+        assert.equal(em.getTariffStatus().next.starts_at, '2025-12-26T22:00:00.000+10:00');
+    });
+
+    it('keeps exporting beyond the target in a high feed-in window', () => {
+        const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY, priced({ dailyExport: 25 }));
+
+        assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        assert.match(result.stateReason, /in high feed-in 'solar_sponge' tariff \(export 18c, import 30c\/kWh\)/);
+
+        env.clock.set('2025-07-20T15:00:00+10:00');
+        assert.equal(em.processStateTransition(em.STATES.EXPORT_PRIORITY, priced({ dailyExport: 25 })).nextState, em.STATES.BATTERY_STORAGE);
+    });
+
+    it('self consumes instead of importing in a peak window', () => {
+        env.clock.set('2025-12-22T17:00:00+10:00');
+        const importing = priced({ dailyExport: 10, generation: 1200, gridPower: 800, batteryPower: -200 });
+
+        const result = em.processStateTransition(em.STATES.EXPORT_PRIORITY, importing);
+        assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+        assert.match(result.stateReason, /^Peak import 'peak' tariff \(export 12c, import 48c\/kWh, demand window\): importing 800W/);
+
+        // Not re-entered while still importing
+        assert.equal(em.processStateTransition(em.STATES.SELF_CONSUME, importing).nextState, em.STATES.SELF_CONSUME);
+    });
+
+    it('does not return to export priority on battery charging during peak', () => {
+        env.clock.set('2025-12-22T17:00:00+10:00');
+        const charging = priced({ dailyExport: 10, generation: 3000, gridPower: -100, batteryPower: 600 });
+
+        const result = em.processStateTransition(em.STATES.SELF_CONSUME, charging);
+        assert.equal(result.nextState, em.STATES.SELF_CONSUME);
+        assert.match(result.stateReason, /^Battery charging in peak 'peak' tariff/);
+
+        env.clock.set('2025-12-22T21:00:00+10:00');
+        const offPeak = priced({ dailyExport: 10, generation: 3000, gridPower: -100, batteryPower: 600 });
+        assert.equal(em.processStateTransition(em.STATES.SELF_CONSUME, offPeak).nextState, em.STATES.EXPORT_PRIORITY);
+    });
+
+    it('validates the tariff override as a whole', () => {
+        const result = em.validateConfigOverride({
+            tariff: { default_export: 5, default_import: 30, periods: [{ name: 'bad', start: '25:00', end: '07:00', days: 'holidays', months: [13] }] }
+        });
+
+        assert.deepEqual(result.errors, [
+            'tariff.periods[0].start must be HH:MM',
+            'tariff.periods[0].days must be one of: all, weekday, weekend',
+            'tariff.periods[0].months must be a list of months 1-12'
+        ]);
+        assert.deepEqual(result.tariff.periods, []);
+    });
+
+    it('audits and publishes the effective tariff', () => {
+        const effective = env.global.get('energy_management_effective_config');
+
+        assert.deepEqual(effective.overridden, ['tariff']);
+        assert.equal(effective.tariff.periods.length, 4);
+        assert.match(env.persistentLogs('CONFIG_CHANGE')[0].message, /tariff 0 periods → 4 periods/);
+    });
+
+    it('reports the tariff in the output status', () => {
+        env.global.set('export_daily', 10000);
+        env.global.set('victron_soc', 60);
+        env.global.set('generation', 4000);
+        env.global.set('grid_power', -2500);
+        env.global.set('battery_power', 800);
+        const msg = runEnergyManagement(env, {});
+
+        assert.equal(msg.payload.status.tariff.period, 'solar_sponge');
+        assert.equal(env.global.get('energy_management_tariff').next.period, 'default');
+    });
+});
+
+describe('load manager', () => {
+    let env;
+    let em;
+
+    const HWS = { name: 'hws', power: 3000, priority: 1, start: '00:00', end: '24:00', cooldown_minutes: 10 };
+    const POOL_PUMP = { name: 'pool_pump', power: 1100, priority: 2, start: '09:00', end: '16:00', daily_runtime_minutes: 360 };
+    const fullBattery = { dailyExport: 25, batterySoc: 99, generation: 6000, batteryPower: 0 };
+
+    function useLoads(loads) {
+        env.global.set('energy_management_config', { loads }, 'file');
+        em.applyRuntimeConfig();
+    }
+
+    function run(state, overrides = {}) {
+        env.clock.advanceMinutes(1);
+        return em.generateOutput(state, makeInputs({ ...fullBattery, ...overrides }), 'test');
+    }
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+        useLoads([POOL_PUMP, HWS]);
+    });
+
+    it('defaults to the single HWS from the hws_* settings', () => {
+        useLoads([]);
+        assert.deepEqual(em.getLoadRegistry(), [{
+            name: 'hws', power: 3000, priority: 1, start: '00:00', end: '24:00',
+            min_on_minutes: 0, min_off_minutes: 0, cooldown_minutes: 10, daily_runtime_minutes: 0
+        }]);
+        assert.deepEqual(em.getLoadRegistry().map(load => load.name), ['hws']);
+    });
+
+    it('validates and audits the loads section', () => {
+        assert.deepEqual(em.validateConfigOverride({ loads: [
+            { name: 'Pool', power: 1100, priority: 1, start: '09:00', end: '16:00' },
+            { name: 'hws', priority: 1, start: '00:00', end: '24:00', colour: 'red' },
+            { name: 'hws', power: 3000, priority: 2, start: '00:00', end: '24:00' }
+        ] }).errors, [
+            'loads[0].name must be lower case letters, digits and _',
+            'loads[1] has unknown setting: colour',
+            'loads[1].power is required',
+            'loads[2].name hws is used by another load'
+        ]);
+
+        assert.deepEqual(em.getLoadRegistry().map(load => load.name), ['hws', 'pool_pump']);
+        const [change] = env.persistentLogs('CONFIG_CHANGE');
+        assert.match(change.message, /loads 0 loads → 2 loads/);
+    });
+
+    it('starts loads in priority order while the surplus covers them, one per run', () => {
+        const first = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4500 });
+        assert.deepEqual(first.actions, { set_ess_mode: true, grid_setpoint: 0, curtail_pv: false, inverter_mode: 3, enable_hws: true, enable_pool_pump: false });
+        assert.match(env.persistentLogs('HWS_EVENT')[0].message, /^HWS TURNED_ON: Surplus 4500W covers 3000W/);
+
+        const second = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -1500 });
+        assert.equal(second.actions.enable_pool_pump, true);
+        assert.match(env.persistentLogs('POOL_PUMP_EVENT')[0].message, /^POOL_PUMP TURNED_ON: Surplus 1500W covers 1100W/);
+        assert.deepEqual(second.status.loads.map(load => [load.name, load.on]), [['hws', true], ['pool_pump', true]]);
+    });
+
+    it('starts a lower priority load the surplus covers when a higher one does not fit', () => {
+        const output = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -1500 });
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(output.actions.enable_pool_pump, true);
+    });
+
+    it('sheds in reverse priority order, holding loads for their minimum on time', () => {
+        setLoads(env, { hws: true, pool_pump: true });
+        const shed = run(em.STATES.LOAD_MANAGEMENT, { gridPower: 600 });
+        assert.equal(shed.actions.enable_pool_pump, false);
+        assert.equal(shed.actions.enable_hws, true);
+        assert.match(env.persistentLogs('POOL_PUMP_EVENT')[0].message, /^POOL_PUMP TURNED_OFF: Importing 600W/);
+
+        useLoads([{ ...POOL_PUMP, min_on_minutes: 30 }, HWS]);
+        setLoads(env, { hws: true, pool_pump: true });
+        const held = run(em.STATES.LOAD_MANAGEMENT, { gridPower: 600 });
+        assert.equal(held.actions.enable_pool_pump, true);
+        assert.equal(held.actions.enable_hws, false);
+    });
+
+    it('sheds on import above load_shed_import', () => {
+        env.global.set('energy_management_config', { loads: [HWS, POOL_PUMP], config: { load_shed_import: 800 } }, 'file');
+        em.applyRuntimeConfig();
+        setLoads(env, { hws: true, pool_pump: true });
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: 600 }).actions.enable_pool_pump, true);
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: 900 }).actions.enable_pool_pump, false);
+    });
+
+    it('waits out the minimum off time, and the cooldown after a shed', () => {
+        useLoads([{ ...HWS, min_off_minutes: 3 }]);
+        setLoads(env, { hws: false }, env.clock.now());
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 }).actions.enable_hws, false);
+        env.clock.advanceMinutes(2);
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 }).actions.enable_hws, true);
+
+        setLoads(env, { hws: false }, env.clock.now(), true);
+        env.clock.advanceMinutes(5);
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 }).actions.enable_hws, false);
+    });
+
+    it('keeps loads to their allowed hours and daily run time', () => {
+        env.clock.set('2025-07-20T08:00:00+10:00');
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: -1500 }).actions.enable_pool_pump, false);
+
+        env.clock.set(DAYTIME);
+        run(em.STATES.LOAD_MANAGEMENT, { gridPower: -1500 });
+        const state = env.global.get('load_manager_state', 'file');
+        state.loads.pool_pump.runtime_minutes = 359.5;
+        env.global.set('load_manager_state', state, 'file');
+
+        const done = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -400 });
+        assert.equal(done.actions.enable_pool_pump, false);
+        assert.match(env.persistentLogs('POOL_PUMP_EVENT').at(-1).message, /^POOL_PUMP TURNED_OFF: Daily run time 360 min reached/);
+        assert.equal(done.status.loads.find(load => load.name === 'pool_pump').done, true);
+    });
+
+    it('switches every load off outside the load states and in SAFE_MODE', () => {
+        setLoads(env, { hws: true, pool_pump: true });
+        const storage = run(em.STATES.BATTERY_STORAGE);
+        assert.equal(storage.actions.enable_hws, false);
+        assert.equal(storage.actions.enable_pool_pump, false);
+        assert.equal(env.persistentLogs('HWS_EVENT').length, 1);
+        assert.equal(env.global.get('load_manager_state', 'file').loads.hws.shed, true);
+
+        setLoads(env, { hws: true, pool_pump: true });
+        const safe = em.generateSafeModeOutput('test');
+        assert.deepEqual(safe.actions, { ...em.SAFE_MODE_ACTIONS, enable_hws: false, enable_pool_pump: false });
+    });
+
+    it('enters LOAD_MANAGEMENT when the excess covers any startable load', () => {
+        const result = em.processStateTransition(em.STATES.BATTERY_STORAGE,
+            makeInputs({ ...fullBattery, batteryPower: 100, gridPower: -1000 }));
+        assert.equal(result.nextState, em.STATES.LOAD_MANAGEMENT);
+
+        setLoads(env, { hws: true, pool_pump: false });
+        const holding = em.processStateTransition(em.STATES.LOAD_MANAGEMENT, makeInputs({ ...fullBattery, batteryPower: 100 }));
+        assert.match(holding.stateReason, /HWS ON, POOL_PUMP OFF/);
+    });
+
+    it('meters the running loads at their rated or measured power', () => {
+        setLoads(env, { hws: true, pool_pump: true });
+        assert.deepEqual(em.getRunningLoads(), { hws: 3000, pool_pump: 1100 });
+
+        env.global.set('load_power_pool_pump', 950);
+        assert.deepEqual(em.getRunningLoads(), { hws: 3000, pool_pump: 950 });
+
+        env.global.set('load_power_pool_pump_updated', env.clock.now() - 60 * 60000);
+        assert.deepEqual(em.getRunningLoads(), { hws: 3000, pool_pump: 1100 });
+    });
+
+    it('does not read another sensor as a load\'s measured power', () => {
+        useLoads([{ name: 'grid', power: 2000, priority: 1, start: '00:00', end: '24:00' }]);
+        setLoads(env, { grid: true });
+        env.global.set('grid_power', -4500);
+        assert.deepEqual(em.getRunningLoads(), { grid: 2000 });
+    });
+});
+
+describe('hot water', () => {
+    let env;
+    let em;
+
+    const fullBattery = { dailyExport: 25, batterySoc: 99, generation: 6000, batteryPower: 0 };
+
+    function useConfig(config, extra = {}) {
+        env.global.set('energy_management_config', { config, ...extra }, 'file');
+        em.applyRuntimeConfig();
+    }
+
+    function run(state, overrides = {}, minutes = 1) {
+        env.clock.advanceMinutes(minutes);
+        return em.generateOutput(state, makeInputs({ ...fullBattery, ...overrides }), 'test');
+    }
+
+    function hwsStatus(output) {
+        return output.status.loads.find(load => load.name === 'hws').hot_water;
+    }
+
+    // Legionella cycle enabled before this week's slot
+    function useLegionella(config = {}) {
+        useConfig({ hws_legionella_enabled: true, ...config });
+        env.global.set('load_manager_state', {
+            date: null, updated_at: null, loads: {},
+            hot_water: { hot: false, heated_date: null, legionella_date: null, legionella_minutes: 0, legionella_since: '2025-07-14T09:00', forced: null }
+        }, 'file');
+    }
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    it('stops diverting at the setpoint and waits for the tank to cool', () => {
+        setLoads(env, { hws: true }, env.clock.now() - 30 * 60000);
+        env.global.set('hws_temperature', 56);
+        const hot = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 });
+        assert.equal(hot.actions.enable_hws, false);
+        assert.match(env.persistentLogs('HWS_EVENT')[0].message, /^HWS TURNED_OFF: Tank at 56°C reached setpoint 55°C/);
+
+        env.global.set('hws_temperature', 52);
+        assert.equal(run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 }, 15).actions.enable_hws, false);
+
+        env.global.set('hws_temperature', 49);
+        const cool = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 });
+        assert.equal(cool.actions.enable_hws, true);
+        assert.equal(hwsStatus(cool).hot, false);
+    });
+
+    it('ignores a stale tank temperature', () => {
+        env.global.set('hws_temperature', 60);
+        env.global.set('hws_temperature_updated', env.clock.now() - 60 * 60000);
+        const output = run(em.STATES.LOAD_MANAGEMENT, { gridPower: -4000 });
+        assert.equal(output.actions.enable_hws, true);
+        assert.equal(hwsStatus(output).temperature, null);
+    });
+
+    it('boosts from the grid when the day\'s heat would miss the deadline', () => {
+        env = createEnvironment({ now: '2025-07-21T17:00:00+10:00' });
+        em = loadEnergyManagement(env);
+        useConfig({ hws_min_daily_heat_minutes: 60 });
+
+        const boost = run(em.STATES.SELF_CONSUME, { generation: 200, gridPower: 100, batterySoc: 80 });
+        assert.equal(boost.actions.enable_hws, true);
+        assert.equal(boost.actions.grid_setpoint, 3000);
+        assert.equal(hwsStatus(boost).forced, 'boost');
+        assert.match(env.persistentLogs('HWS_EVENT')[0].message, /^HWS TURNED_ON: Daily heat boost: 0\/60 min by 18:00 at 30c\/kWh/);
+
+        let output;
+        for (let i = 0; i < 6; i++) output = run(em.STATES.SELF_CONSUME, { generation: 200, gridPower: 100, batterySoc: 80 }, 10);
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(output.actions.grid_setpoint, 0);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Daily heat delivered: 60 min/);
+    });
+
+    it('does not boost after the deadline', () => {
+        env = createEnvironment({ now: '2025-07-21T17:30:00+10:00' });
+        em = loadEnergyManagement(env);
+        useConfig({ hws_min_daily_heat_minutes: 60 });
+        const idle = { generation: 200, gridPower: 100, batterySoc: 80 };
+
+        assert.equal(run(em.STATES.SELF_CONSUME, idle).actions.enable_hws, true);
+        // The 29 minute gap is integrated as 15 (MAX_INTEGRATION_GAP_MINUTES)
+        const passed = run(em.STATES.SELF_CONSUME, idle, 29);
+        assert.equal(passed.actions.enable_hws, false);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Heat deadline 18:00 passed at 15\/60 min/);
+
+        env.clock.set('2025-07-21T18:59:00+10:00');
+        const later = run(em.STATES.SELF_CONSUME, idle);
+        assert.equal(later.actions.enable_hws, false);
+        assert.equal(hwsStatus(later).forced, null);
+        assert.equal(later.actions.grid_setpoint, 0);
+    });
+
+    it('counts the tank reaching the setpoint as the day\'s heat', () => {
+        env = createEnvironment({ now: '2025-07-21T17:00:00+10:00' });
+        em = loadEnergyManagement(env);
+        useConfig({ hws_min_daily_heat_minutes: 60 });
+        env.global.set('hws_temperature', 55);
+
+        const output = run(em.STATES.SELF_CONSUME, { generation: 200, gridPower: 100, batterySoc: 80 });
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(hwsStatus(output).heat_delivered, true);
+    });
+
+    it('waits out peak import before boosting', () => {
+        env = createEnvironment({ now: '2025-07-21T17:00:00+10:00' });
+        em = loadEnergyManagement(env);
+        useConfig({ hws_min_daily_heat_minutes: 60 }, {
+            tariff: { default_export: 5, default_import: 30, periods: [{ name: 'peak', start: '16:00', end: '21:00', import: 48 }] }
+        });
+
+        const output = run(em.STATES.SELF_CONSUME, { generation: 200, gridPower: 100, batterySoc: 80 });
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(hwsStatus(output).forced, null);
+        assert.equal(hwsStatus(output).heat_delivered, false);
+    });
+
+    it('boosts before a peak window that covers the deadline', () => {
+        env = createEnvironment({ now: '2025-07-21T13:30:00+10:00' });
+        em = loadEnergyManagement(env);
+        useConfig({ hws_min_daily_heat_minutes: 120 }, {
+            tariff: { default_export: 5, default_import: 30, periods: [{ name: 'peak', start: '16:00', end: '21:00', import: 48 }] }
+        });
+        const idle = { generation: 200, gridPower: 100, batterySoc: 80 };
+
+        assert.equal(run(em.STATES.SELF_CONSUME, idle).actions.enable_hws, false);
+
+        env.clock.set('2025-07-21T13:59:00+10:00');
+        const boost = run(em.STATES.SELF_CONSUME, idle);
+        assert.equal(boost.actions.enable_hws, true);
+        assert.equal(hwsStatus(boost).forced, 'boost');
+
+        let output;
+        for (let i = 0; i < 12; i++) output = run(em.STATES.SELF_CONSUME, idle, 10);
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(hwsStatus(output).heat_delivered, true);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Daily heat delivered: 120 min/);
+    });
+
+    it('runs the weekly legionella cycle to its temperature', () => {
+        useLegionella();
+        env.global.set('hws_temperature', 50);
+
+        const cycle = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        assert.equal(cycle.actions.enable_hws, true);
+        assert.equal(hwsStatus(cycle).forced, 'legionella');
+        assert.match(env.persistentLogs('HWS_EVENT')[0].message, /^HWS TURNED_ON: Legionella cycle: tank 50°C, heating to 60°C/);
+
+        env.global.set('hws_temperature', 60);
+        const complete = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        assert.equal(complete.actions.enable_hws, false);
+        assert.equal(hwsStatus(complete).legionella_last, '2025-07-20');
+        assert.equal(hwsStatus(complete).legionella_due, false);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Legionella cycle complete at 60°C/);
+    });
+
+    it('runs the legionella cycle for a fixed time without a tank temperature', () => {
+        useLegionella({ hws_legionella_minutes: 30 });
+        assert.equal(run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 }).actions.enable_hws, true);
+        run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 }, 15);
+        assert.equal(run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 }, 10).actions.enable_hws, true);
+
+        const complete = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 }, 10);
+        assert.equal(complete.actions.enable_hws, false);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Legionella cycle complete after 35 min/);
+    });
+
+    it('waits for the slot before the first legionella cycle', () => {
+        env.clock.set('2025-07-16T12:00:00+10:00');
+        useConfig({ hws_legionella_enabled: true });
+        const enabled = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        assert.equal(enabled.actions.enable_hws, false);
+        assert.equal(hwsStatus(enabled).legionella_due, false);
+
+        env.clock.set('2025-07-20T10:58:00+10:00');
+        assert.equal(hwsStatus(run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 })).legionella_due, false);
+
+        const slot = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        assert.equal(slot.actions.enable_hws, true);
+        assert.equal(hwsStatus(slot).forced, 'legionella');
+    });
+
+    it('skips the legionella cycle when the tank got hot enough that week', () => {
+        useConfig({ hws_legionella_enabled: true });
+        env.global.set('load_manager_state', {
+            date: null, updated_at: null, loads: {},
+            hot_water: { hot: false, heated_date: null, legionella_date: '2025-07-16', legionella_minutes: 0, forced: null }
+        }, 'file');
+
+        const output = run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        assert.equal(output.actions.enable_hws, false);
+        assert.equal(hwsStatus(output).legionella_due, false);
+    });
+
+    it('ends a forced run in SAFE_MODE', () => {
+        useLegionella();
+        run(em.STATES.EXPORT_PRIORITY, { dailyExport: 10 });
+        const safe = em.generateSafeModeOutput('test');
+        assert.equal(safe.actions.enable_hws, false);
+        assert.match(env.persistentLogs('HWS_EVENT').at(-1).message, /^HWS TURNED_OFF: Loads not run in SAFE_MODE/);
+    });
+
+    it('rejects a setpoint above the legionella temperature', () => {
+        assert.deepEqual(em.validateConfigOverride({ config: { hws_temperature_setpoint: 65 } }).errors,
+            ['hws_temperature_setpoint must not exceed hws_legionella_temperature']);
+    });
+});
+
+describe('ev charger', () => {
+    let env;
+    let em;
+
+    const exportDone = { dailyExport: 25, batterySoc: 99, generation: 6000, batteryPower: 0 };
+
+    function useCharger(config = {}) {
+        env.global.set('energy_management_config', { config: { ev_charger_enabled: true, ...config } }, 'file');
+        em.applyRuntimeConfig();
+    }
+
+    function run(overrides = {}, state = em.STATES.LOAD_MANAGEMENT) {
+        env.clock.advanceMinutes(1);
+        return em.generateOutput(state, makeInputs({ ...exportDone, ...overrides }), 'test');
+    }
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    it('leaves the output alone when no charger is configured', () => {
+        const output = run({ gridPower: -3000 });
+        assert.equal('ev_charge_current' in output.actions, false);
+        assert.equal(output.status.ev, null);
+    });
+
+    it('starts at the minimum current and ramps towards the solar surplus', () => {
+        useCharger();
+        const first = run({ gridPower: -2300 });
+        assert.equal(first.actions.ev_charge_current, 6);
+        assert.equal(first.status.ev.target_current, 10);
+        assert.match(env.persistentLogs('EV_CHARGER')[0].message, /^EV STARTED: 6A \(Surplus 2300W\)/);
+
+        // The charger's own draw counts towards the surplus it may keep
+        assert.equal(run({ gridPower: -920 }).actions.ev_charge_current, 8);
+        assert.equal(env.persistentLogs('EV_CHARGER').length, 1);
+        assert.equal(run({ gridPower: -460 }).actions.ev_charge_current, 10);
+        assert.equal(run({ gridPower: 0 }).actions.ev_charge_current, 10);
+
+        // Setpoint moves of ev_log_current_step or more are logged with the session energy
+        const logs = env.persistentLogs('EV_CHARGER');
+        assert.equal(logs.length, 2);
+        assert.match(logs[1].message, /^EV ADJUSTED: 6A → 10A \(Surplus \d+W\), session 0\.\d+kWh$/);
+        assert.equal(logs[1].data.current, 10);
+    });
+
+    it('smooths a drop in surplus and pauses below the minimum current', () => {
+        useCharger();
+        run({ gridPower: -2300 });
+        run({ gridPower: -920 });
+
+        // 8A draw while importing 1000W: smoothed 1570W still holds 6A
+        const dip = run({ gridPower: 1000 });
+        assert.equal(dip.actions.ev_charge_current, 6);
+        assert.equal(dip.status.ev.surplus, 1570);
+
+        const stop = run({ gridPower: 1000 });
+        assert.equal(stop.actions.ev_charge_current, 0);
+        assert.equal(stop.status.ev.reason, 'Surplus 975W below 6A minimum');
+        assert.match(env.persistentLogs('EV_CHARGER').at(-1).message, /^EV STOPPED: paused/);
+    });
+
+    it('does not take export the day still needs', () => {
+        useCharger();
+        const output = run({ dailyExport: 10, gridPower: -5000 });
+        assert.equal(output.actions.ev_charge_current, 0);
+        assert.equal(output.status.ev.reason, 'Export target not reached');
+
+        assert.equal(run({ dailyExport: 10, gridPower: -5000 }, em.STATES.ZERO_EXPORT).actions.ev_charge_current, 6);
+    });
+
+    it('charges from solar before the export target with ev_wait_for_export_target off', () => {
+        useCharger({ ev_wait_for_export_target: false });
+        const output = run({ dailyExport: 10, gridPower: -5000 });
+        assert.equal(output.actions.ev_charge_current, 6);
+        assert.equal(output.status.ev.target_current, 21);
+    });
+
+    it('lets the battery feed the EV above ev_battery_min_soc with solar_battery', () => {
+        useCharger({ ev_policy: 'solar_battery', ev_smoothing: 1 });
+        const above = run({ batterySoc: 90, gridPower: 0, batteryPower: 500 });
+        assert.equal(above.status.ev.target_current, 15);
+
+        const below = run({ batterySoc: 75, gridPower: 1380, batteryPower: -1380 });
+        assert.equal(below.actions.ev_charge_current, 0);
+    });
+
+    it('charges from the grid to reach ev_departure_kwh by departure', () => {
+        env = createEnvironment({ now: NIGHTTIME });
+        em = loadEnergyManagement(env);
+        useCharger({ ev_policy: 'departure' });
+
+        const first = run({ dailyExport: 10, generation: 0, gridPower: 500 }, em.STATES.SELF_CONSUME);
+        assert.equal(first.actions.ev_charge_current, 6);
+        assert.equal(first.status.ev.required_current, 10);
+        assert.equal(first.status.ev.remaining_kwh, 20);
+        assert.equal(first.status.ev.departure, '2025-07-21T07:00:00.000+10:00');
+        assert.equal(first.status.ev.reason, '20kWh needed by 07:00');
+        // The top-up comes from the grid, not the house battery
+        assert.equal(first.actions.grid_setpoint, 1380);
+
+        env.global.set('ev_power', 7000);
+        run({ dailyExport: 10, generation: 0, gridPower: 500 }, em.STATES.SELF_CONSUME);
+        env.clock.advanceMinutes(9);
+        const later = run({ dailyExport: 10, generation: 0, gridPower: 500 }, em.STATES.SELF_CONSUME);
+        // 1 minute at the 6A setpoint, then 10 minutes at the metered 7000W
+        assert.equal(later.status.ev.session_kwh, 1.19);
+        assert.equal(later.status.ev.remaining_kwh, 18.81);
+    });
+
+    it('ends the session on disconnect', () => {
+        useCharger();
+        env.global.set('ev_power', 6000);
+        run({ gridPower: -6000 });
+        run({ gridPower: -6000 });
+        env.global.set('ev_connected', false);
+        const output = run({ gridPower: -6000 });
+
+        assert.equal(output.actions.ev_charge_current, 0);
+        assert.equal(output.status.ev.reason, 'Not connected');
+        assert.equal(output.status.ev.session_kwh, 0);
+        const ended = env.persistentLogs('EV_CHARGER').find(log => log.data.action === 'SESSION_ENDED');
+        assert.equal(ended.message, 'EV SESSION_ENDED: 0.2kWh before disconnect');
+        assert.equal(ended.data.started_at, '2025-07-20T12:01:00.000+10:00');
+    });
+
+    it('falls back to the setpoint when ev_power is stale', () => {
+        useCharger();
+        run({ gridPower: -2300 });
+        env.global.set('ev_power', 7000);
+        env.global.set('ev_power_updated', env.clock.now() - 60 * 60000);
+        const output = run({ gridPower: -920 });
+        assert.equal(output.status.ev.power, 1380);
+        assert.equal(env.global.get('ev_charger_state', 'file').power, 1840);
+    });
+
+    it('leaves solar the battery is storing to the battery', () => {
+        useCharger({ ev_smoothing: 1 });
+        run({ gridPower: -2300 });
+        run({ gridPower: -920 });
+
+        // The battery absorbs what the EV doesn't take: nothing exported, so the EV backs off
+        const storing = run({ gridPower: 0, batterySoc: 70, batteryPower: 2000 });
+        assert.equal(storing.status.ev.surplus, 0);
+        assert.equal(storing.actions.ev_charge_current, 0);
+
+        // Exporting past a charging battery: the EV may take the export and keep its draw
+        const saturated = run({ gridPower: -1500, batterySoc: 70, batteryPower: 2000 });
+        assert.equal(saturated.status.ev.surplus, 1500);
+        assert.equal(saturated.actions.ev_charge_current, 6);
+    });
+
+    it('meters a charging EV with the managed loads', () => {
+        useCharger();
+        run({ gridPower: -2300 });
+        assert.equal(em.getRunningLoads().ev, 1380);
+
+        assert.deepEqual(em.validateConfigOverride({ loads: [{ name: 'ev', power: 7000, priority: 1, start: '00:00', end: '24:00' }] }).errors,
+            ['loads[0].name ev is reserved for the EV charger']);
+    });
+
+    it('pauses the charger in SAFE_MODE', () => {
+        useCharger();
+        run({ gridPower: -3000 });
+        assert.equal(em.generateSafeModeOutput('test').actions.ev_charge_current, 0);
+        assert.equal(env.global.get('ev_charger_state', 'file').current, 0);
+    });
+
+    it('rejects a minimum current above the maximum', () => {
+        assert.deepEqual(em.validateConfigOverride({ config: { ev_min_current: 16, ev_max_current: 10 } }).errors,
+            ['ev_min_current must not exceed ev_max_current']);
+    });
+});
+
+describe('zero export', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+    });
+
+    function curtailing(overrides = {}) {
+        return { ...makeInputs(overrides), zeroExport: em.getZeroExportStatus() };
+    }
+
+    function transition(state, inputs) {
+        em.processStateTransition(state, inputs);
+        env.clock.advance(2 * 60000);
+        return em.processStateTransition(state, inputs);
+    }
+
+    it('is requested by a zero or negative live price while it is fresh', () => {
+        assert.equal(em.getZeroExportStatus().active, false);
+
+        env.global.set('feed_in_price', -3.5);
+        env.global.set('feed_in_price_updated', env.clock.now());
+        assert.deepEqual(em.getZeroExportStatus(), {
+            active: true, trigger: 'price', window: null, price: -3.5, price_source: 'live',
+            reason: 'feed-in -3.5c/kWh at or below 0c/kWh (live price)'
+        });
+
+        env.clock.advance(10 * 60000);
+        assert.equal(em.getZeroExportStatus().price_source, 'tariff');
+        assert.equal(em.getZeroExportStatus().active, false);
+    });
+
+    it('is requested by a tariff rate or a schedule window', () => {
+        env.global.set('energy_management_config', {
+            tariff: { default_export: 5, default_import: 30, periods: [{ name: 'midday', start: '11:00', end: '13:00', export: 0 }] },
+            zero_export_schedule: [{ name: 'dnsp', days: 'weekday', start: '09:00', end: '15:00' }]
+        }, 'file');
+        em.applyRuntimeConfig();
+
+        assert.equal(em.getZeroExportStatus().trigger, 'price');
+        assert.equal(em.getZeroExportStatus(new Date('2025-07-21T14:00:00+10:00')).reason, "zero-export window 'dnsp' (09:00-15:00)");
+        assert.equal(em.getZeroExportStatus(new Date('2025-07-20T14:00:00+10:00')).active, false);
+    });
+
+    it('rejects an invalid schedule', () => {
+        assert.deepEqual(em.validateConfigOverride({ zero_export_schedule: [{ name: 'dnsp', start: '10:00', end: '10:00', export: 0 }] }).errors, [
+            'zero_export_schedule[0] has unknown setting: export',
+            'zero_export_schedule[0] start and end must differ'
+        ]);
+        assert.deepEqual(em.validateConfigOverride({ zero_export_schedule: {} }).errors, ['zero_export_schedule must be a list']);
+    });
+
+    it('enters and leaves on its own debounce', () => {
+        env.global.set('feed_in_price', 0);
+        const first = em.processStateTransition(em.STATES.EXPORT_PRIORITY, curtailing());
+        assert.equal(first.nextState, em.STATES.EXPORT_PRIORITY);
+        assert.match(first.stateReason, /^Zero export requested \(feed-in 0c\/kWh at or below 0c\/kWh \(live price\)\) but Debouncing state change \(2min required\)/);
+
+        env.clock.advance(2 * 60000);
+        const entered = em.processStateTransition(em.STATES.EXPORT_PRIORITY, curtailing());
+        assert.equal(entered.nextState, em.STATES.ZERO_EXPORT);
+        assert.match(entered.stateReason, /absorbing surplus instead of exporting/);
+
+        // Export target logic doesn't pull it back while the signal lasts
+        assert.equal(em.processStateTransition(em.STATES.ZERO_EXPORT, curtailing({ dailyExport: 2 })).nextState, em.STATES.ZERO_EXPORT);
+
+        env.global.set('feed_in_price', 8);
+        const resumed = transition(em.STATES.ZERO_EXPORT, curtailing({ dailyExport: 25, generation: 600, batteryPower: 300 }));
+        assert.equal(resumed.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(resumed.stateReason, /^Zero export ended - resuming BATTERY_STORAGE/);
+    });
+
+    it('is not entered at night', () => {
+        env.clock.set(NIGHTTIME);
+        env.global.set('feed_in_price', -1);
+
+        assert.equal(transition(em.STATES.SELF_CONSUME, curtailing({ generation: 0, batteryPower: -500, gridPower: 0 })).nextState, em.STATES.SELF_CONSUME);
+    });
+
+    it('absorbs into the battery, then the HWS, then curtails PV', () => {
+        const charging = em.generateOutput(em.STATES.ZERO_EXPORT, makeInputs({ batterySoc: 70, batteryPower: 3000, gridPower: 0 }), 'test');
+        assert.deepEqual(charging.actions, { set_ess_mode: true, grid_setpoint: 0, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+
+        const full = em.generateOutput(em.STATES.ZERO_EXPORT, makeInputs({ batterySoc: 99, batteryPower: 0, gridPower: -50 }), 'test');
+        assert.equal(full.actions.enable_hws, true);
+        assert.equal(full.actions.curtail_pv, false);
+        assert.match(env.persistentLogs('HWS_EVENT')[0].message, /HWS TURNED_ON: Zero export: battery full/);
+
+        const overflow = em.generateOutput(em.STATES.ZERO_EXPORT, makeInputs({ batterySoc: 99, batteryPower: 0, gridPower: -1500 }), 'test');
+        assert.equal(overflow.actions.enable_hws, true);
+        assert.equal(overflow.actions.curtail_pv, true);
+    });
+
+    it('pauses catch-up while export is curtailed', () => {
+        const history = Array.from({ length: 10 }, (_, i) => ({
+            date: `2025-07-${String(10 + i).padStart(2, '0')}`, export: 15, target: 23.5, status: 'final'
+        }));
+        env.global.set('export_history_30days', history, 'file');
+
+        assert.ok(em.getCurrentMonthTarget() > 23.5);
+
+        env.global.set('feed_in_price', -2);
+        assert.equal(em.getCurrentMonthTarget(), 23.5);
+        assert.match(env.global.get('target_calculation', 'file').catchup_paused, /^Zero export: feed-in -2c\/kWh/);
+    });
+});
+
+describe('grid discharge', () => {
+    let env;
+    let em;
+
+    const EVENING = '2025-07-20T19:00:00+10:00';
+    const EVENING_TARIFF = {
+        default_export: 5,
+        default_import: 30,
+        periods: [{ name: 'evening', start: '17:00', end: '21:00', export: 20, import: 45 }]
+    };
+
+    beforeEach(() => {
+        env = createEnvironment({ now: EVENING, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+        env.global.set('energy_management_config', { tariff: EVENING_TARIFF }, 'file');
+        em.applyRuntimeConfig();
+    });
+
+    function evening(overrides = {}) {
+        return { ...makeInputs({ generation: 0, gridPower: 300, batteryPower: -300, batterySoc: 95, dailyExport: 20, ...overrides }), discharge: em.getDischargeStatus() };
+    }
+
+    it('keeps a reserve for the household load until morning', () => {
+        // 35% + 0.6kW for 11h of a 13.5kWh battery
+        assert.deepEqual(em.getDischargeStatus(), {
+            active: true, window: '17:00-20:00', in_window: true, export_rate: 20,
+            power: 3000, hours_to_morning: 11, reserve_soc: 83.9
+        });
+        assert.equal(em.getDischargeStatus(new Date('2025-07-20T17:00:00+10:00')).reserve_soc, 92.8);
+        assert.equal(em.getDischargeStatus(new Date('2025-07-20T20:00:00+10:00')).active, false);
+    });
+
+    it('needs the evening feed-in rate', () => {
+        env.global.set('energy_management_config', {}, 'file');
+        em.applyRuntimeConfig();
+
+        const status = em.getDischargeStatus();
+        assert.equal(status.in_window, true);
+        assert.equal(status.active, false);
+        assert.equal(em.processStateTransition(em.STATES.SELF_CONSUME, evening()).nextState, em.STATES.SELF_CONSUME);
+    });
+
+    it('starts after the debounce and exports at the configured power', () => {
+        const requested = em.processStateTransition(em.STATES.SELF_CONSUME, evening());
+        assert.equal(requested.nextState, em.STATES.SELF_CONSUME);
+        assert.match(requested.stateReason, /^Grid discharge requested but Debouncing/);
+
+        env.clock.advance(5 * 60000);
+        const started = em.processStateTransition(em.STATES.SELF_CONSUME, evening());
+        assert.equal(started.nextState, em.STATES.GRID_DISCHARGE);
+        assert.match(started.stateReason, /feed-in 20c\/kWh in window 17:00-20:00 - exporting 3000W from battery at SOC 95% down to reserve 83\.5%/);
+
+        const output = em.generateOutput(em.STATES.GRID_DISCHARGE, evening(), 'test');
+        assert.deepEqual(output.actions, { set_ess_mode: true, grid_setpoint: -3000, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+    });
+
+    it('does not start just above the reserve', () => {
+        env.clock.advance(10 * 60000);
+        assert.equal(em.processStateTransition(em.STATES.SELF_CONSUME, evening({ batterySoc: 84 })).nextState, em.STATES.SELF_CONSUME);
+    });
+
+    it('stops at the reserve at once', () => {
+        const atReserve = em.processStateTransition(em.STATES.GRID_DISCHARGE, evening({ batterySoc: 83.5, gridPower: -3000, batteryPower: -3300 }));
+        assert.equal(atReserve.nextState, em.STATES.SELF_CONSUME);
+        assert.match(atReserve.stateReason, /^Discharge reached reserve SOC 83\.9% \(11h of 0\.6kW load to 6:00\)/);
+    });
+
+    it('stops after the debounce when the window closes or feed-in drops', () => {
+        env.clock.set('2025-07-20T20:00:00+10:00');
+        const closing = em.processStateTransition(em.STATES.GRID_DISCHARGE, evening({ gridPower: -3000, batteryPower: -3300 }));
+        assert.equal(closing.nextState, em.STATES.GRID_DISCHARGE);
+        assert.match(closing.stateReason, /^Discharge window 17:00-20:00 closed at SOC 95%, self consume requested but Debouncing/);
+
+        env.clock.advanceMinutes(5);
+        const closed = em.processStateTransition(em.STATES.GRID_DISCHARGE, evening({ gridPower: -3000, batteryPower: -3300 }));
+        assert.equal(closed.nextState, em.STATES.SELF_CONSUME);
+        assert.match(closed.stateReason, /^Discharge window 17:00-20:00 closed at SOC 95% - self consume/);
+    });
+
+    it('still gives way to battery protection', () => {
+        env.global.set('energy_management_config', { tariff: EVENING_TARIFF, config: { discharge_overnight_load_kw: 0 } }, 'file');
+        em.applyRuntimeConfig();
+
+        const result = em.processStateTransition(em.STATES.GRID_DISCHARGE, evening({ batterySoc: 34, batteryPower: -3000 }));
+        assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        assert.match(result.stateReason, /^Battery protection override/);
+    });
+
+    it('logs the discharge as state changes and counts its export', () => {
+        env.global.set('energy_management_state', 'SELF_CONSUME');
+        env.global.set('export_daily', 20000);
+        env.global.set('victron_soc', 95);
+        env.global.set('generation', 0);
+        env.global.set('grid_power', 300);
+        env.global.set('battery_power', -300);
+        runEnergyManagement(env, {});
+        env.clock.advance(5 * 60000);
+        const started = runEnergyManagement(env, {});
+
+        assert.equal(started.payload.current_state, 'GRID_DISCHARGE');
+        assert.equal(started.payload.actions.grid_setpoint, -3000);
+        const [log] = env.persistentLogs('STATE_CHANGE');
+        assert.match(log.message, /^SELF_CONSUME → GRID_DISCHARGE/);
+        assert.equal(log.data.discharge.reserve_soc, 83.5);
+
+        env.global.set('grid_power', -3000);
+        runEnergyManagement(env, {});
+        env.clock.advance(5 * 60000);
+        env.global.set('export_daily', 20250);
+        runEnergyManagement(env, {});
+
+        const today = env.global.get('export_history_30days', 'file').find(entry => entry.date === '2025-07-20');
+        assert.ok(Math.abs(today.battery_export - 0.25) < 1e-9);
+    });
+});
+
+describe('grid charge', () => {
+    let env;
+    let em;
+
+    const OVERNIGHT = '2025-07-21T02:00:00+10:00';
+    const OFF_PEAK_TARIFF = {
+        default_export: 5,
+        default_import: 30,
+        periods: [{ name: 'off_peak', start: '22:00', end: '07:00', export: 5, import: 15 }]
+    };
+
+    beforeEach(() => {
+        env = createEnvironment({
+            now: OVERNIGHT,
+            globals: { energy_management_enabled: true, solar_forecast_daily: { '2025-07-21': 10, '2025-07-22': 40 } }
+        });
+        em = loadEnergyManagement(env);
+        env.global.set('energy_management_config', { tariff: OFF_PEAK_TARIFF }, 'file');
+        em.applyRuntimeConfig();
+    });
+
+    function overnight(overrides = {}) {
+        return { ...makeInputs({ generation: 0, gridPower: 400, batteryPower: -400, batterySoc: 45, dailyExport: 0, ...overrides }), gridCharge: em.getGridChargeStatus() };
+    }
+
+    it('charges for the morning load the expected solar leaves uncovered', () => {
+        // 10kWh day, 14.7% of the clear day curve before 9:00: 35% + 3.5kWh of a 13.5kWh battery
+        assert.deepEqual(em.getGridChargeStatus(), {
+            active: true, window: '00:00-06:00', in_window: true, export_day: false, import_rate: 15, power: 3000,
+            solar_date: '2025-07-21', solar_source: 'forecast', expected_solar_kwh: 10, morning_solar_kwh: 1.5,
+            shortfall_kwh: 3.5, target_soc: 61.2
+        });
+
+        // After noon it plans for tomorrow, whose forecast covers the morning
+        const evening = em.getGridChargeStatus(new Date('2025-07-21T23:00:00+10:00'));
+        assert.equal(evening.solar_date, '2025-07-22');
+        assert.equal(evening.shortfall_kwh, 0);
+        assert.equal(evening.active, false);
+    });
+
+    it('uses the hourly forecast and caps the target at the max charge SOC', () => {
+        const hours = new Array(24).fill(0);
+        hours[12] = 2;
+        env.global.set('solar_forecast_hourly', { '2025-07-21': hours });
+        env.global.set('energy_management_config', { tariff: OFF_PEAK_TARIFF, config: { grid_charge_morning_load_kwh: 8 } }, 'file');
+        em.applyRuntimeConfig();
+
+        const status = em.getGridChargeStatus();
+        assert.equal(status.morning_solar_kwh, 0);
+        assert.equal(status.shortfall_kwh, 8);
+        assert.equal(status.target_soc, 80);
+    });
+
+    it('does nothing without a forecast or recent generation', () => {
+        env.global.set('solar_forecast_daily', {});
+        const status = em.getGridChargeStatus();
+        assert.equal(status.solar_source, null);
+        assert.equal(status.target_soc, 35);
+        assert.equal(status.active, false);
+    });
+
+    it('falls back to the recent generation average', () => {
+        env.global.set('solar_forecast_daily', {});
+        env.global.set('export_history_30days', [1, 2, 3].map(days => ({
+            date: `2025-07-${String(21 - days).padStart(2, '0')}`, export: 5, target: 20, status: 'final', generation: 10
+        })), 'file');
+        const status = em.getGridChargeStatus();
+        assert.equal(status.solar_source, 'history');
+        assert.equal(status.target_soc, 61.2);
+    });
+
+    it('needs a cheap import rate and never runs in the export day', () => {
+        env.global.set('energy_management_config', {}, 'file');
+        em.applyRuntimeConfig();
+        assert.equal(em.getGridChargeStatus().active, false);
+
+        env.global.set('energy_management_config', { tariff: OFF_PEAK_TARIFF, config: { grid_charge_end_hour: 10 } }, 'file');
+        em.applyRuntimeConfig();
+        const morning = em.getGridChargeStatus(new Date('2025-07-21T06:30:00+10:00'));
+        assert.equal(morning.in_window, true);
+        assert.equal(morning.export_day, true);
+        assert.equal(morning.active, false);
+    });
+
+    it('starts after the debounce and imports at the configured power', () => {
+        const requested = em.processStateTransition(em.STATES.SELF_CONSUME, overnight());
+        assert.equal(requested.nextState, em.STATES.SELF_CONSUME);
+        assert.match(requested.stateReason, /^Grid charge requested but Debouncing/);
+
+        env.clock.advance(5 * 60000);
+        const started = em.processStateTransition(em.STATES.SELF_CONSUME, overnight());
+        assert.equal(started.nextState, em.STATES.GRID_CHARGE);
+        assert.match(started.stateReason, /forecast 10kWh on 2025-07-21 \(1\.5kWh by 9:00\) leaves 3\.5kWh of morning load uncovered - charging from the grid at 15c\/kWh, SOC 45% → 61\.2%/);
+
+        const output = em.generateOutput(em.STATES.GRID_CHARGE, overnight(), 'test');
+        assert.deepEqual(output.actions, { set_ess_mode: true, grid_setpoint: 3000, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+        assert.equal(em.generateOutput(em.STATES.GRID_CHARGE, overnight({ batterySoc: 80 }), 'test').actions.grid_setpoint, 0);
+    });
+
+    it('does not start just below the target', () => {
+        env.clock.advance(10 * 60000);
+        assert.equal(em.processStateTransition(em.STATES.SELF_CONSUME, overnight({ batterySoc: 60 })).nextState, em.STATES.SELF_CONSUME);
+    });
+
+    it('stops at the target SOC, the max charge SOC and the end of the window', () => {
+        const charging = em.processStateTransition(em.STATES.GRID_CHARGE, overnight({ gridPower: 3400, batteryPower: 3000 }));
+        assert.equal(charging.nextState, em.STATES.GRID_CHARGE);
+
+        const atTarget = em.processStateTransition(em.STATES.GRID_CHARGE, overnight({ batterySoc: 61.2, batteryPower: 3000 }));
+        assert.equal(atTarget.nextState, em.STATES.SELF_CONSUME);
+        assert.match(atTarget.stateReason, /^Grid charge reached target SOC 61\.2%/);
+
+        env.global.set('energy_management_config', { tariff: OFF_PEAK_TARIFF, config: { grid_charge_max_soc: 50 } }, 'file');
+        em.applyRuntimeConfig();
+        const atMax = em.processStateTransition(em.STATES.GRID_CHARGE, overnight({ batterySoc: 50, batteryPower: 3000 }));
+        assert.equal(atMax.nextState, em.STATES.SELF_CONSUME);
+        assert.match(atMax.stateReason, /^Grid charge reached max charge SOC 50%/);
+
+        env.clock.set('2025-07-21T06:00:00+10:00');
+        const closed = em.processStateTransition(em.STATES.GRID_CHARGE, overnight({ batteryPower: 3000 }));
+        assert.equal(closed.nextState, em.STATES.SELF_CONSUME);
+        assert.match(closed.stateReason, /^Grid charge window 00:00-06:00 closed at SOC 45%/);
+    });
+
+    it('rejects a max charge SOC above max_soc_threshold', () => {
+        const { errors } = em.validateConfigOverride({ config: { grid_charge_max_soc: 100 } });
+        assert.deepEqual(errors, ['grid_charge_max_soc must not exceed max_soc_threshold']);
+    });
+
+    it('logs the grid charge as a state change', () => {
+        env.global.set('energy_management_state', 'SELF_CONSUME');
+        env.global.set('export_daily', 0);
+        env.global.set('victron_soc', 45);
+        env.global.set('generation', 0);
+        env.global.set('grid_power', 400);
+        env.global.set('battery_power', -400);
+        runEnergyManagement(env, {});
+        env.clock.advance(5 * 60000);
+        const started = runEnergyManagement(env, {});
+
+        assert.equal(started.payload.current_state, 'GRID_CHARGE');
+        assert.equal(started.payload.actions.grid_setpoint, 3000);
+        assert.equal(started.payload.status.grid_charge.target_soc, 61.2);
+        const [log] = env.persistentLogs('STATE_CHANGE');
+        assert.match(log.message, /^SELF_CONSUME → GRID_CHARGE/);
+        assert.equal(log.data.grid_charge.shortfall_kwh, 3.5);
+    });
+});
+
+describe('financial accounting', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+    });
+
+    function meter(time, gridPower, loads = {}) {
+        env.clock.set(time);
+        return em.updateDailyExportHistory(10, 23.5, 3000, { gridPower, loads });
+    }
+
+    function near(actual, expected) {
+        assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+    }
+
+    it('prices export, import and load diversion at the tariff in force', () => {
+        meter('2025-07-20T12:00:00+10:00', -3000);
+        meter('2025-07-20T12:10:00+10:00', 1200, { hws: 3000 });
+        meter('2025-07-20T12:20:00+10:00', 0);
+
+        // 0.5 kWh exported at 5c, 0.2 kWh imported at 30c, 0.5 kWh of HWS at 30c
+        const [entry] = env.global.get('export_history_30days', 'file');
+        near(entry.revenue, 0.025);
+        near(entry.cost, 0.06);
+        near(entry.hws_savings, 0.15);
+        near(entry.net, 0.115);
+    });
+
+    it('uses the period rates and caps gaps between runs', () => {
+        env.global.set('energy_management_config', {
+            tariff: { default_export: 5, default_import: 30, periods: [{ name: 'sponge', start: '11:00', end: '14:00', export: 20 }] }
+        }, 'file');
+        em.applyRuntimeConfig();
+
+        meter('2025-07-20T12:00:00+10:00', -2000);
+        meter('2025-07-20T13:00:00+10:00', -2000);
+
+        // 15 minutes at 2kW exported at 20c
+        near(env.global.get('export_history_30days', 'file')[0].revenue, 0.1);
+    });
+
+    it('keeps the money on the final entry and in the aggregates', () => {
+        meter('2025-07-20T23:50:00+10:00', -4000);
+        meter('2025-07-20T23:55:00+10:00', -4000);
+        env.clock.set('2025-07-21T00:00:00+10:00');
+        const [finalised] = em.updateDailyExportHistory(0, 23.5, 0, { gridPower: 0, loads: {} });
+
+        // 23:50 to midnight at 4kW exported at 5c
+        near(finalised.revenue, 4 / 6 * 0.05);
+        const month = em.getMonthlyExportSummary('2025-07', '2025-07')[0];
+        near(month.net, 4 / 6 * 0.05);
+        assert.equal(month.priced_days, 1);
+        assert.equal(env.global.get('export_day_tracker', 'file').net, 0);
+    });
+
+    it('totals today, month to date and year to date', () => {
+        env.global.set('export_history_longterm', {
+            daily: {
+                '2025-07-18': { export: 20, target: 23.5, revenue: 2, cost: 1, hws_savings: 0.5, net: 1.5 },
+                '2025-07-19': { export: 20, target: 23.5 }
+            },
+            monthly: {
+                '2025-06': { export: 600, target: 700, days: 30, days_met: 10, revenue: 50, cost: 20, hws_savings: 10, net: 40, priced_days: 20 },
+                '2025-07': { export: 40, target: 47, days: 2, days_met: 0, revenue: 2, cost: 1, hws_savings: 0.5, net: 1.5, priced_days: 1 }
+            },
+            yearly: {}
+        }, 'file');
+        meter('2025-07-20T12:00:00+10:00', -3000);
+        meter('2025-07-20T12:10:00+10:00', 0);
+
+        const summary = em.getFinancialSummary();
+        near(summary.today.net, 0.025);
+        assert.equal(summary.month_to_date.days, 2);
+        near(summary.month_to_date.net, 1.525);
+        assert.equal(summary.year_to_date.days, 22);
+        near(summary.year_to_date.revenue, 52.025);
+    });
+
+    it('reports the totals in the output status', () => {
+        env.global.set('export_daily', 10000);
+        env.global.set('victron_soc', 60);
+        env.global.set('generation', 4000);
+        env.global.set('grid_power', -3000);
+        env.global.set('battery_power', 800);
+        runEnergyManagement(env, {});
+        env.clock.advance(5 * 60000);
+        const msg = runEnergyManagement(env, {});
+
+        near(msg.payload.status.financials.today.revenue, 0.0125);
+        assert.equal(env.global.get('energy_management_financials').month_to_date.days, 1);
+        assert.deepEqual(msg.payload.status.load_energy, { today: {}, month_to_date: {}, year_to_date: {} });
+    });
+});
+
+describe('load energy accounting', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+        em = loadEnergyManagement(env);
+    });
+
+    function meter(time, gridPower, loads = {}) {
+        env.clock.set(time);
+        return em.updateDailyExportHistory(10, 23.5, 3000, { gridPower, loads });
+    }
+
+    function near(actual, expected) {
+        assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+    }
+
+    it('splits each load\'s energy into solar and grid', () => {
+        meter('2025-07-20T12:00:00+10:00', 1000);
+        meter('2025-07-20T12:10:00+10:00', 0, { hws: 3000, pool_pump: 1000 });
+
+        // 1000W of the 4000W of loads imported: a quarter of each load's energy is grid
+        const [entry] = env.global.get('export_history_30days', 'file');
+        near(entry.loads.hws.runtime_minutes, 10);
+        near(entry.loads.hws.energy_kwh, 0.5);
+        near(entry.loads.hws.solar_kwh, 0.375);
+        near(entry.loads.hws.grid_kwh, 0.125);
+        near(entry.loads.pool_pump.energy_kwh, 1 / 6);
+        near(entry.hws_savings, 0.5 * 0.3);
+    });
+
+    it('credits no savings for a load heated from the grid', () => {
+        meter('2025-07-20T12:00:00+10:00', 3500);
+        meter('2025-07-20T12:10:00+10:00', 0, { hws: 3000 });
+
+        const [entry] = env.global.get('export_history_30days', 'file');
+        near(entry.loads.hws.grid_kwh, 0.5);
+        near(entry.hws_savings, 0);
+    });
+
+    it('keeps the day totals in the long-term history and the daily summary', () => {
+        meter('2025-07-20T23:50:00+10:00', -2000);
+        meter('2025-07-20T23:55:00+10:00', -2000, { hws: 3000 });
+        env.clock.set('2025-07-21T00:00:00+10:00');
+        const [finalised] = em.updateDailyExportHistory(0, 23.5, 0, { gridPower: 0, loads: {} });
+
+        near(finalised.loads.hws.solar_kwh, 0.25);
+        near(em.getExportHistory('2025-07-20', '2025-07-20')[0].loads.hws.energy_kwh, 0.25);
+        near(em.getMonthlyExportSummary('2025-07', '2025-07')[0].loads.hws.runtime_minutes, 5);
+
+        em.logDailySummary(finalised, { batterySoc: 80 });
+        const summary = env.persistentLogs('DAILY_SUMMARY').at(-1);
+        assert.match(summary.message, / · HWS 0\.3 kWh \(0\.3 solar\)$/);
+        near(summary.data.loads.hws.energy_kwh, 0.25);
+    });
+
+    it('totals each load today, month to date and year to date', () => {
+        env.global.set('export_history_longterm', {
+            daily: {
+                '2025-07-19': { export: 20, target: 23.5, loads: { hws: { runtime_minutes: 60, energy_kwh: 3, solar_kwh: 2, grid_kwh: 1 } } }
+            },
+            monthly: {
+                '2025-06': { export: 600, target: 700, days: 30, days_met: 10, loads: { hws: { runtime_minutes: 600, energy_kwh: 30, solar_kwh: 30, grid_kwh: 0 } } },
+                '2025-07': { export: 20, target: 23.5, days: 1, days_met: 0, loads: { hws: { runtime_minutes: 60, energy_kwh: 3, solar_kwh: 2, grid_kwh: 1 } } }
+            },
+            yearly: {}
+        }, 'file');
+        meter('2025-07-20T12:00:00+10:00', -3000);
+        meter('2025-07-20T12:10:00+10:00', 0, { hws: 3000 });
+
+        const summary = em.getLoadEnergySummary();
+        near(summary.today.hws.solar_kwh, 0.5);
+        near(summary.month_to_date.hws.solar_kwh, 2.5);
+        near(summary.year_to_date.hws.solar_kwh, 32.5);
+        near(summary.year_to_date.hws.runtime_minutes, 670);
+    });
+});
+
+describe('main execution', () => {
+    function liveEnvironment(globals = {}, fileGlobals = {}) {
+        return createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                export_daily: 10000,
+                grid_power: -2500,
+                generation: 4000,
+                victron_soc: 70,
+                battery_power: 800,
+                ...globals
+            },
+            fileGlobals
+        });
+    }
+
+    it('does nothing while disabled', () => {
+        const env = liveEnvironment({ energy_management_enabled: false });
+
+        assert.equal(runEnergyManagement(env, {}), undefined);
+        assert.equal(env.global.get('energy_management_state'), undefined);
+    });
+
+    it('initialises the state and emits actions on the first run', () => {
+        const env = liveEnvironment();
+        const msg = runEnergyManagement(env, {});
+
+        assert.equal(msg.payload.current_state, 'EXPORT_PRIORITY');
+        assert.equal(msg.payload.actions.set_ess_mode, false);
+        assert.equal(env.global.get('energy_management_state'), 'EXPORT_PRIORITY');
+        assert.deepEqual(env.global.get('energy_management_loads').map(load => [load.name, load.on]), [['hws', false]]);
+        assert.equal(env.persistentLogs('SYSTEM')[0].message, 'Energy management system initialized');
+    });
+
+    it('persists and logs state changes', () => {
+        const env = liveEnvironment({ export_daily: 30000 });
+        runEnergyManagement(env, {});
+
+        assert.equal(env.global.get('energy_management_state'), 'BATTERY_STORAGE');
+        const changes = env.persistentLogs('STATE_CHANGE');
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].data.from_state, 'EXPORT_PRIORITY');
+        assert.equal(changes[0].data.to_state, 'BATTERY_STORAGE');
+    });
+
+    it('falls back to a safe payload on invalid sensor data', () => {
+        const env = liveEnvironment({ victron_soc: 150 });
+        const msg = runEnergyManagement(env, {});
+
+        assert.equal(msg.payload.current_state, 'SAFE_MODE');
+        assert.equal(msg.payload.actions.set_ess_mode, false);
+        assert.match(msg.payload.status.validation_errors[0], /Battery SOC 150%/);
+    });
+
+    it('records one export history entry per day', () => {
+        const env = liveEnvironment();
+        runEnergyManagement(env, {});
+        env.clock.advanceMinutes(5);
+        runEnergyManagement(env, {});
+
+        const history = env.global.get('export_history_30days', 'file');
+        assert.equal(history.length, 1);
+        assert.equal(history[0].date, '2025-07-20');
+    });
+
+    it('writes one daily summary when the day is finalised', () => {
+        const env = liveEnvironment();
+        env.clock.set('2025-07-20T23:50:00+10:00');
+        runEnergyManagement(env, {});
+        env.clock.advanceMinutes(15);
+        env.global.set('export_daily', 100);
+        runEnergyManagement(env, {});
+        env.clock.advanceMinutes(5);
+        runEnergyManagement(env, {});
+
+        const summaries = env.persistentLogs('DAILY_SUMMARY');
+        assert.equal(summaries.length, 1);
+        assert.equal(summaries[0].data.date, '2025-07-20');
+        assert.equal(summaries[0].data.daily_export, 10);
+    });
+});
+
+describe('commands', () => {
+    function commandEnvironment(globals = {}, fileGlobals = {}) {
+        return createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                energy_management_state: 'SELF_CONSUME',
+                export_daily: 10000,
+                grid_power: -2500,
+                generation: 4000,
+                victron_soc: 70,
+                battery_power: 800,
+                ...globals
+            },
+            fileGlobals
+        });
+    }
+
+    function sendCommand(env, topic, payload) {
+        const result = runEnergyManagement(env, { topic, payload });
+        assert.ok(Array.isArray(result), `${topic} should return [null, ack]`);
+        assert.equal(result[0], null);
+        return result[1].payload;
+    }
+
+    it('acknowledges on the second output and logs a COMMAND entry', () => {
+        const env = commandEnvironment();
+        const ack = sendCommand(env, 'disable');
+
+        assert.equal(ack.command, 'disable');
+        assert.equal(ack.success, true);
+        assert.equal(env.global.get('energy_management_enabled'), false);
+        assert.equal(env.persistentLogs('COMMAND')[0].message, 'disable: Energy management disabled');
+    });
+
+    it('accepts enable while the system is disabled', () => {
+        const env = commandEnvironment({ energy_management_enabled: false });
+        const ack = sendCommand(env, 'enable');
+
+        assert.equal(ack.success, true);
+        assert.equal(env.global.get('energy_management_enabled'), true);
+    });
+
+    it('does not run a state machine tick for a command', () => {
+        const env = commandEnvironment();
+        sendCommand(env, 'reset_debounce');
+
+        assert.equal(env.global.get('energy_management_state'), 'SELF_CONSUME');
+        assert.equal(env.global.get('export_history_30days', 'file'), undefined);
+    });
+
+    it('treats other topics as scheduled ticks', () => {
+        const env = commandEnvironment();
+        const msg = runEnergyManagement(env, { topic: 'tick', payload: 1721440800000 });
+
+        assert.ok(!Array.isArray(msg));
+        assert.equal(msg.topic, 'tick');
+        assert.equal(msg.payload.current_state, 'SELF_CONSUME');
+    });
+
+    it('sets the state through the state change path', () => {
+        const env = commandEnvironment();
+        env.global.set('state_change_request_SELF_CONSUME_to_EXPORT_PRIORITY', 123);
+        const ack = sendCommand(env, 'set_state', 'BATTERY_STORAGE');
+
+        assert.equal(ack.success, true);
+        assert.deepEqual(ack.result, { state: 'BATTERY_STORAGE', previous_state: 'SELF_CONSUME', changed: true });
+        assert.equal(env.global.get('energy_management_state'), 'BATTERY_STORAGE');
+        assert.equal(env.global.get('state_change_request_SELF_CONSUME_to_EXPORT_PRIORITY'), 0);
+        assert.equal(env.persistentLogs('STATE_CHANGE')[0].data.reason, 'Manual command: set_state BATTERY_STORAGE');
+    });
+
+    it('rejects an unknown state', () => {
+        const env = commandEnvironment();
+        const ack = sendCommand(env, 'set_state', 'TURBO');
+
+        assert.equal(ack.success, false);
+        assert.match(ack.message, /Unknown state: TURBO/);
+        assert.equal(env.global.get('energy_management_state'), 'SELF_CONSUME');
+        assert.equal(env.persistentLogs('COMMAND')[0].priority, 'high');
+    });
+
+    it('resets one or all debounce requests', () => {
+        const env = commandEnvironment();
+        env.global.set('state_change_request_SELF_CONSUME_to_EXPORT_PRIORITY', 123);
+        env.global.set('state_change_request_EXPORT_PRIORITY_to_SELF_CONSUME', 456);
+
+        sendCommand(env, 'reset_debounce', 'SELF_CONSUME_to_EXPORT_PRIORITY');
+        assert.equal(env.global.get('state_change_request_SELF_CONSUME_to_EXPORT_PRIORITY'), 0);
+        assert.equal(env.global.get('state_change_request_EXPORT_PRIORITY_to_SELF_CONSUME'), 456);
+
+        sendCommand(env, 'reset_debounce');
+        assert.equal(env.global.get('state_change_request_EXPORT_PRIORITY_to_SELF_CONSUME'), 0);
+
+        assert.equal(sendCommand(env, 'reset_debounce', 'A_to_B').success, false);
+    });
+
+    it('clears logs, optionally by type', () => {
+        const env = commandEnvironment({}, {
+            energy_management_logs: [
+                { type: 'HWS_EVENT', message: 'a', timestamp: DAYTIME },
+                { type: 'DEBOUNCE', message: 'b', timestamp: DAYTIME }
+            ]
+        });
+
+        const ack = sendCommand(env, 'clear_logs', 'DEBOUNCE');
+        assert.deepEqual(ack.result, { removed_count: 1, remaining_count: 1 });
+        assert.deepEqual(env.persistentLogs().map(log => log.type), ['HWS_EVENT', 'COMMAND']);
+
+        sendCommand(env, 'clear_logs');
+        assert.deepEqual(env.persistentLogs().map(log => log.type), ['COMMAND']);
+    });
+
+    it('recalculates the target on request', () => {
+        const env = commandEnvironment({}, { target_calculation: { adjusted_target: 99 } });
+        const ack = sendCommand(env, 'force_target_recalculation');
+
+        assert.equal(ack.result.target_export, 23.5);
+        assert.equal(env.global.get('target_calculation', 'file'), undefined);
+    });
+
+    it('stores and applies a valid config from reload_config', () => {
+        const env = commandEnvironment();
+        const ack = sendCommand(env, 'reload_config', { config: { catchup_days: 9 } });
+
+        assert.equal(ack.success, true);
+        assert.equal(ack.result.config.catchup_days, 9);
+        assert.deepEqual(env.global.get('energy_management_config', 'file'), { config: { catchup_days: 9 } });
+        assert.equal(env.persistentLogs('CONFIG_CHANGE').length, 1);
+    });
+
+    it('rejects an invalid config from reload_config without storing it', () => {
+        const env = commandEnvironment();
+        const ack = sendCommand(env, 'reload_config', { config: { catchup_days: 0 } });
+
+        assert.equal(ack.success, false);
+        assert.match(ack.message, /catchup_days must be ≥ 1/);
+        assert.equal(env.global.get('energy_management_config', 'file'), undefined);
+    });
+});
+
+describe('manual override', () => {
+    function overrideEnvironment(state = 'SELF_CONSUME') {
+        const env = createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                energy_management_state: state,
+                export_daily: 10000,
+                grid_power: -2500,
+                generation: 4000,
+                victron_soc: 70,
+                battery_power: 800
+            }
+        });
+        return { env, em: loadEnergyManagement(env) };
+    }
+
+    it('pins the state instead of the normal transition logic', () => {
+        const { env, em } = overrideEnvironment();
+        em.startManualOverride(em.STATES.BATTERY_STORAGE, env.clock.now() + 60 * 60 * 1000, 'storm coming');
+
+        assert.equal(env.global.get('energy_management_state'), 'BATTERY_STORAGE');
+        const result = em.processStateTransition(em.STATES.BATTERY_STORAGE, makeInputs());
+        assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(result.stateReason, /^Manual override: pinned to BATTERY_STORAGE until .* \(storm coming\)$/);
+        assert.equal(env.persistentLogs('DEBOUNCE').length, 0);
+    });
+
+    it('lets battery protection take control while active', () => {
+        const { env, em } = overrideEnvironment();
+        em.startManualOverride(em.STATES.SELF_CONSUME, env.clock.now() + 60 * 60 * 1000);
+
+        const result = em.processStateTransition(em.STATES.SELF_CONSUME,
+            makeInputs({ batterySoc: 30, batteryPower: -800, generation: 0, gridPower: 0 }));
+
+        assert.equal(result.nextState, em.STATES.EXPORT_PRIORITY);
+        assert.match(result.stateReason, /manual override to SELF_CONSUME suspended/);
+        assert.equal(env.persistentLogs('BATTERY_PROTECTION')[0].data.manual_override, 'SELF_CONSUME');
+    });
+
+    it('expires on its own with a log entry and clean debounce state', () => {
+        const { env, em } = overrideEnvironment();
+        em.startManualOverride(em.STATES.BATTERY_STORAGE, env.clock.now() + 30 * 60 * 1000);
+        env.global.set('state_change_request_BATTERY_STORAGE_to_EXPORT_PRIORITY', env.clock.now());
+
+        env.clock.advanceMinutes(30);
+        const result = em.processStateTransition(em.STATES.BATTERY_STORAGE, makeInputs());
+
+        assert.equal(env.global.get('energy_management_override', 'file'), undefined);
+        assert.match(env.persistentLogs('OVERRIDE')[1].message, /Manual override expired/);
+        // Fresh debounce rather than approving on the stale request from before expiry
+        assert.equal(result.nextState, em.STATES.BATTERY_STORAGE);
+        assert.match(result.stateReason, /Export priority requested but Debouncing/);
+    });
+
+    it('reports the override in the output status', () => {
+        const { env, em } = overrideEnvironment();
+        em.startManualOverride(em.STATES.EXPORT_PRIORITY, env.clock.now() + 90 * 60 * 1000, 'test');
+        env.clock.advanceMinutes(30);
+
+        const output = em.generateOutput(em.STATES.EXPORT_PRIORITY, makeInputs(), 'test');
+        assert.deepEqual(output.status.manual_override, {
+            state: 'EXPORT_PRIORITY',
+            reason: 'test',
+            expires_at: '2025-07-20T13:30:00.000+10:00',
+            remaining_minutes: 60
+        });
+    });
+
+    describe('commands', () => {
+        function send(env, topic, payload) {
+            return runEnergyManagement(env, { topic, payload })[1].payload;
+        }
+
+        it('starts an override for a duration', () => {
+            const { env } = overrideEnvironment();
+            const ack = send(env, 'set_override', { state: 'BATTERY_STORAGE', duration_minutes: 120, reason: 'outage' });
+
+            assert.equal(ack.success, true);
+            assert.equal(ack.result.remaining_minutes, 120);
+            assert.equal(env.global.get('energy_management_state'), 'BATTERY_STORAGE');
+
+            const msg = runEnergyManagement(env, {});
+            assert.equal(msg.payload.current_state, 'BATTERY_STORAGE');
+            assert.equal(msg.payload.status.manual_override.state, 'BATTERY_STORAGE');
+        });
+
+        it('starts an override until a time', () => {
+            const { env } = overrideEnvironment();
+            const ack = send(env, 'set_override', { state: 'EXPORT_PRIORITY', until: '2025-07-21T06:00:00+10:00' });
+
+            assert.equal(ack.success, true);
+            assert.equal(ack.result.expires_at, '2025-07-21T06:00:00.000+10:00');
+        });
+
+        it('validates the override request', () => {
+            const { env } = overrideEnvironment();
+
+            assert.match(send(env, 'set_override', { state: 'SAFE_MODE', duration_minutes: 10 }).message, /Override state must be one of/);
+            assert.match(send(env, 'set_override', { state: 'SELF_CONSUME' }).message, /exactly one of/);
+            assert.match(send(env, 'set_override', { state: 'SELF_CONSUME', duration_minutes: -5 }).message, /in the future/);
+            assert.match(send(env, 'set_override', { state: 'SELF_CONSUME', duration_minutes: 60 * 24 * 30 }).message, /more than 168 hours/);
+            assert.match(send(env, 'set_override', { state: 'SELF_CONSUME', until: 'tomorrow' }).message, /ISO timestamp/);
+            assert.equal(env.global.get('energy_management_override', 'file'), undefined);
+        });
+
+        it('cancels an active override', () => {
+            const { env } = overrideEnvironment();
+            send(env, 'set_override', { state: 'BATTERY_STORAGE', duration_minutes: 60 });
+
+            const ack = send(env, 'cancel_override');
+            assert.equal(ack.success, true);
+            assert.equal(env.global.get('energy_management_override', 'file'), undefined);
+            assert.match(env.persistentLogs('OVERRIDE').pop().message, /Manual override cancelled/);
+
+            assert.equal(send(env, 'cancel_override').success, false);
+        });
+    });
+});
+
+describe('sensor data freshness', () => {
+    function freshnessEnvironment(globals = {}) {
+        const env = createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                energy_management_state: 'BATTERY_STORAGE',
+                export_daily: 10000,
+                grid_power: 0,
+                generation: 3000,
+                victron_soc: 70,
+                battery_power: 1000,
+                ...globals
+            }
+        });
+        return { env, em: loadEnergyManagement(env) };
+    }
+
+    function markUpdated(env, sensors = ['victron_soc', 'grid_power', 'generation', 'battery_power', 'export_daily']) {
+        sensors.forEach(sensor => env.global.set(`${sensor}_updated`, env.clock.now()));
+    }
+
+    it('leaves untimestamped sensors alone', () => {
+        const { env, em } = freshnessEnvironment();
+        const result = em.applySensorFreshness(em.readSensorInputs());
+
+        assert.deepEqual(result.stale, []);
+        assert.equal(result.inputs.generation, 3000);
+        assert.equal(env.persistentLogs('DATA_PROTECTION').length, 0);
+    });
+
+    it('holds the last good value of a stale sensor', () => {
+        const { env, em } = freshnessEnvironment();
+        markUpdated(env);
+        em.applySensorFreshness(em.readSensorInputs());
+
+        env.clock.advanceMinutes(10);
+        env.global.set('victron_soc', 12);
+        const result = em.applySensorFreshness(em.readSensorInputs());
+
+        assert.equal(result.inputs.batterySoc, 70);
+        assert.deepEqual(result.stale.map(entry => entry.sensor).sort(),
+            ['battery_power', 'export_daily', 'generation', 'grid_power', 'victron_soc']);
+    });
+
+    it('substitutes stale generation from the power balance', () => {
+        const { env, em } = freshnessEnvironment();
+        markUpdated(env);
+        em.applySensorFreshness(em.readSensorInputs());
+
+        // House load 2000W; now exporting 1500W while charging 1000W
+        env.clock.advanceMinutes(10);
+        markUpdated(env, ['victron_soc', 'grid_power', 'battery_power', 'export_daily']);
+        env.global.set('grid_power', -1500);
+        const result = em.applySensorFreshness(em.readSensorInputs());
+
+        assert.equal(result.inputs.generation, 4500);
+        assert.deepEqual(result.stale, [{
+            sensor: 'generation', policy: 'substitute', age_minutes: 10, action: 'substituted derived value', value_used: 4500
+        }]);
+    });
+
+    it('accepts timestamps on the input message', () => {
+        const { env, em } = freshnessEnvironment();
+        const old = env.clock.now() - 6 * 60 * 1000;
+        env.global.set('grid_power_updated', old);
+
+        const fresh = em.applySensorFreshness(em.readSensorInputs(), { grid_power: new Date(env.clock.now()).toISOString() });
+        assert.deepEqual(fresh.stale, []);
+
+        const stale = em.applySensorFreshness(em.readSensorInputs(), { grid_power: old });
+        assert.equal(stale.stale[0].sensor, 'grid_power');
+    });
+
+    it('logs a violation once when it starts and once when it clears', () => {
+        const { env, em } = freshnessEnvironment();
+        markUpdated(env);
+
+        env.clock.advanceMinutes(6);
+        markUpdated(env, ['victron_soc', 'grid_power', 'generation', 'export_daily']);
+        em.applySensorFreshness(em.readSensorInputs());
+        env.clock.advanceMinutes(5);
+        markUpdated(env, ['victron_soc', 'grid_power', 'generation', 'export_daily']);
+        em.applySensorFreshness(em.readSensorInputs());
+        assert.equal(env.persistentLogs('DATA_PROTECTION').length, 1);
+
+        markUpdated(env);
+        em.applySensorFreshness(em.readSensorInputs());
+        em.applySensorFreshness(em.readSensorInputs());
+
+        const logs = env.persistentLogs('DATA_PROTECTION');
+        assert.equal(logs.length, 2);
+        assert.match(logs[0].message, /battery_power data stale \(6 min old\)/);
+        assert.match(logs[1].message, /battery_power data fresh again after 5 min stale/);
+    });
+
+    it('goes to SAFE_MODE when a safe_mode sensor is stale', () => {
+        const { env } = freshnessEnvironment();
+        env.global.set('energy_management_config', { config: { stale_policy_victron_soc: 'safe_mode' } }, 'file');
+        env.global.set('victron_soc_updated', env.clock.now() - 30 * 60 * 1000);
+
+        const msg = runEnergyManagement(env, {});
+        assert.equal(msg.payload.current_state, 'SAFE_MODE');
+        assert.equal(msg.payload.status.stale_inputs[0].sensor, 'victron_soc');
+    });
+
+    it('reports stale inputs in the normal output', () => {
+        const { env } = freshnessEnvironment();
+        env.global.set('export_daily_updated', env.clock.now() - 30 * 60 * 1000);
+
+        const msg = runEnergyManagement(env, {});
+        assert.equal(msg.payload.current_state, 'BATTERY_STORAGE');
+        assert.equal(msg.payload.status.stale_inputs[0].sensor, 'export_daily');
+    });
+
+    it('rejects a substitute policy for sensors without a derived value', () => {
+        const { em } = freshnessEnvironment();
+        const { errors } = em.validateConfigOverride({ config: { stale_policy_victron_soc: 'substitute' } });
+        assert.deepEqual(errors, ['stale_policy_victron_soc must be one of: hold, safe_mode']);
+    });
+});
+
+describe('safe mode lifecycle', () => {
+    function safeModeEnvironment(globals = {}) {
+        return createEnvironment({
+            now: DAYTIME,
+            globals: {
+                energy_management_enabled: true,
+                energy_management_state: 'BATTERY_STORAGE',
+                export_daily: 30000,
+                grid_power: 0,
+                generation: 3000,
+                victron_soc: 70,
+                battery_power: 1000,
+                ...globals
+            }
+        });
+    }
+
+    function tick(env) {
+        const msg = runEnergyManagement(env, {});
+        env.clock.advanceMinutes(5);
+        return msg;
+    }
+
+    it('persists SAFE_MODE with its cause on invalid data', () => {
+        const env = safeModeEnvironment({ victron_soc: 150 });
+        const msg = tick(env);
+
+        assert.equal(env.global.get('energy_management_state'), 'SAFE_MODE');
+        assert.equal(env.global.get('energy_management_safe_mode', 'file').cause, 'validation');
+        assert.equal(msg.payload.status.safe_mode.cause, 'validation');
+        assert.match(env.persistentLogs('SAFE_MODE')[0].message, /^Entered SAFE_MODE \(validation\): Data validation failed/);
+        assert.equal(env.persistentLogs('STATE_CHANGE')[0].data.to_state, 'SAFE_MODE');
+    });
+
+    it('uses the same actions for every cause', () => {
+        const validation = tick(safeModeEnvironment({ victron_soc: 150 }));
+
+        const exceptionEnv = safeModeEnvironment();
+        const get = exceptionEnv.global.get;
+        exceptionEnv.global.get = (key, store) => {
+            if (key === 'export_daily') throw new Error('sensor read failed');
+            return get(key, store);
+        };
+        const exception = tick(exceptionEnv);
+
+        const unknown = tick(safeModeEnvironment({ energy_management_state: 'BOGUS' }));
+
+        assert.deepEqual(validation.payload.actions, { set_ess_mode: false, grid_setpoint: null, enable_hws: false, curtail_pv: false, inverter_mode: 3 });
+        assert.deepEqual(exception.payload.actions, validation.payload.actions);
+        assert.deepEqual(unknown.payload.actions, validation.payload.actions);
+        assert.equal(exception.payload.error, 'sensor read failed');
+        assert.equal(exceptionEnv.global.get('energy_management_safe_mode', 'file').cause, 'exception');
+        assert.equal(unknown.payload.status.safe_mode.cause, 'unknown_state');
+    });
+
+    it('recovers after consecutive valid cycles and logs the episode duration', () => {
+        const env = safeModeEnvironment({ victron_soc: 150 });
+        tick(env);
+        env.global.set('victron_soc', 70);
+
+        assert.match(tick(env).payload.debug.state_reason, /Recovering from validation: 1\/3 valid cycles/);
+        assert.equal(tick(env).payload.current_state, 'SAFE_MODE');
+        const msg = tick(env);
+
+        assert.equal(msg.payload.current_state, 'BATTERY_STORAGE');
+        assert.equal(env.global.get('energy_management_safe_mode', 'file'), undefined);
+        const exit = env.persistentLogs('SAFE_MODE').pop();
+        assert.match(exit.message, /Left SAFE_MODE after 15 min \(Recovered after 3 valid cycles\) → BATTERY_STORAGE/);
+        assert.deepEqual(env.global.get('energy_management_safe_mode_history', 'file').map(episode => [episode.cause, episode.duration_minutes, episode.exit]),
+            [['validation', 15, 'recovered']]);
+    });
+
+    it('restarts the recovery count on a new failure', () => {
+        const env = safeModeEnvironment({ victron_soc: 150 });
+        tick(env);
+        env.global.set('victron_soc', 70);
+        tick(env);
+        tick(env);
+        env.global.set('victron_soc', 150);
+        tick(env);
+        env.global.set('victron_soc', 70);
+
+        assert.match(tick(env).payload.debug.state_reason, /1\/3 valid cycles/);
+        assert.equal(env.persistentLogs('SAFE_MODE').length, 1);
+    });
+
+    it('latches after too many entries in the window', () => {
+        const env = safeModeEnvironment();
+        for (let i = 0; i < 4; i++) {
+            env.global.set('victron_soc', 150);
+            tick(env);
+            env.global.set('victron_soc', 70);
+            tick(env);
+            tick(env);
+            tick(env);
+        }
+
+        assert.equal(env.global.get('energy_management_state'), 'SAFE_MODE');
+        assert.equal(env.global.get('energy_management_safe_mode', 'file').latched, true);
+        assert.match(tick(env).payload.debug.state_reason, /SAFE_MODE latched after validation - use set_state to resume/);
+        assert.match(env.persistentLogs('SAFE_MODE').pop().message, /SAFE_MODE latched: 4 entries in 24h/);
+
+        const ack = runEnergyManagement(env, { topic: 'set_state', payload: 'SELF_CONSUME' })[1].payload;
+        assert.equal(ack.success, true);
+        assert.equal(env.global.get('energy_management_safe_mode', 'file'), undefined);
+        assert.equal(env.global.get('energy_management_safe_mode_history', 'file').pop().exit, 'manual');
+    });
+
+    it('restores SAFE_MODE after a restart clears the memory store', () => {
+        const env = safeModeEnvironment({ victron_soc: 150 });
+        tick(env);
+        env.global.set('energy_management_state', undefined);
+        env.global.set('victron_soc', 70);
+
+        assert.equal(tick(env).payload.current_state, 'SAFE_MODE');
+    });
+});
+
+describe('daily export history', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: '2025-07-20T00:10:00+10:00' });
+        em = loadEnergyManagement(env);
+    });
+
+    function record(time, exportKwh, target = 23.5) {
+        env.clock.set(time);
+        return em.updateDailyExportHistory(exportKwh, target);
+    }
+
+    function history() {
+        return env.global.get('export_history_30days', 'file').map(entry => [entry.date, Number(entry.export.toFixed(2)), entry.status]);
+    }
+
+    it('keeps today\'s entry current through the day', () => {
+        record('2025-07-20T00:10:00+10:00', 0.1);
+        record('2025-07-20T12:00:00+10:00', 12);
+        record('2025-07-20T18:00:00+10:00', 21.4);
+
+        assert.deepEqual(history(), [['2025-07-20', 21.4, 'partial']]);
+    });
+
+    it('finalises the day with the last pre-reset value when the counter resets at midnight', () => {
+        record('2025-07-20T12:00:00+10:00', 12);
+        record('2025-07-20T23:55:00+10:00', 24.6);
+        const finalised = record('2025-07-21T00:00:00+10:00', 0);
+
+        assert.deepEqual(finalised.map(entry => [entry.date, entry.export, entry.status]), [['2025-07-20', 24.6, 'final']]);
+        assert.deepEqual(history(), [['2025-07-20', 24.6, 'final'], ['2025-07-21', 0, 'partial']]);
+    });
+
+    it('handles a counter that resets after the date has changed', () => {
+        record('2025-07-20T23:55:00+10:00', 24.6);
+        record('2025-07-21T00:00:00+10:00', 24.7);
+        record('2025-07-21T00:05:00+10:00', 24.8);
+        record('2025-07-21T00:10:00+10:00', 0.05);
+
+        assert.deepEqual(history(), [['2025-07-20', 24.7, 'final'], ['2025-07-21', 0.15, 'partial']]);
+    });
+
+    it('keeps the export counted before a mid-day counter reset', () => {
+        record('2025-07-20T10:00:00+10:00', 8);
+        record('2025-07-20T10:05:00+10:00', 0.2);
+        record('2025-07-20T12:00:00+10:00', 5);
+
+        assert.deepEqual(history(), [['2025-07-20', 13, 'partial']]);
+        assert.match(env.persistentLogs('SYSTEM_INFO').pop().message, /export_daily counter reset detected: 8\.0 → 0\.2 kWh/);
+    });
+
+    it('integrates generation into the day\'s total and keeps it on the final entry', () => {
+        env.clock.set('2025-07-20T12:00:00+10:00');
+        em.updateDailyExportHistory(10, 23.5, 3000);
+        env.clock.set('2025-07-20T12:05:00+10:00');
+        em.updateDailyExportHistory(10.2, 23.5, 3000);
+        // Gaps count as MAX_INTEGRATION_GAP_MINUTES at the previous reading
+        env.clock.set('2025-07-20T14:05:00+10:00');
+        em.updateDailyExportHistory(12, 23.5, 1200);
+        env.clock.set('2025-07-20T23:55:00+10:00');
+        em.updateDailyExportHistory(12, 23.5, 0);
+        env.clock.set('2025-07-21T00:00:00+10:00');
+        const [finalised] = em.updateDailyExportHistory(0, 23.5, 0);
+
+        assert.ok(Math.abs(finalised.generation - (0.25 + 0.75 + 0.3)) < 1e-9);
+        assert.ok(Math.abs(em.getExportHistory('2025-07-20', '2025-07-20')[0].generation - 1.3) < 1e-9);
+        assert.equal(env.global.get('export_day_tracker', 'file').generation, 0);
+    });
+
+    it('counts the interval up to midnight in the day it closes and the rest in the new day', () => {
+        env.clock.set('2025-07-20T23:55:00+10:00');
+        em.updateDailyExportHistory(24, 23.5, 2000, { gridPower: -1200, loads: { hws: 600 } });
+        env.clock.set('2025-07-21T00:05:00+10:00');
+        const [finalised] = em.updateDailyExportHistory(0, 23.5, 0, { gridPower: 0, loads: { hws: 600 } });
+
+        // 5 minutes at 2kW generated and 1.2kW exported at 5c on each side of midnight
+        const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+        near(finalised.generation, 2 / 12);
+        near(finalised.revenue, 1.2 / 12 * 0.05);
+        near(finalised.loads.hws.energy_kwh, 0.6 / 12);
+        const tracker = env.global.get('export_day_tracker', 'file');
+        near(tracker.generation, 2 / 12);
+        assert.equal(tracker.generation_hourly[0], tracker.generation);
+        near(tracker.revenue, 1.2 / 12 * 0.05);
+        near(tracker.loads.hws.runtime_minutes, 5);
+    });
+
+    it('leaves a day partial when its rollover was missed', () => {
+        record('2025-07-20T15:00:00+10:00', 15);
+        const finalised = record('2025-07-23T09:00:00+10:00', 3);
+
+        assert.deepEqual(finalised, []);
+        assert.deepEqual(history(), [['2025-07-20', 15, 'partial'], ['2025-07-23', 3, 'partial']]);
+    });
+
+    it('leaves partial entries out of the rolling average', () => {
+        env.global.set('export_history_30days', [
+            { date: '2025-07-18', export: 23.5, target: 23.5, status: 'final' },
+            { date: '2025-07-19', export: 23.5, target: 23.5 },
+            { date: '2025-07-20', export: 0.1, target: 23.5, status: 'partial' }
+        ], 'file');
+
+        em.getCurrentMonthTarget();
+        assert.equal(env.global.get('target_calculation', 'file').rolling_days, 2);
+        assert.equal(env.global.get('target_calculation', 'file').adjustment_reason, 'normal');
+    });
+
+    it('repairs entries from DAILY_SUMMARY logs', () => {
+        env.clock.set('2025-07-21T09:00:00+10:00');
+        env.global.set('export_history_30days', [
+            { date: '2025-07-18', export: 0.2, target: 23.5 },
+            { date: '2025-07-19', export: 22, target: 23.5, status: 'final' },
+            { date: '2025-07-20', export: 5, target: 23.5, status: 'partial' }
+        ], 'file');
+        env.global.set('energy_management_logs', [
+            { type: 'DAILY_SUMMARY', timestamp: '2025-07-17T23:05:00.000+10:00', data: { daily_export: 19.5, target_export: 23.5 } },
+            { type: 'DAILY_SUMMARY', timestamp: '2025-07-18T23:05:00.000+10:00', data: { daily_export: 24.1, target_export: 23.5 } },
+            { type: 'DAILY_SUMMARY', timestamp: '2025-07-19T00:10:00.000+10:00', data: { daily_export: 0.3, target_export: 23.5 } },
+            { type: 'DAILY_SUMMARY', timestamp: '2025-07-20T00:00:00.000+10:00', data: { date: '2025-07-19', daily_export: 22, target_export: 23.5 } },
+            { type: 'DAILY_SUMMARY', timestamp: '2025-07-20T23:05:00.000+10:00', data: { daily_export: 25.3, target_export: 23.5 } }
+        ], 'file');
+
+        const ack = runEnergyManagement(env, { topic: 'repair_export_history' })[1].payload;
+
+        assert.equal(ack.success, true);
+        assert.deepEqual(ack.result.repaired, [
+            { date: '2025-07-18', from: 0.2, to: 24.1, source: 'summary' },
+            { date: '2025-07-20', from: 5, to: 25.3, source: 'summary' }
+        ]);
+        assert.deepEqual(ack.result.added, ['2025-07-17']);
+        assert.deepEqual(history(), [
+            ['2025-07-17', 19.5, 'final'],
+            ['2025-07-18', 24.1, 'final'],
+            ['2025-07-19', 22, 'final'],
+            ['2025-07-20', 25.3, 'final']
+        ]);
+    });
+
+    it('repairs from the long-term store once the logs are gone', () => {
+        env.clock.set('2025-07-21T09:00:00+10:00');
+        env.global.set('export_history_30days', [
+            { date: '2025-07-19', export: 0.3, target: 23.5, status: 'final', generation: 31 },
+            { date: '2025-07-20', export: 22, target: 23.5, status: 'final' }
+        ], 'file');
+        env.global.set('export_history_longterm', {
+            daily: {
+                '2025-05-02': { export: 0.1, target: 18, status: 'final' },
+                '2025-07-18': { export: 21.5, target: 23.5, status: 'final' },
+                '2025-07-19': { export: 23.8, target: 23.5, status: 'final' }
+            },
+            monthly: {},
+            yearly: {}
+        }, 'file');
+        env.global.set('energy_management_logs', [
+            { type: 'DAILY_SUMMARY', timestamp: '2025-05-03T00:00:00.000+10:00', data: { date: '2025-05-02', daily_export: 19.2, target_export: 18 } }
+        ], 'file');
+
+        const ack = runEnergyManagement(env, { topic: 'repair_export_history' })[1].payload;
+
+        assert.deepEqual(ack.result.repaired, [{ date: '2025-07-19', from: 0.3, to: 23.8, source: 'long_term' }]);
+        assert.deepEqual(ack.result.added, ['2025-07-18']);
+        assert.deepEqual(ack.result.long_term_updated, ['2025-05-02', '2025-07-20']);
+        assert.deepEqual(history(), [
+            ['2025-07-18', 21.5, 'final'],
+            ['2025-07-19', 23.8, 'final'],
+            ['2025-07-20', 22, 'final']
+        ]);
+        assert.equal(env.global.get('export_history_30days', 'file')[1].generation, 31);
+
+        const daily = env.global.get('export_history_longterm', 'file').daily;
+        assert.equal(daily['2025-05-02'].export, 19.2);
+        assert.equal(daily['2025-07-19'].export, 23.8);
+    });
+});
+
+describe('long-term export history', () => {
+    let env;
+    let em;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME });
+        em = loadEnergyManagement(env);
+    });
+
+    function finalise(date, exportKwh, target = 23.5) {
+        em.recordLongTermDay({ date, export: exportKwh, target, status: 'final' });
+    }
+
+    it('seeds itself from the 30-day history, leaving out today', () => {
+        env.global.set('export_history_30days', [
+            { date: '2025-07-18', export: 25, target: 23.5 },
+            { date: '2025-07-19', export: 20, target: 23.5, status: 'final' },
+            { date: '2025-07-20', export: 4, target: 23.5, status: 'partial' }
+        ], 'file');
+
+        assert.deepEqual(em.getExportHistory().map(day => day.date), ['2025-07-18', '2025-07-19']);
+        assert.match(env.persistentLogs('SYSTEM')[0].message, /created from 2 days/);
+    });
+
+    it('rolls daily records up into monthly and yearly aggregates', () => {
+        finalise('2025-06-29', 20, 22.8);
+        finalise('2025-06-30', 25, 22.8);
+        finalise('2025-07-01', 24, 23.5);
+
+        const [june, july] = em.getMonthlyExportSummary('2025-06', '2025-07');
+        assert.equal(june.month, '2025-06');
+        assert.equal(june.export, 45);
+        assert.equal(june.days, 2);
+        assert.equal(june.days_met, 1);
+        assert.ok(Math.abs(june.achievement_rate - 45 / 45.6) < 1e-9);
+        assert.equal(july.days_met, 1);
+
+        const [year] = em.getYearlyExportSummary(2025, 2025);
+        assert.equal(year.year, '2025');
+        assert.equal(year.export, 69);
+        assert.equal(year.days, 3);
+        assert.equal(year.days_met, 2);
+    });
+
+    it('replaces a day recorded again', () => {
+        finalise('2025-07-18', 0.2);
+        finalise('2025-07-18', 24.1);
+
+        assert.deepEqual(em.getExportHistory('2025-07-18', '2025-07-18').map(day => day.export), [24.1]);
+        assert.equal(em.getMonthlyExportSummary('2025-07', '2025-07')[0].export, 24.1);
+    });
+
+    it('queries daily records by date range', () => {
+        ['2025-07-15', '2025-07-16', '2025-07-17', '2025-07-18'].forEach(date => finalise(date, 20));
+
+        assert.deepEqual(em.getExportHistory('2025-07-16', '2025-07-17').map(day => day.date), ['2025-07-16', '2025-07-17']);
+        assert.deepEqual(em.getExportHistory('2025-07-17').map(day => day.date), ['2025-07-17', '2025-07-18']);
+    });
+
+    it('keeps daily records and aggregates within their limits', () => {
+        env.global.set('energy_management_config', { config: { long_term_history_days: 31, long_term_aggregate_years: 2 } }, 'file');
+        em.applyRuntimeConfig();
+
+        finalise('2023-07-19', 20);
+        finalise('2024-07-19', 21);
+        finalise('2025-06-18', 22);
+        finalise('2025-07-19', 23);
+
+        assert.deepEqual(em.getExportHistory().map(day => day.date), ['2025-07-19']);
+        assert.deepEqual(em.getMonthlyExportSummary().map(month => month.month), ['2024-07', '2025-06', '2025-07']);
+        assert.deepEqual(em.getYearlyExportSummary().map(year => year.year), ['2024', '2025']);
+    });
+
+    it('records finalised days from the daily tracker', () => {
+        env.clock.set('2025-07-20T23:55:00+10:00');
+        em.updateDailyExportHistory(24.6, 23.5);
+        env.clock.set('2025-07-21T00:00:00+10:00');
+        em.updateDailyExportHistory(0, 23.5);
+
+        assert.deepEqual(em.getExportHistory(), [{ date: '2025-07-20', export: 24.6, target: 23.5, status: 'final' }]);
+    });
+
+    it('feeds the adaptive target beyond the 30-day history cap', () => {
+        Array.from({ length: 30 }, (_, i) => em.shiftDateString('2025-07-19', -i)).forEach(date => finalise(date, 20));
+        env.global.set('export_history_30days', [{ date: '2025-07-19', export: 20, target: 23.5, status: 'final' }], 'file');
+
+        em.getCurrentMonthTarget();
+        assert.equal(env.global.get('target_calculation', 'file').rolling_days, 30);
+    });
+});
+
+describe('history import', () => {
+    let env;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+    });
+
+    function importCsv(payload) {
+        return runEnergyManagement(env, { topic: 'import_history', payload })[1].payload;
+    }
+
+    function longTerm() {
+        return loadEnergyManagement(env).getExportHistory().map(day => [day.date, Number(day.export.toFixed(3)), day.target]);
+    }
+
+    it('imports a VRM export with a units row and sums the grid export columns', () => {
+        const ack = importCsv([
+            'Date,PV to consumers,PV to grid,Battery to grid,Grid to consumers',
+            ',kWh,kWh,kWh,kWh',
+            '2025-06-30,10.2,20.5,1.5,3.1',
+            '2025-07-01,9.8,18.0,0.0,4.0'
+        ].join('\n'));
+
+        assert.equal(ack.success, true);
+        assert.deepEqual(ack.result.columns, { date: 'Date', export: ['PV to grid', 'Battery to grid'] });
+        assert.equal(ack.result.accepted, 2);
+        assert.deepEqual(longTerm(), [['2025-06-30', 22, 22.8], ['2025-07-01', 18, 23.5]]);
+    });
+
+    it('converts Wh, semicolon delimited inverter exports with day-first dates', () => {
+        const ack = importCsv([
+            'Inverter daily report',
+            'Day;Feed-in energy (Wh);Yield (Wh)',
+            '01/07/2025;21450,6;30000',
+            '02/07/2025;19800;28000'
+        ].join('\n'));
+
+        assert.equal(ack.result.units[0], 'Wh');
+        assert.deepEqual(longTerm().map(day => day.slice(0, 2)), [['2025-07-01', 21.451], ['2025-07-02', 19.8]]);
+    });
+
+    it('sums intraday VRM rows per date', () => {
+        const ack = importCsv([
+            'Timestamp,PV to grid,Battery to grid',
+            ',kWh,kWh',
+            '2025-07-01 10:00,4.0,0.0',
+            '2025-07-01 11:00,5.5,0.5',
+            '2025-07-01 12:00,6.0,0.0',
+            '2025-07-02 10:00,3.0,0.0',
+            '2025-07-02 11:00,2.5,0.0'
+        ].join('\n'));
+
+        assert.equal(ack.result.accepted, 2);
+        assert.equal(ack.result.rejected, 0);
+        assert.deepEqual(longTerm(), [['2025-07-01', 16, 23.5], ['2025-07-02', 5.5, 23.5]]);
+    });
+
+    it('takes the day\'s rise from cumulative meter readings', () => {
+        importCsv({
+            csv: 'time,export kWh\n2025-07-01 06:00,1000\n2025-07-01 18:00,1020\n2025-07-02 06:00,1021\n2025-07-02 18:00,1040',
+            cumulative: true
+        });
+
+        assert.deepEqual(longTerm(), [['2025-07-01', 20, 23.5], ['2025-07-02', 20, 23.5]]);
+    });
+
+    it('honours explicit columns, unit and date format', () => {
+        importCsv({
+            csv: 'when,total\n07/03/2025,24100\n07/04/2025,22000',
+            columns: { date: 'when', export: 'total' },
+            unit: 'Wh',
+            date_format: 'MDY'
+        });
+
+        assert.deepEqual(longTerm(), [['2025-07-03', 24.1, 23.5], ['2025-07-04', 22, 23.5]]);
+    });
+
+    it('reports rejected, duplicate and overwritten rows', () => {
+        env.global.set('export_history_30days', [{ date: '2025-07-18', export: 0.2, target: 23.5 }], 'file');
+
+        const first = importCsv('date,grid export kWh\n2025-07-17,20\n2025-07-17,21\nyesterday,5\n2025-07-18,24\n2025-07-19,abc\n2025-07-20,3');
+        assert.equal(first.result.accepted, 1);
+        assert.equal(first.result.overwritten, 0);
+        assert.deepEqual(first.result.rejected_rows.map(row => row.reason), [
+            'Duplicate date 2025-07-17 (kept line 3)',
+            'Unrecognised date "yesterday"',
+            '2025-07-18 already in history (set overwrite to replace)',
+            'Invalid export value "abc" in grid export kWh',
+            '2025-07-20 is today or in the future'
+        ]);
+
+        const second = importCsv({ csv: 'date,grid export kWh\n2025-07-18,24', overwrite: true });
+        assert.deepEqual(second.result.overwritten_days, [{ date: '2025-07-18', from: 0.2, to: 24 }]);
+
+        const recent = env.global.get('export_history_30days', 'file');
+        assert.deepEqual(recent.map(entry => [entry.date, entry.export, entry.status]), [['2025-07-17', 21, 'final'], ['2025-07-18', 24, 'final']]);
+        assert.deepEqual(env.global.get('export_history_import_report', 'file').overwritten_days, second.result.overwritten_days);
+        assert.equal(env.persistentLogs('IMPORT').length, 2);
+    });
+
+    it('seeds the adaptive target from imported data', () => {
+        const rows = Array.from({ length: 19 }, (_, i) => `2025-07-${String(i + 1).padStart(2, '0')},17`);
+        const ack = importCsv(`date,export\n${rows.join('\n')}`);
+
+        assert.ok(ack.result.target_export > 23.5);
+        assert.equal(env.global.get('target_calculation', 'file').rolling_days, 19);
+    });
+
+    it('rejects CSV without recognisable columns and keeps the log small', () => {
+        const ack = importCsv(`a,b\n${'1,2\n'.repeat(200)}`);
+
+        assert.equal(ack.success, false);
+        assert.match(ack.message, /Could not find a date column/);
+        assert.ok(JSON.stringify(env.persistentLogs('COMMAND')[0].data.argument).length < 250);
+    });
+});
+
+describe('target planner', () => {
+    let env;
+
+    beforeEach(() => {
+        env = createEnvironment({ now: DAYTIME, globals: { energy_management_enabled: true } });
+    });
+
+    function plan(payload) {
+        return runEnergyManagement(env, { topic: 'plan_targets', payload })[1].payload;
+    }
+
+    function daysIn(month, year = 2025) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    it('spreads an annual goal using the irradiance profile without enough history', () => {
+        const ack = plan({ annual_goal_kwh: 9000 });
+        const targets = ack.result.targets;
+
+        assert.equal(ack.success, true);
+        assert.equal(ack.result.source, 'irradiance');
+        assert.ok(Math.abs(targets[1] / targets[6] - 6.4 / 3.4) < 0.01);
+        const total = Object.keys(targets).reduce((sum, month) => sum + targets[month] * daysIn(Number(month)), 0);
+        assert.ok(Math.abs(total - 9000) < 20);
+
+        assert.deepEqual(env.global.get('energy_management_config', 'file').monthly_export_targets, targets);
+        assert.equal(env.global.get('energy_management_effective_config').monthly_export_targets[7], targets[7]);
+        assert.equal(env.global.get('export_target_plan', 'file').annual_goal_kwh, 9000);
+        assert.equal(env.persistentLogs('TARGET_PLAN').length, 1);
+    });
+
+    it('learns the seasonal weighting from stored monthly history', () => {
+        const monthly = {};
+        for (let month = 1; month <= 12; month++) {
+            monthly[`2024-${String(month).padStart(2, '0')}`] = { export: 20 * month, target: 0, days: 20, days_met: 0, achievement_rate: 0 };
+        }
+        env.global.set('export_history_longterm', { daily: {}, monthly, yearly: {} }, 'file');
+
+        const { result } = plan({ annual_goal_kwh: 8000, dry_run: true });
+
+        assert.equal(result.source, 'history');
+        assert.ok(Math.abs(result.targets[12] / result.targets[1] - 12) < 0.2);
+        assert.equal(env.global.get('energy_management_config', 'file'), undefined);
+    });
+
+    it('falls back to irradiance when a month has too few days', () => {
+        env.global.set('export_history_longterm', {
+            daily: {},
+            monthly: { '2024-07': { export: 100, target: 0, days: 10, days_met: 0, achievement_rate: 0 } },
+            yearly: {}
+        }, 'file');
+
+        assert.equal(plan({ annual_goal_kwh: 8000, dry_run: true }).result.source, 'irradiance');
+    });
+
+    it('re-plans the rest of the year from the export recorded so far', () => {
+        const daily = {};
+        for (let date = '2025-01-01'; date < '2025-07-20'; date = loadEnergyManagement(env).shiftDateString(date, 1)) {
+            daily[date] = { export: 20, target: 25, status: 'final' };
+        }
+        env.global.set('export_history_longterm', { daily, monthly: {}, yearly: {} }, 'file');
+        const { MONTHLY_EXPORT_TARGETS } = loadEnergyManagement(env);
+
+        const { result } = plan({ annual_goal_kwh: 10000, replan: true });
+
+        assert.equal(result.actual_to_date_kwh, 4000);
+        assert.equal(result.remaining_goal_kwh, 6000);
+        assert.equal(result.pace_status, 'behind');
+        assert.equal(result.targets[3], MONTHLY_EXPORT_TARGETS[3]);
+        const remaining = result.targets[7] * 12 + [8, 9, 10, 11, 12].reduce((sum, month) => sum + result.targets[month] * daysIn(month), 0);
+        assert.ok(Math.abs(remaining - 6000) < 20);
+
+        const again = plan({ replan: true, dry_run: true });
+        assert.equal(again.result.annual_goal_kwh, 10000);
+    });
+
+    it('validates the goal', () => {
+        assert.match(plan({}).message, /annual_goal_kwh is required/);
+        assert.match(plan({ annual_goal_kwh: -5 }).message, /between 0 and 73200/);
+        assert.match(plan({ annual_goal_kwh: 80000 }).message, /between 0 and 73200/);
+    });
+});
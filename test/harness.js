@@ -0,0 +1,217 @@
+// Headless harness for the Node-RED function node bodies in this repo
+// Loads export_control.js and ui_format_node.js in plain Node.js with an
+// in-memory global context, a capturing node logger and a controllable clock
+
+// The function nodes read local time through Date#getHours() etc, so pin the
+// process timezone before anything creates a Date
+process.env.TZ = 'UTC';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const EXPORT_CONTROL_PATH = path.join(ROOT_DIR, 'export_control.js');
+const UI_FORMAT_PATH = path.join(ROOT_DIR, 'ui_format_node.js');
+
+const MAIN_EXECUTION_MARKER = '// MAIN EXECUTION';
+const SECTION_RULE = '// =====';
+
+const DEFAULT_START_TIME = '2025-07-20T12:00:00+10:00';
+
+// =============================================================================
+// CLOCK
+// =============================================================================
+
+function createClock(start = DEFAULT_START_TIME) {
+    const RealDate = Date;
+    let current = new RealDate(start).getTime();
+
+    // Drop-in Date replacement: `new Date()` and `Date.now()` read the clock,
+    // everything else behaves like the real Date
+    class ClockDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(current);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return current;
+        }
+    }
+
+    return {
+        Date: ClockDate,
+        now: () => current,
+        set(time) {
+            current = new RealDate(time).getTime();
+        },
+        advance(ms) {
+            current += ms;
+        },
+        advanceMinutes(minutes) {
+            current += minutes * 60 * 1000;
+        }
+    };
+}
+
+// =============================================================================
+// NODE-RED CONTEXT MOCKS
+// =============================================================================
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Mirrors the Node-RED global context API: get(key, store) / set(key, value, store)
+// The 'file' store round-trips values through JSON like the localfilesystem store
+function createGlobalContext(memoryValues = {}, fileValues = {}) {
+    const stores = {
+        memory: new Map(Object.entries(memoryValues)),
+        file: new Map(Object.entries(fileValues).map(([key, value]) => [key, cloneValue(value)]))
+    };
+
+    function getStore(store) {
+        const name = store || 'memory';
+        if (!stores[name]) {
+            throw new Error(`Unknown context store: ${name}`);
+        }
+        return stores[name];
+    }
+
+    return {
+        get(key, store) {
+            const value = getStore(store).get(key);
+            return store === 'file' ? cloneValue(value) : value;
+        },
+        set(key, value, store) {
+            const target = getStore(store);
+            if (value === undefined) {
+                target.delete(key);
+            } else {
+                target.set(key, store === 'file' ? cloneValue(value) : value);
+            }
+        },
+        keys(store) {
+            return Array.from(getStore(store).keys());
+        },
+        stores
+    };
+}
+
+function createNodeLogger() {
+    const logger = {
+        logs: [],
+        warnings: [],
+        errors: [],
+        sent: [],
+        statuses: [],
+        log(message) {
+            logger.logs.push(message);
+        },
+        warn(message) {
+            logger.warnings.push(message);
+        },
+        error(message) {
+            logger.errors.push(message);
+        },
+        send(message) {
+            logger.sent.push(message);
+        },
+        status(status) {
+            logger.statuses.push(status);
+        },
+        clear() {
+            logger.logs.length = 0;
+            logger.warnings.length = 0;
+            logger.errors.length = 0;
+            logger.sent.length = 0;
+            logger.statuses.length = 0;
+        }
+    };
+    return logger;
+}
+
+function createEnvironment(options = {}) {
+    const clock = createClock(options.now);
+    const global = createGlobalContext(options.globals, options.fileGlobals);
+    const node = createNodeLogger();
+
+    return {
+        clock,
+        global,
+        node,
+        // Persistent log entries written by addPersistentLog, optionally by type
+        persistentLogs(type) {
+            const logs = global.get('energy_management_logs', 'file') || [];
+            return type ? logs.filter(log => log.type === type) : logs;
+        }
+    };
+}
+
+// =============================================================================
+// FUNCTION NODE LOADING
+// =============================================================================
+
+function readSource(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+function compileFunctionNode(source, filePath) {
+    // Same calling convention as a Node-RED function node, plus Date so the
+    // clock can be swapped without touching the real global
+    return new Function('msg', 'global', 'node', 'Date', `${source}\n//# sourceURL=${filePath}`);
+}
+
+function runFunctionNode(filePath, env, msg) {
+    const body = compileFunctionNode(readSource(filePath), filePath);
+    return body(msg, env.global, env.node, env.clock.Date);
+}
+
+// Everything declared before the MAIN EXECUTION section, returned by name so
+// tests can drive processStateTransition, generateOutput etc. directly
+function loadDefinitions(filePath, env) {
+    const source = readSource(filePath);
+    const markerIndex = source.indexOf(MAIN_EXECUTION_MARKER);
+    if (markerIndex < 0) {
+        throw new Error(`${path.basename(filePath)} has no "${MAIN_EXECUTION_MARKER}" section`);
+    }
+
+    const definitions = source.slice(0, source.lastIndexOf(SECTION_RULE, markerIndex));
+    const names = new Set();
+    const declaration = /^(?:function|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+    let match;
+    while ((match = declaration.exec(definitions)) !== null) {
+        names.add(match[1]);
+    }
+
+    const body = compileFunctionNode(`${definitions}\nreturn { ${Array.from(names).join(', ')} };`, filePath);
+    return body({}, env.global, env.node, env.clock.Date);
+}
+
+function loadEnergyManagement(env) {
+    return loadDefinitions(EXPORT_CONTROL_PATH, env);
+}
+
+function runEnergyManagement(env, msg = {}) {
+    return runFunctionNode(EXPORT_CONTROL_PATH, env, msg);
+}
+
+function runDashboard(env, msg = {}) {
+    return runFunctionNode(UI_FORMAT_PATH, env, msg);
+}
+
+module.exports = {
+    EXPORT_CONTROL_PATH,
+    UI_FORMAT_PATH,
+    createClock,
+    createGlobalContext,
+    createNodeLogger,
+    createEnvironment,
+    loadDefinitions,
+    loadEnergyManagement,
+    runEnergyManagement,
+    runDashboard
+};
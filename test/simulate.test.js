@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, normaliseTelemetry, simulateDay, compareRuns, formatReport } = require('../tools/simulate');
+
+// Synthetic winter day: export ramps to 30 kWh by mid afternoon, battery fills
+// after the target, then the evening drains it
+function sunnyDay() {
+    const rows = [];
+    let exportWh = 0;
+    for (let minutes = 6 * 60; minutes <= 22 * 60; minutes += 5) {
+        const hour = minutes / 60;
+        const generation = hour > 7 && hour < 17 ? Math.round(6000 * Math.sin(Math.PI * (hour - 7) / 10)) : 0;
+        const exporting = exportWh < 30000 && generation > 1500;
+        const gridPower = exporting ? -(generation - 500) : (generation > 0 ? -200 : 400);
+        const batteryPower = exporting ? 0 : (generation > 1000 ? generation - 700 : -600);
+        if (gridPower < 0) exportWh += -gridPower * 5 / 60;
+
+        const hh = String(Math.floor(hour)).padStart(2, '0');
+        const mm = String(minutes % 60).padStart(2, '0');
+        rows.push({
+            timestamp: `2025-07-20T${hh}:${mm}:00+10:00`,
+            generation,
+            grid_power: gridPower,
+            battery_power: batteryPower,
+            victron_soc: 60,
+            export_daily: Math.round(exportWh)
+        });
+    }
+    return normaliseTelemetry(rows);
+}
+
+describe('simulator', () => {
+    it('parses CSV telemetry', () => {
+        const rows = parseCsv('timestamp,generation,grid_power,battery_power,victron_soc,export_daily\n' +
+            '2025-07-20T12:00:00+10:00,4000,-2500,800,70,10000\n');
+        const telemetry = normaliseTelemetry(rows);
+
+        assert.equal(telemetry.length, 1);
+        assert.equal(telemetry[0].grid_power, -2500);
+    });
+
+    it('rejects rows with missing fields', () => {
+        assert.throws(() => normaliseTelemetry([{ timestamp: '2025-07-20T12:00:00+10:00', generation: 1 }]), /grid_power/);
+    });
+
+    it('replays a day and reports the timeline, target and state changes', () => {
+        const run = simulateDay(sunnyDay());
+
+        assert.equal(run.samples, 193);
+        assert.equal(run.timeline[0].state, 'EXPORT_PRIORITY');
+        assert.equal(run.summary.target_export, 23.5);
+        assert.equal(run.summary.target_reached, true);
+        assert.ok(run.state_changes.some(change => change.to === 'BATTERY_STORAGE'));
+        assert.equal(run.summary.state_change_count, run.state_changes.length);
+        assert.match(formatReport(run, 'defaults'), /State timeline:/);
+    });
+
+    it('applies CONFIG overrides per run', () => {
+        const telemetry = sunnyDay();
+        const base = simulateDay(telemetry);
+        const slow = simulateDay(telemetry, { config: { state_change_debounce_time: 60 } });
+
+        assert.deepEqual(slow.config_overrides, { state_change_debounce_time: 60 });
+        assert.ok(slow.summary.state_change_count <= base.summary.state_change_count);
+    });
+
+    it('prefers the variant that hits the target, then fewer state changes', () => {
+        const runs = [
+            { summary: { target_reached: false, state_change_count: 1 } },
+            { summary: { target_reached: true, state_change_count: 6 } },
+            { summary: { target_reached: true, state_change_count: 3 } }
+        ];
+
+        assert.deepEqual(compareRuns(runs), { best_index: 2, ranking: [2, 1, 0] });
+    });
+});
@@ -0,0 +1,397 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment, runDashboard } = require('./harness');
+
+function dashboardEnvironment(globals = {}, fileGlobals = {}) {
+    return createEnvironment({
+        now: '2025-07-20T12:00:00+10:00',
+        globals: {
+            energy_management_enabled: true,
+            energy_management_state: 'BATTERY_STORAGE',
+            export_daily: 12500,
+            victron_soc: 82,
+            generation: 4200,
+            grid_power: -1500,
+            battery_power: 900,
+            ...globals
+        },
+        fileGlobals: {
+            target_calculation: {
+                adjusted_target: 25,
+                performance_ratio: 0.95,
+                rolling_days: 20,
+                rolling_export_total: 450,
+                monthly_export_target: 728.5,
+                adjustment_reason: 'normal',
+                static_monthly_target: 23.5
+            },
+            ...fileGlobals
+        }
+    });
+}
+
+describe('ui_format_node', () => {
+    it('renders the current state and today\'s progress', () => {
+        const env = dashboardEnvironment();
+        const msg = runDashboard(env, {});
+
+        assert.equal(msg.payload.data.status.current_state, 'BATTERY_STORAGE');
+        assert.equal(msg.payload.data.daily.export_today, '12.5');
+        assert.equal(msg.payload.data.daily.progress_percent, '50.0');
+        assert.match(msg.payload.html, /background-color: #2196F3;">\s*Battery Storage\s*<\/div>/);
+        assert.match(msg.payload.html, />12\.5<\/div>\s*<div class="metric-label">kWh Exported/);
+        assert.match(msg.payload.html, /50\.0% of daily target achieved/);
+    });
+
+    it('shows today\'s export pace', () => {
+        const env = dashboardEnvironment({
+            energy_management_export_pace: { source: 'default', expected_share: 0.5, expected_export: 12.5, pace_ratio: 1.0, status: 'on_pace' }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.daily.pace.percent, '100');
+        assert.match(html, /Pace: <span[^>]*>100% \(on pace\)<\/span>, 12\.5 kWh expected by now/);
+    });
+
+    it('shows the forecast split and accuracy', () => {
+        const env = dashboardEnvironment({
+            energy_management_forecast_plan: {
+                mode: 'protect_battery',
+                remaining_solar_kwh: 12,
+                surplus_kwh: 9,
+                tomorrow_kwh: 31.4,
+                accuracy: { days: 12, mean_error_percent: 18.2, bias_ratio: 1.07, trusted: true }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.forecast.mode_label, 'Battery first');
+        assert.match(html, /9\.0 kWh surplus of 12\.0 kWh left today/);
+        assert.match(html, />31\.4 kWh<\/div>/);
+        assert.match(html, /±18% over 12 days, forecast 107% of actual/);
+    });
+
+    it('shows today, month and year financials', () => {
+        const env = dashboardEnvironment({
+            energy_management_financials: {
+                today: { days: 1, revenue: 1.1, cost: 0.35, hws_savings: 0.6, net: 1.35 },
+                month_to_date: { days: 20, revenue: 38.2, cost: 52.1, hws_savings: 4.4, net: -9.5 },
+                year_to_date: { days: 201, revenue: 402.75, cost: 160.3, hws_savings: 131, net: 373.45 }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.financials.month_to_date.net, '-$9.50');
+        assert.match(html, />\$1\.35<\/div>\s*<div class="metric-label">Today Net/);
+        assert.match(html, /Feed-in \$402\.75 · Import \$160\.30 · HWS \$131\.00/);
+        assert.equal(runDashboard(dashboardEnvironment(), {}).payload.data.financials, null);
+    });
+
+    it('renders live system values', () => {
+        const env = dashboardEnvironment();
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.system.grid_status, 'Exporting');
+        assert.equal(data.system.battery_status, 'Charging');
+        assert.match(html, />82%<\/div>\s*<div class="metric-label">Battery SOC/);
+        assert.match(html, />1500<\/div>\s*<div class="metric-label">Grid Power \(W\)/);
+    });
+
+    it('shows the current and next tariff', () => {
+        const env = dashboardEnvironment({
+            energy_management_tariff: {
+                period: 'solar_sponge', export_rate: 18, import_rate: 30, demand: false, high_feed_in: true, peak: false,
+                next: { period: 'peak', export_rate: 12, import_rate: 48, demand: true, starts_at: '2025-07-20T16:00:00.000+10:00' }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.system.tariff.flags, ['high feed-in']);
+        assert.match(html, /Tariff <strong>solar_sponge<\/strong>: export 18\.0c, import 30\.0c\/kWh \(high feed-in\) · next peak at 16:00: export 12\.0c, import 48\.0c\/kWh/);
+    });
+
+    it('shows an open discharge window with its reserve', () => {
+        const env = dashboardEnvironment({
+            energy_management_state: 'GRID_DISCHARGE',
+            energy_management_discharge: { active: true, window: '17:00-20:00', in_window: true, export_rate: 20, power: 3000, hours_to_morning: 11, reserve_soc: 83.9 }
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /background-color: #E91E63;">\s*Grid Discharge\s*<\/div>/);
+        assert.match(html, /Discharge window 17:00-20:00 at 20\.0c\/kWh: 3000W down to reserve 83\.9% \(11\.0h to morning\)/);
+    });
+
+    it('shows an open grid charge window with its target', () => {
+        const env = dashboardEnvironment({
+            energy_management_state: 'GRID_CHARGE',
+            energy_management_grid_charge: {
+                active: true, window: '00:00-06:00', in_window: true, export_day: false, import_rate: 15, power: 3000,
+                solar_date: '2025-07-21', solar_source: 'forecast', expected_solar_kwh: 10, morning_solar_kwh: 1.5,
+                shortfall_kwh: 3.5, target_soc: 61.2
+            }
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /background-color: #00BCD4;">\s*Grid Charge\s*<\/div>/);
+        assert.match(html, /Grid charge window 00:00-06:00 at 15\.0c\/kWh: up to 3000W to 61\.2% \(10\.0kWh solar expected from forecast\)/);
+    });
+
+    it('lists the managed loads with their run time', () => {
+        const env = dashboardEnvironment({
+            energy_management_loads: [
+                { name: 'hws', power: 3000, priority: 1, on: true, allowed: true, runtime_minutes: 45.2, daily_runtime_minutes: 0, done: false },
+                { name: 'pool_pump', power: 1100, priority: 2, on: false, allowed: true, runtime_minutes: 120, daily_runtime_minutes: 360, done: false }
+            ]
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /Loads: <strong style="color: #4CAF50;">HWS ON<\/strong> \(45 min today\) · <strong style="color: #757575;">POOL_PUMP OFF<\/strong> \(120\/360 min today\)/);
+    });
+
+    it('shows the tank temperature and a forced hot water run', () => {
+        const env = dashboardEnvironment({
+            energy_management_loads: [{
+                name: 'hws', power: 3000, priority: 1, on: true, allowed: true, runtime_minutes: 20, daily_runtime_minutes: 0, done: false,
+                hot_water: { temperature: 48.4, setpoint: 55, hot: false, heat_minutes: 20, min_heat_minutes: 60, heat_delivered: false,
+                    deadline: '18:00', legionella_due: false, legionella_last: null, forced: 'boost' }
+            }]
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /HWS ON<\/strong> \(20 min today, 48°C, daily heat boost\)/);
+    });
+
+    it('shows each load\'s solar and total energy', () => {
+        const env = dashboardEnvironment({
+            energy_management_load_energy: {
+                today: { hws: { runtime_minutes: 45, energy_kwh: 2.25, solar_kwh: 2, grid_kwh: 0.25 } },
+                month_to_date: {
+                    hws: { runtime_minutes: 900, energy_kwh: 45, solar_kwh: 36, grid_kwh: 9 },
+                    pool_pump: { runtime_minutes: 600, energy_kwh: 11, solar_kwh: 11, grid_kwh: 0 }
+                },
+                year_to_date: {}
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.load_energy.map(load => [load.name, load.month_solar_kwh, load.solar_share]), [['HWS', '36.0', '80%'], ['POOL_PUMP', '11.0', '100%']]);
+        assert.match(html, /Load Energy/);
+        assert.match(html, /HWS Solar kWh \(Month\)<\/div>\s*<div class="metric-sublabel">45\.0 kWh total, 80% solar · Today 2\.3 kWh \(2\.0 solar\), 45 min/);
+        assert.match(html, /POOL_PUMP Solar kWh \(Month\)<\/div>\s*<div class="metric-sublabel">11\.0 kWh total, 100% solar · Today 0\.0 kWh \(0\.0 solar\), 0 min/);
+    });
+
+    it('shows the EV charger setpoint and session energy', () => {
+        const env = dashboardEnvironment({
+            energy_management_ev: {
+                policy: 'departure', connected: true, current: 10, target_current: 10, surplus: 0, power: 2300,
+                session_kwh: 4.25, session_started: '2025-07-20T22:00:00.000+10:00', departure: '2025-07-21T07:00:00.000+10:00',
+                remaining_kwh: 15.75, required_current: 10, reason: '15.8kWh needed by 07:00'
+            }
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /EV <strong style="color: #4CAF50;">charging 10A<\/strong> \(departure\): 4\.3kWh this session, 15\.8kWh to go by 07:00 · 15\.8kWh needed by 07:00/);
+    });
+
+    it('shows DISABLED when the system is switched off', () => {
+        const env = dashboardEnvironment({ energy_management_enabled: false });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.status.current_state, 'DISABLED');
+        assert.match(html, /System Disabled/);
+    });
+
+    it('only shows the catch-up panel when under performing', () => {
+        const normal = runDashboard(dashboardEnvironment(), {}).payload;
+        assert.doesNotMatch(normal.html, /Catch-up Mode Active/);
+
+        const env = dashboardEnvironment({}, {
+            target_calculation: {
+                adjusted_target: 30.5,
+                performance_ratio: 0.8,
+                adjustment_reason: 'under_performing',
+                total_deficit: 35,
+                catchup_per_day: 7,
+                catchup_days_used: 5,
+                shortfall_per_day: 3.5
+            }
+        });
+        const { html } = runDashboard(env, {}).payload;
+        assert.match(html, /Catch-up Mode Active/);
+        assert.match(html, /\+7\.0 kWh/);
+    });
+
+    it('labels ZERO_EXPORT and shows paused catch-up', () => {
+        const env = dashboardEnvironment({ energy_management_state: 'ZERO_EXPORT' }, {
+            target_calculation: {
+                adjusted_target: 23.5,
+                adjustment_reason: 'under_performing',
+                total_deficit: 35,
+                catchup_per_day: 0,
+                catchup_paused: 'Zero export: feed-in -2c/kWh at or below 0c/kWh (live price)'
+            }
+        });
+        const { html } = runDashboard(env, {}).payload;
+
+        assert.match(html, /background-color: #795548;">\s*Zero Export\s*<\/div>/);
+        assert.match(html, /⏸️ Paused - Zero export: feed-in -2c\/kWh/);
+    });
+
+    it('shows the weather reasoning behind the adaptive target', () => {
+        const env = dashboardEnvironment({}, {
+            target_calculation: {
+                adjusted_target: 23.5,
+                adjustment_reason: 'under_performing',
+                weather: { applied: true, catchup_deferred: true, reasoning: ['Good solar day is 30.0 kWh (10 days with a solar signal)', "Today's forecast is 40% of a good solar day, catch-up deferred"] }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.monthly.weather.catchup_deferred, true);
+        assert.match(html, /☁️ Good solar day is 30\.0 kWh \(10 days with a solar signal\) · Today's forecast is 40%/);
+    });
+
+    it('renders the last seven history days', () => {
+        const history = Array.from({ length: 9 }, (_, i) => ({
+            date: `2025-07-${String(10 + i).padStart(2, '0')}`,
+            export: 20 + i,
+            target: 23.5
+        }));
+        const env = dashboardEnvironment({}, { export_history_30days: history });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.recent_history.length, 7);
+        assert.equal(data.recent_history[6].export, '28.0');
+        assert.match(html, />28\.0<\/div>/);
+        assert.doesNotMatch(html, />20\.0<\/div>/);
+    });
+
+    it('marks today\'s running history entry as in progress', () => {
+        const env = dashboardEnvironment({}, {
+            export_history_30days: [
+                { date: '2025-07-19', export: 24, target: 23.5, status: 'final' },
+                { date: '2025-07-20', export: 12.5, target: 23.5, status: 'partial' }
+            ]
+        });
+        const { data } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.recent_history.map(day => [day.partial, day.performance_icon]), [[false, '✅'], [true, '⏳']]);
+    });
+
+    it('shows long-term monthly and yearly history', () => {
+        const env = dashboardEnvironment({}, {
+            export_history_longterm: {
+                daily: {},
+                monthly: {
+                    '2024-07': { export: 700, target: 728.5, days: 31, days_met: 14, achievement_rate: 700 / 728.5 },
+                    '2025-06': { export: 690, target: 684, days: 30, days_met: 18, achievement_rate: 690 / 684 },
+                    '2025-07': { export: 470, target: 446.5, days: 19, days_met: 12, achievement_rate: 470 / 446.5 }
+                },
+                yearly: {
+                    '2024': { export: 9800, target: 10200, days: 366, days_met: 170, achievement_rate: 9800 / 10200 },
+                    '2025': { export: 5100, target: 5000, days: 200, days_met: 110, achievement_rate: 5100 / 5000 }
+                }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.long_term.months.map(month => month.key), ['2025-06', '2025-07']);
+        assert.equal(data.long_term.same_month_last_year.average_per_day, '22.6');
+        assert.match(html, /Long-Term History/);
+        assert.match(html, /12\/19 days met/);
+        assert.match(html, /2024: 9800\.0 kWh \(96%\) · 2025: 5100\.0 kWh \(102%\)/);
+    });
+
+    it('shows progress against the planned annual goal', () => {
+        const env = dashboardEnvironment({}, {
+            export_history_longterm: {
+                daily: {},
+                monthly: {},
+                yearly: { '2025': { export: 4500, target: 5000, days: 200, days_met: 90, achievement_rate: 0.9 } }
+            },
+            export_target_plan: { year: 2025, annual_goal_kwh: 9000, source: 'irradiance', created: '2025-07-01T09:00:00+10:00' }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.long_term.annual_goal.progress_percent, '50.0');
+        assert.match(html, /Annual goal 9000 kWh: 4500 kWh so far \(50\.0%\), irradiance profile/);
+    });
+
+    it('shows overridden settings from the effective config', () => {
+        const env = dashboardEnvironment({
+            energy_management_effective_config: {
+                source: 'override',
+                overridden: ['catchup_days', 'monthly_export_targets.7'],
+                config: { catchup_days: 7 },
+                monthly_export_targets: { 7: 20 }
+            }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.config.overridden, [{ key: 'catchup_days', value: 7 }, { key: 'monthly_export_targets.7', value: 20 }]);
+        assert.match(html, /Runtime Override/);
+        assert.match(html, />7<\/div>\s*<div class="metric-sublabel">catchup_days/);
+    });
+
+    it('shows an active manual override', () => {
+        const expiresAt = new Date('2025-07-20T14:00:00+10:00').getTime();
+        const env = dashboardEnvironment({}, {
+            energy_management_override: { state: 'BATTERY_STORAGE', reason: 'storm', expires_at: expiresAt }
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.override.remaining_minutes, 120);
+        assert.match(html, /Manual Override Active/);
+        assert.match(html, /Pinned to Battery Storage/);
+        assert.match(html, /120 min left\) - storm/);
+
+        env.clock.set('2025-07-20T14:00:00+10:00');
+        assert.doesNotMatch(runDashboard(env, {}).payload.html, /Manual Override Active/);
+    });
+
+    it('shows the active SAFE_MODE episode and recent episodes', () => {
+        const enteredAt = new Date('2025-07-20T11:30:00+10:00').getTime();
+        const env = dashboardEnvironment({ energy_management_state: 'SAFE_MODE' }, {
+            energy_management_safe_mode: { cause: 'validation', reason: 'Battery SOC 150% outside reasonable bounds', entered_at: enteredAt, valid_cycles: 1, latched: false },
+            energy_management_safe_mode_history: [
+                { cause: 'stale_data', reason: 'Stale sensor data: victron_soc', entered_at: enteredAt - 86400000, duration_minutes: 25, exit: 'recovered' }
+            ]
+        });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.equal(data.safe_mode.active.duration_minutes, 30);
+        assert.match(html, /Safe Mode Active/);
+        assert.match(html, /Cause: validation/);
+        assert.match(html, /Recent Safe Mode Episodes/);
+        assert.match(html, /<strong>stale_data<\/strong> for 25 min \(recovered\)/);
+    });
+
+    it('renders the latest log entries newest first', () => {
+        const logs = [
+            { id: 'a', timestamp: '2025-07-20T10:00:00+10:00', type: 'STATE_CHANGE', message: 'first', data: {} },
+            { id: 'b', timestamp: '2025-07-20T11:00:00+10:00', type: 'HWS_EVENT', message: 'second', data: { reason: 'test' } }
+        ];
+        const env = dashboardEnvironment({}, { energy_management_logs: logs });
+        const { data, html } = runDashboard(env, {}).payload;
+
+        assert.deepEqual(data.logs.entries.map(log => log.id), ['b', 'a']);
+        assert.ok(html.indexOf('>second<') < html.indexOf('>first<'));
+        assert.match(html, /id="details-b"/);
+        assert.doesNotMatch(html, /id="details-a"/);
+        assert.equal(env.global.get('last_log_update_time'), env.clock.now());
+    });
+
+    it('serves cached logs between refreshes', () => {
+        const env = dashboardEnvironment({}, {
+            energy_management_logs: [{ id: 'a', timestamp: '2025-07-20T10:00:00+10:00', type: 'SYSTEM', message: 'cached', data: {} }]
+        });
+        runDashboard(env, {});
+        env.global.set('energy_management_logs', [], 'file');
+        env.clock.advance(5000);
+
+        const { data } = runDashboard(env, {}).payload;
+        assert.equal(data.status.logs_updated, false);
+        assert.equal(data.logs.entries[0].message, 'cached');
+    });
+});
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+// Telemetry replay simulator for export_control.js
+// Steps a recorded day of sensor data through processStateTransition and
+// generateOutput on a simulated clock, so CONFIG changes can be compared
+// offline instead of costing a day on the live system
+//
+// Usage:
+//   node tools/simulate.js <telemetry.csv|telemetry.json> [options]
+//
+// Options:
+//   --config <file>    JSON object of CONFIG overrides for the run
+//   --compare <file>   Second CONFIG override file to run against the same input
+//   --history <file>   JSON export_history_30days to seed the adaptive target
+//   --state <state>    Starting state (default EXPORT_PRIORITY)
+//   --out <file>       Write the full report(s) as JSON
+//
+// Telemetry rows need: timestamp, generation, grid_power, battery_power,
+// victron_soc, export_daily (Wh, as the live global). An optional feed_in_price
+// column (c/kWh) replays a live price signal for zero-export curtailment
+
+const fs = require('fs');
+const path = require('path');
+
+const { createEnvironment, loadEnergyManagement } = require('../test/harness');
+
+const TELEMETRY_FIELDS = ['generation', 'grid_power', 'battery_power', 'victron_soc', 'export_daily'];
+
+// =============================================================================
+// TELEMETRY LOADING
+// =============================================================================
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const headers = lines[0].split(',').map(header => header.trim());
+    return lines.slice(1).map(line => {
+        const cells = line.split(',');
+        const row = {};
+        headers.forEach((header, i) => {
+            row[header] = (cells[i] || '').trim();
+        });
+        return row;
+    });
+}
+
+function normaliseTelemetry(rows) {
+    return rows
+        .map((row, i) => {
+            const time = new Date(row.timestamp).getTime();
+            if (isNaN(time)) {
+                throw new Error(`Row ${i + 1}: invalid timestamp "${row.timestamp}"`);
+            }
+
+            const sample = { timestamp: row.timestamp, time };
+            TELEMETRY_FIELDS.forEach(field => {
+                const value = Number(row[field]);
+                if (row[field] === undefined || row[field] === '' || isNaN(value)) {
+                    throw new Error(`Row ${i + 1}: missing or invalid ${field}`);
+                }
+                sample[field] = value;
+            });
+            if (row.feed_in_price !== undefined && row.feed_in_price !== '' && !isNaN(Number(row.feed_in_price))) {
+                sample.feed_in_price = Number(row.feed_in_price);
+            }
+            return sample;
+        })
+        .sort((a, b) => a.time - b.time);
+}
+
+function loadTelemetry(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const rows = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : parseCsv(text);
+    return normaliseTelemetry(rows);
+}
+
+function loadJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+function simulateDay(telemetry, options = {}) {
+    if (telemetry.length === 0) {
+        throw new Error('No telemetry rows to simulate');
+    }
+
+    const env = createEnvironment({
+        now: telemetry[0].time,
+        globals: { energy_management_enabled: true },
+        fileGlobals: options.history ? { export_history_30days: options.history } : {}
+    });
+    const em = loadEnergyManagement(env);
+    const { errors, config } = em.validateConfigOverride({ config: options.config || {} });
+    if (errors.length > 0) {
+        throw new Error(`Invalid CONFIG overrides: ${errors.join('; ')}`);
+    }
+    Object.assign(em.CONFIG, config);
+
+    let currentState = options.initialState || em.STATES.EXPORT_PRIORITY;
+    if (!Object.values(em.STATES).includes(currentState)) {
+        throw new Error(`Unknown starting state: ${currentState}`);
+    }
+    env.global.set('energy_management_state', currentState);
+
+    const timeline = [];
+    const stateChanges = [];
+    const loadEvents = [];
+    const loadOnMs = {};
+    em.getLoadRegistry().forEach(load => { loadOnMs[load.name] = 0; });
+    let previousActions = {};
+    let targetReachedAt = null;
+    let targetExport = null;
+    let lastSample = null;
+    let evStatus = null;
+
+    telemetry.forEach(sample => {
+        env.clock.set(sample.time);
+        TELEMETRY_FIELDS.forEach(field => env.global.set(field, sample[field]));
+        if (sample.feed_in_price !== undefined) env.global.set('feed_in_price', sample.feed_in_price);
+
+        // Same input derivation as MAIN EXECUTION
+        targetExport = em.getCurrentMonthTarget();
+        const inputs = {
+            dailyExport: sample.export_daily / 1000,
+            targetExport,
+            generation: sample.generation,
+            gridPower: sample.grid_power,
+            batterySoc: sample.victron_soc,
+            batteryPower: sample.battery_power,
+            inverterMode: 3
+        };
+        inputs.pace = em.getExportPace(inputs.dailyExport, targetExport);
+        inputs.forecastPlan = em.getForecastPlan(inputs.dailyExport, targetExport, inputs.batterySoc);
+        inputs.tariff = em.getTariffStatus();
+        inputs.zeroExport = em.getZeroExportStatus();
+        inputs.discharge = em.getDischargeStatus();
+        inputs.gridCharge = em.getGridChargeStatus();
+
+        let nextState;
+        let stateReason;
+        let actions;
+
+        const validationErrors = em.validateInputData(inputs);
+        if (validationErrors.length > 0) {
+            nextState = currentState;
+            stateReason = `Validation failed: ${validationErrors.join(', ')}`;
+            actions = em.generateSafeModeOutput(stateReason).actions;
+        } else {
+            ({ nextState, stateReason } = em.processStateTransition(currentState, inputs));
+            if (nextState !== currentState) {
+                env.global.set('energy_management_state', nextState);
+                stateChanges.push({ timestamp: sample.timestamp, from: currentState, to: nextState, reason: stateReason });
+            }
+            const output = em.generateOutput(nextState, inputs, stateReason);
+            actions = output.actions;
+            evStatus = output.status.ev || evStatus;
+        }
+
+        Object.keys(loadOnMs).forEach(name => {
+            const wasOn = previousActions[`enable_${name}`] || false;
+            const on = actions[`enable_${name}`] || false;
+            if (on !== wasOn) {
+                loadEvents.push({ timestamp: sample.timestamp, load: name, action: on ? 'ON' : 'OFF', state: nextState });
+            }
+            if (lastSample && wasOn) {
+                loadOnMs[name] += sample.time - lastSample.time;
+            }
+        });
+        previousActions = actions;
+        if (targetReachedAt === null && inputs.dailyExport >= targetExport) {
+            targetReachedAt = sample.timestamp;
+        }
+
+        timeline.push({
+            timestamp: sample.timestamp,
+            state: nextState,
+            reason: stateReason,
+            daily_export: inputs.dailyExport,
+            target_export: targetExport,
+            pace: inputs.pace ? inputs.pace.status : null,
+            tariff: inputs.tariff ? inputs.tariff.period : null,
+            actions
+        });
+
+        currentState = nextState;
+        lastSample = sample;
+    });
+
+    const finalExport = lastSample.export_daily / 1000;
+
+    return {
+        config_overrides: options.config || {},
+        samples: telemetry.length,
+        start: telemetry[0].timestamp,
+        end: lastSample.timestamp,
+        timeline,
+        state_changes: stateChanges,
+        load_events: loadEvents,
+        summary: {
+            final_state: currentState,
+            daily_export: finalExport,
+            target_export: targetExport,
+            target_reached: finalExport >= targetExport,
+            target_reached_at: targetReachedAt,
+            export_vs_target_percent: targetExport > 0 ? (finalExport / targetExport) * 100 : 0,
+            state_change_count: stateChanges.length,
+            load_switch_count: loadEvents.length,
+            load_on_minutes: Object.fromEntries(Object.entries(loadOnMs).map(([name, ms]) => [name, Math.round(ms / 60000)])),
+            ev_session_kwh: evStatus ? evStatus.session_kwh : null
+        },
+        logs: env.persistentLogs()
+    };
+}
+
+// Rank variants: hitting the target first, then fewer state changes
+function compareRuns(runs) {
+    const ranked = runs
+        .map((run, index) => ({ index, run }))
+        .sort((a, b) => {
+            if (a.run.summary.target_reached !== b.run.summary.target_reached) {
+                return a.run.summary.target_reached ? -1 : 1;
+            }
+            return a.run.summary.state_change_count - b.run.summary.state_change_count;
+        });
+    return { best_index: ranked[0].index, ranking: ranked.map(entry => entry.index) };
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+function formatTime(timestamp) {
+    const match = String(timestamp).match(/T(\d{2}:\d{2})/);
+    return match ? match[1] : String(timestamp);
+}
+
+function formatReport(run, label) {
+    const { summary } = run;
+    const lines = [];
+
+    lines.push(`=== ${label} ===`);
+    if (Object.keys(run.config_overrides).length > 0) {
+        lines.push(`CONFIG overrides: ${JSON.stringify(run.config_overrides)}`);
+    }
+    lines.push(`Samples: ${run.samples} (${run.start} → ${run.end})`);
+    lines.push('');
+    lines.push('State timeline:');
+
+    let segmentStart = run.timeline[0];
+    run.timeline.forEach((step, i) => {
+        const next = run.timeline[i + 1];
+        if (!next || next.state !== step.state) {
+            lines.push(`  ${formatTime(segmentStart.timestamp)}-${formatTime(step.timestamp)}  ${step.state}`);
+            segmentStart = next;
+        }
+    });
+
+    lines.push('');
+    lines.push(`Load events (${run.load_events.length}):`);
+    run.load_events.forEach(event => lines.push(`  ${formatTime(event.timestamp)}  ${event.load} ${event.action}`));
+    if (run.load_events.length === 0) lines.push('  none');
+
+    lines.push('');
+    lines.push(`Export: ${summary.daily_export.toFixed(1)} / ${summary.target_export.toFixed(1)} kWh (${summary.export_vs_target_percent.toFixed(1)}%)` +
+        (summary.target_reached ? `, reached at ${formatTime(summary.target_reached_at)}` : ', not reached'));
+    const loadMinutes = Object.entries(summary.load_on_minutes).map(([name, minutes]) => `${name} ${minutes} min`);
+    lines.push(`State changes: ${summary.state_change_count}, loads on: ${loadMinutes.length > 0 ? loadMinutes.join(', ') : 'none'}`);
+    if (summary.ev_session_kwh !== null) lines.push(`EV session at end: ${summary.ev_session_kwh.toFixed(1)} kWh`);
+
+    return lines.join('\n');
+}
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+function parseArgs(argv) {
+    const args = { telemetry: null, config: null, compare: null, history: null, state: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const key = arg.slice(2);
+            if (!(key in args) || key === 'telemetry') {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+            if (argv[i + 1] === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            args[key] = argv[++i];
+        } else if (!args.telemetry) {
+            args.telemetry = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    if (!args.telemetry) {
+        throw new Error('Usage: node tools/simulate.js <telemetry.csv|json> [--config a.json] [--compare b.json] [--history h.json] [--state STATE] [--out report.json]');
+    }
+    return args;
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    const telemetry = loadTelemetry(args.telemetry);
+    const history = args.history ? loadJson(args.history) : undefined;
+
+    const variants = [{ label: args.config ? path.basename(args.config) : 'defaults', config: args.config ? loadJson(args.config) : {} }];
+    if (args.compare) {
+        variants.push({ label: path.basename(args.compare), config: loadJson(args.compare) });
+    }
+
+    const runs = variants.map(variant => simulateDay(telemetry, { config: variant.config, history, initialState: args.state || undefined }));
+    runs.forEach((run, i) => console.log(`${formatReport(run, variants[i].label)}\n`));
+
+    let comparison = null;
+    if (runs.length > 1) {
+        comparison = compareRuns(runs);
+        console.log(`Better variant: ${variants[comparison.best_index].label}`);
+    }
+
+    if (args.out) {
+        const report = { runs: runs.map((run, i) => ({ label: variants[i].label, ...run })), comparison };
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`Report written to ${args.out}`);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    parseCsv,
+    normaliseTelemetry,
+    loadTelemetry,
+    simulateDay,
+    compareRuns,
+    formatReport
+};
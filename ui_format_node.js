@@ -16,6 +16,22 @@ try {
     const gridPower = global.get('grid_power') || 0;
     const batteryPower = global.get('battery_power') || 0;
     const exportHistory = global.get('export_history_30days', 'file') || [];
+    const timeZone = global.get('energy_management_timezone') || 'Australia/Brisbane';
+    const effectiveConfig = global.get('energy_management_effective_config') || null;
+    const manualOverride = global.get('energy_management_override', 'file') || null;
+    const safeModeEpisode = global.get('energy_management_safe_mode', 'file') || null;
+    const safeModeHistory = global.get('energy_management_safe_mode_history', 'file') || [];
+    const longTermHistory = global.get('export_history_longterm', 'file') || { daily: {}, monthly: {}, yearly: {} };
+    const targetPlan = global.get('export_target_plan', 'file') || null;
+    const exportPace = global.get('energy_management_export_pace') || null;
+    const forecastPlan = global.get('energy_management_forecast_plan') || null;
+    const tariff = global.get('energy_management_tariff') || null;
+    const financials = global.get('energy_management_financials') || null;
+    const discharge = global.get('energy_management_discharge') || null;
+    const gridCharge = global.get('energy_management_grid_charge') || null;
+    const loads = global.get('energy_management_loads') || [];
+    const evCharger = global.get('energy_management_ev') || null;
+    const loadEnergy = global.get('energy_management_load_energy') || null;
     
     // Check if we should update logs (every 10 seconds instead of every second)
     const now = Date.now();
@@ -40,6 +56,23 @@ try {
         return Math.abs(num).toFixed(decimals);
     }
     
+    // Signed dollars, e.g. -$1.25
+    function formatMoney(num) {
+        if (typeof num !== 'number') return '$0.00';
+        return `${num < 0 ? '-' : ''}$${Math.abs(num).toFixed(2)}`;
+    }
+
+    function formatFinancials(totals) {
+        return totals ? {
+            revenue: formatMoney(totals.revenue),
+            cost: formatMoney(totals.cost),
+            hws_savings: formatMoney(totals.hws_savings),
+            net: formatMoney(totals.net),
+            net_color: totals.net >= 0 ? '#27ae60' : '#F44336',
+            days: totals.days
+        } : null;
+    }
+
     function formatPercent(num, decimals = 1) {
         return typeof num === 'number' ? (num * 100).toFixed(decimals) + '%' : '0.0%';
     }
@@ -50,6 +83,9 @@ try {
             'BATTERY_STORAGE': '#2196F3',
             'LOAD_MANAGEMENT': '#FF9800',
             'SELF_CONSUME': '#9C27B0',
+            'ZERO_EXPORT': '#795548',
+            'GRID_DISCHARGE': '#E91E63',
+            'GRID_CHARGE': '#00BCD4',
             'SAFE_MODE': '#F44336',
             'DISABLED': '#757575'
         };
@@ -62,6 +98,9 @@ try {
             case 'BATTERY_STORAGE': return 'Battery Storage';
             case 'LOAD_MANAGEMENT': return 'Load Management';
             case 'SELF_CONSUME': return 'Self Consumption';
+            case 'ZERO_EXPORT': return 'Zero Export';
+            case 'GRID_DISCHARGE': return 'Grid Discharge';
+            case 'GRID_CHARGE': return 'Grid Charge';
             case 'SAFE_MODE': return 'Safe Mode';
             case 'DISABLED': return 'System Disabled';
             default: return 'Unknown State';
@@ -104,9 +143,18 @@ try {
             'SYSTEM_INFO': '#607D8B',
             'SYSTEM': '#607D8B',
             'ERROR': '#F44336',
-            'WARNING': '#FF9800'
+            'WARNING': '#FF9800',
+            'CONFIG_CHANGE': '#00BCD4',
+            'CONFIG_ERROR': '#F44336',
+            'COMMAND': '#3F51B5',
+            'OVERRIDE': '#FF5722',
+            'SAFE_MODE': '#F44336',
+            'IMPORT': '#009688',
+            'TARGET_PLAN': '#8BC34A',
+            'EV_CHARGER': '#00BCD4'
         };
-        return colors[logType] || '#607D8B';
+        // Managed loads each log as <NAME>_EVENT
+        return colors[logType] || (logType.endsWith('_EVENT') ? '#FF9800' : '#607D8B');
     }
 
     function getLogTypeIcon(logType) {
@@ -121,16 +169,24 @@ try {
             'SYSTEM_INFO': 'ℹ️',
             'SYSTEM': '⚙️',
             'ERROR': '❌',
-            'WARNING': '⚠️'
+            'WARNING': '⚠️',
+            'CONFIG_CHANGE': '🛠️',
+            'CONFIG_ERROR': '🚫',
+            'COMMAND': '🎛️',
+            'OVERRIDE': '📌',
+            'SAFE_MODE': '⛑️',
+            'IMPORT': '📥',
+            'TARGET_PLAN': '🎯',
+            'EV_CHARGER': '🚗'
         };
-        return icons[logType] || 'ℹ️';
+        return icons[logType] || (logType.endsWith('_EVENT') ? '🔌' : 'ℹ️');
     }
 
     function formatLogTime(timestamp) {
         try {
             const date = new Date(timestamp);
             return date.toLocaleString('en-AU', {
-                timeZone: 'Australia/Brisbane',
+                timeZone: timeZone,
                 month: '2-digit',
                 day: '2-digit',
                 hour: '2-digit',
@@ -147,11 +203,48 @@ try {
         return message.substring(0, maxLength) + '...';
     }
     
-    // Calculate current month info
-    const currentMonth = new Date().getMonth() + 1;
-    const daysInMonth = new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0).getDate();
-    const dayOfMonth = new Date().getDate();
+    // Calculate current month info in the controller's timezone
+    const localDate = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+        .formatToParts(new Date())
+        .forEach(part => {
+            if (part.type !== 'literal') localDate[part.type] = parseInt(part.value, 10);
+        });
+    const currentMonth = localDate.month;
+    const daysInMonth = new Date(Date.UTC(localDate.year, localDate.month, 0)).getUTCDate();
+    const dayOfMonth = localDate.day;
     const daysRemaining = daysInMonth - dayOfMonth;
+
+    // Long-term aggregates are keyed YYYY-MM / YYYY, so a date range is a key range
+    function selectRange(records, start, end) {
+        return Object.keys(records || {})
+            .filter(key => key >= start && key <= end)
+            .sort()
+            .map(key => ({ key: key, ...records[key] }));
+    }
+
+    function formatAggregate(aggregate) {
+        return {
+            key: aggregate.key,
+            label: aggregate.key.length === 7
+                ? new Date(`${aggregate.key}-01T00:00:00Z`).toLocaleDateString('en-AU', { timeZone: 'UTC', month: 'short', year: '2-digit' })
+                : aggregate.key,
+            export: formatNumber(aggregate.export),
+            target: formatNumber(aggregate.target),
+            days: aggregate.days,
+            days_met: aggregate.days_met,
+            achievement: typeof aggregate.achievement_rate === 'number' ? formatPercent(aggregate.achievement_rate, 0) : '-',
+            achievement_color: getPerformanceColor(aggregate.export, aggregate.target || 1)
+        };
+    }
+
+    const thisMonthKey = `${localDate.year}-${String(localDate.month).padStart(2, '0')}`;
+    const lastYearMonthKey = `${localDate.year - 1}-${String(localDate.month).padStart(2, '0')}`;
+    const twelveMonthsAgoKey = localDate.month === 12
+        ? `${localDate.year}-01`
+        : `${localDate.year - 1}-${String(localDate.month + 1).padStart(2, '0')}`;
+    const lastYearMonth = longTermHistory.monthly[lastYearMonthKey] || null;
+    const thisYearExport = (longTermHistory.yearly[String(localDate.year)] || {}).export || 0;
     
     // Process logs - get last 5 entries, sorted by time DESC
     const recentLogs = energyLogs
@@ -176,7 +269,7 @@ try {
             state_color: getStateColor(currentState),
             state_description: getStateDescription(currentState),
             timestamp: new Date().toLocaleString('en-AU', {
-                timeZone: 'Australia/Brisbane',
+                timeZone: timeZone,
                 year: 'numeric',
                 month: '2-digit', 
                 day: '2-digit',
@@ -191,7 +284,13 @@ try {
             target_today: formatNumber(targetCalc.adjusted_target || 0),
             target_reached: dailyExport >= (targetCalc.adjusted_target || 0),
             progress_percent: Math.min(100, (dailyExport / (targetCalc.adjusted_target || 1)) * 100).toFixed(1),
-            progress_color: dailyExport >= (targetCalc.adjusted_target || 0) ? '#4CAF50' : '#2196F3'
+            progress_color: dailyExport >= (targetCalc.adjusted_target || 0) ? '#4CAF50' : '#2196F3',
+            pace: exportPace && exportPace.pace_ratio !== null && exportPace.status !== 'reached' ? {
+                status: exportPace.status,
+                percent: formatNumber(exportPace.pace_ratio * 100, 0),
+                expected: formatNumber(exportPace.expected_export),
+                color: exportPace.status === 'ahead' ? '#4CAF50' : exportPace.status === 'behind' ? '#F44336' : '#3498db'
+            } : null
         },
         
         system: {
@@ -203,9 +302,80 @@ try {
             generation: formatNumber(generation, 0),
             grid_power: formatNumber(gridPower, 0),
             grid_status: gridPower < -200 ? 'Exporting' : gridPower > 200 ? 'Importing' : 'Balanced',
-            grid_color: gridPower < -200 ? '#4CAF50' : gridPower > 200 ? '#FF9800' : '#757575'
+            grid_color: gridPower < -200 ? '#4CAF50' : gridPower > 200 ? '#FF9800' : '#757575',
+            tariff: tariff ? {
+                period: tariff.period,
+                export_rate: tariff.export_rate.toFixed(1),
+                import_rate: tariff.import_rate.toFixed(1),
+                flags: [tariff.high_feed_in ? 'high feed-in' : null, tariff.demand ? 'demand window' : tariff.peak ? 'peak import' : null].filter(Boolean),
+                next: tariff.next ? {
+                    period: tariff.next.period,
+                    time: tariff.next.starts_at.slice(11, 16),
+                    export_rate: tariff.next.export_rate.toFixed(1),
+                    import_rate: tariff.next.import_rate.toFixed(1)
+                } : null
+            } : null,
+            discharge: discharge && discharge.active ? {
+                window: discharge.window,
+                export_rate: discharge.export_rate.toFixed(1),
+                power: formatNumber(discharge.power, 0),
+                reserve_soc: formatNumber(discharge.reserve_soc),
+                hours_to_morning: formatNumber(discharge.hours_to_morning)
+            } : null,
+            grid_charge: gridCharge && gridCharge.active ? {
+                window: gridCharge.window,
+                import_rate: gridCharge.import_rate.toFixed(1),
+                power: formatNumber(gridCharge.power, 0),
+                target_soc: formatNumber(gridCharge.target_soc),
+                expected_solar: formatNumber(gridCharge.expected_solar_kwh),
+                solar_source: gridCharge.solar_source
+            } : null,
+            loads: loads.map(load => ({
+                name: load.name.toUpperCase(),
+                on: load.on,
+                color: load.on ? '#4CAF50' : '#757575',
+                runtime: load.daily_runtime_minutes > 0
+                    ? `${formatNumber(load.runtime_minutes, 0)}/${formatNumber(load.daily_runtime_minutes, 0)} min`
+                    : `${formatNumber(load.runtime_minutes, 0)} min`,
+                // Hot water: tank temperature and any forced grid run
+                detail: load.hot_water ? [
+                    load.hot_water.temperature !== null ? `${formatNumber(load.hot_water.temperature, 0)}°C` : null,
+                    load.hot_water.forced === 'boost' ? 'daily heat boost' : load.hot_water.forced === 'legionella' ? 'legionella cycle' : null
+                ].filter(Boolean).map(text => `, ${text}`).join('') : ''
+            })),
+            ev: evCharger && evCharger.connected ? {
+                charging: evCharger.current > 0,
+                current: formatNumber(evCharger.current, 0),
+                policy: evCharger.policy.replace('_', ' '),
+                session_kwh: formatNumber(evCharger.session_kwh),
+                remaining_kwh: evCharger.remaining_kwh !== null ? formatNumber(evCharger.remaining_kwh) : null,
+                departure: evCharger.departure ? evCharger.departure.slice(11, 16) : null,
+                reason: evCharger.reason
+            } : null
         },
         
+        financials: financials && financials.month_to_date.days > 0 ? {
+            today: formatFinancials(financials.today),
+            month_to_date: formatFinancials(financials.month_to_date),
+            year_to_date: formatFinancials(financials.year_to_date)
+        } : null,
+
+        // Per-load energy this month, with today's share
+        load_energy: loadEnergy && Object.keys(loadEnergy.month_to_date).length > 0
+            ? Object.entries(loadEnergy.month_to_date).map(([name, month]) => {
+                const today = loadEnergy.today[name] || { runtime_minutes: 0, energy_kwh: 0, solar_kwh: 0 };
+                return {
+                    name: name.toUpperCase(),
+                    month_kwh: formatNumber(month.energy_kwh),
+                    month_solar_kwh: formatNumber(month.solar_kwh),
+                    solar_share: month.energy_kwh > 0 ? formatPercent(month.solar_kwh / month.energy_kwh, 0) : '0%',
+                    today_kwh: formatNumber(today.energy_kwh),
+                    today_solar_kwh: formatNumber(today.solar_kwh),
+                    today_runtime: formatNumber(today.runtime_minutes, 0)
+                };
+            })
+            : null,
+
         monthly: {
             performance_ratio: formatPercent(targetCalc.performance_ratio || 0),
             performance_color: getPerformanceColor(targetCalc.performance_ratio || 0),
@@ -215,6 +385,16 @@ try {
             monthly_progress: targetCalc.monthly_export_target ? 
                 Math.min(100, (targetCalc.rolling_export_total / targetCalc.monthly_export_target) * 100).toFixed(1) : '0.0',
             adjustment_reason: targetCalc.adjustment_reason || 'normal',
+            month_breakdown: (targetCalc.month_breakdown || []).length > 1 ? targetCalc.month_breakdown.map(month => ({
+                month: month.month,
+                days: month.days,
+                performance_ratio: formatPercent(month.performance_ratio),
+                performance_color: getPerformanceColor(month.performance_ratio)
+            })) : [],
+            weather: targetCalc.weather && targetCalc.weather.applied ? {
+                catchup_deferred: targetCalc.weather.catchup_deferred,
+                reasoning: targetCalc.weather.reasoning || []
+            } : null,
             days_in_month: daysInMonth,
             days_remaining: daysRemaining
         },
@@ -223,28 +403,112 @@ try {
             total_deficit: formatNumber(targetCalc.total_deficit || 0),
             catchup_per_day: formatNumber(targetCalc.catchup_per_day || 0),
             catchup_days: targetCalc.catchup_days_used || 5,
-            shortfall_per_day: formatNumber(targetCalc.shortfall_per_day || 0)
+            shortfall_per_day: formatNumber(targetCalc.shortfall_per_day || 0),
+            paused: targetCalc.catchup_paused || null
         } : null,
         
         over_performance: targetCalc.adjustment_reason === 'over_performing' && targetCalc.performance_ratio >= 1.1 ? {
             performance_ratio: targetCalc.performance_ratio,
             excess_per_day: formatNumber(targetCalc.excess_per_day || 0),
-            total_excess: formatNumber((targetCalc.rolling_export_total || 0) - (targetCalc.static_monthly_target * (targetCalc.rolling_days || 1))),
+            total_excess: formatNumber((targetCalc.rolling_export_total || 0) - (targetCalc.rolling_expected_total !== undefined
+                ? targetCalc.rolling_expected_total
+                : targetCalc.static_monthly_target * (targetCalc.rolling_days || 1))),
             recommended_reduction: formatNumber((targetCalc.excess_per_day || 0) * 0.8)
         } : null,
         
+        forecast: forecastPlan ? {
+            mode: forecastPlan.mode,
+            mode_label: {
+                protect_battery: 'Battery first',
+                export_early: 'Export early',
+                balanced: 'Balanced',
+                untrusted: 'Forecast not trusted'
+            }[forecastPlan.mode] || forecastPlan.mode,
+            remaining_solar: formatNumber(forecastPlan.remaining_solar_kwh),
+            surplus: formatNumber(forecastPlan.surplus_kwh),
+            tomorrow: forecastPlan.tomorrow_kwh !== null ? formatNumber(forecastPlan.tomorrow_kwh) : null,
+            accuracy: forecastPlan.accuracy && forecastPlan.accuracy.days > 0 ? {
+                days: forecastPlan.accuracy.days,
+                mean_error: formatNumber(forecastPlan.accuracy.mean_error_percent, 0),
+                bias: formatNumber(forecastPlan.accuracy.bias_ratio * 100, 0),
+                color: forecastPlan.accuracy.trusted === false ? '#F44336' : forecastPlan.accuracy.trusted ? '#4CAF50' : '#757575'
+            } : null
+        } : null,
+        
+        override: manualOverride && manualOverride.expires_at > now ? {
+            state: manualOverride.state,
+            state_description: getStateDescription(manualOverride.state),
+            state_color: getStateColor(manualOverride.state),
+            expires: formatLogTime(manualOverride.expires_at),
+            remaining_minutes: Math.ceil((manualOverride.expires_at - now) / 60000),
+            reason: manualOverride.reason || ''
+        } : null,
+        
+        safe_mode: {
+            active: safeModeEpisode ? {
+                cause: safeModeEpisode.cause,
+                reason: safeModeEpisode.reason,
+                since: formatLogTime(safeModeEpisode.entered_at),
+                duration_minutes: Math.round((now - safeModeEpisode.entered_at) / 60000),
+                valid_cycles: safeModeEpisode.valid_cycles,
+                latched: safeModeEpisode.latched
+            } : null,
+            episodes: safeModeHistory.slice(-5).reverse().map(episode => ({
+                cause: episode.cause,
+                reason: episode.reason,
+                entered: formatLogTime(episode.entered_at),
+                duration_minutes: episode.duration_minutes,
+                exit: episode.exit
+            }))
+        },
+        
+        config: effectiveConfig ? {
+            source: effectiveConfig.source,
+            source_label: effectiveConfig.source === 'override' ? 'Runtime Override' :
+                effectiveConfig.source === 'last_accepted' ? 'Last Accepted (override rejected)' : 'Built-in Defaults',
+            source_color: effectiveConfig.source === 'last_accepted' ? '#F44336' :
+                effectiveConfig.source === 'override' ? '#FF9800' : '#4CAF50',
+            overridden: (effectiveConfig.overridden || []).map(key => {
+                const month = key.startsWith('monthly_export_targets.') ? key.split('.')[1] : null;
+                return {
+                    key: key,
+                    value: month ? effectiveConfig.monthly_export_targets[month]
+                        : key === 'tariff' ? `${effectiveConfig.tariff.periods.length} periods`
+                        : key === 'zero_export_schedule' ? `${effectiveConfig.zero_export_schedule.length} windows`
+                        : key === 'loads' ? `${effectiveConfig.loads.length} loads` : effectiveConfig.config[key]
+                };
+            })
+        } : null,
+        
+        long_term: {
+            months: selectRange(longTermHistory.monthly, twelveMonthsAgoKey, thisMonthKey).map(formatAggregate),
+            years: selectRange(longTermHistory.yearly, String(localDate.year - 4), String(localDate.year)).map(formatAggregate),
+            same_month_last_year: lastYearMonth ? {
+                ...formatAggregate({ key: lastYearMonthKey, ...lastYearMonth }),
+                average_per_day: formatNumber(lastYearMonth.export / (lastYearMonth.days || 1))
+            } : null,
+            annual_goal: targetPlan && targetPlan.year === localDate.year ? {
+                goal: formatNumber(targetPlan.annual_goal_kwh, 0),
+                year_to_date: formatNumber(thisYearExport, 0),
+                progress_percent: (thisYearExport / targetPlan.annual_goal_kwh * 100).toFixed(1),
+                source: targetPlan.source,
+                planned: formatLogTime(targetPlan.created)
+            } : null
+        },
+        
         recent_history: exportHistory.slice(-7).map(day => {
             const exportVal = parseFloat(day.export) || 0;
             const targetVal = parseFloat(day.target) || 1;
             const performanceRatio = exportVal / targetVal;
             
             return {
-                date: new Date(day.date).toLocaleDateString('en-AU', { day: '2-digit', month: '2-digit' }),
+                date: new Date(day.date).toLocaleDateString('en-AU', { timeZone: 'UTC', day: '2-digit', month: '2-digit' }),
                 export: formatNumber(day.export),
                 target: formatNumber(day.target),
                 achieved: day.export >= day.target,
+                partial: day.status === 'partial',
                 achievement_color: getPerformanceColor(exportVal, targetVal),
-                performance_icon: getPerformanceIcon(exportVal, targetVal),
+                performance_icon: day.status === 'partial' ? '⏳' : getPerformanceIcon(exportVal, targetVal),
                 performance_ratio: (performanceRatio * 100).toFixed(1) + '%'
             };
         }),
@@ -523,6 +787,30 @@ try {
             </p>
         </div>
 
+        ${dashboardData.override ? `
+        <!-- Manual Override -->
+        <div class="section-card" style="border-color: ${dashboardData.override.state_color};">
+            <div class="section-header" style="background: ${dashboardData.override.state_color};">📌 Manual Override Active</div>
+            <div style="padding: 12px; text-align: center;">
+                <div style="font-weight: bold; margin-bottom: 4px;">Pinned to ${dashboardData.override.state_description}</div>
+                <div class="metric-sublabel">Until ${dashboardData.override.expires} (${dashboardData.override.remaining_minutes} min left)${dashboardData.override.reason ? ` - ${dashboardData.override.reason}` : ''}</div>
+                <div class="metric-sublabel">Battery protection can still take control</div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${dashboardData.safe_mode.active ? `
+        <!-- Safe Mode -->
+        <div class="section-card" style="border-color: #F44336;">
+            <div class="section-header" style="background: #F44336;">⛑️ Safe Mode ${dashboardData.safe_mode.active.latched ? 'Latched' : 'Active'}</div>
+            <div style="padding: 12px; text-align: center;">
+                <div style="font-weight: bold; margin-bottom: 4px;">Cause: ${dashboardData.safe_mode.active.cause}</div>
+                <div class="metric-sublabel">${dashboardData.safe_mode.active.reason}</div>
+                <div class="metric-sublabel">Since ${dashboardData.safe_mode.active.since} (${dashboardData.safe_mode.active.duration_minutes} min) - ${dashboardData.safe_mode.active.latched ? 'send set_state to resume' : `${dashboardData.safe_mode.active.valid_cycles} valid cycles so far`}</div>
+            </div>
+        </div>
+        ` : ''}
+
         <!-- Today's Performance -->
         <div class="section-card">
             <div class="section-header">📊 Today's Performance</div>
@@ -550,6 +838,11 @@ try {
                 <div style="text-align: center; font-weight: bold; color: #ecf0f1;">
                     ${dashboardData.daily.progress_percent}% of daily target achieved
                 </div>
+                ${dashboardData.daily.pace ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 6px;">
+                    Pace: <span style="color: ${dashboardData.daily.pace.color}; font-weight: bold;">${dashboardData.daily.pace.percent}% (${dashboardData.daily.pace.status.replace('_', ' ')})</span>, ${dashboardData.daily.pace.expected} kWh expected by now
+                </div>
+                ` : ''}
             </div>
         </div>
 
@@ -579,8 +872,56 @@ try {
                         <div class="metric-sublabel">${dashboardData.system.grid_status}</div>
                     </div>
                 </div>
+                ${dashboardData.system.discharge ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    ⚡ Discharge window ${dashboardData.system.discharge.window} at ${dashboardData.system.discharge.export_rate}c/kWh: ${dashboardData.system.discharge.power}W down to reserve ${dashboardData.system.discharge.reserve_soc}% (${dashboardData.system.discharge.hours_to_morning}h to morning)
+                </div>
+                ` : ''}
+                ${dashboardData.system.grid_charge ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    🔌 Grid charge window ${dashboardData.system.grid_charge.window} at ${dashboardData.system.grid_charge.import_rate}c/kWh: up to ${dashboardData.system.grid_charge.power}W to ${dashboardData.system.grid_charge.target_soc}% (${dashboardData.system.grid_charge.expected_solar}kWh solar expected from ${dashboardData.system.grid_charge.solar_source})
+                </div>
+                ` : ''}
+                ${dashboardData.system.loads.length > 0 ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    🔌 Loads: ${dashboardData.system.loads.map(load => `<strong style="color: ${load.color};">${load.name} ${load.on ? 'ON' : 'OFF'}</strong> (${load.runtime} today${load.detail})`).join(' · ')}
+                </div>
+                ` : ''}
+                ${dashboardData.system.ev ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    🚗 EV ${dashboardData.system.ev.charging ? `<strong style="color: #4CAF50;">charging ${dashboardData.system.ev.current}A</strong>` : '<strong>paused</strong>'} (${dashboardData.system.ev.policy}): ${dashboardData.system.ev.session_kwh}kWh this session${dashboardData.system.ev.remaining_kwh !== null ? `, ${dashboardData.system.ev.remaining_kwh}kWh to go by ${dashboardData.system.ev.departure}` : ''} · ${dashboardData.system.ev.reason}
+                </div>
+                ` : ''}
+                ${dashboardData.system.tariff ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    💲 Tariff <strong>${dashboardData.system.tariff.period}</strong>: export ${dashboardData.system.tariff.export_rate}c, import ${dashboardData.system.tariff.import_rate}c/kWh${dashboardData.system.tariff.flags.length > 0 ? ` (${dashboardData.system.tariff.flags.join(', ')})` : ''}${dashboardData.system.tariff.next ? ` · next ${dashboardData.system.tariff.next.period} at ${dashboardData.system.tariff.next.time}: export ${dashboardData.system.tariff.next.export_rate}c, import ${dashboardData.system.tariff.next.import_rate}c/kWh` : ''}
+                </div>
+                ` : ''}
+            </div>
+        </div>
+
+        ${dashboardData.forecast ? `
+        <!-- Solar Forecast -->
+        <div class="section-card">
+            <div class="section-header">☀️ Solar Forecast</div>
+            <div style="padding: 15px;">
+                <div class="metric-grid metric-grid-2">
+                    <div class="metric-card">
+                        <div class="metric-value" style="font-size: 1.2rem;">${dashboardData.forecast.mode_label}</div>
+                        <div class="metric-label">Battery / Export Split</div>
+                        <div class="metric-sublabel">${dashboardData.forecast.surplus} kWh surplus of ${dashboardData.forecast.remaining_solar} kWh left today</div>
+                    </div>
+                    <div class="metric-card">
+                        <div class="metric-value" style="font-size: 1.2rem;">${dashboardData.forecast.tomorrow !== null ? `${dashboardData.forecast.tomorrow} kWh` : '-'}</div>
+                        <div class="metric-label">Tomorrow</div>
+                        ${dashboardData.forecast.accuracy ? `
+                        <div class="metric-sublabel" style="color: ${dashboardData.forecast.accuracy.color};">±${dashboardData.forecast.accuracy.mean_error}% over ${dashboardData.forecast.accuracy.days} days, forecast ${dashboardData.forecast.accuracy.bias}% of actual</div>
+                        ` : ''}
+                    </div>
+                </div>
             </div>
         </div>
+        ` : ''}
 
         <!-- Monthly Performance -->
         <div class="section-card">
@@ -598,12 +939,58 @@ try {
                         <div class="metric-sublabel">${dashboardData.monthly.rolling_total} / ${dashboardData.monthly.monthly_target} kWh</div>
                     </div>
                 </div>
+                ${dashboardData.monthly.month_breakdown.length > 0 ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    ${dashboardData.monthly.month_breakdown.map(month => `${month.month}: <span style="color: ${month.performance_color};">${month.performance_ratio}</span> (${month.days} days)`).join(' · ')}
+                </div>
+                ` : ''}
+                ${dashboardData.monthly.weather ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    ${dashboardData.monthly.weather.catchup_deferred ? '☁️' : '🌤️'} ${dashboardData.monthly.weather.reasoning.join(' · ')}
+                </div>
+                ` : ''}
                 <div style="text-align: center; margin-top: 10px; font-weight: bold; color: #ecf0f1;">
                     📆 ${dashboardData.monthly.days_remaining} days remaining in month
                 </div>
             </div>
         </div>
 
+        ${dashboardData.financials ? `
+        <!-- Financials -->
+        <div class="section-card">
+            <div class="section-header">💰 Financials</div>
+            <div style="padding: 15px;">
+                <div class="metric-grid metric-grid-3">
+                    ${[['Today', dashboardData.financials.today], ['Month to Date', dashboardData.financials.month_to_date], ['Year to Date', dashboardData.financials.year_to_date]].map(([label, totals]) => totals ? `
+                    <div class="metric-card">
+                        <div class="metric-value" style="color: ${totals.net_color};">${totals.net}</div>
+                        <div class="metric-label">${label} Net</div>
+                        <div class="metric-sublabel">Feed-in ${totals.revenue} · Import ${totals.cost} · HWS ${totals.hws_savings}</div>
+                    </div>
+                    ` : '').join('')}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${dashboardData.load_energy ? `
+        <!-- Load Energy -->
+        <div class="section-card">
+            <div class="section-header">🔌 Load Energy</div>
+            <div style="padding: 15px;">
+                <div class="metric-grid metric-grid-3">
+                    ${dashboardData.load_energy.map(load => `
+                    <div class="metric-card">
+                        <div class="metric-value" style="color: #f39c12;">${load.month_solar_kwh}</div>
+                        <div class="metric-label">${load.name} Solar kWh (Month)</div>
+                        <div class="metric-sublabel">${load.month_kwh} kWh total, ${load.solar_share} solar · Today ${load.today_kwh} kWh (${load.today_solar_kwh} solar), ${load.today_runtime} min</div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
         ${dashboardData.catchup ? `
         <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); border-radius: 15px; padding: 20px; margin: 20px 0; text-align: center;">
             <h5 style="font-size: 1.1rem; font-weight: 600; margin-bottom: 15px;">🚀 Catch-up Mode Active</h5>
@@ -619,6 +1006,7 @@ try {
                     <small>Over next ${dashboardData.catchup.catchup_days} days</small>
                 </div>
             </div>
+            ${dashboardData.catchup.paused ? `<div style="margin-top: 10px;">⏸️ Paused - ${dashboardData.catchup.paused}</div>` : ''}
         </div>
         ` : ''}
 
@@ -640,6 +1028,74 @@ try {
             </div>
         </div>
 
+        ${dashboardData.long_term.months.length > 0 || dashboardData.long_term.annual_goal ? `
+        <!-- Long-Term History -->
+        <div class="section-card">
+            <div class="section-header">📅 Long-Term History</div>
+            <div style="padding: 15px;">
+                ${dashboardData.long_term.annual_goal ? `
+                <div class="metric-sublabel" style="text-align: center; margin-bottom: 10px;">
+                    🎯 Annual goal ${dashboardData.long_term.annual_goal.goal} kWh: ${dashboardData.long_term.annual_goal.year_to_date} kWh so far (${dashboardData.long_term.annual_goal.progress_percent}%), ${dashboardData.long_term.annual_goal.source} profile, planned ${dashboardData.long_term.annual_goal.planned}
+                </div>
+                ` : ''}
+                <div class="metric-grid metric-grid-4">
+                    ${dashboardData.long_term.months.map(month => `
+                        <div class="metric-card" style="min-height: 80px;">
+                            <div style="font-weight: bold; margin-bottom: 4px;">${month.label}</div>
+                            <div style="font-size: 1rem; font-weight: 600; color: ${month.achievement_color};">${month.export}</div>
+                            <div class="metric-sublabel">${month.achievement} of ${month.target} kWh</div>
+                            <div class="metric-sublabel">${month.days_met}/${month.days} days met</div>
+                        </div>
+                    `).join('')}
+                </div>
+                ${dashboardData.long_term.same_month_last_year ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 10px;">
+                    Same month last year (${dashboardData.long_term.same_month_last_year.label}): ${dashboardData.long_term.same_month_last_year.export} kWh, ${dashboardData.long_term.same_month_last_year.average_per_day} kWh/day, ${dashboardData.long_term.same_month_last_year.achievement} of target
+                </div>
+                ` : ''}
+                ${dashboardData.long_term.years.length > 0 ? `
+                <div class="metric-sublabel" style="text-align: center; margin-top: 6px;">
+                    ${dashboardData.long_term.years.map(year => `${year.label}: ${year.export} kWh (${year.achievement})`).join(' · ')}
+                </div>
+                ` : ''}
+            </div>
+        </div>
+        ` : ''}
+
+        ${dashboardData.safe_mode.episodes.length > 0 ? `
+        <!-- Safe Mode Episodes -->
+        <div class="section-card">
+            <div class="section-header">⛑️ Recent Safe Mode Episodes</div>
+            <div style="padding: 15px;">
+                ${dashboardData.safe_mode.episodes.map(episode => `
+                    <div class="metric-sublabel" style="margin-bottom: 4px;">${episode.entered} - <strong>${episode.cause}</strong> for ${episode.duration_minutes} min (${episode.exit}): ${episode.reason}</div>
+                `).join('')}
+            </div>
+        </div>
+        ` : ''}
+
+        ${dashboardData.config ? `
+        <!-- Configuration -->
+        <div class="section-card">
+            <div class="section-header">🛠️ Configuration</div>
+            <div style="padding: 15px;">
+                <div style="text-align: center; margin-bottom: 10px;">
+                    <span class="log-type-badge" style="background-color: ${dashboardData.config.source_color};">${dashboardData.config.source_label}</span>
+                </div>
+                ${dashboardData.config.overridden.length > 0 ? `
+                <div class="metric-grid metric-grid-4">
+                    ${dashboardData.config.overridden.map(item => `
+                        <div class="metric-card" style="min-height: 60px;">
+                            <div style="font-size: 1rem; font-weight: bold; margin-bottom: 4px;">${item.value}</div>
+                            <div class="metric-sublabel">${item.key}</div>
+                        </div>
+                    `).join('')}
+                </div>
+                ` : '<div style="text-align: center; color: #bdc3c7; font-size: 0.8rem;">No settings overridden</div>'}
+            </div>
+        </div>
+        ` : ''}
+
         <!-- System Logs -->
         <div class="section-card">
             <div class="section-header">